@@ -0,0 +1,81 @@
+// How long a room may sit in `waiting` before it is cancelled and every stake refunded.
+//
+// ROOM_WAITING_TTL_MINUTES sets the default. ROOM_EXPIRY_RULES (JSON array) overrides it per
+// game type and/or amount tier; the first matching rule wins, so list specific rules first:
+//   [{"gameType":"Carrom","ttlMinutes":60},{"minAmount":1000,"ttlMinutes":45}]
+// gameType is optional (any game), minAmount is inclusive and maxAmount exclusive.
+
+const DEFAULT_TTL_MINUTES = 30;
+
+// Bigger stakes take longer to fill, give them more time by default
+const DEFAULT_RULES = [
+  { minAmount: 1000, ttlMinutes: 60 }
+];
+
+const parseRules = () => {
+  if (!process.env.ROOM_EXPIRY_RULES) {
+    return DEFAULT_RULES;
+  }
+
+  try {
+    const rules = JSON.parse(process.env.ROOM_EXPIRY_RULES);
+    if (!Array.isArray(rules) || rules.some(rule => !(Number(rule.ttlMinutes) > 0))) {
+      throw new Error('every rule needs a positive ttlMinutes');
+    }
+    return rules;
+  } catch (error) {
+    console.error(`❌ Invalid ROOM_EXPIRY_RULES (${error.message}), using defaults`);
+    return DEFAULT_RULES;
+  }
+};
+
+export const getRoomExpiryConfig = () => ({
+  defaultTtlMinutes: parseInt(process.env.ROOM_WAITING_TTL_MINUTES) || DEFAULT_TTL_MINUTES,
+  rules: parseRules()
+});
+
+const ruleMatches = (rule, room) => {
+  if (rule.gameType && rule.gameType !== room.gameType) return false;
+  if (rule.minAmount !== undefined && room.amount < rule.minAmount) return false;
+  if (rule.maxAmount !== undefined && room.amount >= rule.maxAmount) return false;
+  return true;
+};
+
+// Waiting time allowed for a room, in minutes
+export const getRoomTtlMinutes = (room, config = getRoomExpiryConfig()) => {
+  const rule = config.rules.find(r => ruleMatches(r, room));
+  return rule ? Number(rule.ttlMinutes) : config.defaultTtlMinutes;
+};
+
+// Query conditions for the rooms a rule covers, e.g. { gameType, amount: { $gte, $lt } }
+const ruleFilter = (rule) => {
+  const filter = {};
+  if (rule.gameType) filter.gameType = rule.gameType;
+  if (rule.minAmount !== undefined) filter.amount = { $gte: Number(rule.minAmount) };
+  if (rule.maxAmount !== undefined) filter.amount = { ...filter.amount, $lt: Number(rule.maxAmount) };
+  return filter;
+};
+
+// Query for waiting rooms past their own TTL: one clause per rule, excluding the rooms an
+// earlier rule already covers (first match wins), plus the default TTL for rooms no rule
+// covers. Filtering in the query keeps long-TTL rooms that are not due yet from filling
+// the job's batch.
+export const getExpiredRoomsQuery = (now = Date.now(), config = getRoomExpiryConfig()) => {
+  const olderThan = (ttlMinutes) => ({ createdAt: { $lte: new Date(now - Number(ttlMinutes) * 60 * 1000) } });
+  const clauses = [];
+  const earlier = [];
+
+  for (const rule of config.rules) {
+    const filter = ruleFilter(rule);
+    clauses.push({ ...filter, ...olderThan(rule.ttlMinutes), ...(earlier.length > 0 && { $nor: [...earlier] }) });
+
+    // A rule without conditions covers every remaining room
+    if (Object.keys(filter).length === 0) {
+      return { status: 'waiting', $or: clauses };
+    }
+    earlier.push(filter);
+  }
+
+  clauses.push({ ...olderThan(config.defaultTtlMinutes), ...(earlier.length > 0 && { $nor: earlier }) });
+  return { status: 'waiting', $or: clauses };
+};
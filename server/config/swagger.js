@@ -34,6 +34,19 @@ const options = {
           description: 'Enter JWT token obtained from login endpoint'
         }
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            minLength: 8,
+            maxLength: 255
+          },
+          description: 'Unique key per operation. Retries with the same key and body replay the first response (with an Idempotent-Replayed header) instead of running again.'
+        }
+      },
       schemas: {
         User: {
           type: 'object',
@@ -48,6 +61,11 @@ const options = {
               minLength: 2,
               maxLength: 50
             },
+            username: {
+              type: 'string',
+              description: 'Optional public handle',
+              pattern: '^[a-z0-9_]{3,20}$'
+            },
             phone: {
               type: 'string',
               description: '10-digit phone number',
@@ -117,6 +135,17 @@ const options = {
               type: 'number',
               description: 'Current number of players'
             },
+            payoutStructure: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'Percent of the prize (after the platform fee) for each paid position, first place first',
+              example: [70, 30]
+            },
+            mode: {
+              type: 'string',
+              enum: ['solo', 'teams'],
+              description: 'A team room is two teams of two; the winning team shares the prize'
+            },
             players: {
               type: 'array',
               items: {
@@ -133,18 +162,86 @@ const options = {
                   joinedAt: {
                     type: 'string',
                     format: 'date-time'
+                  },
+                  team: {
+                    type: 'integer',
+                    enum: [1, 2],
+                    description: 'Team rooms only'
                   }
                 }
               }
             },
             status: {
               type: 'string',
-              enum: ['waiting', 'playing', 'completed', 'cancelled'],
+              enum: ['waiting', 'playing', 'winner_declared', 'escalated', 'completed', 'cancelled'],
               description: 'Room status'
             },
+            visibility: {
+              type: 'string',
+              enum: ['public', 'private'],
+              description: 'Private rooms are hidden from the lobby'
+            },
+            inviteCode: {
+              type: 'string',
+              description: 'Code to join a private room (players only)'
+            },
+            resultDeadline: {
+              type: 'string',
+              format: 'date-time',
+              description: 'A result must be declared before this, otherwise the room is escalated or cancelled'
+            },
+            noShowReport: {
+              type: 'object',
+              description: 'Pending or resolved no-show report',
+              properties: {
+                reportedBy: { type: 'string' },
+                graceEndsAt: { type: 'string', format: 'date-time' },
+                status: { type: 'string', enum: ['pending', 'contested', 'awarded', 'superseded'] }
+              }
+            },
+            resultSubmissions: {
+              type: 'array',
+              description: 'Winner submitted by each player',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: { type: 'string' },
+                  winnerId: { type: 'string' },
+                  rankings: { type: 'array', items: { type: 'string' }, description: 'Paid positions, winner first' },
+                  submittedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            resultConfirmationDeadline: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Agreeing submissions are confirmed when this passes'
+            },
             winner: {
               type: 'string',
-              description: 'Winner user ID'
+              description: 'Winner user ID (in a team room, the winning team\'s first player)'
+            },
+            winningTeam: {
+              type: 'integer',
+              enum: [1, 2],
+              description: 'Team rooms only'
+            },
+            feeRate: {
+              type: 'object',
+              description: 'Platform fee rate snapshotted when the game started',
+              properties: {
+                percent: { type: 'number' },
+                minFee: { type: 'number' },
+                maxFee: { type: 'number' },
+                scheduleId: { type: 'string', description: 'Fee schedule applied, if any' },
+                scheduleName: { type: 'string' },
+                promotional: { type: 'boolean' }
+              }
+            },
+            rankings: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Players in the paid positions once settled, winner first'
             },
             totalPrizePool: {
               type: 'number',
@@ -154,6 +251,11 @@ const options = {
               type: 'number',
               description: 'Amount winner receives'
             },
+            positionAmounts: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Amount each paid position receives, first place first'
+            },
             platformFee: {
               type: 'number',
               description: 'Platform fee deducted'
@@ -173,7 +275,7 @@ const options = {
             },
             type: {
               type: 'string',
-              enum: ['deposit', 'withdrawal', 'game_win', 'game_loss', 'refund'],
+              enum: ['deposit', 'withdrawal', 'game_win', 'game_loss', 'refund', 'entry_hold'],
               description: 'Transaction type'
             },
             amount: {
@@ -187,9 +289,14 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'completed', 'failed', 'cancelled'],
+              enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
               description: 'Transaction status'
             },
+            holdStatus: {
+              type: 'string',
+              enum: ['held', 'won', 'lost', 'released'],
+              description: 'Outcome of an entry_hold (entry fee held in room escrow)'
+            },
             balanceBefore: {
               type: 'number',
               description: 'Balance before transaction'
@@ -225,6 +332,267 @@ const options = {
             }
           }
         },
+        Evidence: {
+          type: 'object',
+          properties: {
+            fileId: {
+              type: 'string'
+            },
+            kind: {
+              type: 'string',
+              enum: ['claim', 'counter'],
+              description: 'claim backs the declared winner, counter disputes it'
+            },
+            uploadedBy: {
+              type: 'string'
+            },
+            mimeType: {
+              type: 'string'
+            },
+            size: {
+              type: 'number'
+            },
+            originalName: {
+              type: 'string'
+            },
+            note: {
+              type: 'string'
+            },
+            uploadedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            url: {
+              type: 'string',
+              description: 'Admin-only download URL (admin responses)'
+            }
+          }
+        },
+        Dispute: {
+          type: 'object',
+          properties: {
+            disputeId: {
+              type: 'string',
+              example: 'DSP1718000000000123'
+            },
+            roomId: {
+              type: 'string'
+            },
+            category: {
+              type: 'string',
+              enum: ['wrong_winner', 'conflicting_results', 'no_show', 'cheating', 'technical_issue', 'other']
+            },
+            status: {
+              type: 'string',
+              enum: ['open', 'under_review', 'awaiting_info', 'resolved']
+            },
+            assignedTo: {
+              type: 'string'
+            },
+            infoRequest: {
+              type: 'object',
+              description: 'Set while the dispute is awaiting_info'
+            },
+            messages: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  actorType: { type: 'string', enum: ['user', 'admin', 'system'] },
+                  actorId: { type: 'string' },
+                  body: { type: 'string' },
+                  evidence: { type: 'array', items: { $ref: '#/components/schemas/Evidence' } },
+                  createdAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            timeline: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  event: { type: 'string' },
+                  actorType: { type: 'string' },
+                  data: { type: 'object' },
+                  at: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            sla: {
+              type: 'object',
+              properties: {
+                firstResponseDueAt: { type: 'string', format: 'date-time' },
+                firstRespondedAt: { type: 'string', format: 'date-time' },
+                resolutionDueAt: { type: 'string', format: 'date-time' },
+                breaches: { type: 'array', items: { type: 'string', enum: ['first_response', 'resolution'] } }
+              }
+            },
+            slaBreached: {
+              type: 'boolean'
+            },
+            resolution: {
+              type: 'object',
+              properties: {
+                outcome: { type: 'string', enum: ['award_winner', 'split', 'refund_all'] },
+                winnerId: { type: 'string' },
+                splitBetween: { type: 'array', items: { type: 'string' } },
+                notes: { type: 'string' },
+                resolvedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        },
+        EvidenceUpload: {
+          type: 'object',
+          required: ['screenshots'],
+          properties: {
+            screenshots: {
+              type: 'array',
+              description: 'JPEG, PNG or WebP images (EVIDENCE_MAX_FILES, EVIDENCE_MAX_FILE_SIZE_MB)',
+              items: {
+                type: 'string',
+                format: 'binary'
+              }
+            },
+            note: {
+              type: 'string',
+              maxLength: 500
+            }
+          }
+        },
+        MatchmakingStatus: {
+          type: 'object',
+          properties: {
+            ticket: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                gameType: { type: 'string' },
+                amount: { type: 'number' },
+                maxPlayers: { type: 'number' },
+                status: { type: 'string', enum: ['queued', 'matched', 'cancelled', 'expired'] },
+                expiresAt: { type: 'string', format: 'date-time' },
+                roomId: { type: 'string', description: 'Room code once matched' },
+                cancelReason: { type: 'string', enum: ['user', 'insufficient_balance', 'account_inactive'] }
+              }
+            },
+            position: {
+              type: 'number',
+              description: 'Place in the queue (queued tickets only)'
+            },
+            waiting: {
+              type: 'number',
+              description: 'Tickets waiting for the same game type, stake and size'
+            },
+            room: {
+              $ref: '#/components/schemas/GameRoom'
+            }
+          }
+        },
+        FeeSchedule: {
+          type: 'object',
+          description: 'Platform fee rate for the rooms it matches. Unset criteria match any room.',
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string', example: 'High-stakes Ludo' },
+            gameType: { type: 'string', enum: ['Ludo', 'Snakes & Ladders', 'Carrom'] },
+            minAmount: { type: 'number', description: 'Lowest per-player stake matched' },
+            maxAmount: { type: 'number', description: 'Highest per-player stake matched' },
+            maxPlayers: { type: 'integer', minimum: 2, maximum: 4, description: 'Room size matched' },
+            feePercent: { type: 'number', minimum: 0, maximum: 50, example: 8 },
+            minFee: { type: 'number', description: 'Lowest fee in rupees per room' },
+            maxFee: { type: 'number', description: 'Highest fee in rupees per room' },
+            startsAt: { type: 'string', format: 'date-time', description: 'Promotions only' },
+            endsAt: { type: 'string', format: 'date-time', description: 'Promotions only' },
+            isActive: { type: 'boolean' },
+            isPromotion: { type: 'boolean', readOnly: true }
+          }
+        },
+        PlatformSettings: {
+          type: 'object',
+          description: 'Runtime-configurable platform values',
+          properties: {
+            platformFeePercent: { type: 'number', minimum: 0, maximum: 50, example: 10 },
+            minWithdrawalAmount: { type: 'number', example: 100 },
+            maxWithdrawalAmount: { type: 'number', example: 50000 },
+            minDepositAmount: { type: 'number', example: 10 },
+            maxDepositAmount: { type: 'number', example: 100000 },
+            minRoomAmount: { type: 'number', example: 10 },
+            maxRoomAmount: { type: 'number', example: 10000 },
+            otpExpiryMinutes: { type: 'number', minimum: 1, maximum: 60, example: 5 },
+            approvalThresholdAmount: { type: 'number', minimum: 0, example: 10000, description: 'Admin balance adjustments and refunds above this need a second admin' }
+          }
+        },
+        Tournament: {
+          type: 'object',
+          properties: {
+            tournamentId: { type: 'string', example: 'TRN1700000000000123' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            gameType: { type: 'string', enum: ['Ludo', 'Snakes & Ladders', 'Carrom'] },
+            entryFee: { type: 'number' },
+            capacity: { type: 'number' },
+            minParticipants: { type: 'number', description: 'Below this at startsAt the tournament is cancelled and refunded' },
+            playersPerMatch: { type: 'number' },
+            startsAt: { type: 'string', format: 'date-time' },
+            prizeTable: {
+              type: 'array',
+              description: 'Share of the prize pool after the platform fee, by finishing place',
+              items: {
+                type: 'object',
+                properties: {
+                  place: { type: 'number' },
+                  percent: { type: 'number' }
+                }
+              }
+            },
+            status: { type: 'string', enum: ['registration', 'in_progress', 'completed', 'cancelled'] },
+            participantCount: { type: 'number' },
+            isRegistered: { type: 'boolean' },
+            participants: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: { type: 'string' },
+                  name: { type: 'string' },
+                  status: { type: 'string', enum: ['registered', 'playing', 'eliminated', 'champion'] },
+                  eliminatedInRound: { type: 'number' },
+                  placeFrom: { type: 'number' },
+                  placeTo: { type: 'number', description: 'Players knocked out in the same round share places placeFrom-placeTo' },
+                  prize: { type: 'number' }
+                }
+              }
+            },
+            rounds: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  number: { type: 'number' },
+                  status: { type: 'string', enum: ['in_progress', 'completed'] },
+                  matches: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        matchNumber: { type: 'number' },
+                        players: { type: 'array', items: { type: 'string' } },
+                        roomId: { type: 'string', description: 'Room the match is played in (none for a bye)' },
+                        status: { type: 'string', enum: ['playing', 'completed', 'bye'] },
+                        winnerId: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            currentRound: { type: 'number' },
+            prizePool: { type: 'number' },
+            platformFee: { type: 'number' },
+            winner: { type: 'string' }
+          }
+        },
         ApiResponse: {
           type: 'object',
           properties: {
@@ -1,15 +1,81 @@
 import Admin from '../models/Admin.js';
 import User from '../models/User.js';
 import GameRoom from '../models/GameRoom.js';
-import Transaction from '../models/Transaction.js';
+import Transaction, { PLAYED_ENTRY_FEES, TYPE_WITH_HOLD_STATUS } from '../models/Transaction.js';
 import WinnerRequest from '../models/WinnerRequest.js';
 import WithdrawalRequest from '../models/WithdrawalRequest.js';
-import { generateToken } from '../utils/jwt.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import Dispute, { DISPUTE_OPEN_STATUSES } from '../models/Dispute.js';
+import Tournament from '../models/Tournament.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import AdminApproval from '../models/AdminApproval.js';
+import { PaymentService } from '../services/paymentService.js';
+import { LedgerService } from '../services/ledgerService.js';
+import { EscrowService } from '../services/escrowService.js';
+import { NotificationService } from '../services/notificationService.js';
+import { RoomResultService } from '../services/roomResultService.js';
+import { EvidenceService } from '../services/evidenceService.js';
+import { DisputeService } from '../services/disputeService.js';
+import { TournamentService } from '../services/tournamentService.js';
+import { SettingsService } from '../services/settingsService.js';
+import { FeeScheduleService } from '../services/feeScheduleService.js';
+import { AdminAccountService } from '../services/adminAccountService.js';
+import { AuditLogService } from '../services/auditLogService.js';
+import { AdminApprovalService } from '../services/adminApprovalService.js';
+import { TwoFactorService } from '../services/twoFactorService.js';
+import { StorageService } from '../services/storageService.js';
+import { RealtimeService } from '../services/realtimeService.js';
+import { getJobStatus } from '../jobs/scheduler.js';
+import { generateToken, generateTwoFactorChallengeToken } from '../utils/jwt.js';
 import { cache, cacheUtils } from '../utils/cache.js';
-import { getPagination, buildPaginationResponse } from '../utils/helpers.js';
+import { emitRoomEvent } from '../utils/events.js';
+import { getPagination, buildPaginationResponse, calculatePlatformFee } from '../utils/helpers.js';
 import mongoose from 'mongoose';
 
 // Admin Authentication
+
+// Finish a login whose password (and two-factor code, if enabled) checked out
+const sendAdminLogin = async (admin, req, res, twoFactorMethod) => {
+    // Reset login attempts on successful login
+    if (admin.loginAttempts > 0) {
+        await admin.resetLoginAttempts();
+    }
+
+    // Update last login
+    admin.lastLogin = new Date();
+    await admin.save();
+
+    // Generate JWT token
+    const token = generateToken(admin._id, 'admin');
+
+    await AuditLogService.record({
+        admin,
+        action: 'auth.login',
+        targetType: 'admins',
+        targetId: admin._id,
+        details: twoFactorMethod ? { twoFactor: twoFactorMethod } : undefined,
+        req
+    }).catch(error => console.error('Audit log error:', error));
+
+    res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            admin: {
+                _id: admin._id,
+                username: admin.username,
+                role: admin.role,
+                permissions: admin.permissions,
+                mustChangePassword: admin.mustChangePassword,
+                twoFactorEnabled: Boolean(admin.twoFactor?.enabled),
+                // Admins without 2FA can only set it up until they do
+                twoFactorSetupRequired: TwoFactorService.isRequired() && !admin.twoFactor?.enabled
+            },
+            token
+        }
+    });
+};
+
 export const adminLogin = async (req, res) => {
     try {
         const { username, password } = req.body;
@@ -41,31 +107,20 @@ export const adminLogin = async (req, res) => {
             });
         }
 
-        // Reset login attempts on successful login
-        if (admin.loginAttempts > 0) {
-            await admin.resetLoginAttempts();
+        // With two-factor authentication the token is only issued for a valid code
+        // (POST /api/admin/login/2fa); failed attempts keep counting until then
+        if (admin.twoFactor?.enabled) {
+            return res.status(200).json({
+                success: true,
+                message: 'Enter the code from your authenticator app or a recovery code',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: generateTwoFactorChallengeToken(admin._id)
+                }
+            });
         }
 
-        // Update last login
-        admin.lastLogin = new Date();
-        await admin.save();
-
-        // Generate JWT token
-        const token = generateToken(admin._id, 'admin');
-
-        res.status(200).json({
-            success: true,
-            message: 'Login successful',
-            data: {
-                admin: {
-                    _id: admin._id,
-                    username: admin.username,
-                    role: admin.role,
-                    permissions: admin.permissions
-                },
-                token
-            }
-        });
+        await sendAdminLogin(admin, req, res);
 
     } catch (error) {
         console.error('Admin login error:', error);
@@ -76,8 +131,27 @@ export const adminLogin = async (req, res) => {
     }
 };
 
+export const verifyAdminLoginTwoFactor = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const { admin, method } = await TwoFactorService.completeLogin(challengeToken, { code, recoveryCode });
+
+        await sendAdminLogin(admin, req, res, method);
+
+    } catch (error) {
+        console.error('Admin two-factor login error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Login failed'
+        });
+    }
+};
+
 export const adminLogout = async (req, res) => {
     try {
+        res.locals.audit = { action: 'auth.logout', targetType: 'admins', targetId: req.admin._id };
+
         res.status(200).json({
             success: true,
             message: 'Logged out successfully'
@@ -114,10 +188,22 @@ export const changeAdminPassword = async (req, res) => {
             });
         }
 
+        if (currentPassword === newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current password'
+            });
+        }
+
         // Update password
         admin.password = newPassword;
+        admin.mustChangePassword = false;
         await admin.save();
 
+        cache.del(cacheUtils.adminKey(adminId));
+
+        res.locals.audit = { action: 'auth.change_password', targetType: 'admins', targetId: adminId };
+
         res.status(200).json({
             success: true,
             message: 'Password changed successfully'
@@ -175,18 +261,18 @@ export const getDashboardStats = async (req, res) => {
                 },
                 {
                     $group: {
-                        _id: '$type',
+                        _id: TYPE_WITH_HOLD_STATUS,
                         total: { $sum: '$amount' },
                         count: { $sum: 1 }
                     }
                 }
             ]);
 
-            // Format transaction stats
+            // Format transaction stats; game revenue is the platform fees actually taken
             const monthlyStats = {
                 deposits: 0,
                 withdrawals: 0,
-                gameRevenue: 0,
+                gameRevenue: (await LedgerService.getFeeRevenue({ since: startOfMonth })).total,
                 totalTransactions: 0
             };
 
@@ -199,10 +285,6 @@ export const getDashboardStats = async (req, res) => {
                     case 'withdrawal':
                         monthlyStats.withdrawals = stat.total;
                         break;
-                    case 'game_loss':
-                        // Platform fee from game losses (10% of total game amount)
-                        monthlyStats.gameRevenue += Math.floor(stat.total * 0.1);
-                        break;
                 }
             });
 
@@ -355,8 +437,21 @@ export const approveWithdrawalRequest = async (req, res) => {
             });
         }
 
+        // Without a payment proof the money is sent through the gateway payout API;
+        // the payout webhook then completes (or fails and refunds) the transaction
+        let payout = null;
+        if (!paymentProof) {
+            const transaction = await Transaction.findById(withdrawalRequest.transactionId);
+            payout = await PaymentService.payout(
+                withdrawalRequest.upiId,
+                withdrawalRequest.amount,
+                transaction.transactionId,
+                withdrawalRequest.userInfo.name
+            );
+        }
+
         // Approve withdrawal
-        await withdrawalRequest.approve(adminId, notes);
+        await withdrawalRequest.approve(adminId, notes, payout);
 
         // Update payment proof if provided
         if (paymentProof) {
@@ -364,6 +459,11 @@ export const approveWithdrawalRequest = async (req, res) => {
             await withdrawalRequest.save();
         }
 
+        res.locals.audit = {
+            before: { status: 'pending' },
+            after: { status: withdrawalRequest.status, amount: withdrawalRequest.amount, payoutId: withdrawalRequest.payoutId }
+        };
+
         res.status(200).json({
             success: true,
             message: 'Withdrawal request approved successfully',
@@ -372,7 +472,9 @@ export const approveWithdrawalRequest = async (req, res) => {
                     _id: withdrawalRequest._id,
                     status: withdrawalRequest.status,
                     processedAt: withdrawalRequest.processedAt,
-                    adminNotes: withdrawalRequest.adminNotes
+                    adminNotes: withdrawalRequest.adminNotes,
+                    payoutId: withdrawalRequest.payoutId,
+                    payoutStatus: payout?.status
                 }
             }
         });
@@ -417,6 +519,11 @@ export const rejectWithdrawalRequest = async (req, res) => {
         // Reject withdrawal (this will automatically refund the amount)
         await withdrawalRequest.reject(adminId, reason.trim());
 
+        res.locals.audit = {
+            before: { status: 'pending' },
+            after: { status: withdrawalRequest.status, amount: withdrawalRequest.amount }
+        };
+
         res.status(200).json({
             success: true,
             message: 'Withdrawal request rejected and amount refunded to user',
@@ -545,6 +652,8 @@ export const blockUser = async (req, res) => {
         const { userId } = req.params;
         const { reason = '' } = req.body;
 
+        const previous = await User.findById(userId).select('isActive');
+
         const user = await User.findByIdAndUpdate(
             userId,
             {
@@ -571,6 +680,8 @@ export const blockUser = async (req, res) => {
         // Clear user cache
         cacheUtils.clearUserCache(userId);
 
+        res.locals.audit = { before: { isActive: previous.isActive }, after: { isActive: user.isActive } };
+
         res.status(200).json({
             success: true,
             message: 'User blocked successfully',
@@ -590,6 +701,8 @@ export const unblockUser = async (req, res) => {
     try {
         const { userId } = req.params;
 
+        const previous = await User.findById(userId).select('isActive');
+
         const user = await User.findByIdAndUpdate(
             userId,
             {
@@ -615,6 +728,8 @@ export const unblockUser = async (req, res) => {
         // Clear user cache
         cacheUtils.clearUserCache(userId);
 
+        res.locals.audit = { before: { isActive: previous.isActive }, after: { isActive: user.isActive } };
+
         res.status(200).json({
             success: true,
             message: 'User unblocked successfully',
@@ -650,29 +765,32 @@ export const updateUserBalance = async (req, res) => {
             });
         }
 
-        // Create transaction based on type
-        const transactionType = type === 'add' ? 'deposit' : 'withdrawal';
-        const transactionAmount = Math.abs(amount);
-        const description = `Admin ${type === 'add' ? 'added' : 'deducted'} balance - ${reason}`;
+        const adjustment = { userId, direction: type, amount: Math.abs(amount), reason };
 
-        const transaction = await Transaction.createWithBalanceUpdate(
-            userId,
-            transactionType,
-            transactionAmount,
-            description,
-            {
-                metadata: {
-                    adminAction: true,
-                    adminId: req.admin._id,
-                    reason
-                }
-            }
-        );
+        // Large adjustments wait for a second admin
+        if (await AdminApprovalService.requiresApproval(adjustment.amount)) {
+            const approval = await AdminApprovalService.request({ action: 'balance_adjustment', ...adjustment }, req.admin._id);
+
+            res.locals.audit = { after: { approvalId: approval._id, status: approval.status } };
+
+            return res.status(202).json({
+                success: true,
+                message: 'Balance change is waiting for approval by another admin',
+                data: { approval }
+            });
+        }
+
+        const transaction = await AdminApprovalService.adjustBalance(adjustment, { adminId: req.admin._id });
 
         // Clear user cache
         cacheUtils.clearUserCache(userId);
         cache.del(cacheUtils.balanceKey(userId));
 
+        res.locals.audit = {
+            before: { balance: user.balance },
+            after: { balance: transaction.balanceAfter, transactionId: transaction.transactionId }
+        };
+
         res.status(200).json({
             success: true,
             message: `User balance ${type === 'add' ? 'increased' : 'decreased'} successfully`,
@@ -703,6 +821,7 @@ export const getAllRooms = async (req, res) => {
             limit = 20,
             status = 'all',
             gameType = 'all',
+            visibility = 'all',
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
@@ -717,6 +836,11 @@ export const getAllRooms = async (req, res) => {
         if (gameType !== 'all') {
             query.gameType = gameType;
         }
+        if (visibility === 'private') {
+            query.visibility = 'private';
+        } else if (visibility === 'public') {
+            query.visibility = { $ne: 'private' };
+        }
 
         // Build sort
         const sort = {};
@@ -776,6 +900,7 @@ export const getRoomDetails = async (req, res) => {
             success: true,
             data: {
                 room,
+                evidence: room.resultEvidence.map(item => EvidenceService.toAdminView(room.roomId, item)),
                 transactions
             }
         });
@@ -789,10 +914,54 @@ export const getRoomDetails = async (req, res) => {
     }
 };
 
+export const getRoomEvidenceFile = async (req, res) => {
+    try {
+        const { roomId, fileId } = req.params;
+
+        const room = await GameRoom.findOne({ roomId });
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        const file = await EvidenceService.findFile(room, fileId);
+        if (!file || !(await StorageService.exists(file.key))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Evidence not found'
+            });
+        }
+
+        res.set({
+            'Content-Type': file.mimeType,
+            'Content-Disposition': `inline; filename="${file.fileId}"`,
+            'Cache-Control': 'private, max-age=300'
+        });
+
+        const stream = StorageService.createReadStream(file.key);
+        stream.on('error', (error) => {
+            console.error('Stream evidence error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+
+    } catch (error) {
+        console.error('Get room evidence error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get evidence'
+        });
+    }
+};
+
 export const declareCorrectWinner = async (req, res) => {
     try {
         const { roomId } = req.params;
-        const { winnerId, reason } = req.body;
+        const { reason } = req.body;
+        // Rooms that pay several positions are declared with a full ranking, winner first
+        const winnerId = req.body.rankings?.length ? req.body.rankings[0] : req.body.winnerId;
 
         const room = await GameRoom.findOne({ roomId });
         if (!room) {
@@ -802,47 +971,82 @@ export const declareCorrectWinner = async (req, res) => {
             });
         }
 
-        if (!room.hasPlayer(winnerId)) {
+        if (!winnerId || !room.hasPlayer(winnerId)) {
             return res.status(400).json({
                 success: false,
                 message: 'Winner must be a player in the room'
             });
         }
 
-        // Complete the game with correct winner
-        room.completeGame(winnerId);
-        await room.save();
+        let rankings;
+        try {
+            rankings = room.checkRankings(req.body.rankings?.length ? req.body.rankings : [winnerId]);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (await Dispute.findOpenForRoom(room._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This room has an open dispute, resolve it from the dispute queue'
+            });
+        }
 
-        // Create winning transaction
-        const totalAmount = room.amount * room.players.length;
-        const platformFeePercent = parseInt(process.env.PLATFORM_FEE_PERCENTAGE) || 10;
-        const platformFee = Math.floor(totalAmount * platformFeePercent / 100);
-        const winnerAmount = totalAmount - platformFee;
+        // Tournament matches pay nothing until the tournament ends
+        const { platformFee, winnerAmount, positionAmounts } = await RoomResultService.getPayout(room);
 
-        await Transaction.createWithBalanceUpdate(
-            winnerId,
-            'game_win',
-            winnerAmount,
-            `Game Won - Room ${room.roomId} (Admin declared)`,
-            {
-                gameRoomId: room._id,
+        const before = { status: room.status, winner: room.winner };
+
+        // Complete the game and pay the winner from the room's escrow
+        const session = await mongoose.startSession();
+
+        try {
+            session.startTransaction();
+
+            room.completeGame(winnerId, rankings);
+            await room.save({ session });
+
+            await RoomResultService.settleWinner(room, winnerId, {
+                winnerAmount,
+                platformFee,
+                positionAmounts,
+                rankings,
+                description: `Game Won - Room ${room.roomId} (Admin declared)`,
                 metadata: {
                     adminDeclared: true,
                     adminId: req.admin._id,
                     reason
                 }
-            }
-        );
+            }, { session });
+
+            await session.commitTransaction();
 
-        // Update winner's game stats
-        const winner = await User.findById(winnerId);
-        if (winner) {
-            await winner.incrementGameStats(true, winnerAmount);
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
         }
 
+        // Update the game stats of the winner (or the winning team)
+        await RoomResultService.recordWinStats(room, winnerId, winnerAmount);
+
         // Clear caches
         cacheUtils.clearRoomsCache();
 
+        emitRoomEvent('room.winner_approved', room, { winnerId, winnerAmount, adminDeclared: true });
+        await TournamentService.onMatchDecided(room);
+
+        res.locals.audit = {
+            targetType: 'rooms',
+            targetId: room.roomId,
+            before,
+            after: { status: room.status, winner: room.winner, winningTeam: room.winningTeam, winnerAmount, platformFee }
+        };
+
         res.status(200).json({
             success: true,
             message: 'Winner declared successfully',
@@ -852,6 +1056,7 @@ export const declareCorrectWinner = async (req, res) => {
                     roomId: room.roomId,
                     status: room.status,
                     winner: room.winner,
+                    winningTeam: room.winningTeam,
                     winnerAmount
                 }
             }
@@ -886,30 +1091,65 @@ export const cancelRoom = async (req, res) => {
             });
         }
 
-        // Cancel room
-        room.status = 'cancelled';
-        await room.save();
+        if (room.tournament?.tournamentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tournament match rooms cannot be cancelled on their own, declare a winner or cancel the tournament'
+            });
+        }
 
-        // Refund all players
-        for (const player of room.players) {
-            await Transaction.createWithBalanceUpdate(
-                player.userId,
-                'refund',
-                room.amount,
-                `Room cancelled - ${room.roomId} (${reason})`,
-                {
-                    gameRoomId: room._id,
-                    metadata: {
-                        adminCancelled: true,
-                        adminId: req.admin._id,
-                        reason
-                    }
-                }
-            );
+        if (await Dispute.findOpenForRoom(room._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This room has an open dispute, resolve it from the dispute queue'
+            });
+        }
+
+        const before = { status: room.status };
+
+        // Cancel room and return every held entry fee from its escrow
+        const session = await mongoose.startSession();
+
+        let refunds;
+        try {
+            session.startTransaction();
+
+            room.status = 'cancelled';
+            room.cancelledAt = new Date();
+            room.cancelReason = reason;
+            await room.save({ session });
+
+            refunds = await EscrowService.releaseAll(room, `Room cancelled: ${reason}`, { session });
+
+            await session.commitTransaction();
+
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
         }
 
         // Clear caches
         cacheUtils.clearRoomsCache();
+        for (const refund of refunds) {
+            cacheUtils.clearUserCache(refund.userId);
+            cache.del(cacheUtils.balanceKey(refund.userId));
+        }
+
+        emitRoomEvent('room.cancelled', room, { reason });
+
+        res.locals.audit = {
+            before,
+            after: { status: room.status, refundedPlayers: refunds.length }
+        };
+
+        await NotificationService.notifyMany(room.players.map(player => player.userId), {
+            type: 'room_cancelled',
+            title: 'Room cancelled',
+            message: `Room ${room.roomId} was cancelled by an admin (${reason}). Your entry fee has been refunded.`,
+            data: { roomId: room.roomId, gameRoomId: room._id }
+        });
 
         res.status(200).json({
             success: true,
@@ -919,7 +1159,8 @@ export const cancelRoom = async (req, res) => {
                     _id: room._id,
                     roomId: room.roomId,
                     status: room.status
-                }
+                },
+                refundedPlayers: refunds.length
             }
         });
 
@@ -1053,21 +1294,44 @@ export const processRefund = async (req, res) => {
             });
         }
 
+        if (transaction.type === 'entry_hold' && transaction.holdStatus === 'held') {
+            return res.status(400).json({
+                success: false,
+                message: 'Entry fee is still held in the room escrow. Cancel the room to return it.'
+            });
+        }
+
+        // Large refunds wait for a second admin
+        if (await AdminApprovalService.requiresApproval(transaction.amount)) {
+            const approval = await AdminApprovalService.request({
+                action: 'refund',
+                userId: transaction.userId,
+                amount: transaction.amount,
+                originalTransactionId: transaction._id,
+                reason
+            }, req.admin._id);
+
+            res.locals.audit = { after: { approvalId: approval._id, status: approval.status } };
+
+            return res.status(202).json({
+                success: true,
+                message: 'Refund is waiting for approval by another admin',
+                data: { approval }
+            });
+        }
+
         // Create refund transaction
-        const refundTransaction = await Transaction.createWithBalanceUpdate(
-            transaction.userId,
-            'refund',
-            transaction.amount,
-            `Refund for transaction ${transaction.transactionId} - ${reason}`,
-            {
-                metadata: {
-                    originalTransactionId: transaction._id,
-                    adminRefund: true,
-                    adminId: req.admin._id,
-                    reason
-                }
+        const refundTransaction = await AdminApprovalService.refund(transaction, reason, { adminId: req.admin._id });
+
+        res.locals.audit = {
+            before: { balance: refundTransaction.balanceBefore },
+            after: {
+                userId: transaction.userId,
+                balance: refundTransaction.balanceAfter,
+                amount: refundTransaction.amount,
+                refundTransactionId: refundTransaction.transactionId
             }
-        );
+        };
 
         res.status(200).json({
             success: true,
@@ -1083,7 +1347,7 @@ export const processRefund = async (req, res) => {
 
     } catch (error) {
         console.error('Process refund error:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
             message: error.message || 'Failed to process refund'
         });
@@ -1101,34 +1365,19 @@ export const getSystemStats = async (req, res) => {
                 totalUsers,
                 totalRooms,
                 totalTransactions,
-                totalRevenue
+                feeRevenue
             ] = await Promise.all([
                 User.countDocuments(),
                 GameRoom.countDocuments(),
                 Transaction.countDocuments(),
-                Transaction.aggregate([
-                    {
-                        $match: {
-                            type: 'game_loss',
-                            status: 'completed'
-                        }
-                    },
-                    {
-                        $group: {
-                            _id: null,
-                            total: { $sum: '$amount' }
-                        }
-                    }
-                ])
+                LedgerService.getFeeRevenue()
             ]);
 
-            const platformRevenue = totalRevenue[0] ? Math.floor(totalRevenue[0].total * 0.1) : 0;
-
             cachedStats = {
                 totalUsers,
                 totalRooms,
                 totalTransactions,
-                platformRevenue,
+                platformRevenue: feeRevenue.total,
                 cacheStats: cache.getStats()
             };
 
@@ -1173,39 +1422,44 @@ export const getRevenueStats = async (req, res) => {
                 startDate.setDate(startDate.getDate() - 30);
         }
 
-        const revenueStats = await Transaction.aggregate([
-            {
-                $match: {
-                    type: 'game_loss',
-                    status: 'completed',
-                    createdAt: { $gte: startDate }
-                }
-            },
-            {
-                $group: {
-                    _id: {
-                        $dateToString: {
-                            format: '%Y-%m-%d',
-                            date: '$createdAt'
-                        }
-                    },
-                    totalGames: { $sum: '$amount' },
-                    gameCount: { $sum: 1 }
-                }
-            },
-            {
-                $project: {
-                    date: '$_id',
-                    totalGames: 1,
-                    gameCount: 1,
-                    platformRevenue: { $multiply: ['$totalGames', 0.1] }
+        const [entryFees, feeRevenue] = await Promise.all([
+            Transaction.aggregate([
+                {
+                    $match: {
+                        ...PLAYED_ENTRY_FEES,
+                        status: 'completed',
+                        createdAt: { $gte: startDate }
+                    }
+                },
+                {
+                    $group: {
+                        _id: {
+                            $dateToString: {
+                                format: '%Y-%m-%d',
+                                date: '$createdAt'
+                            }
+                        },
+                        totalGames: { $sum: '$amount' },
+                        gameCount: { $sum: 1 }
+                    }
                 }
-            },
-            {
-                $sort: { date: 1 }
-            }
+            ]),
+            LedgerService.getFeeRevenue({ since: startDate })
         ]);
 
+        // Entry fees played per day next to the platform fees actually taken that day
+        const dates = [...new Set([...entryFees.map(day => day._id), ...feeRevenue.days.map(day => day.date)])].sort();
+        const revenueStats = dates.map(date => {
+            const fees = entryFees.find(day => day._id === date);
+            return {
+                _id: date,
+                date,
+                totalGames: fees?.totalGames || 0,
+                gameCount: fees?.gameCount || 0,
+                platformRevenue: feeRevenue.days.find(day => day.date === date)?.revenue || 0
+            };
+        });
+
         res.status(200).json({
             success: true,
             data: {
@@ -1329,6 +1583,7 @@ export const getWinnerRequests = async (req, res) => {
     try {
         const {
             status = 'all',
+            disputed,
             page = 1,
             limit = 20,
             sortBy = 'createdAt',
@@ -1342,6 +1597,9 @@ export const getWinnerRequests = async (req, res) => {
         if (status !== 'all') {
             query.status = status;
         }
+        if (disputed !== undefined) {
+            query.isDisputed = disputed === 'true';
+        }
 
         // Build sort
         const sort = {};
@@ -1400,10 +1658,18 @@ export const getWinnerRequestDetails = async (req, res) => {
             });
         }
 
+        // Screenshots from both sides, served through the admin evidence endpoint
+        const evidence = winnerRequest.evidence.screenshots.map(item => EvidenceService.toAdminView(winnerRequest.roomId, item));
+
         res.status(200).json({
             success: true,
             data: {
-                winnerRequest
+                winnerRequest,
+                evidence: {
+                    claim: evidence.filter(item => item.kind === 'claim'),
+                    counter: evidence.filter(item => item.kind === 'counter'),
+                    description: winnerRequest.evidence.description
+                }
             }
         });
 
@@ -1439,45 +1705,84 @@ export const approveWinnerRequest = async (req, res) => {
             });
         }
 
-        // Approve winner request
-        winnerRequest.status = 'approved';
-        winnerRequest.processedAt = new Date();
-        winnerRequest.processedBy = adminId;
-        winnerRequest.adminNotes = notes;
-        await winnerRequest.save();
+        if (await Dispute.findOpenForRoom(winnerRequest.gameRoomId._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This room has an open dispute, resolve it from the dispute queue'
+            });
+        }
 
-        // Update room status to completed
         const room = winnerRequest.gameRoomId;
-        room.status = 'completed';
-        room.completedAt = new Date();
-        await room.save();
 
-        // Create winning transaction
-        await Transaction.createWithBalanceUpdate(
-            winnerRequest.declaredWinner,
-            'game_win',
-            winnerRequest.winnerAmount,
-            `Game Won - Room ${room.roomId} (Admin approved)`,
-            {
-                gameRoomId: room._id,
+        const rankings = winnerRequest.rankings?.length ? winnerRequest.rankings : [winnerRequest.declaredWinner];
+
+        const before = { status: winnerRequest.status, roomStatus: room.status };
+
+        const session = await mongoose.startSession();
+
+        try {
+            session.startTransaction();
+
+            // Approve winner request
+            winnerRequest.status = 'approved';
+            winnerRequest.processedAt = new Date();
+            winnerRequest.processedBy = adminId;
+            winnerRequest.adminNotes = notes;
+            await winnerRequest.save({ session });
+
+            // Update room status to completed
+            room.status = 'completed';
+            room.completedAt = new Date();
+            room.winner = winnerRequest.declaredWinner;
+            room.rankings = rankings;
+            await room.save({ session });
+
+            // Pay the winner (and any other paid positions) from the room's escrow
+            await RoomResultService.settleWinner(room, winnerRequest.declaredWinner, {
+                winnerAmount: winnerRequest.winnerAmount,
+                platformFee: winnerRequest.platformFee,
+                rankings,
+                description: `Game Won - Room ${room.roomId} (Admin approved)`,
                 metadata: {
                     adminApproved: true,
                     adminId,
                     winnerRequestId: winnerRequest._id,
                     notes
                 }
-            }
-        );
+            }, { session });
+
+            await session.commitTransaction();
 
-        // Update winner's game stats
-        const winner = await User.findById(winnerRequest.declaredWinner);
-        if (winner) {
-            await winner.incrementGameStats(true, winnerRequest.winnerAmount);
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
         }
 
+        // Update the game stats of the winner (or the winning team)
+        await RoomResultService.recordWinStats(room, winnerRequest.declaredWinner, winnerRequest.winnerAmount);
+
         // Clear caches
         cacheUtils.clearRoomsCache();
 
+        emitRoomEvent('room.winner_approved', room, {
+            winnerId: winnerRequest.declaredWinner,
+            winnerAmount: winnerRequest.winnerAmount,
+            winnerRequestId: winnerRequest._id
+        });
+        await TournamentService.onMatchDecided(room);
+
+        res.locals.audit = {
+            before,
+            after: {
+                status: winnerRequest.status,
+                roomStatus: room.status,
+                winner: winnerRequest.declaredWinner,
+                winnerAmount: winnerRequest.winnerAmount
+            }
+        };
+
         res.status(200).json({
             success: true,
             message: 'Winner request approved and winnings credited',
@@ -1530,6 +1835,15 @@ export const rejectWinnerRequest = async (req, res) => {
             });
         }
 
+        if (await Dispute.findOpenForRoom(winnerRequest.gameRoomId._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This room has an open dispute, resolve it from the dispute queue'
+            });
+        }
+
+        const before = { status: winnerRequest.status, roomStatus: winnerRequest.gameRoomId.status };
+
         // Reject winner request
         winnerRequest.status = 'rejected';
         winnerRequest.processedAt = new Date();
@@ -1541,11 +1855,27 @@ export const rejectWinnerRequest = async (req, res) => {
         const room = winnerRequest.gameRoomId;
         room.status = 'playing';
         room.winner = null;
+        // Players submit their results again from scratch
+        room.resultSubmissions = [];
+        room.resultConfirmationDeadline = undefined;
+        // Give the players a fresh result deadline for the new declaration
+        room.resultDeadline = new Date(Date.now() + RoomResultService.getResultDeadlineMinutes() * 60 * 1000);
         await room.save();
 
         // Clear caches
         cacheUtils.clearRoomsCache();
 
+        emitRoomEvent('room.winner_rejected', room, {
+            winnerRequestId: winnerRequest._id,
+            reason: winnerRequest.adminNotes,
+            resultDeadline: room.resultDeadline
+        });
+
+        res.locals.audit = {
+            before,
+            after: { status: winnerRequest.status, roomStatus: room.status }
+        };
+
         res.status(200).json({
             success: true,
             message: 'Winner request rejected. Room is back to playing status.',
@@ -1566,4 +1896,1350 @@ export const rejectWinnerRequest = async (req, res) => {
             message: error.message || 'Failed to reject winner request'
         });
     }
-};
\ No newline at end of file
+};
+
+// Payment Gateway Events
+export const getPaymentEvents = async (req, res) => {
+    try {
+        const { status = 'all', type, page = 1, limit = 20 } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        // Build query
+        const query = {};
+        if (status !== 'all') {
+            query.status = status;
+        }
+        if (type) {
+            query.type = type;
+        }
+
+        // Raw bodies can be large, they are only returned by the details endpoint
+        const [events, total] = await Promise.all([
+            PaymentEvent.find(query)
+                .select('-rawBody -payload')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(currentLimit)
+                .lean(),
+            PaymentEvent.countDocuments(query)
+        ]);
+
+        const result = buildPaginationResponse(events, total, currentPage, currentLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get payment events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get payment events'
+        });
+    }
+};
+
+export const getPaymentEventDetails = async (req, res) => {
+    try {
+        const { eventId } = req.params;
+
+        const paymentEvent = await PaymentEvent.findById(eventId)
+            .populate('transactionId');
+
+        if (!paymentEvent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment event not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                paymentEvent
+            }
+        });
+
+    } catch (error) {
+        console.error('Get payment event details error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get payment event details'
+        });
+    }
+};
+
+// Ledger & Reconciliation
+export const getLedgerSummary = async (req, res) => {
+    try {
+        const summary = await LedgerService.getSummary();
+
+        res.status(200).json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        console.error('Get ledger summary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get ledger summary'
+        });
+    }
+};
+
+export const getLedgerReconciliation = async (req, res) => {
+    try {
+        const report = await LedgerService.reconcile();
+
+        res.status(200).json({
+            success: true,
+            message: report.mismatches.length === 0 && report.trialBalance.balanced
+                ? 'Ledger and wallet balances agree'
+                : `${report.mismatches.length} wallet(s) do not reconcile`,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('Ledger reconciliation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reconcile ledger'
+        });
+    }
+};
+
+export const openLedgerWallets = async (req, res) => {
+    try {
+        const result = await LedgerService.openWallets();
+
+        res.status(200).json({
+            success: true,
+            message: `Opened ${result.opened} wallet account(s)`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Open ledger wallets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to open wallet accounts'
+        });
+    }
+};
+
+export const getLedgerAccountEntries = async (req, res) => {
+    try {
+        const { code } = req.params;
+        const { page = 1, limit = 20 } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        const { entries, total } = await LedgerService.getAccountEntries(code, { skip, limit: currentLimit });
+
+        const result = buildPaginationResponse(entries, total, currentPage, currentLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get ledger entries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get ledger entries'
+        });
+    }
+};
+
+// Background Jobs
+export const getJobs = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                jobs: getJobStatus(),
+                realtime: RealtimeService.getStats()
+            }
+        });
+
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get job status'
+        });
+    }
+};
+
+// Dispute Management
+const adminEvidenceUrl = (dispute) => (item) => `/api/admin/rooms/${dispute.roomId}/evidence/${item.fileId}`;
+
+export const getDisputes = async (req, res) => {
+    try {
+        const {
+            status = 'all',
+            category,
+            assigned,
+            breached,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        // Build query
+        const query = {};
+        if (status === 'active') {
+            query.status = { $in: DISPUTE_OPEN_STATUSES };
+        } else if (status !== 'all') {
+            query.status = status;
+        }
+        if (category) {
+            query.category = category;
+        }
+        if (assigned === 'me') {
+            query.assignedTo = req.admin._id;
+        } else if (assigned === 'unassigned') {
+            query.assignedTo = { $exists: false };
+        }
+        if (breached === 'true') {
+            query['sla.breaches.0'] = { $exists: true };
+        }
+
+        // Oldest resolution deadline first, so the most urgent disputes lead the queue
+        const [disputes, total] = await Promise.all([
+            Dispute.find(query)
+                .select('-messages -timeline')
+                .populate('openedBy', 'name phone')
+                .populate('assignedTo', 'username')
+                .sort({ 'sla.resolutionDueAt': 1, createdAt: 1 })
+                .skip(skip)
+                .limit(currentLimit)
+                .lean(),
+            Dispute.countDocuments(query)
+        ]);
+
+        const result = buildPaginationResponse(disputes, total, currentPage, currentLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get disputes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get disputes'
+        });
+    }
+};
+
+export const getDisputeDetails = async (req, res) => {
+    try {
+        const dispute = await Dispute.findOne({ disputeId: req.params.disputeId })
+            .populate('openedBy', 'name phone')
+            .populate('assignedTo', 'username')
+            .populate({
+                path: 'gameRoomId',
+                populate: { path: 'players.userId', select: 'name phone' }
+            })
+            .populate('winnerRequestId');
+
+        if (!dispute) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispute not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                dispute: DisputeService.toView(dispute, adminEvidenceUrl(dispute))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get dispute details error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get dispute details'
+        });
+    }
+};
+
+export const assignDispute = async (req, res) => {
+    try {
+        const { adminId = req.admin._id } = req.body;
+
+        const dispute = await Dispute.findOne({ disputeId: req.params.disputeId });
+        if (!dispute) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispute not found'
+            });
+        }
+
+        const assignee = await Admin.findById(adminId);
+        if (!assignee || !assignee.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignee must be an active admin'
+            });
+        }
+
+        await DisputeService.assign(dispute, assignee._id, req.admin._id);
+
+        res.status(200).json({
+            success: true,
+            message: `Dispute assigned to ${assignee.username}`,
+            data: {
+                disputeId: dispute.disputeId,
+                status: dispute.status,
+                assignedTo: assignee._id,
+                assignedAt: dispute.assignedAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Assign dispute error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to assign dispute'
+        });
+    }
+};
+
+export const addAdminDisputeMessage = async (req, res) => {
+    try {
+        const { body } = req.body;
+
+        const dispute = await Dispute.findOne({ disputeId: req.params.disputeId });
+        if (!dispute) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispute not found'
+            });
+        }
+
+        const message = await DisputeService.addMessage(dispute, {
+            actorType: 'admin',
+            actorId: req.admin._id,
+            body
+        });
+
+        const room = await GameRoom.findById(dispute.gameRoomId);
+        await DisputeService.notifyPlayers(room, null, {
+            type: 'dispute_message',
+            title: 'New message in dispute',
+            message: `An admin replied in the dispute on room ${room.roomId}.`,
+            dispute
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Message added',
+            data: {
+                message,
+                status: dispute.status
+            }
+        });
+
+    } catch (error) {
+        console.error('Add admin dispute message error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to add message'
+        });
+    }
+};
+
+export const requestDisputeInfo = async (req, res) => {
+    try {
+        const { message, userIds, dueInHours } = req.body;
+
+        const dispute = await Dispute.findOne({ disputeId: req.params.disputeId });
+        if (!dispute) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispute not found'
+            });
+        }
+
+        const room = await GameRoom.findById(dispute.gameRoomId);
+        await DisputeService.requestInfo(dispute, room, req.admin._id, {
+            message,
+            userIds,
+            dueInHours: dueInHours && parseFloat(dueInHours)
+        });
+
+        await DisputeService.notifyPlayers(room, dispute.infoRequest.requestedFrom, {
+            type: 'dispute_info_requested',
+            title: 'More information needed',
+            message: `An admin needs more information about room ${room.roomId}: ${message}`,
+            dispute
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Information requested from the players',
+            data: {
+                disputeId: dispute.disputeId,
+                status: dispute.status,
+                infoRequest: dispute.infoRequest
+            }
+        });
+
+    } catch (error) {
+        console.error('Request dispute info error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to request information'
+        });
+    }
+};
+
+export const resolveDispute = async (req, res) => {
+    try {
+        const { outcome, winnerId, rankings, splitBetween, notes } = req.body;
+
+        const { dispute, room, payouts } = await DisputeService.resolve(req.params.disputeId, req.admin._id, {
+            outcome,
+            winnerId,
+            rankings,
+            splitBetween,
+            notes
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Dispute resolved',
+            data: {
+                dispute: {
+                    disputeId: dispute.disputeId,
+                    status: dispute.status,
+                    resolution: dispute.resolution
+                },
+                room: {
+                    roomId: room.roomId,
+                    status: room.status,
+                    winner: room.winner
+                },
+                payouts: payouts.map(transaction => ({
+                    userId: transaction.userId,
+                    type: transaction.type,
+                    amount: transaction.amount,
+                    transactionId: transaction.transactionId
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Resolve dispute error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to resolve dispute'
+        });
+    }
+};
+
+// Tournament Management
+export const createTournament = async (req, res) => {
+    try {
+        const {
+            name,
+            description,
+            gameType,
+            entryFee,
+            capacity,
+            minParticipants,
+            playersPerMatch,
+            startsAt,
+            prizeTable = [{ place: 1, percent: 100 }]
+        } = req.body;
+
+        const tournament = await TournamentService.create({
+            name,
+            description,
+            gameType,
+            entryFee,
+            capacity,
+            minParticipants,
+            playersPerMatch,
+            startsAt,
+            prizeTable
+        }, req.admin._id);
+
+        res.locals.audit = { targetId: tournament.tournamentId };
+
+        res.status(201).json({
+            success: true,
+            message: 'Tournament created, registration is open',
+            data: {
+                tournament: TournamentService.toView(tournament)
+            }
+        });
+
+    } catch (error) {
+        console.error('Create tournament error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to create tournament'
+        });
+    }
+};
+
+export const getAdminTournaments = async (req, res) => {
+    try {
+        const { status = 'all', page = 1, limit = 20 } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        // Build query
+        const query = {};
+        if (status !== 'all') {
+            query.status = status;
+        }
+
+        const [tournaments, total] = await Promise.all([
+            Tournament.find(query)
+                .select('-rounds')
+                .populate('createdBy', 'username')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(currentLimit)
+                .lean(),
+            Tournament.countDocuments(query)
+        ]);
+
+        const summaries = tournaments.map(({ participants, ...tournament }) => ({
+            ...tournament,
+            participantCount: participants.length
+        }));
+
+        const result = buildPaginationResponse(summaries, total, currentPage, currentLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get tournaments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get tournaments'
+        });
+    }
+};
+
+export const getAdminTournamentDetails = async (req, res) => {
+    try {
+        const tournament = await Tournament.findOne({ tournamentId: req.params.tournamentId })
+            .populate('createdBy', 'username')
+            .populate('cancelledBy', 'username')
+            .lean();
+
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament not found'
+            });
+        }
+
+        // Entry fees still held for the tournament, for reconciliation
+        const heldEntries = await Transaction.countDocuments({
+            tournamentId: tournament._id,
+            type: 'entry_hold',
+            holdStatus: 'held'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tournament: TournamentService.toView(tournament),
+                heldEntries
+            }
+        });
+
+    } catch (error) {
+        console.error('Get tournament details error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get tournament details'
+        });
+    }
+};
+
+export const startTournament = async (req, res) => {
+    try {
+        const tournament = await TournamentService.start(req.params.tournamentId, { early: true });
+
+        res.status(200).json({
+            success: true,
+            message: `Tournament started with ${tournament.participants.length} players`,
+            data: {
+                tournament: TournamentService.toView(tournament)
+            }
+        });
+
+    } catch (error) {
+        console.error('Start tournament error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to start tournament'
+        });
+    }
+};
+
+export const cancelTournament = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const { tournament, refunds } = await TournamentService.cancel(req.params.tournamentId, {
+            reason,
+            adminId: req.admin._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Tournament cancelled and all entry fees refunded',
+            data: {
+                tournament: {
+                    tournamentId: tournament.tournamentId,
+                    status: tournament.status,
+                    cancelReason: tournament.cancelReason
+                },
+                refundedPlayers: refunds.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Cancel tournament error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to cancel tournament'
+        });
+    }
+};
+
+// Platform Settings
+export const getSettings = async (req, res) => {
+    try {
+        const settings = await SettingsService.getCurrent();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                settings,
+                defaults: SettingsService.getDefaults()
+            }
+        });
+
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get settings'
+        });
+    }
+};
+
+export const updateSettings = async (req, res) => {
+    try {
+        const { reason, ...updates } = req.body;
+
+        const settings = await SettingsService.update(updates, req.admin._id, reason);
+
+        res.locals.audit = {
+            targetId: settings.version,
+            before: Object.fromEntries(settings.changes.map(change => [change.key, change.from])),
+            after: Object.fromEntries(settings.changes.map(change => [change.key, change.to]))
+        };
+
+        res.status(200).json({
+            success: true,
+            message: `Settings updated to version ${settings.version}`,
+            data: {
+                settings: {
+                    version: settings.version,
+                    values: settings.values,
+                    changes: settings.changes,
+                    updatedBy: settings.updatedBy,
+                    updatedAt: settings.createdAt
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Update settings error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update settings'
+        });
+    }
+};
+
+export const getSettingsHistory = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        const { versions, total } = await SettingsService.getHistory({ skip, limit: currentLimit });
+
+        res.status(200).json({
+            success: true,
+            data: buildPaginationResponse(versions, total, currentPage, currentLimit)
+        });
+
+    } catch (error) {
+        console.error('Get settings history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get settings history'
+        });
+    }
+};
+
+// Fee Schedules
+export const getFeeSchedules = async (req, res) => {
+    try {
+        const { status = 'active', page = 1, limit = 20 } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        const query = {};
+        if (status !== 'all') {
+            query.isActive = status === 'active';
+        }
+
+        const [schedules, total] = await Promise.all([
+            FeeSchedule.find(query)
+                .populate('createdBy', 'username')
+                .populate('updatedBy', 'username')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(currentLimit),
+            FeeSchedule.countDocuments(query)
+        ]);
+
+        const result = buildPaginationResponse(
+            schedules.map(schedule => schedule.toJSON({ virtuals: true })),
+            total,
+            currentPage,
+            currentLimit
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get fee schedules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get fee schedules'
+        });
+    }
+};
+
+export const createFeeSchedule = async (req, res) => {
+    try {
+        const schedule = await FeeScheduleService.create(req.body, req.admin._id);
+
+        res.locals.audit = { targetId: schedule._id, after: schedule.toObject() };
+
+        res.status(201).json({
+            success: true,
+            message: 'Fee schedule created. It applies to rooms that start from now on.',
+            data: {
+                schedule: schedule.toJSON({ virtuals: true })
+            }
+        });
+
+    } catch (error) {
+        console.error('Create fee schedule error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to create fee schedule'
+        });
+    }
+};
+
+export const updateFeeSchedule = async (req, res) => {
+    try {
+        const before = await FeeSchedule.findById(req.params.scheduleId).lean();
+        const schedule = await FeeScheduleService.update(req.params.scheduleId, req.body, req.admin._id);
+
+        res.locals.audit = { before, after: schedule.toObject() };
+
+        res.status(200).json({
+            success: true,
+            message: 'Fee schedule updated. Rooms already playing keep the fee they started with.',
+            data: {
+                schedule: schedule.toJSON({ virtuals: true })
+            }
+        });
+
+    } catch (error) {
+        console.error('Update fee schedule error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update fee schedule'
+        });
+    }
+};
+
+export const getFeeQuote = async (req, res) => {
+    try {
+        const { gameType = 'Ludo', amount, maxPlayers = 4 } = req.query;
+
+        const feeRate = await FeeScheduleService.getRate({ gameType, amount, maxPlayers });
+        const totalAmount = amount * maxPlayers;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                feeRate,
+                totalPrizePool: totalAmount,
+                platformFee: calculatePlatformFee(totalAmount, feeRate)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get fee quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get fee quote'
+        });
+    }
+};
+
+// Admin Accounts
+export const getAdmins = async (req, res) => {
+    try {
+        const { role, status = 'all', search, page = 1, limit = 20 } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        const { admins, total } = await AdminAccountService.list({
+            role,
+            isActive: status === 'all' ? undefined : status === 'active',
+            search,
+            skip,
+            limit: currentLimit
+        });
+
+        const result = buildPaginationResponse(admins, total, currentPage, currentLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get admins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get admins'
+        });
+    }
+};
+
+export const getAdminDetails = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.params.adminId)
+            .select('-password')
+            .populate('createdBy', 'username');
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                admin
+            }
+        });
+
+    } catch (error) {
+        console.error('Get admin details error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get admin details'
+        });
+    }
+};
+
+export const createAdmin = async (req, res) => {
+    try {
+        const admin = await AdminAccountService.create(req.body, req.admin._id);
+
+        res.locals.audit = { targetId: admin._id, after: { username: admin.username, role: admin.role, permissions: admin.permissions } };
+
+        res.status(201).json({
+            success: true,
+            message: 'Admin created. They must change the password on first login.',
+            data: {
+                admin
+            }
+        });
+
+    } catch (error) {
+        console.error('Create admin error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to create admin'
+        });
+    }
+};
+
+export const updateAdmin = async (req, res) => {
+    try {
+        const before = await Admin.findById(req.params.adminId).select('role permissions').lean();
+        const admin = await AdminAccountService.update(req.params.adminId, req.body, req.admin._id);
+
+        res.locals.audit = {
+            before: { role: before.role, permissions: before.permissions },
+            after: { role: admin.role, permissions: admin.permissions }
+        };
+
+        res.status(200).json({
+            success: true,
+            message: 'Admin updated successfully',
+            data: {
+                admin
+            }
+        });
+
+    } catch (error) {
+        console.error('Update admin error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update admin'
+        });
+    }
+};
+
+export const deactivateAdmin = async (req, res) => {
+    try {
+        const admin = await AdminAccountService.setActive(req.params.adminId, false, req.admin._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Admin deactivated and logged out',
+            data: {
+                admin
+            }
+        });
+
+    } catch (error) {
+        console.error('Deactivate admin error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to deactivate admin'
+        });
+    }
+};
+
+export const activateAdmin = async (req, res) => {
+    try {
+        const admin = await AdminAccountService.setActive(req.params.adminId, true, req.admin._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Admin activated successfully',
+            data: {
+                admin
+            }
+        });
+
+    } catch (error) {
+        console.error('Activate admin error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to activate admin'
+        });
+    }
+};
+
+export const resetAdminPassword = async (req, res) => {
+    try {
+        const admin = await AdminAccountService.resetPassword(req.params.adminId, req.body.newPassword, req.admin._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset. The admin is logged out and must change it on next login.',
+            data: {
+                admin
+            }
+        });
+
+    } catch (error) {
+        console.error('Reset admin password error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to reset admin password'
+        });
+    }
+};
+
+// Audit Log
+export const getAuditLogs = async (req, res) => {
+    try {
+        const { adminId, action, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        const { logs, total } = await AuditLogService.search({
+            adminId,
+            action,
+            targetType,
+            targetId,
+            from,
+            to,
+            skip,
+            limit: currentLimit
+        });
+
+        const result = buildPaginationResponse(logs, total, currentPage, currentLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get audit logs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get audit logs'
+        });
+    }
+};
+
+export const verifyAuditLogs = async (req, res) => {
+    try {
+        const verification = await AuditLogService.verifyChain();
+
+        res.status(200).json({
+            success: true,
+            message: verification.valid
+                ? 'Audit log chain is intact'
+                : `Audit log chain is broken at entry ${verification.brokenAt.sequence}`,
+            data: verification
+        });
+
+    } catch (error) {
+        console.error('Verify audit logs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify audit logs'
+        });
+    }
+};
+
+// Approvals (maker-checker)
+export const getApprovals = async (req, res) => {
+    try {
+        const { status = 'pending', action, page = 1, limit = 20 } = req.query;
+
+        const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+        const query = {};
+        if (status !== 'all') {
+            query.status = status;
+        }
+        if (action) {
+            query.action = action;
+        }
+
+        const [approvals, total] = await Promise.all([
+            AdminApproval.find(query)
+                .populate('userId', 'name phone balance')
+                .populate('requestedBy', 'username')
+                .populate('reviewedBy', 'username')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(currentLimit),
+            AdminApproval.countDocuments(query)
+        ]);
+
+        const result = buildPaginationResponse(approvals, total, currentPage, currentLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get approvals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get approvals'
+        });
+    }
+};
+
+export const getApprovalDetails = async (req, res) => {
+    try {
+        const approval = await AdminApproval.findById(req.params.approvalId)
+            .populate('userId', 'name phone balance')
+            .populate('requestedBy', 'username')
+            .populate('reviewedBy', 'username')
+            .populate('originalTransactionId')
+            .populate('resultTransactionId');
+
+        if (!approval) {
+            return res.status(404).json({
+                success: false,
+                message: 'Approval not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { approval }
+        });
+
+    } catch (error) {
+        console.error('Get approval details error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get approval details'
+        });
+    }
+};
+
+export const approveApproval = async (req, res) => {
+    try {
+        const { approval, transaction } = await AdminApprovalService.approve(req.params.approvalId, req.admin, req.body.notes);
+
+        res.locals.audit = {
+            before: { status: 'pending' },
+            after: {
+                status: approval.status,
+                transactionId: transaction.transactionId,
+                balanceBefore: transaction.balanceBefore,
+                balanceAfter: transaction.balanceAfter
+            }
+        };
+
+        res.status(200).json({
+            success: true,
+            message: approval.action === 'refund' ? 'Refund approved and processed' : 'Balance change approved and processed',
+            data: {
+                approval,
+                transaction: {
+                    _id: transaction._id,
+                    transactionId: transaction.transactionId,
+                    amount: transaction.amount,
+                    type: transaction.type,
+                    newBalance: transaction.balanceAfter
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Approve approval error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to approve'
+        });
+    }
+};
+
+export const rejectApproval = async (req, res) => {
+    try {
+        const approval = await AdminApprovalService.reject(req.params.approvalId, req.admin, req.body.reason);
+
+        res.locals.audit = { before: { status: 'pending' }, after: { status: approval.status } };
+
+        res.status(200).json({
+            success: true,
+            message: 'Approval rejected, nothing was posted',
+            data: { approval }
+        });
+
+    } catch (error) {
+        console.error('Reject approval error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to reject'
+        });
+    }
+};
+
+export const cancelApproval = async (req, res) => {
+    try {
+        const approval = await AdminApprovalService.cancel(req.params.approvalId, req.admin, req.body.reason);
+
+        res.locals.audit = { before: { status: 'pending' }, after: { status: approval.status } };
+
+        res.status(200).json({
+            success: true,
+            message: 'Approval request cancelled',
+            data: { approval }
+        });
+
+    } catch (error) {
+        console.error('Cancel approval error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to cancel'
+        });
+    }
+};
+
+// Two-Factor Authentication
+export const getTwoFactorStatus = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin._id);
+
+        res.status(200).json({
+            success: true,
+            data: TwoFactorService.getStatus(admin)
+        });
+
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get two-factor status'
+        });
+    }
+};
+
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const { secret, otpauthUri } = await TwoFactorService.setup(req.admin._id);
+
+        res.locals.audit = { action: 'auth.2fa_setup', targetType: 'admins', targetId: req.admin._id };
+
+        res.status(200).json({
+            success: true,
+            message: 'Add the account to your authenticator app, then confirm with a code to turn on two-factor authentication',
+            data: {
+                secret,
+                otpauthUri
+            }
+        });
+
+    } catch (error) {
+        console.error('Setup two-factor error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to set up two-factor authentication'
+        });
+    }
+};
+
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const recoveryCodes = await TwoFactorService.enable(req.admin._id, req.body.code);
+
+        res.locals.audit = {
+            action: 'auth.2fa_enable',
+            targetType: 'admins',
+            targetId: req.admin._id,
+            before: { enabled: false },
+            after: { enabled: true }
+        };
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are only shown once.',
+            data: {
+                recoveryCodes
+            }
+        });
+
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to enable two-factor authentication'
+        });
+    }
+};
+
+export const disableTwoFactor = async (req, res) => {
+    try {
+        await TwoFactorService.disable(req.admin._id, req.body);
+
+        res.locals.audit = {
+            action: 'auth.2fa_disable',
+            targetType: 'admins',
+            targetId: req.admin._id,
+            before: { enabled: true },
+            after: { enabled: false }
+        };
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to disable two-factor authentication'
+        });
+    }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.admin._id, req.body);
+
+        res.locals.audit = { action: 'auth.2fa_recovery_codes', targetType: 'admins', targetId: req.admin._id };
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated, the old ones no longer work',
+            data: {
+                recoveryCodes
+            }
+        });
+
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to generate recovery codes'
+        });
+    }
+};
+
+export const resetAdminTwoFactor = async (req, res) => {
+    try {
+        const admin = await TwoFactorService.reset(req.params.adminId, req.admin._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication reset. The admin is logged out and can set it up again.',
+            data: {
+                admin
+            }
+        });
+
+    } catch (error) {
+        console.error('Reset admin two-factor error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to reset two-factor authentication'
+        });
+    }
+};
@@ -1,6 +1,7 @@
 import User from '../models/User.js';
 import OTP from '../models/OTP.js';
 import { generateToken } from '../utils/jwt.js';
+import { SettingsService } from '../services/settingsService.js';
 import { sendOtpViaSMS, validateIndianMobileNumber, verifyIndianPhoneNumber } from '../utils/otpService.js';
 import { normalizePhoneNumber } from '../utils/helpers.js';
 import { cache, cacheUtils } from '../utils/cache.js';
@@ -40,10 +41,11 @@ export const signup = async (req, res) => {
     }
 
     // Generate and save OTP (for production use)
-    const otpDoc = await OTP.generateAndSave(phone, 'signup');
+    const { otpExpiryMinutes } = await SettingsService.get();
+    const otpDoc = await OTP.generateAndSave(phone, 'signup', otpExpiryMinutes);
 
     // Send OTP via SMS
-    const smsResult = await sendOtpViaSMS(phone, otpDoc.otp);
+    const smsResult = await sendOtpViaSMS(phone, otpDoc.otp, otpExpiryMinutes);
 
     if (!smsResult.status) {
       console.error('Failed to send OTP:', smsResult.message);
@@ -63,7 +65,7 @@ export const signup = async (req, res) => {
       data: {
         phone,
         otpSent: true,
-        expiresIn: '5 minutes'
+        expiresIn: `${otpExpiryMinutes} minutes`
       }
     });
 
@@ -202,10 +204,11 @@ export const sendOtp = async (req, res) => {
     phone = normalizePhoneNumber(phone);
 
     // Generate and save OTP
-    const otpDoc = await OTP.generateAndSave(phone, 'login');
+    const { otpExpiryMinutes } = await SettingsService.get();
+    const otpDoc = await OTP.generateAndSave(phone, 'login', otpExpiryMinutes);
 
     // Send OTP via SMS
-    const smsResult = await sendOtpViaSMS(phone, otpDoc.otp);
+    const smsResult = await sendOtpViaSMS(phone, otpDoc.otp, otpExpiryMinutes);
 
     if (!smsResult.status) {
       console.error('Failed to send OTP:', smsResult.message);
@@ -221,7 +224,7 @@ export const sendOtp = async (req, res) => {
       data: {
         phone,
         otpSent: true,
-        expiresIn: '5 minutes'
+        expiresIn: `${otpExpiryMinutes} minutes`
       }
     });
 
@@ -424,9 +427,10 @@ export const resendOtp = async (req, res) => {
     }
 
     // Generate and save new OTP
+    const { otpExpiryMinutes } = await SettingsService.get();
     let otpDoc;
     try {
-      otpDoc = await OTP.generateAndSave(phone, 'signup');
+      otpDoc = await OTP.generateAndSave(phone, 'signup', otpExpiryMinutes);
     } catch (error) {
       console.error('Failed to generate OTP:', error);
       return res.status(500).json({
@@ -436,7 +440,7 @@ export const resendOtp = async (req, res) => {
     }
 
     // Send OTP via SMS
-    const smsResult = await sendOtpViaSMS(phone, otpDoc.otp);
+    const smsResult = await sendOtpViaSMS(phone, otpDoc.otp, otpExpiryMinutes);
 
     if (!smsResult.status) {
       console.error('Failed to resend OTP:', smsResult.message);
@@ -451,7 +455,7 @@ export const resendOtp = async (req, res) => {
       message: 'OTP resent successfully',
       data: {
         phone,
-        expiresIn: '5 minutes'
+        expiresIn: `${otpExpiryMinutes} minutes`
       }
     });
 
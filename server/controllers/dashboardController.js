@@ -1,6 +1,7 @@
 import User from '../models/User.js';
-import Transaction from '../models/Transaction.js';
+import Transaction, { TYPE_WITH_HOLD_STATUS } from '../models/Transaction.js';
 import GameRoom from '../models/GameRoom.js';
+import { SettingsService } from '../services/settingsService.js';
 import { cache, cacheUtils } from '../utils/cache.js';
 
 export const getDashboardStats = async (req, res) => {
@@ -56,7 +57,7 @@ export const getDashboardStats = async (req, res) => {
         },
         {
           $group: {
-            _id: '$type',
+            _id: TYPE_WITH_HOLD_STATUS,
             total: { $sum: '$amount' },
             count: { $sum: 1 }
           }
@@ -84,8 +85,12 @@ export const getDashboardStats = async (req, res) => {
             monthlyData.gameWinnings = stat.total;
             break;
           case 'game_loss':
-            monthlyData.gameLosses = stat.total;
-            monthlyData.gamesPlayed = stat.count;
+          case 'entry_hold_lost':
+            monthlyData.gameLosses += stat.total;
+            monthlyData.gamesPlayed += stat.count;
+            break;
+          case 'entry_hold_won':
+            monthlyData.gamesPlayed += stat.count;
             break;
         }
       });
@@ -98,6 +103,7 @@ export const getDashboardStats = async (req, res) => {
         description: transaction.description,
         roomId: transaction.gameRoomId?.roomId,
         status: transaction.status,
+        holdStatus: transaction.holdStatus,
         createdAt: transaction.createdAt
       }));
       
@@ -163,7 +169,8 @@ export const getQuickActions = async (req, res) => {
       });
     }
     
-    // Get available quick actions based on user balance and status
+    // Get available quick actions based on user balance, status and the platform limits
+    const settings = await SettingsService.get();
     const quickActions = [
       {
         id: 'add_money',
@@ -171,33 +178,33 @@ export const getQuickActions = async (req, res) => {
         description: 'Add funds to your wallet',
         icon: 'wallet',
         enabled: true,
-        minAmount: 10,
-        maxAmount: 100000
+        minAmount: settings.minDepositAmount,
+        maxAmount: settings.maxDepositAmount
       },
       {
         id: 'withdraw',
         title: 'Withdraw',
         description: 'Withdraw to your UPI',
         icon: 'banknote',
-        enabled: user.balance >= 100,
-        minAmount: 100,
-        maxAmount: Math.min(user.balance, 50000)
+        enabled: user.balance >= settings.minWithdrawalAmount,
+        minAmount: settings.minWithdrawalAmount,
+        maxAmount: Math.min(user.balance, settings.maxWithdrawalAmount)
       },
       {
         id: 'create_room',
         title: 'Create Room',
         description: 'Start a new game',
         icon: 'plus-circle',
-        enabled: user.balance >= 10,
-        minAmount: 10,
-        maxAmount: Math.min(user.balance, 10000)
+        enabled: user.balance >= settings.minRoomAmount,
+        minAmount: settings.minRoomAmount,
+        maxAmount: Math.min(user.balance, settings.maxRoomAmount)
       },
       {
         id: 'join_room',
         title: 'Join Room',
         description: 'Join existing game',
         icon: 'users',
-        enabled: user.balance >= 10
+        enabled: user.balance >= settings.minRoomAmount
       }
     ];
     
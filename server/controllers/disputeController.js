@@ -0,0 +1,247 @@
+import Dispute from '../models/Dispute.js';
+import GameRoom from '../models/GameRoom.js';
+import { DisputeService } from '../services/disputeService.js';
+import { EvidenceService } from '../services/evidenceService.js';
+import { StorageService } from '../services/storageService.js';
+import { getPagination, buildPaginationResponse } from '../utils/helpers.js';
+
+const playerEvidenceUrl = (dispute) => (item) => `/api/disputes/${dispute.disputeId}/evidence/${item.fileId}`;
+
+// Load a dispute together with its room, if the user is one of the room's players
+const findPlayerDispute = async (disputeId, userId) => {
+  const dispute = await Dispute.findOne({ disputeId });
+  if (!dispute) {
+    return {};
+  }
+
+  const room = await GameRoom.findById(dispute.gameRoomId);
+  if (!room || !room.hasPlayer(userId)) {
+    return {};
+  }
+
+  return { dispute, room };
+};
+
+export const openDispute = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { roomId, category, description } = req.body;
+
+    const room = await GameRoom.findOne({ roomId });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    if (!room.hasPlayer(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a player in this room'
+      });
+    }
+
+    EvidenceService.validateFiles(req.files);
+    const evidence = await EvidenceService.storeFiles(room, userId, req.files, { kind: 'counter', note: description });
+
+    let dispute;
+    try {
+      dispute = await DisputeService.open(room, { openedBy: userId, category, description, evidence });
+    } catch (error) {
+      await EvidenceService.removeFiles(evidence);
+      throw error;
+    }
+
+    const opponents = room.players
+      .map(player => player.userId)
+      .filter(playerId => playerId.toString() !== userId.toString());
+
+    await DisputeService.notifyPlayers(room, opponents, {
+      type: 'dispute_opened',
+      title: 'Result disputed',
+      message: `${req.user.name} opened a dispute on room ${room.roomId}. An admin will review it; you can add your side in the dispute.`,
+      dispute
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened. An admin will review it.',
+      data: {
+        dispute: DisputeService.toView(dispute, playerEvidenceUrl(dispute))
+      }
+    });
+
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to open dispute'
+    });
+  }
+};
+
+export const getMyDisputes = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { status = 'all', page = 1, limit = 20 } = req.query;
+
+    const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+    const roomIds = await GameRoom.find({ 'players.userId': userId }).distinct('_id');
+
+    const query = { gameRoomId: { $in: roomIds } };
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .select('-messages -timeline')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(currentLimit)
+        .lean(),
+      Dispute.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: buildPaginationResponse(disputes, total, currentPage, currentLimit)
+    });
+
+  } catch (error) {
+    console.error('Get my disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get disputes'
+    });
+  }
+};
+
+export const getDisputeDetails = async (req, res) => {
+  try {
+    const { dispute } = await findPlayerDispute(req.params.disputeId, req.user._id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        dispute: DisputeService.toView(dispute, playerEvidenceUrl(dispute))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dispute details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dispute details'
+    });
+  }
+};
+
+export const addDisputeMessage = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { body } = req.body;
+
+    if (!body && req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A message or at least one screenshot is required'
+      });
+    }
+
+    const { dispute, room } = await findPlayerDispute(req.params.disputeId, userId);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    EvidenceService.validateFiles(req.files);
+    const kind = EvidenceService.classify(room, null, userId);
+    const evidence = await EvidenceService.storeFiles(room, userId, req.files, { kind, note: body });
+
+    let message;
+    try {
+      message = await DisputeService.addMessage(dispute, { actorType: 'user', actorId: userId, body, evidence });
+    } catch (error) {
+      await EvidenceService.removeFiles(evidence);
+      throw error;
+    }
+
+    // Let the other players follow the conversation
+    const others = room.players
+      .map(player => player.userId)
+      .filter(playerId => playerId.toString() !== userId.toString());
+
+    await DisputeService.notifyPlayers(room, others, {
+      type: 'dispute_message',
+      title: 'New message in dispute',
+      message: `${req.user.name} added a message to the dispute on room ${room.roomId}.`,
+      dispute
+    });
+
+    const view = DisputeService.toView(dispute, playerEvidenceUrl(dispute));
+
+    res.status(201).json({
+      success: true,
+      message: 'Message added',
+      data: {
+        message: view.messages.find(item => item._id.toString() === message._id.toString()),
+        status: dispute.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Add dispute message error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add message'
+    });
+  }
+};
+
+export const getDisputeEvidenceFile = async (req, res) => {
+  try {
+    const { dispute } = await findPlayerDispute(req.params.disputeId, req.user._id);
+    const file = dispute && EvidenceService.findInDispute(dispute, req.params.fileId);
+
+    if (!file || !(await StorageService.exists(file.key))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Disposition': `inline; filename="${file.fileId}"`,
+      'Cache-Control': 'private, max-age=300'
+    });
+
+    const stream = StorageService.createReadStream(file.key);
+    stream.on('error', (error) => {
+      console.error('Stream evidence error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Get dispute evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get evidence'
+    });
+  }
+};
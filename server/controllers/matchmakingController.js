@@ -0,0 +1,78 @@
+import User from '../models/User.js';
+import { MatchmakingService } from '../services/matchmakingService.js';
+
+export const joinQueue = async (req, res) => {
+  try {
+    const { gameType, amount, maxPlayers } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const ticket = await MatchmakingService.enqueue(user, { gameType, amount, maxPlayers });
+    const status = await MatchmakingService.getStatus(user._id);
+
+    res.status(201).json({
+      success: true,
+      message: ticket.status === 'matched' ? 'Match found, the game has started!' : 'Joined the matchmaking queue',
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Join matchmaking queue error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to join the matchmaking queue'
+    });
+  }
+};
+
+export const getQueueStatus = async (req, res) => {
+  try {
+    const status = await MatchmakingService.getStatus(req.user._id);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not joined the matchmaking queue'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Get matchmaking status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get matchmaking status'
+    });
+  }
+};
+
+export const leaveQueue = async (req, res) => {
+  try {
+    const ticket = await MatchmakingService.cancel(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Left the matchmaking queue',
+      data: {
+        ticket
+      }
+    });
+
+  } catch (error) {
+    console.error('Leave matchmaking queue error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to leave the matchmaking queue'
+    });
+  }
+};
@@ -0,0 +1,91 @@
+import Notification from '../models/Notification.js';
+import { NotificationService } from '../services/notificationService.js';
+import { getPagination, buildPaginationResponse } from '../utils/helpers.js';
+
+export const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { unreadOnly = 'false', page = 1, limit = 20 } = req.query;
+
+    const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+    const query = { userId };
+    if (unreadOnly === 'true') {
+      query.isRead = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(currentLimit)
+        .lean(),
+      Notification.countDocuments(query),
+      NotificationService.getUnreadCount(userId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...buildPaginationResponse(notifications, total, currentPage, currentLimit),
+        unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications'
+    });
+  }
+};
+
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await NotificationService.markRead(req.user._id, req.params.notificationId);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification'
+    });
+  }
+};
+
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const updated = await NotificationService.markAllRead(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `${updated} notification(s) marked as read`,
+      data: {
+        updated
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications'
+    });
+  }
+};
@@ -1,10 +1,22 @@
-import GameRoom from '../models/GameRoom.js';
+import GameRoom, { PAYOUT_STRUCTURE_RULES, TEAM_SIZE } from '../models/GameRoom.js';
 import User from '../models/User.js';
-import Transaction from '../models/Transaction.js';
-import WinnerRequest from '../models/WinnerRequest.js';
+import { EscrowService } from '../services/escrowService.js';
+import { RoomResultService } from '../services/roomResultService.js';
+import { NotificationService } from '../services/notificationService.js';
+import { EvidenceService } from '../services/evidenceService.js';
+import { DisputeService } from '../services/disputeService.js';
+import { SettingsService } from '../services/settingsService.js';
+import { FeeScheduleService } from '../services/feeScheduleService.js';
 import mongoose from 'mongoose';
 import { cache, cacheUtils } from '../utils/cache.js';
-import { getPagination, buildPaginationResponse, calculateWinnings } from '../utils/helpers.js';
+import { emitRoomEvent } from '../utils/events.js';
+import { getPagination, buildPaginationResponse, calculateWinnings, normalizePhoneNumber } from '../utils/helpers.js';
+
+// Link players can share to let others into a private room
+const getShareLink = (room) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${baseUrl}/join/${room.inviteCode}`;
+};
 
 export const getRooms = async (req, res) => {
   try {
@@ -27,6 +39,9 @@ export const getRooms = async (req, res) => {
       // Only show rooms where winner is not declared (winner field is null)
       query.winner = null;
 
+      // Private rooms are only reachable through an invitation, invite code or passcode
+      query.visibility = { $ne: 'private' };
+
       // Get rooms
       const [rooms, total] = await Promise.all([
         GameRoom.find(query)
@@ -73,7 +88,7 @@ export const getRooms = async (req, res) => {
 export const createRoom = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { gameType = 'Ludo', amount, maxPlayers = 4, roomId } = req.body;
+    const { gameType = 'Ludo', amount, maxPlayers = 4, roomId, visibility = 'public', passcode, payoutStructure = [100], mode = 'solo', team } = req.body;
 
     // Validate input
     if (!amount || amount <= 0) {
@@ -83,10 +98,11 @@ export const createRoom = async (req, res) => {
       });
     }
 
-    if (amount < 10 || amount > 10000) {
+    const { minRoomAmount, maxRoomAmount } = await SettingsService.get();
+    if (amount < minRoomAmount || amount > maxRoomAmount) {
       return res.status(400).json({
         success: false,
-        message: 'Amount must be between ₹10 and ₹10,000'
+        message: `Amount must be between ₹${minRoomAmount} and ₹${maxRoomAmount}`
       });
     }
 
@@ -108,6 +124,34 @@ export const createRoom = async (req, res) => {
       });
     }
 
+    if (!GameRoom.isValidPayoutStructure(payoutStructure, maxPlayers)) {
+      return res.status(400).json({
+        success: false,
+        message: PAYOUT_STRUCTURE_RULES
+      });
+    }
+
+    if (mode === 'teams' && (maxPlayers !== TEAM_SIZE * 2 || payoutStructure.length !== 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team rooms must have 4 players and pay only the winning team'
+      });
+    }
+
+    if (team && mode !== 'teams') {
+      return res.status(400).json({
+        success: false,
+        message: 'A team can only be chosen in a team room'
+      });
+    }
+
+    if (passcode && visibility !== 'private') {
+      return res.status(400).json({
+        success: false,
+        message: 'A passcode can only be set on a private room'
+      });
+    }
+
     // Check user balance
     const user = await User.findById(userId);
     if (!user) {
@@ -125,59 +169,42 @@ export const createRoom = async (req, res) => {
     }
 
     // Use provided room ID or generate unique room ID
-    let finalRoomId = roomId;
-    if (!roomId) {
-      let attempts = 0;
-      do {
-        const randomNum = Math.floor(100000 + Math.random() * 900000);
-        finalRoomId = `LK${randomNum}`;
-        attempts++;
-      } while (await GameRoom.findOne({ roomId: finalRoomId }) && attempts < 10);
-
-      if (attempts >= 10) {
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to generate unique room ID'
-        });
-      }
+    const finalRoomId = roomId || await GameRoom.generateRoomId();
+    if (!finalRoomId) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate unique room ID'
+      });
     }
 
-    // Deduct entry amount from user's wallet when creating room
+    // Create the room and hold the creator's entry fee in its escrow
     const session = await mongoose.startSession();
 
     let room;
     try {
       session.startTransaction();
 
-      // Create transaction to deduct entry fee
-      await Transaction.createWithBalanceUpdate(
-        userId,
-        'game_loss',
-        amount,
-        `Game Entry - Room ${finalRoomId}`,
-        {
-          metadata: {
-            roomCode: finalRoomId,
-            action: 'room_creation'
-          }
-        }
-      );
-
-      // Create room
       room = new GameRoom({
         roomId: finalRoomId,
         gameType,
         amount,
         maxPlayers,
-        createdBy: userId,
-        players: [{
-          userId,
-          name: user.name,
-          joinedAt: new Date()
-        }]
+        payoutStructure,
+        mode,
+        visibility,
+        createdBy: userId
       });
+      room.addPlayer(userId, user.name, team);
+
+      if (visibility === 'private') {
+        room.inviteCode = GameRoom.generateInviteCode();
+        if (passcode) {
+          await room.setPasscode(passcode);
+        }
+      }
 
       await room.save({ session });
+      await EscrowService.hold(room, userId, { session });
       await session.commitTransaction();
 
     } catch (error) {
@@ -198,6 +225,8 @@ export const createRoom = async (req, res) => {
     cache.del(cacheUtils.balanceKey(userId));
     cacheUtils.clearUserCache(userId);
 
+    emitRoomEvent('room.created', room);
+
     res.status(201).json({
       success: true,
       message: 'Room created successfully',
@@ -208,9 +237,17 @@ export const createRoom = async (req, res) => {
           gameType: room.gameType,
           amount: room.amount,
           maxPlayers: room.maxPlayers,
+          payoutStructure: room.payoutStructure,
+          mode: room.mode,
           currentPlayers: room.currentPlayers,
           players: room.players,
           status: room.status,
+          visibility: room.visibility,
+          ...(room.visibility === 'private' && {
+            inviteCode: room.inviteCode,
+            shareLink: getShareLink(room),
+            hasPasscode: Boolean(passcode)
+          }),
           createdBy: room.createdBy,
           createdAt: room.createdAt,
           isCreator: true,
@@ -232,9 +269,11 @@ export const joinRoom = async (req, res) => {
   try {
     const userId = req.user._id;
     const { roomId } = req.params;
+    const { inviteCode, passcode, team } = req.body;
 
     // Find room
     const room = await GameRoom.findOne({ roomId })
+      .select('+passcodeHash')
       .populate('players.userId', 'name')
       .populate('createdBy', 'name');
 
@@ -253,6 +292,13 @@ export const joinRoom = async (req, res) => {
       });
     }
 
+    if (!(await room.canJoin(userId, { inviteCode, passcode }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This room is private. Join with an invitation, the invite code or the passcode.'
+      });
+    }
+
     // Check room status
     if (room.status !== 'waiting') {
       return res.status(400).json({
@@ -269,6 +315,20 @@ export const joinRoom = async (req, res) => {
       });
     }
 
+    if (team && room.mode !== 'teams') {
+      return res.status(400).json({
+        success: false,
+        message: 'A team can only be chosen in a team room'
+      });
+    }
+
+    if (team && room.getTeamPlayers(team).length >= TEAM_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Team ${team} is full`
+      });
+    }
+
     // Check user balance
     const user = await User.findById(userId);
     if (!user) {
@@ -286,32 +346,22 @@ export const joinRoom = async (req, res) => {
     }
 
     // Deduct entry fee and add player to room
+    const feeRate = await FeeScheduleService.getRate(room);
     const session = await mongoose.startSession();
 
     try {
       session.startTransaction();
 
-      // Deduct entry fee from joining user
-      await Transaction.createWithBalanceUpdate(
-        userId,
-        'game_loss',
-        room.amount,
-        `Game Entry - Room ${room.roomId}`,
-        {
-          gameRoomId: room._id,
-          metadata: {
-            roomCode: room.roomId,
-            action: 'room_join'
-          }
-        }
-      );
+      // Hold the joining user's entry fee in the room's escrow
+      await EscrowService.hold(room, userId, { session });
 
-      // Add player to room
-      room.addPlayer(userId, user.name);
+      // Add player to room (and to a team in a team room)
+      room.addPlayer(userId, user.name, team);
+      room.respondToInvitation(userId, 'accepted');
 
       // If room is now full, start the game
       if (room.isFull) {
-        room.startGame();
+        room.startGame(feeRate);
       }
 
       await room.save({ session });
@@ -329,6 +379,11 @@ export const joinRoom = async (req, res) => {
     cache.del(cacheUtils.balanceKey(userId));
     cacheUtils.clearUserCache(userId);
 
+    emitRoomEvent('room.player_joined', room, { userId, name: user.name, team: room.getTeam(userId) });
+    if (room.status === 'playing') {
+      emitRoomEvent('room.game_started', room, { startedAt: room.startedAt, resultDeadline: room.resultDeadline });
+    }
+
     res.status(200).json({
       success: true,
       message: room.status === 'playing' ? 'Joined room and game started!' : 'Joined room successfully',
@@ -339,6 +394,7 @@ export const joinRoom = async (req, res) => {
           gameType: room.gameType,
           amount: room.amount,
           maxPlayers: room.maxPlayers,
+          mode: room.mode,
           currentPlayers: room.currentPlayers,
           players: room.players,
           status: room.status,
@@ -362,9 +418,12 @@ export const declareWinner = async (req, res) => {
   try {
     const userId = req.user._id;
     const { roomId } = req.params;
-    const { winnerId } = req.body;
+    const { description, winningTeam } = req.body;
+    const screenshots = req.files || [];
+    // Rooms that pay several positions take a ranking of the paid positions, winner first
+    let rankings = req.body.rankings?.length ? req.body.rankings : [req.body.winnerId].filter(Boolean);
 
-    if (!winnerId) {
+    if (!rankings.length && !winningTeam) {
       return res.status(400).json({
         success: false,
         message: 'Winner ID is required'
@@ -392,6 +451,13 @@ export const declareWinner = async (req, res) => {
     }
 
     // Check room status
+    if (room.status === 'winner_declared' || room.status === 'escalated') {
+      return res.status(400).json({
+        success: false,
+        message: 'The result of this room is already under admin review'
+      });
+    }
+
     if (room.status !== 'playing') {
       return res.status(400).json({
         success: false,
@@ -399,6 +465,22 @@ export const declareWinner = async (req, res) => {
       });
     }
 
+    // A team room's result is the winning team, named directly or by one of its players. The
+    // team's first player stands for it, so submissions naming either teammate agree.
+    if (room.mode === 'teams') {
+      const team = winningTeam || room.getTeam(rankings[0]);
+      if (team) {
+        rankings = [room.getTeamPlayers(team)[0].toString()];
+      }
+    } else if (winningTeam) {
+      return res.status(400).json({
+        success: false,
+        message: 'A winning team can only be declared in a team room'
+      });
+    }
+
+    const [winnerId] = rankings;
+
     // Check if winner is in the room
     if (!room.hasPlayer(winnerId.toString())) {
       return res.status(400).json({
@@ -407,73 +489,153 @@ export const declareWinner = async (req, res) => {
       });
     }
 
-    // Check if there's already a pending request for this room
-    const existingRequest = await WinnerRequest.findOne({
-      gameRoomId: room._id,
-      status: 'pending'
-    });
+    let rankedPlayers;
+    try {
+      rankedPlayers = room.checkRankings(rankings);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (room.resultSubmissions.some(submission => submission.userId.toString() === userId.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already submitted a result for this room'
+      });
+    }
 
-    if (existingRequest) {
+    // Check the screenshots before anything is recorded
+    try {
+      EvidenceService.validateFiles(screenshots);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Winner verification request already submitted for this room'
+        message: error.message
       });
     }
 
-    // Calculate winnings
-    const totalAmount = room.amount * room.players.length;
-    const platformFeePercent = parseInt(process.env.PLATFORM_FEE_PERCENTAGE) || 10;
-    const platformFee = Math.floor(totalAmount * platformFeePercent / 100);
-    const winnerAmount = totalAmount - platformFee;
+    // Store the screenshots before the result, so a storage failure leaves nothing recorded
+    let storedEvidence = [];
+    if (screenshots.length > 0) {
+      const kind = EvidenceService.classify(room, null, userId, winnerId);
+      storedEvidence = await EvidenceService.storeFiles(room, userId, screenshots, { kind, note: description });
+    }
 
-    // Create winner verification request
-    const winnerRequest = new WinnerRequest({
-      roomId: room.roomId,
-      gameRoomId: room._id,
-      declaredBy: userId,
-      declaredWinner: winnerId,
-      winnerAmount,
-      totalPrizePool: totalAmount,
-      platformFee
+    // Record this player's result
+    const updatedRoom = await GameRoom.addResultSubmission(
+      room._id,
+      userId,
+      rankedPlayers,
+      RoomResultService.getConfirmationWindowMinutes()
+    );
+
+    if (!updatedRoom) {
+      await EvidenceService.removeFiles(storedEvidence);
+      return res.status(409).json({
+        success: false,
+        message: 'The result of this room was already settled or you already submitted one'
+      });
+    }
+
+    emitRoomEvent('room.winner_declared', updatedRoom, {
+      submittedBy: userId,
+      winnerId,
+      rankings: rankedPlayers,
+      ...(updatedRoom.mode === 'teams' && { winningTeam: updatedRoom.getTeam(winnerId) }),
+      submissions: updatedRoom.resultSubmissions.length,
+      confirmationDeadline: updatedRoom.resultConfirmationDeadline
     });
 
-    await winnerRequest.save();
+    // The result is recorded either way; a failure to attach the screenshots is reported
+    // so the player can add them with POST /rooms/{roomId}/evidence
+    let evidence = [];
+    let evidenceError = null;
+    if (storedEvidence.length > 0) {
+      try {
+        ({ evidence } = await EvidenceService.attachStored(updatedRoom, storedEvidence));
+      } catch (error) {
+        console.error(`Attach evidence to room ${updatedRoom.roomId} failed:`, error);
+        evidenceError = error.statusCode ? error.message : 'The screenshots could not be saved';
+      }
+    }
 
-    // Update room status to indicate winner declared but pending verification
-    room.status = 'winner_declared';
-    room.winner = winnerId;
-    room.totalPrizePool = totalAmount;
-    room.platformFee = platformFee;
-    room.winnerAmount = winnerAmount;
-    await room.save();
+    // Confirm or dispute straight away if the submissions allow it
+    const resolution = await RoomResultService.resolveSubmissions(updatedRoom._id);
+    const { totalPrizePool, platformFee, winnerAmount, positionAmounts } = await RoomResultService.getPayout(updatedRoom);
+    const consensus = updatedRoom.getResultConsensus();
+
+    if (!resolution) {
+      const otherPlayers = updatedRoom.players
+        .map(player => player.userId)
+        .filter(playerId => !updatedRoom.resultSubmissions.some(
+          submission => submission.userId.toString() === playerId.toString()
+        ));
+
+      await NotificationService.notifyMany(otherPlayers, {
+        type: 'result_submitted',
+        title: 'Confirm the result',
+        message: `${req.user.name} submitted the result of room ${updatedRoom.roomId}. Submit yours before ${updatedRoom.resultConfirmationDeadline.toISOString()}.`,
+        data: {
+          roomId: updatedRoom.roomId,
+          gameRoomId: updatedRoom._id,
+          confirmationDeadline: updatedRoom.resultConfirmationDeadline
+        }
+      });
+    }
 
     // Clear caches
     cacheUtils.clearRoomsCache();
 
+    const messages = {
+      confirmed: 'All players agree. The result is confirmed and the winnings credited.',
+      disputed: 'Players submitted different results. The room has been sent to an admin for review.',
+      review: 'Nobody else confirmed the result in time. The room has been sent to an admin for review.',
+      pending: 'Result submitted. Waiting for the other players to confirm.'
+    };
+    const outcome = resolution?.outcome || 'pending';
+    const resultRoom = resolution?.room || updatedRoom;
+
     res.status(200).json({
       success: true,
-      message: 'Winner declared successfully. Waiting for admin verification.',
+      message: messages[outcome],
       data: {
+        outcome,
         room: {
-          _id: room._id,
-          roomId: room.roomId,
-          status: room.status,
-          winner: room.winner,
-          declaredAt: new Date()
+          _id: resultRoom._id,
+          roomId: resultRoom.roomId,
+          status: resultRoom.status,
+          winner: resultRoom.winner,
+          winningTeam: resultRoom.winningTeam,
+          completedAt: resultRoom.completedAt
         },
+        submissions: resultRoom.resultSubmissions,
+        confirmationDeadline: outcome === 'pending' ? resultRoom.resultConfirmationDeadline : null,
         pendingWinnings: {
-          amount: room.winnerAmount,
-          totalPrizePool: room.totalPrizePool,
-          platformFee: room.platformFee
+          winnerId: consensus.winnerId,
+          ...(resultRoom.mode === 'teams' && consensus.winnerId && {
+            winningTeam: resultRoom.getTeam(consensus.winnerId),
+            teamPlayers: resultRoom.getTeamPlayers(resultRoom.getTeam(consensus.winnerId))
+          }),
+          amount: winnerAmount,
+          totalPrizePool,
+          platformFee,
+          positions: (consensus.rankings || []).map((playerId, index) => ({
+            position: index + 1,
+            userId: playerId,
+            amount: positionAmounts[index]
+          }))
         },
-        requestId: winnerRequest._id,
-        message: 'Your winner declaration is pending admin verification. You will receive the winnings once approved.'
+        requestId: resolution?.winnerRequest._id || null,
+        evidence: evidence.map(({ key, ...item }) => item),
+        ...(evidenceError && { evidenceError })
       }
     });
 
   } catch (error) {
     console.error('Declare winner error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Failed to declare winner'
     });
@@ -568,29 +730,69 @@ export const leaveRoom = async (req, res) => {
       });
     }
 
-    // Remove player from room
-    room.players = room.players.filter(
-      player => player.userId.toString() !== userId.toString()
-    );
+    // Remove the player and return their stake in one transaction
+    const session = await mongoose.startSession();
+
+    let refund;
+    try {
+      session.startTransaction();
 
-    // If creator leaves, transfer ownership or cancel room
-    if (room.createdBy.toString() === userId.toString()) {
-      if (room.players.length > 0) {
-        room.createdBy = room.players[0].userId;
-      } else {
-        room.status = 'cancelled';
+      // Remove player from room
+      room.players = room.players.filter(
+        player => player.userId.toString() !== userId.toString()
+      );
+
+      // If creator leaves, transfer ownership or cancel room
+      if (room.createdBy.toString() === userId.toString()) {
+        if (room.players.length > 0) {
+          room.createdBy = room.players[0].userId;
+        } else {
+          room.status = 'cancelled';
+        }
       }
-    }
 
-    await room.save();
+      await room.save({ session });
+
+      const reason = room.status === 'cancelled' ? 'Room cancelled, last player left' : 'Left room';
+      refund = await EscrowService.release(room, userId, reason, { session })
+        || await EscrowService.refundLegacyEntry(room, userId, reason, { session });
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
     // Clear caches
     cacheUtils.clearRoomsCache();
     cache.del(cacheUtils.userRoomsKey(userId));
+    cache.del(cacheUtils.balanceKey(userId));
+    cacheUtils.clearUserCache(userId);
+
+    emitRoomEvent(room.status === 'cancelled' ? 'room.cancelled' : 'room.player_left', room, {
+      userId,
+      reason: room.status === 'cancelled' ? 'Last player left' : undefined
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Left room successfully'
+      message: refund ? `Left room successfully. ₹${refund.amount} refunded to your wallet` : 'Left room successfully',
+      data: {
+        room: {
+          roomId: room.roomId,
+          status: room.status,
+          currentPlayers: room.currentPlayers
+        },
+        refund: refund ? {
+          _id: refund._id,
+          transactionId: refund.transactionId,
+          amount: refund.amount,
+          balanceAfter: refund.balanceAfter
+        } : null
+      }
     });
 
   } catch (error) {
@@ -600,4 +802,433 @@ export const leaveRoom = async (req, res) => {
       message: 'Failed to leave room'
     });
   }
-};
\ No newline at end of file
+};
+
+export const reportNoShow = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { roomId } = req.params;
+
+    const room = await GameRoom.findOne({ roomId });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    if (!room.hasPlayer(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a player in this room'
+      });
+    }
+
+    try {
+      room.reportNoShow(userId, RoomResultService.getNoShowGraceMinutes());
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await room.save();
+
+    cacheUtils.clearRoomsCache();
+    emitRoomEvent('room.no_show_reported', room, {
+      reportedBy: userId,
+      graceEndsAt: room.noShowReport.graceEndsAt
+    });
+
+    const opponents = room.players
+      .map(player => player.userId)
+      .filter(playerId => playerId.toString() !== userId.toString());
+
+    await NotificationService.notifyMany(opponents, {
+      type: 'no_show_reported',
+      title: 'No-show reported',
+      message: `${req.user.name} reported that you did not show up in room ${room.roomId}. Contest it before ${room.noShowReport.graceEndsAt.toISOString()} or they will be awarded the win.`,
+      data: { roomId: room.roomId, gameRoomId: room._id, graceEndsAt: room.noShowReport.graceEndsAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'No-show reported. You will be awarded the win if it is not contested within the grace period.',
+      data: {
+        room: {
+          roomId: room.roomId,
+          status: room.status
+        },
+        noShowReport: room.noShowReport
+      }
+    });
+
+  } catch (error) {
+    console.error('Report no-show error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report no-show'
+    });
+  }
+};
+
+export const contestNoShow = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { roomId } = req.params;
+    const { reason } = req.body;
+
+    const room = await GameRoom.findOne({ roomId });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    if (!room.hasPlayer(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a player in this room'
+      });
+    }
+
+    try {
+      room.contestNoShow(userId, reason);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Only contest while the report is still pending, so it cannot race the award job
+    const updated = await GameRoom.findOneAndUpdate(
+      { _id: room._id, status: 'playing', 'noShowReport.status': 'pending' },
+      {
+        status: room.status,
+        escalatedAt: room.escalatedAt,
+        escalationReason: room.escalationReason,
+        noShowReport: room.noShowReport
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The no-show report was already resolved'
+      });
+    }
+
+    // The admin reviews the contest as a dispute
+    const dispute = await DisputeService.open(updated, {
+      openedBy: userId,
+      category: 'no_show',
+      description: reason
+    });
+
+    cacheUtils.clearRoomsCache();
+    emitRoomEvent('room.escalated', updated, { reason: updated.escalationReason, disputeId: dispute.disputeId });
+
+    await NotificationService.notifyMany(updated.players.map(player => player.userId), {
+      type: 'no_show_contested',
+      title: 'No-show contested',
+      message: `The no-show report in room ${updated.roomId} was contested. An admin will review the room and declare the winner.`,
+      data: { roomId: updated.roomId, gameRoomId: updated._id, disputeId: dispute.disputeId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'No-show contested. The room has been sent to an admin for review.',
+      data: {
+        room: {
+          roomId: updated.roomId,
+          status: updated.status,
+          escalatedAt: updated.escalatedAt
+        },
+        noShowReport: updated.noShowReport,
+        disputeId: dispute.disputeId
+      }
+    });
+
+  } catch (error) {
+    console.error('Contest no-show error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to contest no-show'
+    });
+  }
+};
+
+export const addResultEvidence = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { roomId } = req.params;
+    const { note } = req.body;
+
+    if (req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one screenshot is required'
+      });
+    }
+
+    const room = await GameRoom.findOne({ roomId });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    if (!room.hasPlayer(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a player in this room'
+      });
+    }
+
+    if (!['playing', 'winner_declared', 'escalated'].includes(room.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Evidence can only be added while the result is open or under review'
+      });
+    }
+
+    const { evidence, target, winnerRequestId } = await EvidenceService.attach(room, userId, req.files, { note });
+
+    res.status(201).json({
+      success: true,
+      message: `${evidence.length} screenshot(s) added`,
+      data: {
+        evidence: evidence.map(({ key, ...item }) => item),
+        attachedTo: target,
+        winnerRequestId: winnerRequestId || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Add result evidence error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add evidence'
+    });
+  }
+};
+
+export const getRoomByInviteCode = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const inviteCode = req.params.inviteCode.toUpperCase();
+
+    const room = await GameRoom.findOne({ inviteCode })
+      .populate('players.userId', 'name')
+      .populate('createdBy', 'name')
+      .lean();
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link is invalid or the room no longer exists'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        room: {
+          _id: room._id,
+          roomId: room.roomId,
+          gameType: room.gameType,
+          amount: room.amount,
+          maxPlayers: room.maxPlayers,
+          currentPlayers: room.players.length,
+          players: room.players,
+          status: room.status,
+          visibility: room.visibility,
+          createdBy: room.createdBy,
+          createdAt: room.createdAt,
+          isJoined: room.players.some(player => player.userId._id.toString() === userId.toString()),
+          canJoin: room.status === 'waiting' && room.players.length < room.maxPlayers
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get room by invite code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get room'
+    });
+  }
+};
+
+export const inviteToRoom = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { roomId } = req.params;
+    const { phone, username } = req.body;
+
+    if (!phone && !username) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone or username is required'
+      });
+    }
+
+    const room = await GameRoom.findOne({ roomId });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    if (room.createdBy.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the room creator can invite players'
+      });
+    }
+
+    const invitee = await User.findOne(phone
+      ? { phone: normalizePhoneNumber(phone) }
+      : { username: username.trim().toLowerCase() });
+
+    if (!invitee || !invitee.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (invitee._id.toString() === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot invite yourself'
+      });
+    }
+
+    try {
+      room.invite(invitee._id, userId);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await room.save();
+
+    await NotificationService.notify(invitee._id, {
+      type: 'room_invitation',
+      title: 'Room invitation',
+      message: `${req.user.name} invited you to a private ${room.gameType} room ${room.roomId} (₹${room.amount} entry).`,
+      data: { roomId: room.roomId, gameRoomId: room._id, invitedBy: userId }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${invitee.name} has been invited`,
+      data: {
+        invitation: {
+          userId: invitee._id,
+          name: invitee.name,
+          username: invitee.username,
+          status: 'pending'
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Invite to room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invite player'
+    });
+  }
+};
+
+export const getMyInvitations = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const rooms = await GameRoom.find({
+      status: 'waiting',
+      invitations: { $elemMatch: { userId, status: 'pending' } }
+    })
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const invitations = rooms.map(room => {
+      const invitation = room.invitations.find(item => item.userId.toString() === userId.toString());
+      return {
+        roomId: room.roomId,
+        gameType: room.gameType,
+        amount: room.amount,
+        maxPlayers: room.maxPlayers,
+        currentPlayers: room.players.length,
+        createdBy: room.createdBy,
+        invitedAt: invitation.invitedAt
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitations'
+    });
+  }
+};
+
+export const declineInvitation = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { roomId } = req.params;
+
+    const room = await GameRoom.findOne({ roomId });
+
+    if (!room || !room.respondToInvitation(userId, 'declined')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await room.save();
+
+    await NotificationService.notify(room.createdBy, {
+      type: 'room_invitation',
+      title: 'Invitation declined',
+      message: `${req.user.name} declined your invitation to room ${room.roomId}.`,
+      data: { roomId: room.roomId, gameRoomId: room._id, declinedBy: userId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline invitation'
+    });
+  }
+};
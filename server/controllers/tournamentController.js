@@ -0,0 +1,125 @@
+import Tournament from '../models/Tournament.js';
+import User from '../models/User.js';
+import { TournamentService } from '../services/tournamentService.js';
+import { getPagination, buildPaginationResponse } from '../utils/helpers.js';
+
+export const getTournaments = async (req, res) => {
+  try {
+    const { status = 'all', page = 1, limit = 20 } = req.query;
+    const userId = req.user._id;
+
+    const { page: currentPage, limit: currentLimit, skip } = getPagination(page, limit);
+
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const [tournaments, total] = await Promise.all([
+      Tournament.find(query)
+        .select('-rounds -__v')
+        .sort({ startsAt: -1 })
+        .skip(skip)
+        .limit(currentLimit)
+        .lean(),
+      Tournament.countDocuments(query)
+    ]);
+
+    // The list shows how full each tournament is; the bracket is on the detail endpoint
+    const summaries = tournaments.map(({ participants, ...tournament }) => ({
+      ...tournament,
+      participantCount: participants.length,
+      isRegistered: participants.some(participant => participant.userId.toString() === userId.toString())
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: buildPaginationResponse(summaries, total, currentPage, currentLimit)
+    });
+
+  } catch (error) {
+    console.error('Get tournaments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tournaments'
+    });
+  }
+};
+
+export const getTournament = async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ tournamentId: req.params.tournamentId }).lean();
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tournament: TournamentService.toView(tournament, req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tournament error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tournament'
+    });
+  }
+};
+
+export const registerForTournament = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const tournament = await TournamentService.register(req.params.tournamentId, user);
+
+    res.status(201).json({
+      success: true,
+      message: `Registered for ${tournament.name}. Your ₹${tournament.entryFee} entry fee is held until the tournament ends.`,
+      data: {
+        tournament: TournamentService.toView(tournament, user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Register for tournament error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to register for tournament'
+    });
+  }
+};
+
+export const withdrawFromTournament = async (req, res) => {
+  try {
+    const { tournament, refund } = await TournamentService.withdraw(req.params.tournamentId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawn from the tournament and entry fee refunded',
+      data: {
+        tournament: TournamentService.toView(tournament, req.user._id),
+        refund
+      }
+    });
+
+  } catch (error) {
+    console.error('Withdraw from tournament error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to withdraw from tournament'
+    });
+  }
+};
@@ -1,4 +1,4 @@
-import Transaction from '../models/Transaction.js';
+import Transaction, { TYPE_WITH_HOLD_STATUS } from '../models/Transaction.js';
 import GameRoom from '../models/GameRoom.js';
 import { cache, cacheUtils } from '../utils/cache.js';
 import { getPagination, buildPaginationResponse } from '../utils/helpers.js';
@@ -52,7 +52,7 @@ export const getTransactionHistory = async (req, res) => {
         { $match: { userId } },
         {
           $group: {
-            _id: '$type',
+            _id: TYPE_WITH_HOLD_STATUS,
             total: { $sum: '$amount' },
             count: { $sum: 1 }
           }
@@ -66,6 +66,7 @@ export const getTransactionHistory = async (req, res) => {
         totalWithdrawals: 0,
         totalGameWinnings: 0,
         totalGameLosses: 0,
+        totalHeld: 0,
         totalRefunds: 0
       };
       
@@ -81,7 +82,11 @@ export const getTransactionHistory = async (req, res) => {
             summary.totalGameWinnings = item.total;
             break;
           case 'game_loss':
-            summary.totalGameLosses = item.total;
+          case 'entry_hold_lost':
+            summary.totalGameLosses += item.total;
+            break;
+          case 'entry_hold_held':
+            summary.totalHeld = item.total;
             break;
           case 'refund':
             summary.totalRefunds = item.total;
@@ -96,6 +101,7 @@ export const getTransactionHistory = async (req, res) => {
         amount: transaction.amount,
         description: transaction.description,
         status: transaction.status,
+        holdStatus: transaction.holdStatus,
         balanceBefore: transaction.balanceBefore,
         balanceAfter: transaction.balanceAfter,
         transactionId: transaction.transactionId,
@@ -167,6 +173,7 @@ export const getTransactionById = async (req, res) => {
       amount: transaction.amount,
       description: transaction.description,
       status: transaction.status,
+      holdStatus: transaction.holdStatus,
       balanceBefore: transaction.balanceBefore,
       balanceAfter: transaction.balanceAfter,
       transactionId: transaction.transactionId,
@@ -26,6 +26,7 @@ export const getProfile = async (req, res) => {
         user: {
           _id: user._id,
           name: user.name,
+          username: user.username,
           phone: user.phone,
           balance: user.balance,
           totalGames: user.totalGames,
@@ -50,27 +51,51 @@ export const getProfile = async (req, res) => {
 export const updateProfile = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { name } = req.body;
+    const { name, username } = req.body;
     
     // Validate input
-    if (!name || name.trim().length < 2) {
+    if (name === undefined && username === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name or username is required'
+      });
+    }
+    
+    if (name !== undefined && name.trim().length < 2) {
       return res.status(400).json({
         success: false,
         message: 'Name must be at least 2 characters long'
       });
     }
     
-    if (name.trim().length > 50) {
+    if (name !== undefined && name.trim().length > 50) {
       return res.status(400).json({
         success: false,
         message: 'Name must not exceed 50 characters'
       });
     }
     
+    const updates = {};
+    if (name !== undefined) {
+      updates.name = name.trim();
+    }
+    
+    if (username !== undefined) {
+      updates.username = username.trim().toLowerCase();
+      
+      const taken = await User.exists({ username: updates.username, _id: { $ne: userId } });
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username is already taken'
+        });
+      }
+    }
+    
     // Update user
     const user = await User.findByIdAndUpdate(
       userId,
-      { name: name.trim() },
+      updates,
       { new: true, runValidators: true }
     ).select('-password');
     
@@ -91,6 +116,7 @@ export const updateProfile = async (req, res) => {
         user: {
           _id: user._id,
           name: user.name,
+          username: user.username,
           phone: user.phone,
           balance: user.balance
         }
@@ -2,6 +2,7 @@ import User from '../models/User.js';
 import Transaction from '../models/Transaction.js';
 import WithdrawalRequest from '../models/WithdrawalRequest.js';
 import { PaymentService } from '../services/paymentService.js';
+import { SettingsService } from '../services/settingsService.js';
 import { cache, cacheUtils } from '../utils/cache.js';
 import { getPagination, buildPaginationResponse } from '../utils/helpers.js';
 
@@ -42,10 +43,54 @@ export const getBalance = async (req, res) => {
   }
 };
 
-export const addMoney = async (req, res) => {
+// Shared by the client verify endpoint and the gateway callback:
+// checks the gateway signature and settles the pending deposit accordingly.
+const settleDeposit = async (transaction, paymentId, signature) => {
+  const verification = await PaymentService.verifyPayment(transaction.orderId, paymentId, signature);
+
+  // A bad signature says nothing about the real payment, so the deposit stays pending
+  if (!verification.signatureValid) {
+    return { verified: false, message: 'Payment verification failed' };
+  }
+
+  if (verification.status === 'failed') {
+    await Transaction.failDeposit(transaction.orderId, verification.reason || 'Payment failed');
+    return { verified: false, message: 'Payment failed' };
+  }
+
+  if (!verification.verified) {
+    return { verified: false, message: verification.reason || 'Payment is not captured yet' };
+  }
+
+  if (verification.amount !== transaction.amount) {
+    await Transaction.failDeposit(transaction.orderId, `Amount mismatch: paid ₹${verification.amount}`);
+    return { verified: false, message: 'Paid amount does not match the deposit amount' };
+  }
+
+  const result = await Transaction.completeDeposit(transaction.orderId, paymentId);
+
+  cache.del(cacheUtils.balanceKey(transaction.userId));
+  cacheUtils.clearUserCache(transaction.userId);
+
+  return { verified: true, ...result };
+};
+
+const formatDeposit = (transaction) => ({
+  _id: transaction._id,
+  transactionId: transaction.transactionId,
+  orderId: transaction.orderId,
+  paymentId: transaction.paymentId,
+  amount: transaction.amount,
+  status: transaction.status,
+  newBalance: transaction.status === 'completed' ? transaction.balanceAfter : undefined,
+  failureReason: transaction.metadata?.failureReason,
+  createdAt: transaction.createdAt
+});
+
+export const createDeposit = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { amount, paymentMethod = 'fake' } = req.body;
+    const { amount, paymentMethod = 'upi' } = req.body;
 
     // Validate amount
     if (!amount || amount <= 0) {
@@ -55,68 +100,184 @@ export const addMoney = async (req, res) => {
       });
     }
 
-    if (amount > 100000) {
+    const { minDepositAmount, maxDepositAmount } = await SettingsService.get();
+    if (amount < minDepositAmount) {
       return res.status(400).json({
         success: false,
-        message: 'Maximum deposit amount is ₹1,00,000'
+        message: `Minimum deposit amount is ₹${minDepositAmount}`
       });
     }
 
-    // Create fake payment order
-    const paymentOrder = await PaymentService.createOrder(amount, 'INR', userId);
-
-    // For testing, directly verify the payment (fake success)
-    const paymentVerification = await PaymentService.verifyPayment(
-      paymentOrder.orderId,
-      `pay_${Date.now()}`,
-      'fake_signature'
-    );
-
-    if (!paymentVerification.verified) {
+    if (amount > maxDepositAmount) {
       return res.status(400).json({
         success: false,
-        message: 'Payment verification failed'
+        message: `Maximum deposit amount is ₹${maxDepositAmount}`
       });
     }
 
-    // Create transaction and update balance
-    const transaction = await Transaction.createWithBalanceUpdate(
+    // Create payment order with the gateway
+    const paymentOrder = await PaymentService.createOrder(amount, 'INR', userId);
+
+    // Record the pending deposit, the wallet is credited after verification
+    const transaction = await Transaction.createPendingDeposit(
       userId,
-      'deposit',
-      amount,
-      'Money Added to Wallet',
+      paymentOrder.amount,
+      paymentOrder.orderId,
       {
-        paymentId: paymentVerification.paymentId,
-        orderId: paymentOrder.orderId,
         metadata: {
           paymentMethod
         }
       }
     );
 
-    // Clear balance cache
-    cache.del(cacheUtils.balanceKey(userId));
-    cacheUtils.clearUserCache(userId);
+    res.status(201).json({
+      success: true,
+      message: 'Deposit created. Complete the payment to add money to your wallet.',
+      data: {
+        deposit: formatDeposit(transaction),
+        paymentOrder: {
+          orderId: paymentOrder.orderId,
+          amount: paymentOrder.amount,
+          currency: paymentOrder.currency,
+          key: paymentOrder.key,
+          callbackUrl: `${req.protocol}://${req.get('host')}/api/wallet/deposits/callback`
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create deposit error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create deposit'
+    });
+  }
+};
+
+export const verifyDeposit = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { orderId } = req.params;
+    const { paymentId, signature } = req.body;
+
+    const transaction = await Transaction.findOne({ orderId, userId, type: 'deposit' });
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deposit not found'
+      });
+    }
+
+    if (transaction.status === 'completed') {
+      return res.status(200).json({
+        success: true,
+        message: 'Deposit already completed',
+        data: { deposit: formatDeposit(transaction) }
+      });
+    }
+
+    const result = await settleDeposit(transaction, paymentId, signature);
+
+    if (!result.verified) {
+      const latest = await Transaction.findById(transaction._id);
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+        data: { deposit: formatDeposit(latest) }
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Money added successfully',
+      data: { deposit: formatDeposit(result.transaction) }
+    });
+
+  } catch (error) {
+    console.error('Verify deposit error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to verify deposit'
+    });
+  }
+};
+
+// Gateway checkout callback (server-to-server, no user token)
+export const depositCallback = async (req, res) => {
+  try {
+    const {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      razorpay_signature: signature
+    } = req.body;
+
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order ID, payment ID and signature are required'
+      });
+    }
+
+    const transaction = await Transaction.findOne({ orderId, type: 'deposit' });
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deposit not found'
+      });
+    }
+
+    const result = transaction.status === 'completed'
+      ? { verified: true, transaction }
+      : await settleDeposit(transaction, paymentId, signature);
+
+    if (!result.verified) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment verified',
       data: {
-        transaction: {
-          _id: transaction._id,
-          amount: transaction.amount,
-          newBalance: transaction.balanceAfter,
-          transactionId: transaction.transactionId,
-          status: transaction.status
-        }
+        orderId,
+        status: result.transaction.status
       }
     });
 
   } catch (error) {
-    console.error('Add money error:', error);
+    console.error('Deposit callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process payment callback'
+    });
+  }
+};
+
+export const getDeposit = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { orderId } = req.params;
+
+    const transaction = await Transaction.findOne({ orderId, userId, type: 'deposit' });
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deposit not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { deposit: formatDeposit(transaction) }
+    });
+
+  } catch (error) {
+    console.error('Get deposit error:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Failed to add money'
+      message: 'Failed to get deposit'
     });
   }
 };
@@ -135,8 +296,7 @@ export const withdraw = async (req, res) => {
     }
 
     // Validate amount
-    const minAmount = parseInt(process.env.MIN_WITHDRAWAL_AMOUNT) || 100;
-    const maxAmount = parseInt(process.env.MAX_WITHDRAWAL_AMOUNT) || 50000;
+    const { minWithdrawalAmount: minAmount, maxWithdrawalAmount: maxAmount } = await SettingsService.get();
 
     if (amount < minAmount) {
       return res.status(400).json({
@@ -391,6 +551,7 @@ export const getTransactions = async (req, res) => {
       amount: transaction.amount,
       description: transaction.description,
       status: transaction.status,
+      holdStatus: transaction.holdStatus,
       balanceBefore: transaction.balanceBefore,
       balanceAfter: transaction.balanceAfter,
       upiId: transaction.upiId,
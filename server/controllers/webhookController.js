@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import { PaymentService } from '../services/paymentService.js';
+import { PaymentWebhookService } from '../services/paymentWebhookService.js';
+
+export const handlePaymentWebhook = async (req, res) => {
+  try {
+    const signature = req.header('X-Razorpay-Signature');
+    const rawBody = req.rawBody?.toString('utf8');
+
+    if (!rawBody || !PaymentService.verifyWebhookSignature(rawBody, signature)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = PaymentService.parseWebhookEvent(req.body, req.headers);
+
+    // Fall back to a body hash so identical deliveries still collapse into one event
+    if (!event.eventId) {
+      event.eventId = `sha256_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+    }
+
+    const { paymentEvent, duplicate } = await PaymentWebhookService.receive(
+      PaymentService.getGateway().name,
+      event,
+      { rawBody, signature, payload: req.body }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: duplicate ? 'Event already processed' : 'Event received',
+      data: {
+        eventId: paymentEvent.eventId,
+        status: paymentEvent.status,
+        result: paymentEvent.result
+      }
+    });
+
+  } catch (error) {
+    // A 5xx makes the gateway retry the delivery later
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+};
@@ -1,3 +1,4 @@
+import http from 'http';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
@@ -15,11 +16,18 @@ import roomRoutes from './routes/rooms.js';
 import transactionRoutes from './routes/transactions.js';
 import dashboardRoutes from './routes/dashboard.js';
 import adminRoutes from './routes/admin.js';
+import webhookRoutes from './routes/webhooks.js';
+import notificationRoutes from './routes/notifications.js';
+import disputeRoutes from './routes/disputes.js';
+import matchmakingRoutes from './routes/matchmaking.js';
+import tournamentRoutes from './routes/tournaments.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFoundHandler } from './middleware/notFoundHandler.js';
 import Admin from './models/Admin.js';
+import { startJobs } from './jobs/index.js';
+import { RealtimeService, REALTIME_PATH } from './services/realtimeService.js';
 
 dotenv.config();
 
@@ -42,7 +50,8 @@ const limiter = rateLimit({
   // Skip rate limiting if we can't identify the user properly
   skip: (req) => {
     // Skip rate limiting in development or if proxy headers are problematic
-    return process.env.NODE_ENV === 'development';
+    // Gateway webhooks come in bursts from a few IPs and must never be throttled
+    return process.env.NODE_ENV === 'development' || req.path.startsWith('/webhooks/');
   }
 });
 
@@ -52,10 +61,17 @@ app.use(helmet({
 }));
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/api/', limiter);
 
@@ -99,6 +115,11 @@ app.use('/api/rooms', roomRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/matchmaking', matchmakingRoutes);
+app.use('/api/tournaments', tournamentRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -124,13 +145,20 @@ mongoose.connect(process.env.MONGODB_URI)
     // Create default admin if not exists
     Admin.createDefaultAdmin().catch(console.error);
 
-    // Start server
-    app.listen(PORT, () => {
+    // Start background jobs
+    startJobs();
+
+    // Start server, with the WebSocket channel on the same port
+    const server = http.createServer(app);
+    RealtimeService.attach(server);
+
+    server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
       console.log(`🔗 API Base URL: http://localhost:${PORT}`);
       console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
       console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
+      console.log(`🔌 WebSocket: ws://localhost:${PORT}${REALTIME_PATH}`);
     });
   })
   .catch((error) => {
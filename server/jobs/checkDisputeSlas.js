@@ -0,0 +1,16 @@
+import { DisputeService } from '../services/disputeService.js';
+
+// Flag disputes that missed their first-response or resolution deadline
+export const checkDisputeSlas = async () => {
+  const result = await DisputeService.checkSlas();
+
+  const { firstResponseBreaches, resolutionBreaches, expiredInfoRequests } = result;
+  if (firstResponseBreaches > 0 || resolutionBreaches > 0) {
+    console.warn(`🚨 Dispute SLA breached: ${firstResponseBreaches} first response, ${resolutionBreaches} resolution`);
+  }
+  if (expiredInfoRequests > 0) {
+    console.log(`⏳ ${expiredInfoRequests} dispute information request(s) expired without a reply`);
+  }
+
+  return result;
+};
@@ -0,0 +1,35 @@
+import GameRoom from '../models/GameRoom.js';
+import { RoomResultService } from '../services/roomResultService.js';
+
+// Settle playing rooms whose result confirmation window has closed
+export const confirmRoomResults = async () => {
+  const candidates = await GameRoom.find({
+    status: 'playing',
+    resultConfirmationDeadline: { $lte: new Date() }
+  })
+    .select('_id roomId')
+    .sort({ resultConfirmationDeadline: 1 })
+    .limit(100)
+    .lean();
+
+  let confirmed = 0;
+  let disputed = 0;
+  let review = 0;
+
+  for (const candidate of candidates) {
+    try {
+      const result = await RoomResultService.resolveSubmissions(candidate._id);
+      if (result?.outcome === 'confirmed') confirmed += 1;
+      if (result?.outcome === 'disputed') disputed += 1;
+      if (result?.outcome === 'review') review += 1;
+    } catch (error) {
+      console.error(`Confirm result for room ${candidate.roomId} failed:`, error);
+    }
+  }
+
+  if (confirmed > 0 || disputed > 0 || review > 0) {
+    console.log(`🏁 Confirmed ${confirmed} room result(s), ${disputed} sent to dispute, ${review} sent for review`);
+  }
+
+  return { checked: candidates.length, confirmed, disputed, review };
+};
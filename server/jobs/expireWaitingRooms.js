@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import GameRoom from '../models/GameRoom.js';
+import { EscrowService } from '../services/escrowService.js';
+import { NotificationService } from '../services/notificationService.js';
+import { getRoomExpiryConfig, getRoomTtlMinutes, getExpiredRoomsQuery } from '../config/roomExpiry.js';
+import { cacheUtils } from '../utils/cache.js';
+import { emitRoomEvent } from '../utils/events.js';
+
+// Cancel one expired room and refund its players; returns the refunds, or null if the
+// room stopped waiting (someone joined or left) before we got to it
+const expireRoom = async (roomId, ttlMinutes) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const room = await GameRoom.findOneAndUpdate(
+      { _id: roomId, status: 'waiting' },
+      {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelReason: `Expired after waiting ${ttlMinutes} minutes`
+      },
+      { new: true, session }
+    );
+
+    if (!room) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const refunds = await EscrowService.releaseAll(room, 'Room expired', { session });
+
+    await session.commitTransaction();
+    return { room, refunds };
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Cancel rooms that have been waiting longer than their TTL and return every stake
+export const expireWaitingRooms = async () => {
+  const config = getRoomExpiryConfig();
+
+  const candidates = await GameRoom.find(getExpiredRoomsQuery(Date.now(), config))
+    .select('_id roomId gameType amount createdAt')
+    .sort({ createdAt: 1 })
+    .limit(100)
+    .lean();
+
+  let expired = 0;
+  let refunded = 0;
+
+  for (const candidate of candidates) {
+    const ttlMinutes = getRoomTtlMinutes(candidate, config);
+
+    try {
+      const result = await expireRoom(candidate._id, ttlMinutes);
+      if (!result) continue;
+
+      const { room, refunds } = result;
+      expired += 1;
+      refunded += refunds.length;
+
+      for (const refund of refunds) {
+        cacheUtils.clearUserCache(refund.userId);
+      }
+
+      emitRoomEvent('room.cancelled', room, { reason: 'expired', ttlMinutes });
+
+      await NotificationService.notifyMany(room.players.map(player => player.userId), {
+        type: 'room_expired',
+        title: 'Room expired',
+        message: `Room ${room.roomId} did not fill up within ${ttlMinutes} minutes and was cancelled. Your ₹${room.amount} entry fee has been refunded.`,
+        data: { roomId: room.roomId, gameRoomId: room._id, amount: room.amount }
+      });
+
+    } catch (error) {
+      console.error(`Expire room ${candidate.roomId} failed:`, error);
+    }
+  }
+
+  if (expired > 0) {
+    cacheUtils.clearRoomsCache();
+    console.log(`⌛ Expired ${expired} waiting room(s), ${refunded} refund(s)`);
+  }
+
+  return { checked: candidates.length, expired, refunded };
+};
@@ -0,0 +1,27 @@
+import { registerJob, startScheduler } from './scheduler.js';
+import { expireWaitingRooms } from './expireWaitingRooms.js';
+import { resolveOverdueRooms } from './resolveOverdueRooms.js';
+import { confirmRoomResults } from './confirmRoomResults.js';
+import { checkDisputeSlas } from './checkDisputeSlas.js';
+import { runMatchmaking } from './runMatchmaking.js';
+import { runTournaments } from './runTournaments.js';
+
+export const startJobs = () => {
+  const roomExpiryInterval = (parseInt(process.env.ROOM_EXPIRY_CHECK_INTERVAL_SECONDS) || 60) * 1000;
+  registerJob('expire-waiting-rooms', roomExpiryInterval, expireWaitingRooms);
+
+  const roomResultInterval = (parseInt(process.env.ROOM_RESULT_CHECK_INTERVAL_SECONDS) || 60) * 1000;
+  registerJob('resolve-overdue-rooms', roomResultInterval, resolveOverdueRooms);
+  registerJob('confirm-room-results', roomResultInterval, confirmRoomResults);
+
+  const disputeSlaInterval = (parseInt(process.env.DISPUTE_SLA_CHECK_INTERVAL_SECONDS) || 300) * 1000;
+  registerJob('check-dispute-slas', disputeSlaInterval, checkDisputeSlas);
+
+  const matchmakingInterval = (parseInt(process.env.MATCHMAKING_INTERVAL_SECONDS) || 5) * 1000;
+  registerJob('run-matchmaking', matchmakingInterval, runMatchmaking);
+
+  const tournamentInterval = (parseInt(process.env.TOURNAMENT_CHECK_INTERVAL_SECONDS) || 30) * 1000;
+  registerJob('run-tournaments', tournamentInterval, runTournaments);
+
+  startScheduler();
+};
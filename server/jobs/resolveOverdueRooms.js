@@ -0,0 +1,77 @@
+import GameRoom from '../models/GameRoom.js';
+import { RoomResultService } from '../services/roomResultService.js';
+
+// Award uncontested no-show reports whose grace period has ended
+const awardDueNoShows = async () => {
+  const candidates = await GameRoom.find({
+    status: 'playing',
+    'noShowReport.status': 'pending',
+    'noShowReport.graceEndsAt': { $lte: new Date() },
+    'resultSubmissions.0': { $exists: false }
+  })
+    .select('_id roomId')
+    .sort({ 'noShowReport.graceEndsAt': 1 })
+    .limit(100)
+    .lean();
+
+  let awarded = 0;
+  for (const candidate of candidates) {
+    try {
+      if (await RoomResultService.awardNoShow(candidate._id)) {
+        awarded += 1;
+      }
+    } catch (error) {
+      console.error(`Award no-show for room ${candidate.roomId} failed:`, error);
+    }
+  }
+
+  return awarded;
+};
+
+// Escalate (or cancel) playing rooms that passed their result deadline. Rooms with a
+// pending no-show report or submitted results are left to those flows instead.
+const handleOverdueRooms = async () => {
+  const now = new Date();
+  // Rooms started before result deadlines existed fall back to startedAt
+  const legacyStartedBefore = new Date(now.getTime() - RoomResultService.getResultDeadlineMinutes() * 60 * 1000);
+
+  const candidates = await GameRoom.find({
+    status: 'playing',
+    'noShowReport.status': { $ne: 'pending' },
+    'resultSubmissions.0': { $exists: false },
+    $or: [
+      { resultDeadline: { $lte: now } },
+      { resultDeadline: { $exists: false }, startedAt: { $lte: legacyStartedBefore } }
+    ]
+  })
+    .select('_id roomId tournament')
+    .sort({ startedAt: 1 })
+    .limit(100)
+    .lean();
+
+  let resolved = 0;
+  for (const candidate of candidates) {
+    try {
+      if (await RoomResultService.handleOverdueRoom(candidate)) {
+        resolved += 1;
+      }
+    } catch (error) {
+      console.error(`Resolve overdue room ${candidate.roomId} failed:`, error);
+    }
+  }
+
+  return resolved;
+};
+
+// Settle no-show reports first, so a room is not escalated right as its reporter wins
+export const resolveOverdueRooms = async () => {
+  const awarded = await awardDueNoShows();
+  const overdue = await handleOverdueRooms();
+  const action = RoomResultService.getTimeoutAction();
+
+  if (awarded > 0 || overdue > 0) {
+    console.log(`⏰ Awarded ${awarded} no-show win(s), ${action === 'cancel' ? 'cancelled' : 'escalated'} ${overdue} overdue room(s)`);
+  }
+
+  return { awarded, overdue, action };
+};
@@ -0,0 +1,13 @@
+import { MatchmakingService } from '../services/matchmakingService.js';
+
+// Expire tickets that waited too long, then match whatever is left in the queue
+export const runMatchmaking = async () => {
+  const expired = await MatchmakingService.expireTickets();
+  const { buckets, matched } = await MatchmakingService.matchAll();
+
+  if (expired > 0 || matched > 0) {
+    console.log(`🎯 Matchmaking: ${matched} room(s) created, ${expired} ticket(s) expired`);
+  }
+
+  return { buckets, matched, expired };
+};
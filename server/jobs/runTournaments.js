@@ -0,0 +1,13 @@
+import { TournamentService } from '../services/tournamentService.js';
+
+// Start tournaments that are due, then advance any whose round finished without being advanced
+export const runTournaments = async () => {
+  const { started, cancelled } = await TournamentService.startDue();
+  const advanced = await TournamentService.advanceAll();
+
+  if (started > 0 || cancelled > 0 || advanced > 0) {
+    console.log(`🏆 Tournaments: ${started} started, ${cancelled} cancelled, ${advanced} advanced`);
+  }
+
+  return { started, cancelled, advanced };
+};
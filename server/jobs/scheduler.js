@@ -0,0 +1,68 @@
+// Minimal in-process job scheduler. Each job runs on its own interval and never overlaps
+// with itself; errors are logged and the job simply runs again on the next tick.
+// Set SCHEDULER_ENABLED=false on extra instances so only one server runs the jobs.
+
+const jobs = new Map();
+
+export const registerJob = (name, intervalMs, run) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false, lastRunAt: null, lastResult: null });
+};
+
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job ${name}`);
+  }
+
+  if (job.running) {
+    return null;
+  }
+
+  job.running = true;
+  try {
+    job.lastResult = await job.run();
+    return job.lastResult;
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error);
+    return null;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+export const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏸️  Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    // Do not keep the process alive just for the scheduler
+    job.timer.unref();
+  }
+
+  console.log(`⏰ Scheduler started: ${[...jobs.keys()].join(', ')}`);
+};
+
+export const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+};
+
+export const getJobStatus = () => {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastResult }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt,
+    lastResult
+  }));
+};
@@ -0,0 +1,51 @@
+import { AuditLogService } from '../services/auditLogService.js';
+
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Action name for a route: PUT /users/:userId/block -> users.block,
+// POST /tournaments -> tournaments.create, PUT /fee-schedules/:scheduleId -> fee_schedules.update
+const actionFromRoute = (method, routePath) => {
+    const segments = routePath.split('/').filter(Boolean);
+    const names = segments.filter(segment => !segment.startsWith(':')).map(name => name.replace(/-/g, '_'));
+
+    if (names.length === 1 || segments[segments.length - 1].startsWith(':')) {
+        names.push(METHOD_ACTIONS[method] || method.toLowerCase());
+    }
+    return names.join('.');
+};
+
+// Records every successful admin mutation (any request but GET) in the audit log before
+// the response is sent. The action and target come from the route unless the handler
+// sets res.locals.audit ({ action, targetType, targetId, before, after }). Must run after adminAuth.
+export const auditAdminActions = (req, res, next) => {
+    if (req.method === 'GET') {
+        return next();
+    }
+
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (res.statusCode >= 400 || !req.route) {
+            return json(body);
+        }
+
+        const audit = res.locals.audit || {};
+        const [resource] = req.route.path.split('/').filter(Boolean);
+
+        AuditLogService.record({
+            admin: req.admin,
+            action: audit.action || actionFromRoute(req.method, req.route.path),
+            targetType: audit.targetType || resource.replace(/-/g, '_'),
+            targetId: audit.targetId ?? Object.values(req.params)[0],
+            before: audit.before,
+            after: audit.after,
+            details: req.body,
+            req
+        })
+            .catch(error => console.error('Audit log error:', error))
+            .finally(() => json(body));
+        return res;
+    };
+
+    next();
+};
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../models/Admin.js';
-import { cache } from '../utils/cache.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { TwoFactorService } from '../services/twoFactorService.js';
 
 export const adminAuth = async (req, res, next) => {
     try {
@@ -42,7 +43,7 @@ export const adminAuth = async (req, res, next) => {
         }
 
         // Check if admin exists and is active
-        const adminCacheKey = `admin_${decoded.adminId}`;
+        const adminCacheKey = cacheUtils.adminKey(decoded.adminId);
         let admin = cache.get(adminCacheKey);
 
         if (!admin) {
@@ -66,6 +67,14 @@ export const adminAuth = async (req, res, next) => {
             cache.set(adminCacheKey, admin, 120);
         }
 
+        // Tokens issued before a password reset or deactivation are no longer valid
+        if (admin.tokensRevokedAt && decoded.iat < Math.floor(admin.tokensRevokedAt.getTime() / 1000)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Admin session has expired. Please log in again.'
+            });
+        }
+
         req.admin = admin;
         next();
 
@@ -78,12 +87,13 @@ export const adminAuth = async (req, res, next) => {
     }
 };
 
-// Middleware to check specific permissions
+// Middleware to check specific permissions (super admins pass every check).
+// Must run after adminAuth.
 export const checkPermission = (resource, action) => {
     return (req, res, next) => {
         const admin = req.admin;
 
-        if (!admin.permissions[resource] || !admin.permissions[resource][action]) {
+        if (!admin || !admin.hasPermission(resource, action)) {
             return res.status(403).json({
                 success: false,
                 message: `Access denied. Missing permission: ${resource}.${action}`
@@ -92,4 +102,44 @@ export const checkPermission = (resource, action) => {
 
         next();
     };
-};
\ No newline at end of file
+};
+
+// Middleware to limit an endpoint to super admins, whatever permissions the admin holds
+// (e.g. managing admin accounts, so nobody can grant themselves more than they have).
+// Must run after adminAuth.
+export const requireSuperAdmin = (req, res, next) => {
+    if (req.admin?.role !== 'super_admin') {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. Super admin only.'
+        });
+    }
+
+    next();
+};
+
+// Middleware to block admins who must change their password (new or reset accounts)
+// from everything but changing it. Must run after adminAuth.
+export const requirePasswordChanged = (req, res, next) => {
+    if (req.admin?.mustChangePassword) {
+        return res.status(403).json({
+            success: false,
+            message: 'Password change required. Change your password to continue.'
+        });
+    }
+
+    next();
+};
+
+// Middleware to block admins without two-factor authentication from everything but
+// enrolling, once ADMIN_2FA_REQUIRED is on. Must run after adminAuth.
+export const requireTwoFactor = (req, res, next) => {
+    if (TwoFactorService.isRequired() && !req.admin?.twoFactor?.enabled) {
+        return res.status(403).json({
+            success: false,
+            message: 'Two-factor authentication required. Set it up to continue.'
+        });
+    }
+
+    next();
+};
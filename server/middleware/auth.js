@@ -2,6 +2,39 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { cache } from '../utils/cache.js';
 
+// Resolve a bearer token to an active user, or explain why it is rejected.
+// Shared by the auth middleware and the WebSocket server.
+export const authenticateToken = async (token) => {
+  // Check if token is in cache (for performance)
+  const cacheKey = `auth_token_${token}`;
+  let decoded = cache.get(cacheKey);
+  
+  if (!decoded) {
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Cache the decoded token for 5 minutes
+      cache.set(cacheKey, decoded, 300);
+    } catch (jwtError) {
+      return { error: 'Invalid token.' };
+    }
+  }
+  
+  // Check if user exists and is active
+  const userCacheKey = `user_${decoded.userId}`;
+  let user = cache.get(userCacheKey);
+  
+  if (!user) {
+    user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive) {
+      return { error: 'User not found or inactive.' };
+    }
+    // Cache user for 2 minutes
+    cache.set(userCacheKey, user, 120);
+  }
+  
+  return { user };
+};
+
 export const auth = async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
@@ -14,38 +47,13 @@ export const auth = async (req, res, next) => {
     }
     
     const token = authHeader.replace('Bearer ', '');
+    const { user, error } = await authenticateToken(token);
     
-    // Check if token is in cache (for performance)
-    const cacheKey = `auth_token_${token}`;
-    let decoded = cache.get(cacheKey);
-    
-    if (!decoded) {
-      try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
-        // Cache the decoded token for 5 minutes
-        cache.set(cacheKey, decoded, 300);
-      } catch (jwtError) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token.'
-        });
-      }
-    }
-    
-    // Check if user exists and is active
-    const userCacheKey = `user_${decoded.userId}`;
-    let user = cache.get(userCacheKey);
-    
-    if (!user) {
-      user = await User.findById(decoded.userId).select('-password');
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found or inactive.'
-        });
-      }
-      // Cache user for 2 minutes
-      cache.set(userCacheKey, user, 120);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
     }
     
     req.user = user;
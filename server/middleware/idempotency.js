@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { stableStringify } from '../utils/helpers.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAY_HEADER = 'Idempotent-Replayed';
+
+const hashRequest = (method, path, body) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${method}\n${path}\n${stableStringify(body || {})}`)
+    .digest('hex');
+};
+
+// Honours an Idempotency-Key header on money-moving endpoints. The first response for a
+// key is stored and replayed for retries with the same body; requests without the header
+// go through unchanged. Must run after auth, keys are scoped per user.
+export const idempotency = async (req, res, next) => {
+  const key = req.header(IDEMPOTENCY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+
+  try {
+    if (!/^[\w:.-]{8,255}$/.test(key)) {
+      return res.status(400).json({
+        success: false,
+        message: `${IDEMPOTENCY_HEADER} must be 8-255 characters (letters, digits, "-", "_", ":" or ".")`
+      });
+    }
+
+    const path = req.originalUrl.split('?')[0];
+    const requestHash = hashRequest(req.method, path, req.body);
+
+    const { record, created } = await IdempotencyKey.claim(req.user._id, key, {
+      method: req.method,
+      path,
+      requestHash
+    });
+
+    if (!created) {
+      if (!record || record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: `${IDEMPOTENCY_HEADER} was already used for a different request`
+        });
+      }
+
+      if (record.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set(REPLAY_HEADER, 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Capture the handler's response. Server errors release the key so the client can retry.
+    const json = res.json.bind(res);
+    let settled = false;
+
+    res.json = (body) => {
+      settled = true;
+      const save = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : record.complete(res.statusCode, body);
+
+      // Send only once the outcome is stored, so a retry after this response is always replayed
+      save
+        .catch(error => console.error('Idempotency key save error:', error))
+        .finally(() => json(body));
+      return res;
+    };
+
+    // A handler that ends without a JSON body (or a dropped connection) must not lock the key
+    res.on('close', () => {
+      if (!settled) {
+        IdempotencyKey.deleteOne({ _id: record._id })
+          .catch(error => console.error('Idempotency key release error:', error));
+      }
+    });
+
+    next();
+
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process idempotency key'
+    });
+  }
+};
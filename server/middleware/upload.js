@@ -0,0 +1,59 @@
+import multer from 'multer';
+
+export const EVIDENCE_FIELD = 'screenshots';
+export const EVIDENCE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+let evidenceUploader = null;
+
+// Built on first use so the limits come from the loaded env
+const getEvidenceUploader = () => {
+  if (!evidenceUploader) {
+    const maxFileSizeMb = parseFloat(process.env.EVIDENCE_MAX_FILE_SIZE_MB) || 5;
+    const maxFiles = parseInt(process.env.EVIDENCE_MAX_FILES) || 5;
+
+    evidenceUploader = multer({
+      // Files stay in memory until their content is checked and they are handed to storage
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: Math.round(maxFileSizeMb * 1024 * 1024),
+        files: maxFiles
+      },
+      fileFilter: (req, file, cb) => {
+        if (!EVIDENCE_MIME_TYPES.includes(file.mimetype)) {
+          return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+      }
+    }).array(EVIDENCE_FIELD);
+  }
+
+  return evidenceUploader;
+};
+
+const uploadErrorMessage = (error) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Each screenshot must be at most ${parseFloat(process.env.EVIDENCE_MAX_FILE_SIZE_MB) || 5} MB`;
+    case 'LIMIT_FILE_COUNT':
+      return `At most ${parseInt(process.env.EVIDENCE_MAX_FILES) || 5} screenshots can be uploaded at once`;
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Screenshots must be JPEG, PNG or WebP images sent in the "${EVIDENCE_FIELD}" field`;
+    default:
+      return error.message;
+  }
+};
+
+// Accept optional screenshot uploads (multipart/form-data); JSON requests pass through untouched
+export const uploadEvidence = (req, res, next) => {
+  getEvidenceUploader()(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error instanceof multer.MulterError ? uploadErrorMessage(error) : 'Invalid upload'
+      });
+    }
+
+    req.files = req.files || [];
+    next();
+  });
+};
@@ -1,6 +1,75 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+export const ADMIN_ROLES = ['super_admin', 'admin', 'moderator'];
+
+// Every permission an admin route can require, by resource
+export const PERMISSION_ACTIONS = {
+    dashboard: ['view', 'analytics'],
+    users: ['view', 'edit', 'block', 'delete', 'adjust_balance'],
+    rooms: ['view', 'edit', 'declare_winner', 'cancel'],
+    transactions: ['view', 'edit', 'refund', 'export'],
+    withdrawals: ['view', 'approve'],
+    winner_requests: ['view', 'approve'],
+    disputes: ['view', 'manage', 'resolve'],
+    tournaments: ['view', 'manage'],
+    ledger: ['view', 'manage'],
+    settings: ['view', 'edit'],
+    system: ['view'],
+    admins: ['view'],
+    audit_logs: ['view'],
+    approvals: ['view', 'review']
+};
+
+const grant = (actionsByResource) => Object.fromEntries(
+    Object.entries(PERMISSION_ACTIONS).map(([resource, actions]) => [
+        resource,
+        Object.fromEntries(actions.map(action => [action, (actionsByResource[resource] || []).includes(action)]))
+    ])
+);
+
+// The permission set each role expands to. Super admins always pass permission checks.
+export const ROLE_PERMISSIONS = {
+    super_admin: grant(PERMISSION_ACTIONS),
+    admin: grant({
+        dashboard: ['view', 'analytics'],
+        users: ['view', 'edit', 'block', 'adjust_balance'],
+        rooms: ['view', 'edit', 'declare_winner', 'cancel'],
+        transactions: ['view', 'refund', 'export'],
+        withdrawals: ['view', 'approve'],
+        winner_requests: ['view', 'approve'],
+        disputes: ['view', 'manage', 'resolve'],
+        tournaments: ['view', 'manage'],
+        ledger: ['view'],
+        settings: ['view'],
+        system: ['view'],
+        approvals: ['view', 'review']
+    }),
+    moderator: grant({
+        dashboard: ['view'],
+        users: ['view', 'block'],
+        rooms: ['view'],
+        transactions: ['view'],
+        withdrawals: ['view'],
+        winner_requests: ['view'],
+        disputes: ['view', 'manage'],
+        tournaments: ['view']
+    })
+};
+
+// Each flag defaults to the admin's role preset, including on admins saved before the flag existed
+const buildPermissionsSchema = () => Object.fromEntries(
+    Object.entries(PERMISSION_ACTIONS).map(([resource, actions]) => [
+        resource,
+        Object.fromEntries(actions.map(action => [action, {
+            type: Boolean,
+            default: function () {
+                return ROLE_PERMISSIONS[this.role || 'admin'][resource][action];
+            }
+        }]))
+    ])
+);
+
 const adminSchema = new mongoose.Schema({
     username: {
         type: String,
@@ -17,32 +86,11 @@ const adminSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['super_admin', 'admin', 'moderator'],
+        enum: ADMIN_ROLES,
         default: 'admin'
     },
-    permissions: {
-        users: {
-            view: { type: Boolean, default: true },
-            edit: { type: Boolean, default: true },
-            block: { type: Boolean, default: true },
-            delete: { type: Boolean, default: false }
-        },
-        rooms: {
-            view: { type: Boolean, default: true },
-            edit: { type: Boolean, default: true },
-            declare_winner: { type: Boolean, default: true },
-            cancel: { type: Boolean, default: true }
-        },
-        transactions: {
-            view: { type: Boolean, default: true },
-            edit: { type: Boolean, default: false },
-            refund: { type: Boolean, default: true }
-        },
-        dashboard: {
-            view: { type: Boolean, default: true },
-            analytics: { type: Boolean, default: true }
-        }
-    },
+    // Filled from the role's preset unless set explicitly
+    permissions: buildPermissionsSchema(),
     isActive: {
         type: Boolean,
         default: true
@@ -56,6 +104,28 @@ const adminSchema = new mongoose.Schema({
         default: 0
     },
     lockUntil: Date,
+    // Set for new admins and after a password reset; cleared when the admin changes it
+    mustChangePassword: {
+        type: Boolean,
+        default: false
+    },
+    // Tokens issued before this are rejected (password reset, deactivation or 2FA reset)
+    tokensRevokedAt: Date,
+    // TOTP two-factor authentication; the secret and recovery codes never leave the server
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: String,
+        // Secret waiting for its first valid code during enrollment
+        pendingSecret: String,
+        enabledAt: Date,
+        // Time step of the last accepted code, so a code cannot be used twice
+        lastUsedStep: Number,
+        // SHA-256 hashes of the unused recovery codes
+        recoveryCodes: [String]
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Admin'
@@ -65,6 +135,13 @@ const adminSchema = new mongoose.Schema({
     toJSON: {
         transform: function (doc, ret) {
             delete ret.password;
+            if (ret.twoFactor) {
+                ret.twoFactor = {
+                    enabled: ret.twoFactor.enabled,
+                    enabledAt: ret.twoFactor.enabledAt,
+                    recoveryCodesLeft: ret.twoFactor.recoveryCodes?.length || 0
+                };
+            }
             return ret;
         }
     }
@@ -92,6 +169,18 @@ adminSchema.pre('save', async function (next) {
     }
 });
 
+// Method to check a permission; super admins have every permission
+adminSchema.methods.hasPermission = function (resource, action) {
+    return this.role === 'super_admin' || Boolean(this.permissions?.[resource]?.[action]);
+};
+
+// Method to replace the permissions with the role's preset
+adminSchema.methods.applyRolePreset = function (role = this.role) {
+    this.role = role;
+    this.permissions = ROLE_PERMISSIONS[role];
+    return this;
+};
+
 // Method to compare password
 adminSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
@@ -133,12 +222,7 @@ adminSchema.statics.createDefaultAdmin = async function () {
         username: 'admin',
         password: 'admin123',
         role: 'super_admin',
-        permissions: {
-            users: { view: true, edit: true, block: true, delete: true },
-            rooms: { view: true, edit: true, declare_winner: true, cancel: true },
-            transactions: { view: true, edit: true, refund: true },
-            dashboard: { view: true, analytics: true }
-        }
+        mustChangePassword: true
     });
 
     await defaultAdmin.save();
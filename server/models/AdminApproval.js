@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// A money-moving admin action above the approval threshold, waiting for a second admin.
+// Nothing is posted until another admin approves it; the posted transaction is then
+// linked as resultTransactionId.
+const adminApprovalSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['balance_adjustment', 'refund'],
+    required: [true, 'Action is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  // Balance adjustments only
+  direction: {
+    type: String,
+    enum: ['add', 'deduct']
+  },
+  // Refunds only: the transaction being refunded
+  originalTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reviewedAt: Date,
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  resultTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+adminApprovalSchema.index({ status: 1, createdAt: -1 });
+adminApprovalSchema.index({ userId: 1, createdAt: -1 });
+// One pending refund per transaction
+adminApprovalSchema.index(
+  { originalTransactionId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', action: 'refund' } }
+);
+
+export default mongoose.model('AdminApproval', adminApprovalSchema);
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { stableStringify } from '../utils/helpers.js';
+
+// prevHash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+const APPEND_ONLY_ERROR = 'Audit logs are append-only';
+
+// One admin action. Entries are numbered and each stores the hash of the previous one,
+// so editing, deleting or reordering entries breaks the chain (see AuditLogService.verifyChain).
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  adminUsername: String,
+  // e.g. users.block, withdrawal_requests.approve
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  targetType: String,
+  targetId: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // The request body, without passwords and codes
+  details: mongoose.Schema.Types.Mixed,
+  method: String,
+  path: String,
+  ip: String,
+  userAgent: String,
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Keep empty snapshots, which are part of the hash
+  minimize: false
+});
+
+// Indexes
+auditLogSchema.index({ adminId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries can only be inserted
+auditLogSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY_ERROR));
+});
+
+for (const operation of [
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+]) {
+  auditLogSchema.pre(operation, { document: true, query: true }, function (next) {
+    next(new Error(APPEND_ONLY_ERROR));
+  });
+}
+
+// Static method to hash an entry (a document or a plain object) with the hash before it
+auditLogSchema.statics.computeHash = function (entry) {
+  const content = {
+    sequence: entry.sequence,
+    adminId: String(entry.adminId),
+    adminUsername: entry.adminUsername ?? null,
+    action: entry.action,
+    targetType: entry.targetType ?? null,
+    targetId: entry.targetId ?? null,
+    before: entry.before ?? null,
+    after: entry.after ?? null,
+    details: entry.details ?? null,
+    method: entry.method ?? null,
+    path: entry.path ?? null,
+    ip: entry.ip ?? null,
+    userAgent: entry.userAgent ?? null,
+    createdAt: new Date(entry.createdAt).toISOString()
+  };
+
+  return crypto
+    .createHash('sha256')
+    .update(`${entry.prevHash}\n${stableStringify(content)}`)
+    .digest('hex');
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
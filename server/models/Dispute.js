@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import { evidenceFileSchema } from './WinnerRequest.js';
+
+export const DISPUTE_OPEN_STATUSES = ['open', 'under_review', 'awaiting_info'];
+
+const actorFields = {
+  actorType: {
+    type: String,
+    enum: ['user', 'admin', 'system'],
+    required: true
+  },
+  // User or Admin id depending on actorType
+  actorId: mongoose.Schema.Types.ObjectId
+};
+
+const messageSchema = new mongoose.Schema({
+  ...actorFields,
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  evidence: [evidenceFileSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Everything that happened to the dispute, shown to players and admins alike
+const timelineEventSchema = new mongoose.Schema({
+  ...actorFields,
+  event: {
+    type: String,
+    enum: [
+      'opened',
+      'message_added',
+      'assigned',
+      'info_requested',
+      'info_provided',
+      'info_request_expired',
+      'sla_breached',
+      'resolved'
+    ],
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const disputeSchema = new mongoose.Schema({
+  disputeId: {
+    type: String,
+    unique: true
+  },
+  roomId: {
+    type: String,
+    required: [true, 'Room ID is required'],
+    trim: true
+  },
+  gameRoomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameRoom',
+    required: true
+  },
+  // The winner request under review, when the dispute is about a declared result
+  winnerRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WinnerRequest'
+  },
+  // Missing when the system opened the dispute (conflicting result submissions)
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  category: {
+    type: String,
+    enum: ['wrong_winner', 'conflicting_results', 'no_show', 'cheating', 'technical_issue', 'other'],
+    default: 'other'
+  },
+  status: {
+    type: String,
+    enum: [...DISPUTE_OPEN_STATUSES, 'resolved'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  assignedAt: Date,
+  infoRequest: {
+    requestedFrom: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    message: String,
+    requestedAt: Date,
+    dueAt: Date
+  },
+  messages: [messageSchema],
+  timeline: [timelineEventSchema],
+  sla: {
+    firstResponseDueAt: Date,
+    firstRespondedAt: Date,
+    // Pushed back by the time spent waiting on players
+    resolutionDueAt: Date,
+    breaches: [{
+      type: String,
+      enum: ['first_response', 'resolution']
+    }]
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['award_winner', 'split', 'refund_all']
+    },
+    winnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Paid positions, winner first, when the room pays several
+    rankings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    splitBetween: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    notes: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    resolvedAt: Date,
+    transactionIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+disputeSchema.index({ gameRoomId: 1, status: 1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ assignedTo: 1, status: 1 });
+disputeSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+disputeSchema.index({ status: 1, 'infoRequest.dueAt': 1 });
+// One unresolved dispute per room, even when two are opened at the same time
+disputeSchema.index(
+  { gameRoomId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: DISPUTE_OPEN_STATUSES } } }
+);
+
+// Pre-save middleware to generate dispute ID
+disputeSchema.pre('save', function (next) {
+  if (!this.disputeId) {
+    const timestamp = Date.now();
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.disputeId = `DSP${timestamp}${random}`;
+  }
+  next();
+});
+
+// Method to append a timeline event
+disputeSchema.methods.addEvent = function (event, actorType, actorId, data = {}) {
+  this.timeline.push({ event, actorType, actorId, data, at: new Date() });
+  return this;
+};
+
+// Static method to find the room's unresolved dispute, if any
+disputeSchema.statics.findOpenForRoom = function (gameRoomId, session) {
+  return this.findOne({ gameRoomId, status: { $in: DISPUTE_OPEN_STATUSES } }).session(session || null);
+};
+
+export default mongoose.model('Dispute', disputeSchema);
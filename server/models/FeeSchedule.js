@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// A platform fee rate for the rooms it matches: by game type, stake range (the per-player
+// amount) and room size, each optional. A schedule with a time window is a promotion and
+// takes precedence over those without, e.g. a zero-fee weekend for Carrom.
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  gameType: {
+    type: String,
+    enum: ['Ludo', 'Snakes & Ladders', 'Carrom']
+  },
+  minAmount: {
+    type: Number,
+    min: [0, 'Minimum stake cannot be negative']
+  },
+  maxAmount: {
+    type: Number,
+    min: [0, 'Maximum stake cannot be negative']
+  },
+  maxPlayers: {
+    type: Number,
+    min: [2, 'Room size must be between 2 and 4'],
+    max: [4, 'Room size must be between 2 and 4']
+  },
+  feePercent: {
+    type: Number,
+    required: [true, 'Fee percent is required'],
+    min: [0, 'Fee percent cannot be negative'],
+    max: [50, 'Fee percent cannot exceed 50']
+  },
+  // Caps in rupees on a room's total fee
+  minFee: {
+    type: Number,
+    min: [0, 'Minimum fee cannot be negative'],
+    default: 0
+  },
+  maxFee: {
+    type: Number,
+    min: [0, 'Maximum fee cannot be negative']
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.index({ isActive: 1, endsAt: 1 });
+
+// Virtual for promotions, i.e. schedules limited to a time window
+feeScheduleSchema.virtual('isPromotion').get(function () {
+  return Boolean(this.startsAt || this.endsAt);
+});
+
+// Method to check whether the schedule applies to a room at a given time
+feeScheduleSchema.methods.matches = function ({ gameType, amount, maxPlayers }, at = new Date()) {
+  return this.isActive
+    && (!this.gameType || this.gameType === gameType)
+    && (this.minAmount == null || amount >= this.minAmount)
+    && (this.maxAmount == null || amount <= this.maxAmount)
+    && (!this.maxPlayers || this.maxPlayers === maxPlayers)
+    && (!this.startsAt || this.startsAt <= at)
+    && (!this.endsAt || this.endsAt > at);
+};
+
+// Method to count the room criteria the schedule sets; more specific schedules win ties
+feeScheduleSchema.methods.getSpecificity = function () {
+  return [this.gameType, this.minAmount ?? this.maxAmount, this.maxPlayers]
+    .filter(value => value != null)
+    .length;
+};
+
+export default mongoose.model('FeeSchedule', feeScheduleSchema);
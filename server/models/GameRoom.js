@@ -1,4 +1,8 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { evidenceFileSchema } from './WinnerRequest.js';
+import { calculateWinnings } from '../utils/helpers.js';
 
 const playerSchema = new mongoose.Schema({
   userId: {
@@ -13,9 +17,131 @@ const playerSchema = new mongoose.Schema({
   joinedAt: {
     type: Date,
     default: Date.now
+  },
+  // Team rooms only
+  team: {
+    type: Number,
+    enum: [1, 2]
+  }
+}, { _id: false });
+
+// A player's claim that the other players never showed up. Unless one of them
+// contests it within the grace period, the reporter is awarded the win.
+const noShowReportSchema = new mongoose.Schema({
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  graceEndsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'contested', 'awarded', 'superseded'],
+    default: 'pending'
+  },
+  contestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  contestedAt: Date,
+  contestReason: String
+}, { _id: false });
+
+// The winner one player says won the game, and for rooms that pay several positions
+// the players in the paid positions, first place first
+const resultSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  winnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rankings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A user the creator invited to a private room
+const invitationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  respondedAt: Date
+}, { _id: false });
+
+// The platform fee rate a room started with, from the matching fee schedule (or the
+// platformFeePercent setting when none matched)
+const feeRateSchema = new mongoose.Schema({
+  percent: {
+    type: Number,
+    required: true
+  },
+  minFee: {
+    type: Number,
+    default: 0
+  },
+  maxFee: Number,
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeSchedule'
+  },
+  scheduleName: String,
+  promotional: {
+    type: Boolean,
+    default: false
   }
 }, { _id: false });
 
+export const PAYOUT_STRUCTURE_RULES = 'Payout structure must pay fewer positions than players, in whole percents of at least 5, highest first, adding up to 100';
+
+// Whether percents (first place first) is a valid split of the prize for a room of maxPlayers.
+// At least one player must go unpaid, and a later position never gets more than an earlier one.
+const isValidPayoutStructure = (percents, maxPlayers) => {
+  const total = percents.reduce((sum, percent) => sum + percent, 0);
+  return percents.length >= 1
+    && percents.length < maxPlayers
+    && percents.every((percent, index) => Number.isInteger(percent) && percent >= 5 && (index === 0 || percent <= percents[index - 1]))
+    && total === 100;
+};
+
+// Team rooms are two teams of this many players
+export const TEAM_SIZE = 2;
+
+// Unambiguous characters only (no 0/O, 1/I), so codes can be read out and typed
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
 const gameRoomSchema = new mongoose.Schema({
   roomId: {
     type: String,
@@ -30,8 +156,8 @@ const gameRoomSchema = new mongoose.Schema({
   amount: {
     type: Number,
     required: [true, 'Game amount is required'],
-    min: [10, 'Minimum game amount is ₹10'],
-    max: [10000, 'Maximum game amount is ₹10,000']
+    // The allowed range is a platform setting, checked when the room is created
+    min: [1, 'Minimum game amount is ₹1']
   },
   maxPlayers: {
     type: Number,
@@ -41,22 +167,88 @@ const gameRoomSchema = new mongoose.Schema({
     default: 4
   },
   players: [playerSchema],
+  // In team rooms two teams of two play each other and the winning team shares the prize
+  mode: {
+    type: String,
+    enum: ['solo', 'teams'],
+    default: 'solo',
+    validate: {
+      validator: function (mode) {
+        return mode !== 'teams' || (this.maxPlayers === TEAM_SIZE * 2 && this.payoutStructure.length === 1);
+      },
+      message: 'Team rooms must have 4 players and pay only the winning team'
+    }
+  },
+  // Private rooms are hidden from the lobby and joined by invitation, invite code or passcode
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public'
+  },
+  inviteCode: String,
+  passcodeHash: {
+    type: String,
+    select: false
+  },
+  invitations: [invitationSchema],
+  // Set on rooms spawned for a tournament match; the winner advances instead of being paid
+  tournament: {
+    tournamentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament'
+    },
+    code: String,
+    round: Number,
+    match: Number
+  },
+  // Percent of the prize (after the platform fee) paid to each position, first place first
+  payoutStructure: {
+    type: [Number],
+    default: [100],
+    validate: {
+      validator: function (percents) {
+        return isValidPayoutStructure(percents, this.maxPlayers);
+      },
+      message: PAYOUT_STRUCTURE_RULES
+    }
+  },
   status: {
     type: String,
-    enum: ['waiting', 'playing', 'winner_declared', 'completed', 'cancelled'],
+    enum: ['waiting', 'playing', 'winner_declared', 'escalated', 'completed', 'cancelled'],
     default: 'waiting'
   },
   winner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  winningTeam: {
+    type: Number,
+    enum: [1, 2]
+  },
+  // Players in the paid positions once the result is settled, the winner first
+  rankings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
   startedAt: Date,
+  // Players must declare a result before this, otherwise the room is escalated or cancelled
+  resultDeadline: Date,
   completedAt: Date,
+  cancelledAt: Date,
+  cancelReason: String,
+  escalatedAt: Date,
+  escalationReason: String,
+  noShowReport: noShowReportSchema,
+  resultSubmissions: [resultSubmissionSchema],
+  // Screenshots uploaded before a winner request exists; copied onto it when it is created
+  resultEvidence: [evidenceFileSchema],
+  // Agreeing results are confirmed when every player submitted or this passes
+  resultConfirmationDeadline: Date,
   totalPrizePool: {
     type: Number,
     default: 0
@@ -65,20 +257,32 @@ const gameRoomSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Snapshotted when the game starts, so fee changes do not alter games in progress
+  feeRate: feeRateSchema,
+  // First place's share of the prize
   winnerAmount: {
     type: Number,
     default: 0
-  }
+  },
+  // Each paid position's share of the prize, set when the game starts
+  positionAmounts: [Number]
 }, {
   timestamps: true
 });
 
 // Indexes for performance
 gameRoomSchema.index({ roomId: 1 }, { unique: true });
-gameRoomSchema.index({ status: 1 });
+gameRoomSchema.index({ status: 1, createdAt: 1 });
+gameRoomSchema.index({ status: 1, resultDeadline: 1 });
+gameRoomSchema.index({ 'noShowReport.status': 1, 'noShowReport.graceEndsAt': 1 });
+gameRoomSchema.index({ status: 1, resultConfirmationDeadline: 1 });
 gameRoomSchema.index({ createdAt: -1 });
 gameRoomSchema.index({ 'players.userId': 1 });
 gameRoomSchema.index({ createdBy: 1 });
+gameRoomSchema.index({ inviteCode: 1 }, { unique: true, sparse: true });
+gameRoomSchema.index({ 'invitations.userId': 1, status: 1 });
+gameRoomSchema.index({ visibility: 1, status: 1, createdAt: -1 });
+gameRoomSchema.index({ 'tournament.tournamentId': 1 }, { sparse: true });
 
 // Virtual for current player count
 gameRoomSchema.virtual('currentPlayers').get(function () {
@@ -99,8 +303,107 @@ gameRoomSchema.methods.hasPlayer = function (userId) {
   });
 };
 
-// Method to add player to room
-gameRoomSchema.methods.addPlayer = function (userId, userName) {
+// Method to get the team a player is on (team rooms only)
+gameRoomSchema.methods.getTeam = function (userId) {
+  const player = this.players.find(item => (item.userId._id || item.userId).toString() === userId.toString());
+  return player?.team;
+};
+
+// Method to get the user IDs of a team's players
+gameRoomSchema.methods.getTeamPlayers = function (team) {
+  return this.players
+    .filter(player => player.team === team)
+    .map(player => player.userId._id || player.userId);
+};
+
+// Method to choose a joining player's team: the one they asked for, or the smaller team
+gameRoomSchema.methods.pickTeam = function (preferred) {
+  if (preferred) {
+    if (this.getTeamPlayers(preferred).length >= TEAM_SIZE) {
+      throw new Error(`Team ${preferred} is full`);
+    }
+    return preferred;
+  }
+
+  return this.getTeamPlayers(2).length < this.getTeamPlayers(1).length ? 2 : 1;
+};
+
+// Method to check for a pending invitation
+gameRoomSchema.methods.isInvited = function (userId) {
+  return this.invitations.some(invitation =>
+    invitation.userId.toString() === userId.toString() && invitation.status === 'pending'
+  );
+};
+
+// Method to invite a user to a private room; a declined invitation can be sent again
+gameRoomSchema.methods.invite = function (userId, invitedBy) {
+  if (this.visibility !== 'private') {
+    throw new Error('Only private rooms take invitations');
+  }
+
+  if (this.status !== 'waiting') {
+    throw new Error('Cannot invite to a room that is not waiting');
+  }
+
+  if (this.hasPlayer(userId)) {
+    throw new Error('User already in room');
+  }
+
+  const existing = this.invitations.find(invitation => invitation.userId.toString() === userId.toString());
+  if (existing?.status === 'pending') {
+    throw new Error('User is already invited');
+  }
+
+  if (existing) {
+    Object.assign(existing, { invitedBy, invitedAt: new Date(), status: 'pending', respondedAt: undefined });
+  } else {
+    this.invitations.push({ userId, invitedBy });
+  }
+
+  return this;
+};
+
+// Method to mark the user's invitation as accepted or declined
+gameRoomSchema.methods.respondToInvitation = function (userId, status) {
+  const invitation = this.invitations.find(item =>
+    item.userId.toString() === userId.toString() && item.status === 'pending'
+  );
+
+  if (invitation) {
+    invitation.status = status;
+    invitation.respondedAt = new Date();
+  }
+
+  return invitation;
+};
+
+// Method to hash and set a private room's passcode
+gameRoomSchema.methods.setPasscode = async function (passcode) {
+  const salt = await bcrypt.genSalt(10);
+  this.passcodeHash = await bcrypt.hash(String(passcode), salt);
+  return this;
+};
+
+// Method to check whether a user may join. Private rooms need an invitation, the invite
+// code or the passcode; load the room with +passcodeHash to check passcodes.
+gameRoomSchema.methods.canJoin = async function (userId, { inviteCode, passcode } = {}) {
+  if (this.visibility !== 'private' || this.isInvited(userId)) {
+    return true;
+  }
+
+  if (inviteCode && inviteCode.toUpperCase() === this.inviteCode) {
+    return true;
+  }
+
+  if (passcode && this.passcodeHash) {
+    return await bcrypt.compare(String(passcode), this.passcodeHash);
+  }
+
+  return false;
+};
+
+// Method to add player to room; in team rooms the player joins the given or the smaller team
+gameRoomSchema.methods.addPlayer = function (userId, userName, team) {
   if (this.hasPlayer(userId)) {
     throw new Error('User already in room');
   }
@@ -116,14 +419,15 @@ gameRoomSchema.methods.addPlayer = function (userId, userName) {
   this.players.push({
     userId,
     name: userName,
-    joinedAt: new Date()
+    joinedAt: new Date(),
+    ...(this.mode === 'teams' && { team: this.pickTeam(team) })
   });
 
   return this;
 };
 
-// Method to start game
-gameRoomSchema.methods.startGame = function () {
+// Method to start game at the given platform fee rate, which is kept on the room
+gameRoomSchema.methods.startGame = function (feeRate) {
   if (this.status !== 'waiting') {
     throw new Error('Game can only be started from waiting status');
   }
@@ -134,21 +438,25 @@ gameRoomSchema.methods.startGame = function () {
 
   this.status = 'playing';
   this.startedAt = new Date();
+  const deadlineMinutes = parseInt(process.env.ROOM_RESULT_DEADLINE_MINUTES) || 60;
+  this.resultDeadline = new Date(this.startedAt.getTime() + deadlineMinutes * 60 * 1000);
 
-  // Calculate prize pool and fees
+  // Calculate prize pool, fees and the share of each paid position
   const totalAmount = this.amount * this.players.length;
-  const platformFeePercent = parseInt(process.env.PLATFORM_FEE_PERCENTAGE) || 10;
-  this.platformFee = Math.floor(totalAmount * platformFeePercent / 100);
+  this.feeRate = feeRate;
+  const { platformFee, winnerAmount, positionAmounts } = calculateWinnings(totalAmount, feeRate, this.payoutStructure);
+  this.platformFee = platformFee;
   this.totalPrizePool = totalAmount;
-  this.winnerAmount = totalAmount - this.platformFee;
+  this.winnerAmount = winnerAmount;
+  this.positionAmounts = positionAmounts;
 
   return this;
 };
 
-// Method to complete game
-gameRoomSchema.methods.completeGame = function (winnerId) {
-  if (this.status !== 'playing') {
-    throw new Error('Game can only be completed from playing status');
+// Method to complete game; rankings lists the paid positions, winner first
+gameRoomSchema.methods.completeGame = function (winnerId, rankings = [winnerId]) {
+  if (!['playing', 'escalated'].includes(this.status)) {
+    throw new Error('Game can only be completed from playing or escalated status');
   }
 
   if (!this.hasPlayer(winnerId)) {
@@ -157,11 +465,153 @@ gameRoomSchema.methods.completeGame = function (winnerId) {
 
   this.status = 'completed';
   this.winner = winnerId;
+  this.rankings = rankings;
   this.completedAt = new Date();
 
   return this;
 };
 
+// Method to report that the other players did not show up
+gameRoomSchema.methods.reportNoShow = function (userId, graceMinutes) {
+  if (this.status !== 'playing') {
+    throw new Error('No-show can only be reported while the game is in progress');
+  }
+
+  if (!this.hasPlayer(userId)) {
+    throw new Error('You are not a player in this room');
+  }
+
+  if (this.resultSubmissions.length > 0) {
+    throw new Error('A result has already been submitted for this room');
+  }
+
+  if (this.noShowReport && ['pending', 'contested'].includes(this.noShowReport.status)) {
+    throw new Error('A no-show has already been reported for this room');
+  }
+
+  const reportedAt = new Date();
+  this.noShowReport = {
+    reportedBy: userId,
+    reportedAt,
+    graceEndsAt: new Date(reportedAt.getTime() + graceMinutes * 60 * 1000),
+    status: 'pending'
+  };
+
+  return this;
+};
+
+// Method for a reported player to dispute a no-show report; the room goes to an admin
+gameRoomSchema.methods.contestNoShow = function (userId, reason) {
+  const report = this.noShowReport;
+  if (!report || report.status !== 'pending' || this.status !== 'playing') {
+    throw new Error('There is no pending no-show report for this room');
+  }
+
+  if (!this.hasPlayer(userId) || report.reportedBy.toString() === userId.toString()) {
+    throw new Error('Only a reported player can contest the no-show');
+  }
+
+  if (new Date() > report.graceEndsAt) {
+    throw new Error('The grace period to contest this no-show has ended');
+  }
+
+  report.status = 'contested';
+  report.contestedBy = userId;
+  report.contestedAt = new Date();
+  report.contestReason = reason;
+
+  this.status = 'escalated';
+  this.escalatedAt = new Date();
+  this.escalationReason = 'No-show report contested';
+
+  return this;
+};
+
+// Method to get how many positions the room pays
+gameRoomSchema.methods.getPaidPositions = function () {
+  return this.payoutStructure?.length || 1;
+};
+
+// Method to check a ranking of the paid positions (winner first): every paid position
+// is filled by a different player in the room. Returns the ranking cut to the paid positions.
+gameRoomSchema.methods.checkRankings = function (rankings) {
+  const paidPositions = this.getPaidPositions();
+  const ranked = rankings.slice(0, paidPositions).map(userId => userId.toString());
+
+  if (ranked.length < paidPositions) {
+    throw new Error(`Rank the players in all ${paidPositions} paid positions`);
+  }
+
+  if (new Set(ranked).size !== ranked.length) {
+    throw new Error('A player can only be ranked once');
+  }
+
+  if (!ranked.every(userId => this.hasPlayer(userId))) {
+    throw new Error('Ranked players must be players in the room');
+  }
+
+  return ranked;
+};
+
+// Method to check whether the submitted results agree on the winner and, in rooms that
+// pay several positions, on the whole ranking. An agreed result is corroborated when a
+// player other than the winner (or the winner's teammates) submitted it.
+gameRoomSchema.methods.getResultConsensus = function () {
+  const rankingOf = (submission) => submission.rankings?.length ? submission.rankings : [submission.winnerId];
+  const results = new Set(this.resultSubmissions.map(submission => rankingOf(submission).join(',')));
+  const agreed = results.size === 1;
+  const winnerId = agreed ? this.resultSubmissions[0].winnerId : null;
+
+  const winnerSide = !agreed
+    ? []
+    : (this.mode === 'teams' ? this.getTeamPlayers(this.getTeam(winnerId)) : [winnerId]).map(String);
+
+  return {
+    agreed,
+    winnerId,
+    rankings: agreed ? rankingOf(this.resultSubmissions[0]) : null,
+    complete: this.resultSubmissions.length >= this.players.length,
+    corroborated: agreed && this.resultSubmissions.some(submission => !winnerSide.includes(submission.userId.toString()))
+  };
+};
+
+// Static method to record one player's result (rankings of the paid positions, winner
+// first). Returns null if the room is no longer playing or the player already submitted,
+// so concurrent submissions cannot be lost.
+gameRoomSchema.statics.addResultSubmission = async function (roomId, userId, rankings, windowMinutes) {
+  const submittedAt = new Date();
+
+  return await this.findOneAndUpdate(
+    { _id: roomId, status: 'playing', 'resultSubmissions.userId': { $ne: userId } },
+    {
+      $push: { resultSubmissions: { userId, winnerId: rankings[0], rankings, submittedAt } },
+      // Only the first submission opens the window
+      $min: { resultConfirmationDeadline: new Date(submittedAt.getTime() + windowMinutes * 60 * 1000) }
+    },
+    { new: true }
+  );
+};
+
+// Static method to generate an unused room ID (LK + 6 random digits), or null if none was found
+gameRoomSchema.statics.generateRoomId = async function (attempts = 10) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const randomNum = Math.floor(100000 + Math.random() * 900000);
+    const roomId = `LK${randomNum}`;
+    if (!(await this.exists({ roomId }))) {
+      return roomId;
+    }
+  }
+  return null;
+};
+
+// Static method to check a payout structure before creating a room
+gameRoomSchema.statics.isValidPayoutStructure = isValidPayoutStructure;
+
+// Static method to generate an invite code for a private room
+gameRoomSchema.statics.generateInviteCode = function () {
+  return Array.from(crypto.randomBytes(8), byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+};
+
 // Pre-save middleware to generate room ID if not provided
 gameRoomSchema.pre('save', function (next) {
   if (!this.roomId && this.isNew) {
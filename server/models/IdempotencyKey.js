@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// First response of a request sent with an Idempotency-Key header, replayed for retries
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of method, path and body, so a key cannot be reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Claim a key for a request. Returns { record, created }; created is false when the key was already used.
+idempotencyKeySchema.statics.claim = async function (userId, key, { method, path, requestHash }) {
+  const ttlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+  const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+  try {
+    const record = await this.create({ key, userId, method, path, requestHash, expiresAt });
+    return { record, created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // The TTL monitor runs about once a minute, so an expired key can still be here
+  const existing = await this.findOne({ userId, key });
+  if (existing && existing.expiresAt <= new Date()) {
+    const record = await this.findOneAndUpdate(
+      { _id: existing._id, expiresAt: existing.expiresAt },
+      {
+        method,
+        path,
+        requestHash,
+        status: 'in_progress',
+        expiresAt,
+        $unset: { responseStatus: 1, responseBody: 1, completedAt: 1 }
+      },
+      { new: true }
+    );
+    if (record) {
+      return { record, created: true };
+    }
+    return { record: await this.findOne({ userId, key }), created: false };
+  }
+
+  return { record: existing, created: false };
+};
+
+// Store the response so later retries get exactly the same answer
+idempotencyKeySchema.methods.complete = async function (responseStatus, responseBody) {
+  this.status = 'completed';
+  this.responseStatus = responseStatus;
+  this.responseBody = responseBody;
+  this.completedAt = new Date();
+  return await this.save();
+};
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
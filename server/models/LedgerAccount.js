@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+// Platform-level accounts. Their balances are aggregated from entries rather than kept
+// on a document, so busy accounts like prize_escrow never become a write hotspot.
+// Every user also gets a `user_wallet:<userId>` liability account, stored below.
+export const SYSTEM_ACCOUNTS = {
+  gateway_clearing: { name: 'Payment gateway clearing', type: 'asset' },
+  prize_escrow: { name: 'Prize escrow (entry fees held for games)', type: 'liability' },
+  platform_fee_revenue: { name: 'Platform fee revenue', type: 'revenue' },
+  adjustments: { name: 'Manual adjustments', type: 'expense' },
+  opening_balances: { name: 'Opening balances', type: 'equity' }
+};
+
+// Asset and expense accounts grow with debits, the others with credits
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+export const userWalletCode = (userId) => `user_wallet:${userId}`;
+
+export const accountType = (code) => {
+  return code.startsWith('user_wallet:') ? 'liability' : SYSTEM_ACCOUNTS[code]?.type;
+};
+
+const ledgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Account code is required'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'equity', 'revenue', 'expense'],
+    default: 'liability'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Running balance, updated with every entry; User.balance is a projection of it
+  balance: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerAccountSchema.index({ userId: 1 }, { unique: true, sparse: true });
+
+// Signed effect of a debit or credit on an account of this type
+ledgerAccountSchema.statics.balanceChange = function (type, direction, amount) {
+  const increases = DEBIT_NORMAL_TYPES.includes(type) ? direction === 'debit' : direction === 'credit';
+  return increases ? amount : -amount;
+};
+
+// Find or lazily open a user's wallet account. Users who had a balance before the ledger
+// existed get it carried over with an opening entry, so the wallet matches User.balance.
+ledgerAccountSchema.statics.ensureUserWallet = async function (userId, session) {
+  const code = userWalletCode(userId);
+  const existing = await this.findOne({ code }).session(session || null);
+  if (existing) {
+    return existing;
+  }
+
+  const User = mongoose.model('User');
+  const user = await User.findById(userId).select('name phone balance').session(session || null);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [account] = await this.create([{
+    code,
+    name: `Wallet - ${user.name} (${user.phone})`,
+    type: 'liability',
+    userId,
+    balance: 0
+  }], { session });
+
+  if (user.balance > 0) {
+    const LedgerEntry = mongoose.model('LedgerEntry');
+    await LedgerEntry.post({
+      description: 'Opening wallet balance',
+      userId,
+      lines: [
+        { accountCode: 'opening_balances', direction: 'debit', amount: user.balance },
+        { accountCode: code, direction: 'credit', amount: user.balance }
+      ]
+    }, { session });
+    return await this.findOne({ code }).session(session || null);
+  }
+
+  return account;
+};
+
+export default mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import LedgerAccount, { SYSTEM_ACCOUNTS, userWalletCode, accountType } from './LedgerAccount.js';
+
+// Transaction types that move money into a user's wallet; the rest move it out
+const WALLET_CREDIT_TYPES = ['deposit', 'game_win', 'refund'];
+
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+// Account on the other side of a wallet movement when the caller does not name one:
+// game money goes through escrow, everything else through the payment gateway
+const defaultCounterAccount = (transaction) => {
+  if (['game_win', 'game_loss', 'entry_hold'].includes(transaction.type) || transaction.gameRoomId || transaction.tournamentId) {
+    return 'prize_escrow';
+  }
+  return 'gateway_clearing';
+};
+
+const ledgerLineSchema = new mongoose.Schema({
+  accountCode: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Ledger amounts must be positive']
+  }
+}, { _id: false });
+
+// One balanced journal posting: the debits always equal the credits
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    unique: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: function (lines) {
+        const total = (direction) => lines
+          .filter(line => line.direction === direction)
+          .reduce((sum, line) => sum + line.amount, 0);
+        return lines.length >= 2 && Math.abs(total('debit') - total('credit')) < 0.005;
+      },
+      message: 'Ledger entry is not balanced'
+    }
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gameRoomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameRoom'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ 'lines.accountCode': 1, createdAt: -1 });
+ledgerEntrySchema.index({ transactionId: 1 });
+ledgerEntrySchema.index({ userId: 1, createdAt: -1 });
+
+// Pre-save middleware to generate entry ID
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.entryId) {
+    const timestamp = Date.now();
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.entryId = `LED${timestamp}${random}`;
+  }
+  next();
+});
+
+// Static method to post a balanced entry and move the wallet account balances it touches.
+// Throws 'Insufficient balance' if a wallet would go below zero. Pass a session to make
+// the posting part of the caller's transaction.
+ledgerEntrySchema.statics.post = async function ({ description, lines, transactionId, userId, gameRoomId }, { session } = {}) {
+  const normalized = lines
+    .map(line => ({ ...line, amount: roundAmount(line.amount) }))
+    .filter(line => line.amount > 0);
+
+  const walletLines = normalized.filter(line => line.accountCode.startsWith('user_wallet:'));
+
+  for (const line of normalized) {
+    if (!accountType(line.accountCode)) {
+      throw new Error(`Unknown ledger account ${line.accountCode}`);
+    }
+  }
+
+  // Open new wallets first, so their opening balance is posted ahead of this entry
+  for (const line of walletLines) {
+    await LedgerAccount.ensureUserWallet(line.accountCode.replace('user_wallet:', ''), session);
+  }
+
+  const [entry] = await this.create([{
+    description,
+    lines: normalized,
+    transactionId,
+    userId,
+    gameRoomId
+  }], { session });
+
+  const wallets = {};
+  for (const line of walletLines) {
+    const change = LedgerAccount.balanceChange('liability', line.direction, line.amount);
+    const wallet = await LedgerAccount.findOneAndUpdate(
+      { code: line.accountCode, ...(change < 0 && { balance: { $gte: -change } }) },
+      { $inc: { balance: change } },
+      { new: true, session }
+    );
+
+    if (!wallet) {
+      throw new Error('Insufficient balance');
+    }
+    wallets[line.accountCode] = wallet;
+  }
+
+  return { entry, wallets };
+};
+
+// Static method to post the entry for a wallet transaction. The wallet side is the
+// transaction's user; counterAccount overrides the default other side, and platformFee
+// (game wins only) releases that part of the escrow to fee revenue in the same entry.
+// Returns the wallet balance before and after, for the transaction record and User.balance.
+ledgerEntrySchema.statics.postForTransaction = async function (transaction, { counterAccount, platformFee = 0, session } = {}) {
+  const wallet = userWalletCode(transaction.userId);
+  const counter = counterAccount || defaultCounterAccount(transaction);
+  const amount = roundAmount(transaction.amount);
+  const fee = transaction.type === 'game_win' ? roundAmount(platformFee) : 0;
+
+  if (!SYSTEM_ACCOUNTS[counter]) {
+    throw new Error(`Unknown ledger account ${counter}`);
+  }
+
+  const lines = WALLET_CREDIT_TYPES.includes(transaction.type)
+    ? [
+      { accountCode: counter, direction: 'debit', amount: amount + fee },
+      { accountCode: wallet, direction: 'credit', amount },
+      ...(fee > 0 ? [{ accountCode: 'platform_fee_revenue', direction: 'credit', amount: fee }] : [])
+    ]
+    : [
+      { accountCode: wallet, direction: 'debit', amount },
+      { accountCode: counter, direction: 'credit', amount }
+    ];
+
+  const { entry, wallets } = await this.post({
+    description: transaction.description,
+    lines,
+    transactionId: transaction._id,
+    userId: transaction.userId,
+    gameRoomId: transaction.gameRoomId
+  }, { session });
+
+  const balanceAfter = roundAmount(wallets[wallet].balance);
+  const change = LedgerAccount.balanceChange('liability', lines.find(l => l.accountCode === wallet).direction, amount);
+
+  return { entry, balanceBefore: roundAmount(balanceAfter - change), balanceAfter };
+};
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// A user waiting in the matchmaking queue for a room of one game type, stake and size.
+// Tickets with the same gameType, amount and maxPlayers are matched oldest first.
+const matchTicketSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  gameType: {
+    type: String,
+    enum: ['Ludo', 'Snakes & Ladders', 'Carrom'],
+    default: 'Ludo'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Game amount is required'],
+    // The allowed range is a platform setting, checked when the ticket is queued
+    min: [1, 'Minimum game amount is ₹1']
+  },
+  maxPlayers: {
+    type: Number,
+    min: [2, 'Minimum 2 players required'],
+    max: [4, 'Maximum 4 players allowed'],
+    default: 2
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'matched', 'cancelled', 'expired'],
+    default: 'queued'
+  },
+  // The ticket expires if no match is found before this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  matchedAt: Date,
+  gameRoomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameRoom'
+  },
+  roomId: String,
+  cancelledAt: Date,
+  cancelReason: {
+    type: String,
+    enum: ['user', 'insufficient_balance', 'account_inactive']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+// A user can only wait in one queue at a time
+matchTicketSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'queued' } });
+matchTicketSchema.index({ userId: 1, createdAt: -1 });
+matchTicketSchema.index({ status: 1, gameType: 1, amount: 1, maxPlayers: 1, createdAt: 1 });
+matchTicketSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model('MatchTicket', matchTicketSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: [
+      'room_expired',
+      'room_cancelled',
+      'room_escalated',
+      'no_show_reported',
+      'no_show_contested',
+      'no_show_awarded',
+      'result_submitted',
+      'result_confirmed',
+      'result_disputed',
+      'dispute_opened',
+      'dispute_message',
+      'dispute_info_requested',
+      'dispute_resolved',
+      'room_invitation',
+      'match_found',
+      'tournament_match',
+      'tournament_eliminated',
+      'tournament_completed',
+      'tournament_cancelled',
+      'general'
+    ],
+    default: 'general'
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true
+  },
+  // Ids the app needs to deep link, e.g. roomId or transactionId
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+// Old notifications are removed after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -74,7 +74,7 @@ otpSchema.methods.verify = function (providedOtp) {
 };
 
 // Static method to generate and save OTP
-otpSchema.statics.generateAndSave = async function (phone, purpose = 'signup') {
+otpSchema.statics.generateAndSave = async function (phone, purpose = 'signup', expiryMinutes) {
   // Invalidate any existing unused OTPs for this phone
   await this.updateMany(
     { phone, isUsed: false },
@@ -85,7 +85,6 @@ otpSchema.statics.generateAndSave = async function (phone, purpose = 'signup') {
   const otp = Math.floor(100000 + Math.random() * 900000).toString();
 
   // Set expiry time
-  const expiryMinutes = parseInt(process.env.OTP_EXPIRY_MINUTES) || 5;
   const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
 
   // Create and save OTP
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Every inbound payment gateway webhook, stored once per event ID for audits
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  // Gateway-side creation time, used to spot stale or replayed deliveries
+  eventCreatedAt: Date,
+  entityId: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  signature: String,
+  rawBody: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  deliveryCount: {
+    type: Number,
+    default: 1
+  },
+  lastDeliveredAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date,
+  result: String,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ entityId: 1 });
+paymentEventSchema.index({ transactionId: 1 });
+
+// Store an incoming delivery, or bump the delivery count if we have seen this event before
+paymentEventSchema.statics.recordDelivery = async function (provider, event, rawBody, signature, payload) {
+  return await this.findOneAndUpdate(
+    { provider, eventId: event.eventId },
+    {
+      $setOnInsert: {
+        type: event.type,
+        eventCreatedAt: event.createdAt,
+        entityId: event.payment?.id || event.refund?.id || event.payout?.id,
+        signature,
+        rawBody,
+        payload,
+        status: 'received'
+      },
+      $inc: { deliveryCount: 1 },
+      $set: { lastDeliveredAt: new Date() }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: false }
+  );
+};
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+// The platform's runtime-configurable values. Every field is required, so a version
+// always holds the complete set.
+const settingsValuesSchema = new mongoose.Schema({
+  platformFeePercent: {
+    type: Number,
+    required: true,
+    min: [0, 'Platform fee cannot be negative'],
+    max: [50, 'Platform fee cannot exceed 50%']
+  },
+  minWithdrawalAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Minimum withdrawal must be at least ₹1']
+  },
+  maxWithdrawalAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Maximum withdrawal must be at least ₹1']
+  },
+  minDepositAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Minimum deposit must be at least ₹1']
+  },
+  maxDepositAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Maximum deposit must be at least ₹1']
+  },
+  minRoomAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Minimum room amount must be at least ₹1']
+  },
+  maxRoomAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Maximum room amount must be at least ₹1']
+  },
+  otpExpiryMinutes: {
+    type: Number,
+    required: true,
+    min: [1, 'OTP expiry must be at least 1 minute'],
+    max: [60, 'OTP expiry cannot exceed 60 minutes']
+  },
+  // Admin balance adjustments and refunds above this need a second admin's approval
+  approvalThresholdAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Approval threshold cannot be negative']
+  }
+}, { _id: false });
+
+const changeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Each change to the settings is saved as a new version; versions are never edited, so
+// the collection is the settings' history and the highest version is in effect.
+const settingsSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  values: {
+    type: settingsValuesSchema,
+    required: true
+  },
+  changes: [changeSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+export const SETTING_KEYS = Object.keys(settingsValuesSchema.paths);
+
+// Static method to get the version in effect (null until the settings are first changed)
+settingsSchema.statics.getLatest = function () {
+  return this.findOne().sort({ version: -1 });
+};
+
+export default mongoose.model('Settings', settingsSchema);
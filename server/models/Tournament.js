@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+
+const participantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  registeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['registered', 'playing', 'eliminated', 'champion'],
+    default: 'registered'
+  },
+  eliminatedInRound: Number,
+  // Players knocked out in the same round share their places, e.g. 3-4 for both semi-final losers
+  placeFrom: Number,
+  placeTo: Number,
+  prize: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// One game of a round. Only the winner advances; a player drawn alone gets a bye.
+const matchSchema = new mongoose.Schema({
+  matchNumber: {
+    type: Number,
+    required: true
+  },
+  players: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  gameRoomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameRoom'
+  },
+  roomId: String,
+  status: {
+    type: String,
+    enum: ['playing', 'completed', 'bye'],
+    default: 'playing'
+  },
+  winnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date
+}, { _id: false });
+
+const roundSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  matches: [matchSchema],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, { _id: false });
+
+const prizeSchema = new mongoose.Schema({
+  place: {
+    type: Number,
+    required: true,
+    min: [1, 'Place must be at least 1']
+  },
+  // Share of the prize pool after the platform fee
+  percent: {
+    type: Number,
+    required: true,
+    min: [0, 'Prize percent cannot be negative'],
+    max: [100, 'Prize percent cannot exceed 100']
+  }
+}, { _id: false });
+
+const tournamentSchema = new mongoose.Schema({
+  tournamentId: {
+    type: String,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Tournament name is required'],
+    trim: true,
+    maxlength: [100, 'Name must not exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description must not exceed 1000 characters']
+  },
+  gameType: {
+    type: String,
+    default: 'Ludo',
+    enum: ['Ludo', 'Snakes & Ladders', 'Carrom']
+  },
+  entryFee: {
+    type: Number,
+    required: [true, 'Entry fee is required'],
+    min: [10, 'Minimum entry fee is ₹10'],
+    max: [10000, 'Maximum entry fee is ₹10,000']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [2, 'Minimum 2 participants'],
+    max: [256, 'Maximum 256 participants']
+  },
+  // Below this many registrations at startsAt the tournament is cancelled and refunded
+  minParticipants: {
+    type: Number,
+    default: 2,
+    min: [2, 'Minimum 2 participants']
+  },
+  playersPerMatch: {
+    type: Number,
+    default: 2,
+    min: [2, 'Minimum 2 players per match'],
+    max: [4, 'Maximum 4 players per match']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  prizeTable: {
+    type: [prizeSchema],
+    validate: {
+      validator: function (prizes) {
+        const places = prizes.map(prize => prize.place);
+        const total = prizes.reduce((sum, prize) => sum + prize.percent, 0);
+        return places.includes(1) && new Set(places).size === places.length && Math.abs(total - 100) < 0.01;
+      },
+      message: 'Prize table must include place 1, list each place once and add up to 100%'
+    }
+  },
+  platformFeePercent: {
+    type: Number,
+    default: 10
+  },
+  status: {
+    type: String,
+    enum: ['registration', 'in_progress', 'completed', 'cancelled'],
+    default: 'registration'
+  },
+  participants: [participantSchema],
+  rounds: [roundSchema],
+  currentRound: {
+    type: Number,
+    default: 0
+  },
+  // Set when the tournament starts
+  prizePool: {
+    type: Number,
+    default: 0
+  },
+  platformFee: {
+    type: Number,
+    default: 0
+  },
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  cancelReason: String
+}, {
+  timestamps: true,
+  // Starting, advancing and cancelling rewrite the bracket; concurrent writers must not overwrite each other
+  optimisticConcurrency: true
+});
+
+// Indexes for performance
+tournamentSchema.index({ status: 1, startsAt: 1 });
+tournamentSchema.index({ 'participants.userId': 1 });
+tournamentSchema.index({ createdAt: -1 });
+
+// Virtual for the number of registered players
+tournamentSchema.virtual('participantCount').get(function () {
+  return this.participants.length;
+});
+
+// Pre-save middleware to generate tournament ID
+tournamentSchema.pre('save', function (next) {
+  if (!this.tournamentId) {
+    const timestamp = Date.now();
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.tournamentId = `TRN${timestamp}${random}`;
+  }
+  next();
+});
+
+// Method to check if user is registered
+tournamentSchema.methods.hasParticipant = function (userId) {
+  return this.participants.some(participant => participant.userId.toString() === userId.toString());
+};
+
+// Method to get the round being played
+tournamentSchema.methods.getCurrentRound = function () {
+  return this.rounds.find(round => round.number === this.currentRound);
+};
+
+export default mongoose.model('Tournament', tournamentSchema);
@@ -1,4 +1,22 @@
 import mongoose from 'mongoose';
+import LedgerEntry from './LedgerEntry.js';
+
+// Entry fees of games that were actually played: settled holds plus legacy game_loss records
+export const PLAYED_ENTRY_FEES = {
+  $or: [
+    { type: 'game_loss' },
+    { type: 'entry_hold', holdStatus: { $in: ['won', 'lost'] } }
+  ]
+};
+
+// Aggregation key that splits entry holds by outcome (entry_hold_held, entry_hold_lost, ...)
+export const TYPE_WITH_HOLD_STATUS = {
+  $cond: [
+    { $eq: ['$type', 'entry_hold'] },
+    { $concat: ['entry_hold_', { $ifNull: ['$holdStatus', 'held'] }] },
+    '$type'
+  ]
+};
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -8,7 +26,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'game_win', 'game_loss', 'refund'],
+    enum: ['deposit', 'withdrawal', 'game_win', 'game_loss', 'refund', 'entry_hold'],
     required: [true, 'Transaction type is required']
   },
   amount: {
@@ -23,13 +41,24 @@ const transactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
     default: 'completed'
   },
   gameRoomId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'GameRoom'
   },
+  // Set instead of gameRoomId for tournament entry fees, refunds and prizes
+  tournamentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament'
+  },
+  // Entry fees sit in the room's escrow until the game ends:
+  // held -> won/lost when it is settled, or released when the stake is returned
+  holdStatus: {
+    type: String,
+    enum: ['held', 'won', 'lost', 'released']
+  },
   upiId: {
     type: String,
     trim: true,
@@ -48,6 +77,7 @@ const transactionSchema = new mongoose.Schema({
   },
   paymentId: String,
   orderId: String,
+  payoutId: String,
   balanceBefore: {
     type: Number,
     required: true
@@ -65,7 +95,14 @@ const transactionSchema = new mongoose.Schema({
     roomCode: String,
     paymentMethod: String,
     failureReason: String,
-    adminNotes: String
+    adminNotes: String,
+    originalTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    refundId: String,
+    payoutStatus: String,
+    utr: String
   }
 }, {
   timestamps: true
@@ -75,7 +112,11 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ status: 1 });
-transactionSchema.index({ gameRoomId: 1 });
+transactionSchema.index({ gameRoomId: 1, type: 1, holdStatus: 1 });
+transactionSchema.index({ tournamentId: 1, type: 1, holdStatus: 1 }, { sparse: true });
+transactionSchema.index({ orderId: 1 }, { sparse: true });
+transactionSchema.index({ paymentId: 1 }, { sparse: true });
+transactionSchema.index({ payoutId: 1 }, { sparse: true });
 
 // Pre-save middleware to generate transaction ID
 transactionSchema.pre('save', function(next) {
@@ -87,56 +128,272 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to create transaction with balance update
-transactionSchema.statics.createWithBalanceUpdate = async function(userId, type, amount, description, additionalData = {}) {
+// Static method to create transaction with balance update.
+// The movement is posted to the ledger first and User.balance is set from the wallet account.
+// Options: session to run inside a caller's transaction (the caller commits), counterAccount
+// to name the other ledger account (see LedgerEntry.postForTransaction) and platformFee for game wins.
+transactionSchema.statics.createWithBalanceUpdate = async function(userId, type, amount, description, additionalData = {}, options = {}) {
   const User = mongoose.model('User');
-  const session = await mongoose.startSession();
+  const ownSession = !options.session;
+  const session = options.session || await mongoose.startSession();
   
   try {
-    session.startTransaction();
+    if (ownSession) session.startTransaction();
     
-    // Get current user balance
     const user = await User.findById(userId).session(session);
     if (!user) {
       throw new Error('User not found');
     }
     
-    const balanceBefore = user.balance;
-    let balanceAfter = balanceBefore;
+    const transaction = new this({
+      userId,
+      type,
+      amount,
+      description,
+      ...additionalData
+    });
     
-    // Calculate new balance based on transaction type
-    if (type === 'deposit' || type === 'game_win' || type === 'refund') {
-      balanceAfter = balanceBefore + amount;
-    } else if (type === 'withdrawal' || type === 'game_loss') {
-      balanceAfter = balanceBefore - amount;
-      if (balanceAfter < 0) {
-        throw new Error('Insufficient balance');
-      }
-    }
+    // Throws 'Insufficient balance' if a debit would take the wallet below zero
+    const { balanceBefore, balanceAfter } = await LedgerEntry.postForTransaction(transaction, {
+      counterAccount: options.counterAccount,
+      platformFee: options.platformFee,
+      session
+    });
     
-    // Update user balance
+    // Update user balance (projection of the ledger wallet account)
     await User.findByIdAndUpdate(
       userId, 
       { balance: balanceAfter },
       { session }
     );
     
-    // Create transaction record
-    const transaction = await this.create([{
-      userId,
-      type,
-      amount,
-      description,
-      balanceBefore,
-      balanceAfter,
-      ...additionalData
-    }], { session });
+    transaction.balanceBefore = balanceBefore;
+    transaction.balanceAfter = balanceAfter;
+    await transaction.save({ session });
     
-    await session.commitTransaction();
-    return transaction[0];
+    if (ownSession) await session.commitTransaction();
+    return transaction;
     
   } catch (error) {
-    await session.abortTransaction();
+    if (ownSession) await session.abortTransaction();
+    throw error;
+  } finally {
+    if (ownSession) session.endSession();
+  }
+};
+
+// Static method to record a deposit that is waiting for the payment gateway
+transactionSchema.statics.createPendingDeposit = async function(userId, amount, orderId, additionalData = {}) {
+  const User = mongoose.model('User');
+
+  const user = await User.findById(userId).select('balance');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Balance is untouched until the payment is confirmed
+  return await this.create({
+    userId,
+    type: 'deposit',
+    amount,
+    description: 'Money Added to Wallet',
+    status: 'pending',
+    orderId,
+    balanceBefore: user.balance,
+    balanceAfter: user.balance,
+    ...additionalData
+  });
+};
+
+// Static method to credit a pending deposit once the gateway confirmed the payment.
+// Safe to call repeatedly: only the first call for an order credits the wallet.
+transactionSchema.statics.completeDeposit = async function(orderId, paymentId) {
+  const User = mongoose.model('User');
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    // Claim the deposit; a failed deposit can still be completed by a later successful payment
+    const transaction = await this.findOneAndUpdate(
+      { orderId, type: 'deposit', status: { $in: ['pending', 'failed'] } },
+      { status: 'completed', paymentId, $unset: { 'metadata.failureReason': 1 } },
+      { new: true, session }
+    );
+
+    if (!transaction) {
+      await session.abortTransaction();
+      const existing = await this.findOne({ orderId, type: 'deposit' });
+      if (!existing) {
+        throw new Error('Deposit not found');
+      }
+      return { transaction: existing, credited: false };
+    }
+
+    const { balanceBefore, balanceAfter } = await LedgerEntry.postForTransaction(transaction, { session });
+
+    const user = await User.findByIdAndUpdate(
+      transaction.userId,
+      { balance: balanceAfter },
+      { new: true, session }
+    );
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    transaction.balanceBefore = balanceBefore;
+    transaction.balanceAfter = balanceAfter;
+    await transaction.save({ session });
+
+    await session.commitTransaction();
+    return { transaction, credited: true };
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Static method to mark a pending deposit as failed (no balance change)
+transactionSchema.statics.failDeposit = async function(orderId, reason) {
+  return await this.findOneAndUpdate(
+    { orderId, type: 'deposit', status: 'pending' },
+    { status: 'failed', 'metadata.failureReason': reason },
+    { new: true }
+  );
+};
+
+// Static method to reverse a deposit the gateway refunded to the customer.
+// Deposits that were never credited are just marked refunded.
+transactionSchema.statics.refundDeposit = async function(orderId, refundId) {
+  const uncredited = await this.findOneAndUpdate(
+    { orderId, type: 'deposit', status: { $in: ['pending', 'failed'] } },
+    { status: 'refunded', 'metadata.refundId': refundId },
+    { new: true }
+  );
+  if (uncredited) {
+    return { transaction: uncredited, reversal: null };
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const transaction = await this.findOneAndUpdate(
+      { orderId, type: 'deposit', status: 'completed' },
+      { status: 'refunded', 'metadata.refundId': refundId },
+      { new: true, session }
+    );
+
+    if (!transaction) {
+      await session.abortTransaction();
+      return { transaction: await this.findOne({ orderId, type: 'deposit' }), reversal: null };
+    }
+
+    // Take the refunded money back out of the wallet
+    const reversal = await this.createWithBalanceUpdate(
+      transaction.userId,
+      'withdrawal',
+      transaction.amount,
+      `Deposit ${transaction.transactionId} refunded by payment gateway`,
+      {
+        paymentId: transaction.paymentId,
+        metadata: {
+          originalTransactionId: transaction._id,
+          refundId
+        }
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+    return { transaction, reversal };
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Static method to mark a withdrawal as paid out by the gateway
+transactionSchema.statics.completePayout = async function(transactionId, payout) {
+  return await this.findOneAndUpdate(
+    { _id: transactionId, type: 'withdrawal', status: 'pending' },
+    {
+      status: 'completed',
+      payoutId: payout.id,
+      'metadata.payoutStatus': payout.status,
+      'metadata.utr': payout.utr
+    },
+    { new: true }
+  );
+};
+
+// Static method to fail (or reverse) a withdrawal payout and return the money to the wallet
+transactionSchema.statics.failPayout = async function(transactionId, payout) {
+  const WithdrawalRequest = mongoose.model('WithdrawalRequest');
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    // A reversal can arrive after the payout was processed, so completed payouts can fail too
+    const transaction = await this.findOneAndUpdate(
+      { _id: transactionId, type: 'withdrawal', status: { $in: ['pending', 'completed'] } },
+      {
+        status: 'failed',
+        payoutId: payout.id,
+        'metadata.payoutStatus': payout.status,
+        'metadata.failureReason': payout.failureReason || `Payout ${payout.status}`
+      },
+      { new: true, session }
+    );
+
+    if (!transaction) {
+      await session.abortTransaction();
+      return { transaction: null, refund: null };
+    }
+
+    const refund = await this.createWithBalanceUpdate(
+      transaction.userId,
+      'refund',
+      transaction.amount,
+      `Withdrawal refund - payout ${payout.status}`,
+      {
+        metadata: {
+          originalTransactionId: transaction._id,
+          failureReason: payout.failureReason
+        }
+      },
+      { session }
+    );
+
+    await WithdrawalRequest.findOneAndUpdate(
+      { transactionId: transaction._id },
+      {
+        status: 'failed',
+        rejectionReason: payout.failureReason || `Payout ${payout.status}`,
+        processedAt: new Date()
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+    return { transaction, refund };
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     throw error;
   } finally {
     session.endSession();
@@ -22,11 +22,19 @@ const userSchema = new mongoose.Schema({
       message: 'Please enter a valid Indian mobile number (10 digits starting with 6-9)'
     }
   },
+  // Optional public handle, e.g. to be invited to a private room
+  username: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]{3,20}$/, 'Username must be 3-20 letters, digits or underscores']
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Projection of the user's ledger wallet account; only changed through Transaction statics
   balance: {
     type: Number,
     default: 0,
@@ -71,6 +79,7 @@ const userSchema = new mongoose.Schema({
 
 // Indexes for performance
 userSchema.index({ phone: 1 }, { unique: true });
+userSchema.index({ username: 1 }, { unique: true, sparse: true });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ isActive: 1 });
 
@@ -108,14 +117,4 @@ userSchema.methods.incrementGameStats = async function (won = false, winAmount =
   return await this.save();
 };
 
-// Method to update balance
-userSchema.methods.updateBalance = async function (amount, description) {
-  const newBalance = this.balance + amount;
-  if (newBalance < 0) {
-    throw new Error('Insufficient balance');
-  }
-  this.balance = newBalance;
-  return await this.save();
-};
-
 export default mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,5 +1,41 @@
 import mongoose from 'mongoose';
 
+// An uploaded screenshot. "claim" evidence backs the declared winner, "counter"
+// evidence comes from a player disputing it.
+export const evidenceFileSchema = new mongoose.Schema({
+    fileId: {
+        type: String,
+        required: true
+    },
+    // Storage key, only ever served through the API
+    key: {
+        type: String,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['claim', 'counter'],
+        default: 'claim'
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    mimeType: String,
+    size: Number,
+    originalName: String,
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const winnerRequestSchema = new mongoose.Schema({
     roomId: {
         type: String,
@@ -21,6 +57,11 @@ const winnerRequestSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Players in the paid positions, winner first, for rooms that pay several positions
+    rankings: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     status: {
         type: String,
         enum: ['pending', 'approved', 'rejected'],
@@ -47,8 +88,33 @@ const winnerRequestSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Results submitted by the players; a disputed request is one where they disagree
+    submissions: [{
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        winnerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        rankings: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        submittedAt: Date,
+        _id: false
+    }],
+    isDisputed: {
+        type: Boolean,
+        default: false
+    },
+    autoApproved: {
+        type: Boolean,
+        default: false
+    },
     evidence: {
-        screenshots: [String],
+        screenshots: [evidenceFileSchema],
         description: String
     }
 }, {
@@ -58,6 +124,7 @@ const winnerRequestSchema = new mongoose.Schema({
 // Indexes
 winnerRequestSchema.index({ roomId: 1 });
 winnerRequestSchema.index({ status: 1 });
+winnerRequestSchema.index({ isDisputed: 1, status: 1 });
 winnerRequestSchema.index({ createdAt: -1 });
 winnerRequestSchema.index({ gameRoomId: 1 });
 
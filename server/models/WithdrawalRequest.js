@@ -29,7 +29,7 @@ const withdrawalRequestSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        enum: ['pending', 'approved', 'rejected', 'cancelled', 'failed'],
         default: 'pending'
     },
     requestedAt: {
@@ -53,6 +53,10 @@ const withdrawalRequestSchema = new mongoose.Schema({
         type: String, // URL or reference to payment proof
         trim: true
     },
+    payoutId: {
+        type: String, // Gateway payout ID when paid out automatically
+        trim: true
+    },
     userInfo: {
         name: {
             type: String,
@@ -72,8 +76,9 @@ withdrawalRequestSchema.index({ userId: 1, status: 1 });
 withdrawalRequestSchema.index({ status: 1, createdAt: -1 });
 withdrawalRequestSchema.index({ transactionId: 1 });
 
-// Method to approve withdrawal
-withdrawalRequestSchema.methods.approve = async function (adminId, notes = '') {
+// Method to approve withdrawal.
+// With a gateway payout the transaction stays pending until the payout webhook settles it.
+withdrawalRequestSchema.methods.approve = async function (adminId, notes = '', payout = null) {
     if (this.status !== 'pending') {
         throw new Error('Only pending withdrawals can be approved');
     }
@@ -85,11 +90,24 @@ withdrawalRequestSchema.methods.approve = async function (adminId, notes = '') {
 
     // Update related transaction status
     const Transaction = mongoose.model('Transaction');
-    await Transaction.findByIdAndUpdate(this.transactionId, {
-        status: 'completed',
-        'metadata.adminNotes': notes,
-        'metadata.processedBy': adminId
-    });
+    if (payout) {
+        this.payoutId = payout.payoutId;
+        await Transaction.findByIdAndUpdate(this.transactionId, {
+            payoutId: payout.payoutId,
+            'metadata.adminNotes': notes
+        });
+        // The webhook may already have settled the payout, so only fill in a still-pending status
+        await Transaction.findOneAndUpdate(
+            { _id: this.transactionId, status: 'pending' },
+            { 'metadata.payoutStatus': payout.status }
+        );
+    } else {
+        await Transaction.findByIdAndUpdate(this.transactionId, {
+            status: 'completed',
+            'metadata.adminNotes': notes,
+            'metadata.processedBy': adminId
+        });
+    }
 
     return await this.save();
 };
@@ -130,7 +148,8 @@ withdrawalRequestSchema.methods.reject = async function (adminId, reason) {
                     withdrawalRequestId: this._id,
                     refundReason: reason
                 }
-            }
+            },
+            { session }
         );
 
         await this.save({ session });
@@ -179,7 +198,8 @@ withdrawalRequestSchema.methods.cancel = async function () {
                     withdrawalRequestId: this._id,
                     refundReason: 'User cancelled withdrawal'
                 }
-            }
+            },
+            { session }
         );
 
         await this.save({ session });
@@ -1,9 +1,11 @@
 import express from 'express';
 import { body, query, param } from 'express-validator';
 import { validateRequest } from '../middleware/validation.js';
-import { adminAuth } from '../middleware/adminAuth.js';
+import { adminAuth, checkPermission, requirePasswordChanged, requireSuperAdmin, requireTwoFactor } from '../middleware/adminAuth.js';
+import { auditAdminActions } from '../middleware/adminAudit.js';
 import {
     adminLogin,
+    verifyAdminLoginTwoFactor,
     adminLogout,
     changeAdminPassword,
     getDashboardStats,
@@ -15,6 +17,7 @@ import {
     getAllRooms,
     getRoomDetails,
     declareCorrectWinner,
+    getRoomEvidenceFile,
     cancelRoom,
     getAllTransactions,
     getTransactionDetails,
@@ -30,7 +33,52 @@ import {
     getWithdrawalRequests,
     getWithdrawalRequestDetails,
     approveWithdrawalRequest,
-    rejectWithdrawalRequest
+    rejectWithdrawalRequest,
+    getPaymentEvents,
+    getPaymentEventDetails,
+    getLedgerSummary,
+    getLedgerReconciliation,
+    openLedgerWallets,
+    getLedgerAccountEntries,
+    getJobs,
+    getDisputes,
+    getDisputeDetails,
+    assignDispute,
+    addAdminDisputeMessage,
+    requestDisputeInfo,
+    resolveDispute,
+    createTournament,
+    getAdminTournaments,
+    getAdminTournamentDetails,
+    startTournament,
+    cancelTournament,
+    getSettings,
+    updateSettings,
+    getSettingsHistory,
+    getFeeSchedules,
+    createFeeSchedule,
+    updateFeeSchedule,
+    getFeeQuote,
+    getAdmins,
+    getAdminDetails,
+    createAdmin,
+    updateAdmin,
+    deactivateAdmin,
+    activateAdmin,
+    resetAdminPassword,
+    getAuditLogs,
+    verifyAuditLogs,
+    getApprovals,
+    getApprovalDetails,
+    approveApproval,
+    rejectApproval,
+    cancelApproval,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    resetAdminTwoFactor
 } from '../controllers/adminController.js';
 
 const router = express.Router();
@@ -47,6 +95,7 @@ const router = express.Router();
  * /api/admin/login:
  *   post:
  *     summary: Admin login
+ *     description: Admins with two-factor authentication get twoFactorRequired and a challengeToken instead of a token; exchange it with a code at /api/admin/login/2fa within 5 minutes.
  *     tags: [Admin]
  *     security: []
  *     requestBody:
@@ -67,7 +116,7 @@ const router = express.Router();
  *                 example: "admin123"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or the challenge for the two-factor step
  *       401:
  *         description: Invalid credentials or account locked
  */
@@ -82,9 +131,52 @@ router.post('/login', [
         .withMessage('Password is required')
 ], validateRequest, adminLogin);
 
-// All routes below require admin authentication
+/**
+ * @swagger
+ * /api/admin/login/2fa:
+ *   post:
+ *     summary: Complete an admin login with a two-factor code
+ *     description: Send the challengeToken from /api/admin/login with the current code from the authenticator app, or one of the recovery codes (each works once). Wrong codes count as failed login attempts.
+ *     tags: [Admin]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login successful, with the admin token
+ *       401:
+ *         description: Invalid or expired challenge, wrong code or account locked
+ */
+router.post('/login/2fa', [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().trim(),
+    body('recoveryCode').optional().trim(),
+    body().custom(value => Boolean(value.code || value.recoveryCode))
+        .withMessage('Code or recovery code is required')
+], validateRequest, verifyAdminLoginTwoFactor);
+
+// All routes below require admin authentication; all but logout, change-password and
+// the admin's own two-factor settings also check the admin's permission for the action
 router.use(adminAuth);
 
+// Successful changes made through the routes below are written to the audit log
+router.use(auditAdminActions);
+
 /**
  * @swagger
  * /api/admin/logout:
@@ -104,6 +196,7 @@ router.post('/logout', adminLogout);
  * /api/admin/change-password:
  *   put:
  *     summary: Change admin password
+ *     description: Admins whose password was set by another admin (new accounts and resets) must call this before any other admin endpoint, which answer 403 until then. The new password must differ from the current one.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -125,6 +218,8 @@ router.post('/logout', adminLogout);
  *     responses:
  *       200:
  *         description: Password changed successfully
+ *       400:
+ *         description: Current password is incorrect or the new password is the same
  */
 router.put('/change-password', [
     body('currentPassword')
@@ -135,13 +230,150 @@ router.put('/change-password', [
         .withMessage('New password must be at least 6 characters long')
 ], validateRequest, changeAdminPassword);
 
+// All routes below also require a password the admin has set themselves
+router.use(requirePasswordChanged);
+
+// Two-Factor Authentication (the signed-in admin's own)
+const twoFactorCodeValidation = [
+    body('code').optional().trim(),
+    body('recoveryCode').optional().trim(),
+    body().custom(value => Boolean(value.code || value.recoveryCode))
+        .withMessage('Code or recovery code is required')
+];
+
+/**
+ * @swagger
+ * /api/admin/2fa:
+ *   get:
+ *     summary: Get your two-factor authentication status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, enabledAt, recoveryCodesLeft, setupPending and whether 2FA is required
+ */
+router.get('/2fa', getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/admin/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and its otpauth URI (show it as a QR code for the authenticator app). Two-factor authentication is only turned on by /api/admin/2fa/enable.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: secret and otpauthUri
+ *       400:
+ *         description: Already enabled
+ */
+router.post('/2fa/setup', setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/2fa/enable:
+ *   post:
+ *     summary: Turn on two-factor authentication with a first code
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Enabled, with the recovery codes (shown only once)
+ *       400:
+ *         description: Invalid code, no setup started or already enabled
+ */
+router.post('/2fa/enable', [
+    body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+], validateRequest, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Needs the password and a code or recovery code. Not possible while ADMIN_2FA_REQUIRED is on.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Wrong password or code, not enabled, or required for all admins
+ */
+router.post('/2fa/disable', [
+    body('password').notEmpty().withMessage('Password is required'),
+    ...twoFactorCodeValidation
+], validateRequest, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace your recovery codes
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The new recovery codes (shown only once)
+ *       400:
+ *         description: Invalid code or not enabled
+ */
+router.post('/2fa/recovery-codes', twoFactorCodeValidation, validateRequest, regenerateRecoveryCodes);
+
+// All routes below also require two-factor authentication once ADMIN_2FA_REQUIRED is on
+router.use(requireTwoFactor);
+
 // Dashboard & Analytics
-router.get('/dashboard/stats', getDashboardStats);
-router.get('/system/stats', getSystemStats);
-router.get('/revenue/stats', getRevenueStats);
+router.get('/dashboard/stats', checkPermission('dashboard', 'view'), getDashboardStats);
+router.get('/system/stats', checkPermission('dashboard', 'analytics'), getSystemStats);
+router.get('/revenue/stats', checkPermission('dashboard', 'analytics'), getRevenueStats);
 
 // User Management
-router.get('/users', [
+router.get('/users', checkPermission('users', 'view'), [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('search').optional().trim(),
@@ -150,63 +382,73 @@ router.get('/users', [
     query('sortOrder').optional().isIn(['asc', 'desc'])
 ], validateRequest, getAllUsers);
 
-router.get('/users/:userId', [
+router.get('/users/:userId', checkPermission('users', 'view'), [
     param('userId').isMongoId().withMessage('Invalid user ID')
 ], validateRequest, getUserDetails);
 
-router.put('/users/:userId/block', [
+router.put('/users/:userId/block', checkPermission('users', 'block'), [
     param('userId').isMongoId().withMessage('Invalid user ID'),
     body('reason').optional().trim()
 ], validateRequest, blockUser);
 
-router.put('/users/:userId/unblock', [
+router.put('/users/:userId/unblock', checkPermission('users', 'block'), [
     param('userId').isMongoId().withMessage('Invalid user ID')
 ], validateRequest, unblockUser);
 
-router.put('/users/:userId/balance', [
+// Amounts above the approvalThresholdAmount setting answer 202 with a pending approval (see /approvals)
+router.put('/users/:userId/balance', checkPermission('users', 'adjust_balance'), [
     param('userId').isMongoId().withMessage('Invalid user ID'),
     body('amount').isFloat().withMessage('Amount must be a number'),
     body('type').isIn(['add', 'deduct']).withMessage('Type must be add or deduct'),
     body('reason').trim().notEmpty().withMessage('Reason is required')
 ], validateRequest, updateUserBalance);
 
-router.get('/users/:userId/activity', [
+router.get('/users/:userId/activity', checkPermission('users', 'view'), [
     param('userId').isMongoId().withMessage('Invalid user ID'),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 })
 ], validateRequest, getUserActivity);
 
 // Room Management
-router.get('/rooms', [
+router.get('/rooms', checkPermission('rooms', 'view'), [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('status').optional().isIn(['all', 'waiting', 'playing', 'completed', 'cancelled']),
+    query('status').optional().isIn(['all', 'waiting', 'playing', 'winner_declared', 'escalated', 'completed', 'cancelled']),
     query('gameType').optional().isIn(['all', 'Ludo', 'Snakes & Ladders', 'Carrom']),
+    query('visibility').optional().isIn(['all', 'public', 'private']),
     query('sortBy').optional().isIn(['createdAt', 'amount', 'currentPlayers']),
     query('sortOrder').optional().isIn(['asc', 'desc'])
 ], validateRequest, getAllRooms);
 
-router.get('/rooms/:roomId', [
+router.get('/rooms/:roomId', checkPermission('rooms', 'view'), [
     param('roomId').notEmpty().withMessage('Room ID is required')
 ], validateRequest, getRoomDetails);
 
-router.put('/rooms/:roomId/declare-winner', [
+router.get('/rooms/:roomId/evidence/:fileId', checkPermission('rooms', 'view'), [
+    param('fileId').isHexadecimal().isLength({ min: 24, max: 24 }).withMessage('Invalid file ID')
+], validateRequest, getRoomEvidenceFile);
+
+router.put('/rooms/:roomId/declare-winner', checkPermission('rooms', 'declare_winner'), [
     param('roomId').notEmpty().withMessage('Room ID is required'),
-    body('winnerId').isMongoId().withMessage('Invalid winner ID'),
+    // Rooms that pay several positions are declared with rankings (winner first) instead of winnerId;
+    // in a team room, winnerId can be any player of the winning team
+    body('rankings').optional().isArray({ min: 1, max: 4 }).withMessage('Rankings must list the players in the paid positions'),
+    body('rankings.*').isMongoId().withMessage('Invalid user ID in rankings'),
+    body('winnerId').if(body('rankings').not().exists()).isMongoId().withMessage('Invalid winner ID'),
     body('reason').trim().notEmpty().withMessage('Reason is required')
 ], validateRequest, declareCorrectWinner);
 
-router.put('/rooms/:roomId/cancel', [
+router.put('/rooms/:roomId/cancel', checkPermission('rooms', 'cancel'), [
     param('roomId').notEmpty().withMessage('Room ID is required'),
     body('reason').trim().notEmpty().withMessage('Reason is required')
 ], validateRequest, cancelRoom);
 
 // Transaction Management
-router.get('/transactions', [
+router.get('/transactions', checkPermission('transactions', 'view'), [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('type').optional().isIn(['all', 'deposit', 'withdrawal', 'game_win', 'game_loss', 'refund']),
-    query('status').optional().isIn(['all', 'pending', 'completed', 'failed', 'cancelled']),
+    query('type').optional().isIn(['all', 'deposit', 'withdrawal', 'game_win', 'game_loss', 'refund', 'entry_hold']),
+    query('status').optional().isIn(['all', 'pending', 'completed', 'failed', 'cancelled', 'refunded']),
     query('userId').optional().isMongoId(),
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
@@ -214,41 +456,43 @@ router.get('/transactions', [
     query('sortOrder').optional().isIn(['asc', 'desc'])
 ], validateRequest, getAllTransactions);
 
-router.get('/transactions/:transactionId', [
+router.get('/transactions/:transactionId', checkPermission('transactions', 'view'), [
     param('transactionId').isMongoId().withMessage('Invalid transaction ID')
 ], validateRequest, getTransactionDetails);
 
-router.post('/transactions/:transactionId/refund', [
+// Amounts above the approvalThresholdAmount setting answer 202 with a pending approval (see /approvals)
+router.post('/transactions/:transactionId/refund', checkPermission('transactions', 'refund'), [
     param('transactionId').isMongoId().withMessage('Invalid transaction ID'),
     body('reason').trim().notEmpty().withMessage('Reason is required')
 ], validateRequest, processRefund);
 
 // Data Export
-router.get('/export/:type', [
+router.get('/export/:type', checkPermission('transactions', 'export'), [
     param('type').isIn(['users', 'transactions', 'rooms']).withMessage('Invalid export type'),
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601()
 ], validateRequest, exportData);
 
 // Winner Verification Management
-router.get('/winner-requests', [
+router.get('/winner-requests', checkPermission('winner_requests', 'view'), [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('status').optional().isIn(['all', 'pending', 'approved', 'rejected']),
+    query('disputed').optional().isBoolean(),
     query('sortBy').optional().isIn(['createdAt', 'winnerAmount']),
     query('sortOrder').optional().isIn(['asc', 'desc'])
 ], validateRequest, getWinnerRequests);
 
-router.get('/winner-requests/:requestId', [
+router.get('/winner-requests/:requestId', checkPermission('winner_requests', 'view'), [
     param('requestId').isMongoId().withMessage('Invalid request ID')
 ], validateRequest, getWinnerRequestDetails);
 
-router.put('/winner-requests/:requestId/approve', [
+router.put('/winner-requests/:requestId/approve', checkPermission('winner_requests', 'approve'), [
     param('requestId').isMongoId().withMessage('Invalid request ID'),
     body('notes').optional().trim()
 ], validateRequest, approveWinnerRequest);
 
-router.put('/winner-requests/:requestId/reject', [
+router.put('/winner-requests/:requestId/reject', checkPermission('winner_requests', 'approve'), [
     param('requestId').isMongoId().withMessage('Invalid request ID'),
     body('reason').trim().notEmpty().withMessage('Rejection reason is required')
 ], validateRequest, rejectWinnerRequest);
@@ -267,7 +511,7 @@ router.put('/winner-requests/:requestId/reject', [
  *         name: status
  *         schema:
  *           type: string
- *           enum: [all, pending, approved, rejected, cancelled]
+ *           enum: [all, pending, approved, rejected, cancelled, failed]
  *           default: all
  *         description: Filter by status
  *       - in: query
@@ -305,10 +549,10 @@ router.put('/winner-requests/:requestId/reject', [
  *       401:
  *         description: Unauthorized
  */
-router.get('/withdrawal-requests', [
+router.get('/withdrawal-requests', checkPermission('withdrawals', 'view'), [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('status').optional().isIn(['all', 'pending', 'approved', 'rejected', 'cancelled']),
+    query('status').optional().isIn(['all', 'pending', 'approved', 'rejected', 'cancelled', 'failed']),
     query('sortBy').optional().isIn(['createdAt', 'amount']),
     query('sortOrder').optional().isIn(['asc', 'desc'])
 ], validateRequest, getWithdrawalRequests);
@@ -337,7 +581,7 @@ router.get('/withdrawal-requests', [
  *       404:
  *         description: Withdrawal request not found
  */
-router.get('/withdrawal-requests/:requestId', [
+router.get('/withdrawal-requests/:requestId', checkPermission('withdrawals', 'view'), [
     param('requestId').isMongoId().withMessage('Invalid request ID')
 ], validateRequest, getWithdrawalRequestDetails);
 
@@ -369,7 +613,7 @@ router.get('/withdrawal-requests/:requestId', [
  *                 description: Admin notes
  *               paymentProof:
  *                 type: string
- *                 description: Payment proof URL or reference
+ *                 description: Payment proof URL or reference for a manual payout. When omitted the amount is paid out through the payment gateway.
  *     responses:
  *       200:
  *         description: Withdrawal request approved successfully
@@ -380,7 +624,7 @@ router.get('/withdrawal-requests/:requestId', [
  *       404:
  *         description: Withdrawal request not found
  */
-router.put('/withdrawal-requests/:requestId/approve', [
+router.put('/withdrawal-requests/:requestId/approve', checkPermission('withdrawals', 'approve'), [
     param('requestId').isMongoId().withMessage('Invalid request ID'),
     body('notes').optional().trim(),
     body('paymentProof').optional().trim()
@@ -424,9 +668,1397 @@ router.put('/withdrawal-requests/:requestId/approve', [
  *       404:
  *         description: Withdrawal request not found
  */
-router.put('/withdrawal-requests/:requestId/reject', [
+router.put('/withdrawal-requests/:requestId/reject', checkPermission('withdrawals', 'approve'), [
     param('requestId').isMongoId().withMessage('Invalid request ID'),
     body('reason').trim().notEmpty().withMessage('Rejection reason is required')
 ], validateRequest, rejectWithdrawalRequest);
 
-export default router;
\ No newline at end of file
+
+// Payment Gateway Events
+/**
+ * @swagger
+ * /api/admin/payment-events:
+ *   get:
+ *     summary: List received payment gateway webhook events
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, received, processed, ignored, failed]
+ *           default: all
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: payment.captured
+ *     responses:
+ *       200:
+ *         description: Payment events retrieved successfully
+ */
+router.get('/payment-events', checkPermission('transactions', 'view'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['all', 'received', 'processed', 'ignored', 'failed']),
+    query('type').optional().trim()
+], validateRequest, getPaymentEvents);
+
+/**
+ * @swagger
+ * /api/admin/payment-events/{eventId}:
+ *   get:
+ *     summary: Get a payment event with its raw payload
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *     responses:
+ *       200:
+ *         description: Payment event retrieved successfully
+ *       404:
+ *         description: Payment event not found
+ */
+router.get('/payment-events/:eventId', checkPermission('transactions', 'view'), [
+    param('eventId').isMongoId().withMessage('Invalid event ID')
+], validateRequest, getPaymentEventDetails);
+
+
+// Ledger & Reconciliation
+/**
+ * @swagger
+ * /api/admin/ledger/summary:
+ *   get:
+ *     summary: Trial balance of the double-entry ledger
+ *     description: Debits, credits and balance per platform account (gateway clearing, prize escrow, fee revenue, adjustments, opening balances) and for all user wallets combined.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ledger summary retrieved successfully
+ */
+router.get('/ledger/summary', checkPermission('ledger', 'view'), getLedgerSummary);
+
+/**
+ * @swagger
+ * /api/admin/ledger/reconciliation:
+ *   get:
+ *     summary: Reconcile user balances against the ledger
+ *     description: Compares each User.balance with its wallet account and the wallet's entries. Lists only users that disagree.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ */
+router.get('/ledger/reconciliation', checkPermission('ledger', 'view'), getLedgerReconciliation);
+
+/**
+ * @swagger
+ * /api/admin/ledger/open-wallets:
+ *   post:
+ *     summary: Open ledger wallets for users with a pre-ledger balance
+ *     description: Posts an opening balance entry for every user who has money but no wallet account yet.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet accounts opened
+ */
+router.post('/ledger/open-wallets', checkPermission('ledger', 'manage'), openLedgerWallets);
+
+/**
+ * @swagger
+ * /api/admin/ledger/accounts/{code}/entries:
+ *   get:
+ *     summary: Ledger entries for an account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: prize_escrow
+ *         description: Account code, e.g. gateway_clearing or user_wallet:<userId>
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ledger entries retrieved successfully
+ */
+router.get('/ledger/accounts/:code/entries', checkPermission('ledger', 'view'), [
+    param('code').matches(/^([a-z_]+|user_wallet:[a-f0-9]{24})$/).withMessage('Invalid account code'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, getLedgerAccountEntries);
+
+
+// Background Jobs
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: Status of background jobs (interval, last run and result)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Job status retrieved successfully
+ */
+router.get('/jobs', checkPermission('system', 'view'), getJobs);
+
+
+// Dispute Management
+/**
+ * @swagger
+ * /api/admin/disputes:
+ *   get:
+ *     summary: Dispute queue, most urgent resolution deadline first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, active, open, under_review, awaiting_info, resolved]
+ *           default: all
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assigned
+ *         schema:
+ *           type: string
+ *           enum: [me, unassigned]
+ *       - in: query
+ *         name: breached
+ *         schema:
+ *           type: boolean
+ *         description: Only disputes that breached an SLA
+ *     responses:
+ *       200:
+ *         description: Disputes retrieved successfully
+ */
+router.get('/disputes', checkPermission('disputes', 'view'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['all', 'active', 'open', 'under_review', 'awaiting_info', 'resolved']),
+    query('category').optional().isIn(['wrong_winner', 'conflicting_results', 'no_show', 'cheating', 'technical_issue', 'other']),
+    query('assigned').optional().isIn(['me', 'unassigned']),
+    query('breached').optional().isBoolean()
+], validateRequest, getDisputes);
+
+/**
+ * @swagger
+ * /api/admin/disputes/{disputeId}:
+ *   get:
+ *     summary: Get a dispute with its room, messages, evidence and timeline
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dispute retrieved successfully
+ *       404:
+ *         description: Dispute not found
+ */
+router.get('/disputes/:disputeId', checkPermission('disputes', 'view'), getDisputeDetails);
+
+/**
+ * @swagger
+ * /api/admin/disputes/{disputeId}/assign:
+ *   put:
+ *     summary: Assign a dispute (to yourself unless adminId is given)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adminId:
+ *                 type: string
+ *                 format: objectId
+ *     responses:
+ *       200:
+ *         description: Dispute assigned
+ */
+router.put('/disputes/:disputeId/assign', checkPermission('disputes', 'manage'), [
+    body('adminId').optional().isMongoId().withMessage('Invalid admin ID')
+], validateRequest, assignDispute);
+
+/**
+ * @swagger
+ * /api/admin/disputes/{disputeId}/messages:
+ *   post:
+ *     summary: Reply in a dispute (visible to the players)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Message added
+ */
+router.post('/disputes/:disputeId/messages', checkPermission('disputes', 'manage'), [
+    body('body').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters')
+], validateRequest, addAdminDisputeMessage);
+
+/**
+ * @swagger
+ * /api/admin/disputes/{disputeId}/request-info:
+ *   put:
+ *     summary: Ask players for more information
+ *     description: Moves the dispute to awaiting_info, pausing the resolution SLA until a requested player replies or the request expires.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *               userIds:
+ *                 type: array
+ *                 description: Players to ask (default all players)
+ *                 items:
+ *                   type: string
+ *               dueInHours:
+ *                 type: number
+ *                 description: Defaults to DISPUTE_INFO_REQUEST_HOURS
+ *     responses:
+ *       200:
+ *         description: Information requested
+ */
+router.put('/disputes/:disputeId/request-info', checkPermission('disputes', 'manage'), [
+    body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters'),
+    body('userIds').optional().isArray(),
+    body('userIds.*').isMongoId().withMessage('Invalid user ID'),
+    body('dueInHours').optional().isFloat({ min: 1, max: 168 }).withMessage('Due time must be between 1 and 168 hours')
+], validateRequest, requestDisputeInfo);
+
+/**
+ * @swagger
+ * /api/admin/disputes/{disputeId}/resolve:
+ *   put:
+ *     summary: Resolve a dispute and settle the room
+ *     description: award_winner pays the winner from escrow (in rooms that pay several positions, every position by rankings), split shares the prize (after the platform fee) between splitBetween (default all players), refund_all cancels the room and refunds every entry fee. A pending winner request on the room is closed with the dispute.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [award_winner, split, refund_all]
+ *               winnerId:
+ *                 type: string
+ *                 description: Required for award_winner unless rankings is given. In a team room, any player of the winning team.
+ *               rankings:
+ *                 type: array
+ *                 description: For award_winner in rooms that pay several positions, the players in the paid positions, winner first
+ *                 items:
+ *                   type: string
+ *               splitBetween:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute resolved and room settled
+ *       400:
+ *         description: Invalid outcome parameters or room already settled
+ *       404:
+ *         description: Dispute not found or already resolved
+ */
+router.put('/disputes/:disputeId/resolve', checkPermission('disputes', 'resolve'), [
+    body('outcome').isIn(['award_winner', 'split', 'refund_all']).withMessage('Invalid outcome'),
+    body('rankings').optional().isArray({ min: 1, max: 4 }).withMessage('Rankings must list the players in the paid positions'),
+    body('rankings.*').isMongoId().withMessage('Invalid user ID in rankings'),
+    body('winnerId')
+        .if(body('outcome').equals('award_winner'))
+        .if(body('rankings').not().exists())
+        .isMongoId().withMessage('Winner ID is required to award the win'),
+    body('splitBetween').optional().isArray({ min: 2 }).withMessage('A split needs at least two players'),
+    body('splitBetween.*').isMongoId().withMessage('Invalid user ID'),
+    body('notes').optional().trim().isLength({ max: 1000 })
+], validateRequest, resolveDispute);
+
+
+// Tournament Management
+/**
+ * @swagger
+ * /api/admin/tournaments:
+ *   post:
+ *     summary: Create a tournament and open registration
+ *     description: The tournament starts automatically at startsAt, or is cancelled and refunded if fewer than minParticipants registered. Each round draws the remaining players into private rooms of playersPerMatch; the approved winner of each room advances. prizeTable shares the prize pool after the platform fee by finishing place; players knocked out in the same round share their places.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - entryFee
+ *               - capacity
+ *               - startsAt
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               gameType:
+ *                 type: string
+ *                 enum: [Ludo, Snakes & Ladders, Carrom]
+ *                 default: Ludo
+ *               entryFee:
+ *                 type: number
+ *                 minimum: 10
+ *                 maximum: 10000
+ *               capacity:
+ *                 type: number
+ *                 minimum: 2
+ *                 maximum: 256
+ *               minParticipants:
+ *                 type: number
+ *                 minimum: 2
+ *                 default: 2
+ *               playersPerMatch:
+ *                 type: number
+ *                 minimum: 2
+ *                 maximum: 4
+ *                 default: 2
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               prizeTable:
+ *                 type: array
+ *                 description: Must include place 1 and add up to 100 (default winner takes all)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     place:
+ *                       type: number
+ *                     percent:
+ *                       type: number
+ *                 example: [{ place: 1, percent: 60 }, { place: 2, percent: 30 }, { place: 3, percent: 10 }]
+ *     responses:
+ *       201:
+ *         description: Tournament created
+ *       400:
+ *         description: Invalid tournament settings or prize table
+ */
+router.post('/tournaments', checkPermission('tournaments', 'manage'), [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+    body('description').optional().trim().isLength({ max: 1000 }),
+    body('gameType').optional().isIn(['Ludo', 'Snakes & Ladders', 'Carrom']).withMessage('Invalid game type'),
+    body('entryFee').isInt({ min: 10, max: 10000 }).withMessage('Entry fee must be a whole number between ₹10 and ₹10,000').toInt(),
+    body('capacity').isInt({ min: 2, max: 256 }).withMessage('Capacity must be between 2 and 256').toInt(),
+    body('minParticipants').optional().isInt({ min: 2 }).withMessage('Minimum participants must be at least 2').toInt(),
+    body('playersPerMatch').optional().isInt({ min: 2, max: 4 }).withMessage('Players per match must be between 2 and 4').toInt(),
+    body('startsAt').isISO8601().withMessage('Start time must be a valid date'),
+    body('prizeTable').optional().isArray({ min: 1 }).withMessage('Prize table must be a non-empty list'),
+    body('prizeTable.*.place').isInt({ min: 1 }).withMessage('Prize place must be a positive integer').toInt(),
+    body('prizeTable.*.percent').isFloat({ min: 0, max: 100 }).withMessage('Prize percent must be between 0 and 100').toFloat()
+], validateRequest, createTournament);
+
+/**
+ * @swagger
+ * /api/admin/tournaments:
+ *   get:
+ *     summary: List tournaments
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, registration, in_progress, completed, cancelled]
+ *           default: all
+ *     responses:
+ *       200:
+ *         description: Tournaments retrieved successfully
+ */
+router.get('/tournaments', checkPermission('tournaments', 'view'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['all', 'registration', 'in_progress', 'completed', 'cancelled'])
+], validateRequest, getAdminTournaments);
+
+/**
+ * @swagger
+ * /api/admin/tournaments/{tournamentId}:
+ *   get:
+ *     summary: Get a tournament with its participants, bracket and prizes
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tournament details, with the number of entry fees still held
+ *       404:
+ *         description: Tournament not found
+ */
+router.get('/tournaments/:tournamentId', checkPermission('tournaments', 'view'), getAdminTournamentDetails);
+
+/**
+ * @swagger
+ * /api/admin/tournaments/{tournamentId}/start:
+ *   put:
+ *     summary: Start a tournament now
+ *     description: Closes registration and opens the first round's rooms. Needs at least two participants, even if minParticipants is higher.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tournament started
+ *       400:
+ *         description: Not open for registration or too few participants
+ *       404:
+ *         description: Tournament not found
+ */
+router.put('/tournaments/:tournamentId/start', checkPermission('tournaments', 'manage'), startTournament);
+
+/**
+ * @swagger
+ * /api/admin/tournaments/{tournamentId}/cancel:
+ *   put:
+ *     summary: Cancel a tournament and refund every entry fee
+ *     description: Open match rooms are cancelled with it. Refused while a match room has an open dispute.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tournament cancelled and entry fees refunded
+ *       400:
+ *         description: Already completed or cancelled, or a match is disputed
+ *       404:
+ *         description: Tournament not found
+ */
+router.put('/tournaments/:tournamentId/cancel', checkPermission('tournaments', 'manage'), [
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Cancellation reason is required')
+], validateRequest, cancelTournament);
+
+// Platform Settings
+/**
+ * @swagger
+ * /api/admin/settings:
+ *   get:
+ *     summary: Get the platform settings in effect
+ *     description: Version 0 means nothing was changed yet and the defaults (from the environment) apply.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The settings in effect and the defaults
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         settings:
+ *                           type: object
+ *                           properties:
+ *                             version:
+ *                               type: number
+ *                             values:
+ *                               $ref: '#/components/schemas/PlatformSettings'
+ *                             updatedBy:
+ *                               type: string
+ *                             updatedAt:
+ *                               type: string
+ *                               format: date-time
+ *                         defaults:
+ *                           $ref: '#/components/schemas/PlatformSettings'
+ */
+router.get('/settings', checkPermission('settings', 'view'), getSettings);
+
+/**
+ * @swagger
+ * /api/admin/settings:
+ *   put:
+ *     summary: Change platform settings
+ *     description: Saves the given values, merged with the current ones, as a new version. Servers pick it up within SETTINGS_CACHE_SECONDS.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PlatformSettings'
+ *               - type: object
+ *                 required:
+ *                   - reason
+ *                 properties:
+ *                   reason:
+ *                     type: string
+ *                     maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Settings updated, with the new version and its changes
+ *       400:
+ *         description: Nothing changed or invalid values
+ *       409:
+ *         description: Another admin changed the settings in the meantime
+ */
+router.put('/settings', checkPermission('settings', 'edit'), [
+    body('platformFeePercent').optional().isFloat({ min: 0, max: 50 }).withMessage('Platform fee must be between 0 and 50 percent').toFloat(),
+    body('minWithdrawalAmount').optional().isInt({ min: 1 }).withMessage('Minimum withdrawal must be a whole number of rupees').toInt(),
+    body('maxWithdrawalAmount').optional().isInt({ min: 1 }).withMessage('Maximum withdrawal must be a whole number of rupees').toInt(),
+    body('minDepositAmount').optional().isInt({ min: 1 }).withMessage('Minimum deposit must be a whole number of rupees').toInt(),
+    body('maxDepositAmount').optional().isInt({ min: 1 }).withMessage('Maximum deposit must be a whole number of rupees').toInt(),
+    body('minRoomAmount').optional().isInt({ min: 1 }).withMessage('Minimum room amount must be a whole number of rupees').toInt(),
+    body('maxRoomAmount').optional().isInt({ min: 1 }).withMessage('Maximum room amount must be a whole number of rupees').toInt(),
+    body('otpExpiryMinutes').optional().isInt({ min: 1, max: 60 }).withMessage('OTP expiry must be between 1 and 60 minutes').toInt(),
+    body('approvalThresholdAmount').optional().isInt({ min: 0 }).withMessage('Approval threshold must be a whole number of rupees').toInt(),
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required')
+], validateRequest, updateSettings);
+
+/**
+ * @swagger
+ * /api/admin/settings/history:
+ *   get:
+ *     summary: List every version of the platform settings, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Versions with their values, changes, admin and reason
+ */
+router.get('/settings/history', checkPermission('settings', 'view'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, getSettingsHistory);
+
+// Fee Schedules
+const feeScheduleValidation = [
+    body('gameType').optional({ values: 'null' }).isIn(['Ludo', 'Snakes & Ladders', 'Carrom']).withMessage('Invalid game type'),
+    body('minAmount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Minimum stake cannot be negative').toFloat(),
+    body('maxAmount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum stake cannot be negative').toFloat(),
+    body('maxPlayers').optional({ values: 'null' }).isInt({ min: 2, max: 4 }).withMessage('Room size must be between 2 and 4').toInt(),
+    body('minFee').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Minimum fee cannot be negative').toFloat(),
+    body('maxFee').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum fee cannot be negative').toFloat(),
+    body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Start time must be a valid date'),
+    body('endsAt').optional({ values: 'null' }).isISO8601().withMessage('End time must be a valid date')
+];
+
+/**
+ * @swagger
+ * /api/admin/fee-schedules:
+ *   get:
+ *     summary: List fee schedules
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, all]
+ *           default: active
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Fee schedules retrieved successfully
+ */
+router.get('/fee-schedules', checkPermission('settings', 'view'), [
+    query('status').optional().isIn(['active', 'inactive', 'all']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, getFeeSchedules);
+
+/**
+ * @swagger
+ * /api/admin/fee-schedules:
+ *   post:
+ *     summary: Create a fee schedule
+ *     description: A room that starts gets the fee rate of the matching schedule, snapshotted onto the room. Promotions (schedules with startsAt or endsAt) win over other schedules, then the schedule setting more criteria, then the newest. Rooms no schedule matches pay the platformFeePercent setting.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeeSchedule'
+ *     responses:
+ *       201:
+ *         description: Fee schedule created
+ *       400:
+ *         description: Invalid schedule
+ */
+router.post('/fee-schedules', checkPermission('settings', 'edit'), [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+    body('feePercent').isFloat({ min: 0, max: 50 }).withMessage('Fee percent must be between 0 and 50').toFloat(),
+    ...feeScheduleValidation
+], validateRequest, createFeeSchedule);
+
+/**
+ * @swagger
+ * /api/admin/fee-schedules/quote:
+ *   get:
+ *     summary: Preview the fee rate a room would start with now
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: gameType
+ *         schema:
+ *           type: string
+ *           enum: [Ludo, Snakes & Ladders, Carrom]
+ *           default: Ludo
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPlayers
+ *         schema:
+ *           type: integer
+ *           default: 4
+ *     responses:
+ *       200:
+ *         description: The fee rate (feeRate) and the platform fee of a full room
+ */
+router.get('/fee-schedules/quote', checkPermission('settings', 'view'), [
+    query('gameType').optional().isIn(['Ludo', 'Snakes & Ladders', 'Carrom']).withMessage('Invalid game type'),
+    query('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+    query('maxPlayers').optional().isInt({ min: 2, max: 4 }).withMessage('Room size must be between 2 and 4').toInt()
+], validateRequest, getFeeQuote);
+
+/**
+ * @swagger
+ * /api/admin/fee-schedules/{scheduleId}:
+ *   put:
+ *     summary: Change or deactivate a fee schedule
+ *     description: Only the given fields change; null clears an optional field. Set isActive to false to retire a schedule. Rooms already playing keep their fee rate.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeeSchedule'
+ *     responses:
+ *       200:
+ *         description: Fee schedule updated
+ *       400:
+ *         description: Invalid schedule
+ *       404:
+ *         description: Fee schedule not found
+ */
+router.put('/fee-schedules/:scheduleId', checkPermission('settings', 'edit'), [
+    param('scheduleId').isMongoId().withMessage('Invalid schedule ID'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+    body('feePercent').optional().isFloat({ min: 0, max: 50 }).withMessage('Fee percent must be between 0 and 50').toFloat(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(),
+    ...feeScheduleValidation
+], validateRequest, updateFeeSchedule);
+
+// Admin Accounts
+const permissionsValidation = body('permissions')
+    .optional()
+    .isObject()
+    .withMessage('Permissions must be an object of resources, e.g. { "rooms": { "cancel": false } }');
+
+/**
+ * @swagger
+ * /api/admin/admins:
+ *   get:
+ *     summary: List admin accounts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [super_admin, admin, moderator]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, all]
+ *           default: all
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the username
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Admins retrieved successfully
+ */
+router.get('/admins', checkPermission('admins', 'view'), [
+    query('role').optional().isIn(['super_admin', 'admin', 'moderator']).withMessage('Invalid role'),
+    query('status').optional().isIn(['active', 'inactive', 'all']),
+    query('search').optional().trim(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, getAdmins);
+
+/**
+ * @swagger
+ * /api/admin/admins:
+ *   post:
+ *     summary: Create an admin account
+ *     description: Super admins only. The admin gets the permissions of the role, changed by any flags given in permissions, and must change the password on first login. The creating admin is recorded as createdBy.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 20
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 description: Temporary password
+ *               role:
+ *                 type: string
+ *                 enum: [super_admin, admin, moderator]
+ *                 default: admin
+ *               permissions:
+ *                 type: object
+ *                 example: { "rooms": { "cancel": false } }
+ *     responses:
+ *       201:
+ *         description: Admin created
+ *       400:
+ *         description: Invalid role or permissions
+ *       409:
+ *         description: Username is already taken
+ */
+router.post('/admins', requireSuperAdmin, [
+    body('username').trim().isLength({ min: 3, max: 20 }).withMessage('Username must be 3-20 characters'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    body('role').optional().isIn(['super_admin', 'admin', 'moderator']).withMessage('Invalid role'),
+    permissionsValidation
+], validateRequest, createAdmin);
+
+/**
+ * @swagger
+ * /api/admin/admins/{adminId}:
+ *   get:
+ *     summary: Get an admin account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Admin retrieved successfully
+ *       404:
+ *         description: Admin not found
+ */
+router.get('/admins/:adminId', checkPermission('admins', 'view'), [
+    param('adminId').isMongoId().withMessage('Invalid admin ID')
+], validateRequest, getAdminDetails);
+
+/**
+ * @swagger
+ * /api/admin/admins/{adminId}:
+ *   put:
+ *     summary: Change an admin's role or permissions
+ *     description: Super admins only. A new role resets the permissions to the role's preset, then the given flags are applied. Admins cannot change their own account, and the last active super admin cannot be demoted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [super_admin, admin, moderator]
+ *               permissions:
+ *                 type: object
+ *                 example: { "withdrawals": { "approve": false } }
+ *     responses:
+ *       200:
+ *         description: Admin updated
+ *       400:
+ *         description: Invalid change
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/admins/:adminId', requireSuperAdmin, [
+    param('adminId').isMongoId().withMessage('Invalid admin ID'),
+    body('role').optional().isIn(['super_admin', 'admin', 'moderator']).withMessage('Invalid role'),
+    permissionsValidation,
+    body().custom(value => value.role !== undefined || value.permissions !== undefined)
+        .withMessage('Role or permissions is required')
+], validateRequest, updateAdmin);
+
+/**
+ * @swagger
+ * /api/admin/admins/{adminId}/deactivate:
+ *   put:
+ *     summary: Deactivate an admin account
+ *     description: Super admins only. The admin can no longer log in and their current sessions end. The last active super admin cannot be deactivated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Admin deactivated
+ *       400:
+ *         description: Already deactivated, your own account, or the last super admin
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/admins/:adminId/deactivate', requireSuperAdmin, [
+    param('adminId').isMongoId().withMessage('Invalid admin ID')
+], validateRequest, deactivateAdmin);
+
+/**
+ * @swagger
+ * /api/admin/admins/{adminId}/activate:
+ *   put:
+ *     summary: Reactivate an admin account
+ *     description: Super admins only.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Admin activated
+ *       400:
+ *         description: Already active or your own account
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/admins/:adminId/activate', requireSuperAdmin, [
+    param('adminId').isMongoId().withMessage('Invalid admin ID')
+], validateRequest, activateAdmin);
+
+/**
+ * @swagger
+ * /api/admin/admins/{adminId}/reset-password:
+ *   post:
+ *     summary: Reset an admin's password
+ *     description: Super admins only. Sets a temporary password the admin must change on next login, unlocks the account and ends the admin's current sessions.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newPassword
+ *             properties:
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Your own account (use change-password)
+ *       404:
+ *         description: Admin not found
+ */
+router.post('/admins/:adminId/reset-password', requireSuperAdmin, [
+    param('adminId').isMongoId().withMessage('Invalid admin ID'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+], validateRequest, resetAdminPassword);
+
+/**
+ * @swagger
+ * /api/admin/admins/{adminId}/reset-2fa:
+ *   post:
+ *     summary: Reset an admin's two-factor authentication
+ *     description: Super admins only. For an admin who lost their device. Turns two-factor authentication off, removes the recovery codes and ends the admin's sessions; with ADMIN_2FA_REQUIRED they must set it up again after logging in.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         description: Not enabled, or your own account
+ *       404:
+ *         description: Admin not found
+ */
+router.post('/admins/:adminId/reset-2fa', requireSuperAdmin, [
+    param('adminId').isMongoId().withMessage('Invalid admin ID')
+], validateRequest, resetAdminTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Search the audit log of admin actions
+ *     description: Every successful admin change (any request but GET) and admin login is logged with the admin, action, target, before/after snapshots where available, the request body without passwords or codes, IP and user agent. Newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: e.g. users.block, users.balance, transactions.refund, withdrawal_requests.approve, auth.login
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *         description: e.g. users, rooms, transactions
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit log entries retrieved successfully
+ */
+router.get('/audit-logs', checkPermission('audit_logs', 'view'), [
+    query('adminId').optional().isMongoId().withMessage('Invalid admin ID'),
+    query('action').optional().trim(),
+    query('targetType').optional().trim(),
+    query('targetId').optional().trim(),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, getAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs/verify:
+ *   get:
+ *     summary: Verify the audit log hash chain
+ *     description: Recomputes every entry's hash and checks that each entry chains onto the one before it. Entries removed from the end cannot be detected this way; compare lastSequence and lastHash with a copy kept elsewhere.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The result (valid, checked, lastSequence, lastHash and, if broken, brokenAt)
+ */
+router.get('/audit-logs/verify', checkPermission('audit_logs', 'view'), verifyAuditLogs);
+
+// Approvals (maker-checker)
+/**
+ * @swagger
+ * /api/admin/approvals:
+ *   get:
+ *     summary: List approvals of large balance adjustments and refunds
+ *     description: Balance adjustments (PUT /api/admin/users/{userId}/balance) and refunds (POST /api/admin/transactions/{transactionId}/refund) above the approvalThresholdAmount setting are not posted right away; they answer 202 with a pending approval that a second admin must approve.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled, all]
+ *           default: pending
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [balance_adjustment, refund]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Approvals retrieved successfully
+ */
+router.get('/approvals', checkPermission('approvals', 'view'), [
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled', 'all']),
+    query('action').optional().isIn(['balance_adjustment', 'refund']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, getApprovals);
+
+/**
+ * @swagger
+ * /api/admin/approvals/{approvalId}:
+ *   get:
+ *     summary: Get an approval
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: approvalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval retrieved successfully
+ *       404:
+ *         description: Approval not found
+ */
+router.get('/approvals/:approvalId', checkPermission('approvals', 'view'), [
+    param('approvalId').isMongoId().withMessage('Invalid approval ID')
+], validateRequest, getApprovalDetails);
+
+/**
+ * @swagger
+ * /api/admin/approvals/{approvalId}/approve:
+ *   put:
+ *     summary: Approve and post a pending balance adjustment or refund
+ *     description: Must be a different admin than the requester, with the permission of the action (users.adjust_balance or transactions.refund). The transaction is posted together with the approval.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: approvalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Approved, with the posted transaction
+ *       400:
+ *         description: Not pending, or the user's balance is too low for a deduction
+ *       403:
+ *         description: Requested by the same admin, or missing the action's permission
+ *       409:
+ *         description: Reviewed by another admin in the meantime
+ */
+router.put('/approvals/:approvalId/approve', checkPermission('approvals', 'review'), [
+    param('approvalId').isMongoId().withMessage('Invalid approval ID'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], validateRequest, approveApproval);
+
+/**
+ * @swagger
+ * /api/admin/approvals/{approvalId}/reject:
+ *   put:
+ *     summary: Reject a pending balance adjustment or refund
+ *     description: Same reviewer rules as approve. Nothing is posted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: approvalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rejected
+ *       403:
+ *         description: Requested by the same admin, or missing the action's permission
+ */
+router.put('/approvals/:approvalId/reject', checkPermission('approvals', 'review'), [
+    param('approvalId').isMongoId().withMessage('Invalid approval ID'),
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required')
+], validateRequest, rejectApproval);
+
+/**
+ * @swagger
+ * /api/admin/approvals/{approvalId}/cancel:
+ *   put:
+ *     summary: Cancel your own pending approval request
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: approvalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled
+ *       403:
+ *         description: Requested by another admin
+ */
+router.put('/approvals/:approvalId/cancel', checkPermission('approvals', 'view'), [
+    param('approvalId').isMongoId().withMessage('Invalid approval ID'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], validateRequest, cancelApproval);
+
+export default router;
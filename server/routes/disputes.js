@@ -0,0 +1,241 @@
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import { validateRequest } from '../middleware/validation.js';
+import { auth } from '../middleware/auth.js';
+import { uploadEvidence } from '../middleware/upload.js';
+import {
+  openDispute,
+  getMyDisputes,
+  getDisputeDetails,
+  addDisputeMessage,
+  getDisputeEvidenceFile
+} from '../controllers/disputeController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Disputes
+ *   description: Disputes over a room's result, reviewed by admins
+ */
+
+// All routes require authentication
+router.use(auth);
+
+/**
+ * @swagger
+ * /api/disputes:
+ *   post:
+ *     summary: Open a dispute on a room
+ *     description: Only rooms whose result is not settled yet (playing, winner_declared or escalated) can be disputed. A playing room is escalated while the dispute is open.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roomId
+ *               - description
+ *             properties:
+ *               roomId:
+ *                 type: string
+ *                 example: "LK123456"
+ *               category:
+ *                 type: string
+ *                 enum: [wrong_winner, no_show, cheating, technical_issue, other]
+ *               description:
+ *                 type: string
+ *                 maxLength: 2000
+ *               screenshots:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roomId
+ *               - description
+ *             properties:
+ *               roomId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Dispute opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         dispute:
+ *                           $ref: '#/components/schemas/Dispute'
+ *       400:
+ *         description: Room result already settled or invalid screenshot
+ *       403:
+ *         description: Not a player in this room
+ *       404:
+ *         description: Room not found
+ *       409:
+ *         description: The room already has an open dispute
+ */
+router.post('/', uploadEvidence, [
+  body('roomId')
+    .trim()
+    .notEmpty()
+    .withMessage('Room ID is required'),
+  body('category')
+    .optional()
+    .isIn(['wrong_winner', 'no_show', 'cheating', 'technical_issue', 'other'])
+    .withMessage('Invalid category'),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Description must be between 1 and 2000 characters')
+], validateRequest, openDispute);
+
+/**
+ * @swagger
+ * /api/disputes:
+ *   get:
+ *     summary: Get disputes on the user's rooms
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, open, under_review, awaiting_info, resolved]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Disputes with pagination (without messages and timeline)
+ */
+router.get('/', [
+  query('status').optional().isIn(['all', 'open', 'under_review', 'awaiting_info', 'resolved']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, getMyDisputes);
+
+/**
+ * @swagger
+ * /api/disputes/{disputeId}:
+ *   get:
+ *     summary: Get a dispute with its messages and timeline
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "DSP1718000000000123"
+ *     responses:
+ *       200:
+ *         description: Dispute details
+ *       404:
+ *         description: Dispute not found
+ */
+router.get('/:disputeId', getDisputeDetails);
+
+/**
+ * @swagger
+ * /api/disputes/{disputeId}/messages:
+ *   post:
+ *     summary: Add a message and/or screenshots to a dispute
+ *     description: Answering an admin's information request moves the dispute back to under_review.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               screenshots:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Message added
+ *       400:
+ *         description: Empty message, invalid screenshot or dispute resolved
+ *       404:
+ *         description: Dispute not found
+ */
+router.post('/:disputeId/messages', uploadEvidence, [
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Message cannot exceed 2000 characters')
+], validateRequest, addDisputeMessage);
+
+/**
+ * @swagger
+ * /api/disputes/{disputeId}/evidence/{fileId}:
+ *   get:
+ *     summary: Download a screenshot attached to a dispute
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The image
+ *       404:
+ *         description: Evidence not found
+ */
+router.get('/:disputeId/evidence/:fileId', [
+  param('fileId').isHexadecimal().isLength({ min: 24, max: 24 }).withMessage('Invalid file ID')
+], validateRequest, getDisputeEvidenceFile);
+
+export default router;
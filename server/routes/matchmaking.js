@@ -0,0 +1,138 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { validateRequest } from '../middleware/validation.js';
+import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import {
+  joinQueue,
+  getQueueStatus,
+  leaveQueue
+} from '../controllers/matchmakingController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Matchmaking
+ *   description: Automatic matching of players into new rooms by game type and stake
+ */
+
+// All routes require authentication
+router.use(auth);
+
+/**
+ * @swagger
+ * /api/matchmaking/queue:
+ *   post:
+ *     summary: Join the matchmaking queue
+ *     description: As soon as maxPlayers users wait for the same gameType, amount and maxPlayers, they are put into a new room that starts right away and every entry fee is held from their wallets. The ticket expires after MATCHMAKING_TIMEOUT_SECONDS without a match. Follow the result with GET /api/matchmaking/queue or the matchmaking.* WebSocket events.
+ *     tags: [Matchmaking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               gameType:
+ *                 type: string
+ *                 enum: [Ludo, Snakes & Ladders, Carrom]
+ *                 default: Ludo
+ *               amount:
+ *                 type: number
+ *                 description: Between the minRoomAmount and maxRoomAmount platform settings (₹10 to ₹10,000 by default)
+ *                 example: 100
+ *               maxPlayers:
+ *                 type: number
+ *                 minimum: 2
+ *                 maximum: 4
+ *                 default: 2
+ *     responses:
+ *       201:
+ *         description: Queued, or matched straight away
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/MatchmakingStatus'
+ *       400:
+ *         description: Insufficient balance or invalid parameters
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Already in the queue
+ */
+router.post('/queue', [
+  body('gameType')
+    .optional()
+    .isIn(['Ludo', 'Snakes & Ladders', 'Carrom'])
+    .withMessage('Invalid game type'),
+  body('amount')
+    .isInt({ min: 1 })
+    .withMessage('Amount must be a whole number of rupees')
+    .toInt(),
+  body('maxPlayers')
+    .optional()
+    .isInt({ min: 2, max: 4 })
+    .withMessage('Players must be between 2 and 4')
+    .toInt()
+], validateRequest, idempotency, joinQueue);
+
+/**
+ * @swagger
+ * /api/matchmaking/queue:
+ *   get:
+ *     summary: Get the status of your current or latest matchmaking ticket
+ *     description: Poll this while queued if you are not connected to the WebSocket. Once matched, room holds the new room.
+ *     tags: [Matchmaking]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ticket status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/MatchmakingStatus'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No ticket yet
+ */
+router.get('/queue', getQueueStatus);
+
+/**
+ * @swagger
+ * /api/matchmaking/queue:
+ *   delete:
+ *     summary: Leave the matchmaking queue
+ *     tags: [Matchmaking]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ticket cancelled
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Not in the queue
+ */
+router.delete('/queue', leaveQueue);
+
+export default router;
@@ -0,0 +1,101 @@
+import express from 'express';
+import { query, param } from 'express-validator';
+import { validateRequest } from '../middleware/validation.js';
+import { auth } from '../middleware/auth.js';
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notifications (room expiry, cancellations, ...)
+ */
+
+// All routes require authentication
+router.use(auth);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications with pagination and unreadCount
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', [
+  query('unreadOnly').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.put('/read-all', markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{notificationId}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.put('/:notificationId/read', [
+  param('notificationId').isMongoId().withMessage('Invalid notification ID')
+], validateRequest, markNotificationRead);
+
+export default router;
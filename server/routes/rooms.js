@@ -2,13 +2,23 @@ import express from 'express';
 import { body, query, param } from 'express-validator';
 import { validateRequest } from '../middleware/validation.js';
 import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { uploadEvidence } from '../middleware/upload.js';
+import { validatePhoneNumber } from '../utils/helpers.js';
 import {
   getRooms,
   createRoom,
   joinRoom,
   declareWinner,
   getMyRooms,
-  leaveRoom
+  leaveRoom,
+  reportNoShow,
+  contestNoShow,
+  addResultEvidence,
+  getRoomByInviteCode,
+  inviteToRoom,
+  getMyInvitations,
+  declineInvitation
 } from '../controllers/roomController.js';
 
 const router = express.Router();
@@ -28,6 +38,7 @@ router.use(auth);
  * /api/rooms:
  *   get:
  *     summary: Get available game rooms
+ *     description: Lists public rooms only; private rooms are reached through an invitation, invite code or passcode.
  *     tags: [Game Rooms]
  *     security:
  *       - bearerAuth: []
@@ -89,7 +100,7 @@ router.use(auth);
 router.get('/', [
   query('status')
     .optional()
-    .isIn(['all', 'waiting', 'playing', 'completed', 'cancelled'])
+    .isIn(['all', 'waiting', 'playing', 'winner_declared', 'escalated', 'completed', 'cancelled'])
     .withMessage('Invalid status filter'),
   query('page')
     .optional()
@@ -150,7 +161,7 @@ router.get('/', [
 router.get('/my-rooms', [
   query('status')
     .optional()
-    .isIn(['all', 'waiting', 'playing', 'completed', 'cancelled'])
+    .isIn(['all', 'waiting', 'playing', 'winner_declared', 'escalated', 'completed', 'cancelled'])
     .withMessage('Invalid status filter')
 ], validateRequest, getMyRooms);
 
@@ -162,6 +173,8 @@ router.get('/my-rooms', [
  *     tags: [Game Rooms]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -182,8 +195,7 @@ router.get('/my-rooms', [
  *                 description: "Optional custom room ID"
  *               amount:
  *                 type: number
- *                 minimum: 10
- *                 maximum: 10000
+ *                 description: Between the minRoomAmount and maxRoomAmount platform settings (₹10 to ₹10,000 by default)
  *                 example: 100
  *               maxPlayers:
  *                 type: number
@@ -191,6 +203,32 @@ router.get('/my-rooms', [
  *                 maximum: 4
  *                 default: 4
  *                 example: 4
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, private]
+ *                 default: public
+ *                 description: Private rooms are hidden from the lobby; the response includes their inviteCode and shareLink
+ *               passcode:
+ *                 type: string
+ *                 minLength: 4
+ *                 maxLength: 12
+ *                 description: Optional passcode for a private room, an alternative to the invite code
+ *               payoutStructure:
+ *                 type: array
+ *                 description: Percent of the prize (after the platform fee) for each paid position, first place first. Pays fewer positions than maxPlayers, whole percents of at least 5, highest first, adding up to 100.
+ *                 items:
+ *                   type: integer
+ *                 default: [100]
+ *                 example: [70, 30]
+ *               mode:
+ *                 type: string
+ *                 enum: [solo, teams]
+ *                 default: solo
+ *                 description: A team room is a 4-player room of two teams of two; the winning team shares the prize. It needs maxPlayers 4 and the default payout structure.
+ *               team:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *                 description: The creator's team in a team room (default 1)
  *     responses:
  *       201:
  *         description: Room created successfully
@@ -218,13 +256,88 @@ router.post('/create', [
     .isIn(['Ludo', 'Snakes & Ladders', 'Carrom'])
     .withMessage('Invalid game type'),
   body('amount')
-    .isFloat({ min: 10, max: 10000 })
-    .withMessage('Amount must be between ₹10 and ₹10,000'),
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
   body('maxPlayers')
     .optional()
     .isInt({ min: 2, max: 4 })
-    .withMessage('Players must be between 2 and 4')
-], validateRequest, createRoom);
+    .withMessage('Players must be between 2 and 4'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'private'])
+    .withMessage('Visibility must be public or private'),
+  body('passcode')
+    .optional()
+    .isString()
+    .isLength({ min: 4, max: 12 })
+    .withMessage('Passcode must be between 4 and 12 characters'),
+  body('payoutStructure')
+    .optional()
+    .isArray({ min: 1, max: 3 })
+    .withMessage('Payout structure must list 1 to 3 paid positions'),
+  body('payoutStructure.*')
+    .isInt({ min: 5, max: 100 })
+    .withMessage('Each position must get a whole percent between 5 and 100')
+    .toInt(),
+  body('mode')
+    .optional()
+    .isIn(['solo', 'teams'])
+    .withMessage('Mode must be solo or teams'),
+  body('team')
+    .optional()
+    .isInt({ min: 1, max: 2 })
+    .withMessage('Team must be 1 or 2')
+    .toInt()
+], validateRequest, idempotency, createRoom);
+
+/**
+ * @swagger
+ * /api/rooms/invitations:
+ *   get:
+ *     summary: Get pending invitations to private rooms that are still waiting
+ *     tags: [Game Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+// Get my invitations
+router.get('/invitations', getMyInvitations);
+
+/**
+ * @swagger
+ * /api/rooms/invite/{inviteCode}:
+ *   get:
+ *     summary: Resolve a share link's invite code to its room
+ *     description: Use the returned roomId with the invite code to join.
+ *     tags: [Game Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inviteCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "K7WQ2MXP"
+ *     responses:
+ *       200:
+ *         description: Room found
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invalid invite code
+ */
+// Get room by invite code
+router.get('/invite/:inviteCode', [
+  param('inviteCode')
+    .isAlphanumeric()
+    .isLength({ min: 8, max: 8 })
+    .withMessage('Invalid invite code')
+], validateRequest, getRoomByInviteCode);
 
 /**
  * @swagger
@@ -235,6 +348,7 @@ router.post('/create', [
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: roomId
  *         required: true
@@ -243,6 +357,23 @@ router.post('/create', [
  *           pattern: "^LK[0-9]{6}$"
  *           example: "LK123456"
  *         description: Room ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Needed for a private room unless you were invited
+ *             properties:
+ *               inviteCode:
+ *                 type: string
+ *                 example: "K7WQ2MXP"
+ *               passcode:
+ *                 type: string
+ *               team:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *                 description: The team to join in a team room; without it you join the team with fewer players
  *     responses:
  *       200:
  *         description: Joined room successfully
@@ -259,21 +390,117 @@ router.post('/create', [
  *                         room:
  *                           $ref: '#/components/schemas/GameRoom'
  *       400:
- *         description: Room full, insufficient balance, or already joined
+ *         description: Room or chosen team full, insufficient balance, or already joined
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Private room and no valid invitation, invite code or passcode
  *       404:
  *         description: Room not found
  */
 // Join room
 router.post('/:roomId/join', [
-], joinRoom);
+  body('inviteCode')
+    .optional()
+    .isString()
+    .trim(),
+  body('passcode')
+    .optional()
+    .isString(),
+  body('team')
+    .optional()
+    .isInt({ min: 1, max: 2 })
+    .withMessage('Team must be 1 or 2')
+    .toInt()
+], validateRequest, idempotency, joinRoom);
+
+/**
+ * @swagger
+ * /api/rooms/{roomId}/invitations:
+ *   post:
+ *     summary: Invite a user to a private room by phone or username
+ *     description: Only the room creator can invite, while the room is waiting. The invitee gets a room_invitation notification and can join without the invite code.
+ *     tags: [Game Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "LK123456"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Either phone or username
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "9876543210"
+ *               username:
+ *                 type: string
+ *                 example: "john_doe"
+ *     responses:
+ *       201:
+ *         description: User invited
+ *       400:
+ *         description: Public room, room not waiting, or user already invited or in the room
+ *       403:
+ *         description: Not the room creator
+ *       404:
+ *         description: Room or user not found
+ */
+// Invite to room
+router.post('/:roomId/invitations', [
+  body('phone')
+    .optional()
+    .custom((value) => {
+      if (!validatePhoneNumber(String(value))) {
+        throw new Error('Please enter a valid Indian mobile number');
+      }
+      return true;
+    }),
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Invalid username')
+], validateRequest, inviteToRoom);
+
+/**
+ * @swagger
+ * /api/rooms/{roomId}/invitations/decline:
+ *   post:
+ *     summary: Decline an invitation to a private room
+ *     tags: [Game Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "LK123456"
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       404:
+ *         description: No pending invitation
+ */
+// Decline invitation
+router.post('/:roomId/invitations/decline', declineInvitation);
 
 /**
  * @swagger
  * /api/rooms/{roomId}/declare-winner:
  *   put:
- *     summary: Declare winner of a game
+ *     summary: Submit the winner of a game
+ *     description: Every player submits the winner they saw; in rooms that pay several positions, the ranking of the paid positions instead (rankings, winner first), and in team rooms the winning team (winningTeam, or winnerId of any of its players). When all players agree, or the confirmation window (RESULT_CONFIRMATION_WINDOW_MINUTES, opened by the first submission) closes with no conflicting submission, the win is auto-approved and paid out. Conflicting submissions become a disputed winner request for an admin.
  *     tags: [Game Rooms]
  *     security:
  *       - bearerAuth: []
@@ -292,16 +519,46 @@ router.post('/:roomId/join', [
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - winnerId
  *             properties:
  *               winnerId:
  *                 type: string
  *                 format: objectId
  *                 example: "60d5ecb74b24a1234567890a"
+ *               rankings:
+ *                 type: array
+ *                 description: Players in the paid positions, winner first. Required when the room pays several positions; replaces winnerId.
+ *                 items:
+ *                   type: string
+ *                   format: objectId
+ *               winningTeam:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *                 description: Team rooms only; replaces winnerId
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               winnerId:
+ *                 type: string
+ *                 format: objectId
+ *               rankings:
+ *                 type: string
+ *                 description: Comma-separated user IDs of the paid positions, winner first
+ *               winningTeam:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               screenshots:
+ *                 type: array
+ *                 description: JPEG, PNG or WebP images (EVIDENCE_MAX_FILES, EVIDENCE_MAX_FILE_SIZE_MB)
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       200:
- *         description: Winner declared successfully
+ *         description: Result submitted
  *         content:
  *           application/json:
  *             schema:
@@ -312,6 +569,9 @@ router.post('/:roomId/join', [
  *                     data:
  *                       type: object
  *                       properties:
+ *                         outcome:
+ *                           type: string
+ *                           enum: [pending, confirmed, disputed, review]
  *                         room:
  *                           type: object
  *                           properties:
@@ -323,40 +583,175 @@ router.post('/:roomId/join', [
  *                               type: string
  *                             winner:
  *                               type: string
+ *                             winningTeam:
+ *                               type: integer
  *                             completedAt:
  *                               type: string
  *                               format: date-time
+ *                         submissions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               userId:
+ *                                 type: string
+ *                               winnerId:
+ *                                 type: string
+ *                               rankings:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                               submittedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                         confirmationDeadline:
+ *                           type: string
+ *                           format: date-time
+ *                           description: When a pending result is confirmed without the remaining players
  *                         pendingWinnings:
  *                           type: object
  *                           properties:
+ *                             winnerId:
+ *                               type: string
+ *                             winningTeam:
+ *                               type: integer
+ *                               description: Team rooms only
+ *                             teamPlayers:
+ *                               type: array
+ *                               description: Team rooms only; the players who share the amount
+ *                               items:
+ *                                 type: string
  *                             amount:
  *                               type: number
  *                             totalPrizePool:
  *                               type: number
  *                             platformFee:
  *                               type: number
+ *                             positions:
+ *                               type: array
+ *                               description: Share of each paid position under the agreed ranking
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   position:
+ *                                     type: number
+ *                                   userId:
+ *                                     type: string
+ *                                   amount:
+ *                                     type: number
  *                         requestId:
  *                           type: string
- *                           description: Winner verification request ID
- *                         message:
+ *                           description: Winner request ID once confirmed, disputed or sent for review
+ *                         evidence:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Evidence'
+ *                         evidenceError:
  *                           type: string
- *                           description: Information about verification process
+ *                           description: Set when the result was recorded but the screenshots could not be attached; add them with POST /api/rooms/{roomId}/evidence
  *       400:
- *         description: Game not in progress or invalid winner
+ *         description: Game not in progress, invalid winner, invalid screenshot or result already submitted
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Not a player in this room
  *       404:
  *         description: Room not found
+ *       409:
+ *         description: The room's result was settled in the meantime
  */
 // Declare winner
-router.put('/:roomId/declare-winner', [
+router.put('/:roomId/declare-winner', uploadEvidence, [
+  // Multipart forms send the ranking as comma-separated IDs
+  body('rankings')
+    .optional()
+    .customSanitizer(value => typeof value === 'string' ? value.split(',').map(id => id.trim()).filter(Boolean) : value)
+    .isArray({ min: 1, max: 4 })
+    .withMessage('Rankings must list the players in the paid positions'),
+  body('rankings.*')
+    .isMongoId()
+    .withMessage('Invalid user ID in rankings'),
+  body('winningTeam')
+    .optional()
+    .isInt({ min: 1, max: 2 })
+    .withMessage('Winning team must be 1 or 2')
+    .toInt(),
   body('winnerId')
+    .if(body('rankings').not().exists())
+    .if(body('winningTeam').not().exists())
     .isMongoId()
-    .withMessage('Invalid winner ID')
+    .withMessage('Invalid winner ID'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
 ], validateRequest, declareWinner);
 
+/**
+ * @swagger
+ * /api/rooms/{roomId}/evidence:
+ *   post:
+ *     summary: Add screenshot evidence for a room's result
+ *     description: Attaches screenshots to the room's pending winner request, or to the room until one exists. Screenshots from a player who backs a different winner than the declared one are marked as counter-evidence.
+ *     tags: [Game Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^LK[0-9]{6}$"
+ *           example: "LK123456"
+ *         description: Room ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/EvidenceUpload'
+ *     responses:
+ *       201:
+ *         description: Screenshots added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         evidence:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Evidence'
+ *                         attachedTo:
+ *                           type: string
+ *                           enum: [room, winnerRequest]
+ *                         winnerRequestId:
+ *                           type: string
+ *       400:
+ *         description: No screenshots, invalid image, file too large or result already settled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a player in this room
+ *       404:
+ *         description: Room not found
+ */
+// Add result evidence
+router.post('/:roomId/evidence', uploadEvidence, [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+], validateRequest, addResultEvidence);
+
 /**
  * @swagger
  * /api/rooms/{roomId}/leave:
@@ -376,7 +771,7 @@ router.put('/:roomId/declare-winner', [
  *         description: Room ID
  *     responses:
  *       200:
- *         description: Left room successfully
+ *         description: Left room successfully; the held entry fee is refunded as a refund transaction linked to the room
  *       400:
  *         description: Cannot leave room once game has started or not in room
  *       401:
@@ -388,4 +783,88 @@ router.put('/:roomId/declare-winner', [
 router.post('/:roomId/leave', [
 ], validateRequest, leaveRoom);
 
+/**
+ * @swagger
+ * /api/rooms/{roomId}/no-show:
+ *   post:
+ *     summary: Report that the other players did not show up
+ *     description: The other players are notified and can contest the report during the grace period (NO_SHOW_GRACE_MINUTES). If nobody contests it, the reporter is awarded the win and paid out from the room escrow.
+ *     tags: [Game Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^LK[0-9]{6}$"
+ *           example: "LK123456"
+ *         description: Room ID
+ *     responses:
+ *       200:
+ *         description: No-show reported; data.noShowReport.graceEndsAt is when the win is awarded
+ *       400:
+ *         description: Game not in progress or a no-show was already reported
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a player in this room
+ *       404:
+ *         description: Room not found
+ */
+// Report no-show
+router.post('/:roomId/no-show', reportNoShow);
+
+/**
+ * @swagger
+ * /api/rooms/{roomId}/no-show/contest:
+ *   post:
+ *     summary: Contest a no-show report
+ *     description: Moves the room to `escalated` so an admin declares the winner.
+ *     tags: [Game Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^LK[0-9]{6}$"
+ *           example: "LK123456"
+ *         description: Room ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "I was in the game, the reporter left"
+ *     responses:
+ *       200:
+ *         description: Report contested and room escalated to an admin
+ *       400:
+ *         description: No pending report, grace period over, or you are the reporter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a player in this room
+ *       404:
+ *         description: Room not found
+ *       409:
+ *         description: The report was resolved in the meantime
+ */
+// Contest no-show
+router.post('/:roomId/no-show/contest', [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], validateRequest, contestNoShow);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,183 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { validateRequest } from '../middleware/validation.js';
+import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import {
+  getTournaments,
+  getTournament,
+  registerForTournament,
+  withdrawFromTournament
+} from '../controllers/tournamentController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tournaments
+ *   description: Knockout tournaments with an entry fee, bracket rooms and a prize table
+ */
+
+// All routes require authentication
+router.use(auth);
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   get:
+ *     summary: List tournaments
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, registration, in_progress, completed, cancelled]
+ *           default: all
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Tournaments without their bracket, with participantCount and isRegistered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/PaginationResponse'
+ *                         - type: object
+ *                           properties:
+ *                             data:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/Tournament'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', [
+  query('status')
+    .optional()
+    .isIn(['all', 'registration', 'in_progress', 'completed', 'cancelled'])
+    .withMessage('Invalid status filter'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], validateRequest, getTournaments);
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}:
+ *   get:
+ *     summary: Get a tournament with its participants, bracket and prizes
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: TRN1700000000000123
+ *     responses:
+ *       200:
+ *         description: Tournament details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         tournament:
+ *                           $ref: '#/components/schemas/Tournament'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ */
+router.get('/:tournamentId', getTournament);
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/register:
+ *   post:
+ *     summary: Register for a tournament
+ *     description: The entry fee is held from your wallet until the tournament ends, or refunded if you withdraw before it starts or it is cancelled.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       201:
+ *         description: Registered
+ *       400:
+ *         description: Registration closed, tournament full or insufficient balance
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ *       409:
+ *         description: Already registered
+ */
+router.post('/:tournamentId/register', idempotency, registerForTournament);
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/register:
+ *   delete:
+ *     summary: Withdraw from a tournament before it starts
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawn and entry fee refunded
+ *       400:
+ *         description: The tournament has already started
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found or not registered
+ */
+router.delete('/:tournamentId/register', withdrawFromTournament);
+
+export default router;
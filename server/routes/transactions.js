@@ -33,7 +33,7 @@ router.use(auth);
  *         name: type
  *         schema:
  *           type: string
- *           enum: [all, deposit, withdrawal, game_win, game_loss, refund]
+ *           enum: [all, deposit, withdrawal, game_win, game_loss, refund, entry_hold]
  *           default: all
  *         description: Filter by transaction type
  *       - in: query
@@ -102,7 +102,7 @@ router.use(auth);
 router.get('/history', [
   query('type')
     .optional()
-    .isIn(['all', 'deposit', 'withdrawal', 'game_win', 'game_loss', 'refund'])
+    .isIn(['all', 'deposit', 'withdrawal', 'game_win', 'game_loss', 'refund', 'entry_hold'])
     .withMessage('Invalid transaction type'),
   query('page')
     .optional()
@@ -66,14 +66,18 @@ router.get('/profile', getProfile);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - name
+ *             description: At least one of name and username
  *             properties:
  *               name:
  *                 type: string
  *                 minLength: 2
  *                 maxLength: 50
  *                 example: "John Doe Updated"
+ *               username:
+ *                 type: string
+ *                 pattern: "^[a-z0-9_]{3,20}$"
+ *                 example: "john_doe"
+ *                 description: Public handle other players can invite you by
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -85,11 +89,16 @@ router.get('/profile', getProfile);
 // Update profile
 router.put('/profile', [
   body('name')
+    .optional()
     .trim()
-    .notEmpty()
-    .withMessage('Name is required')
     .isLength({ min: 2, max: 50 })
-    .withMessage('Name must be between 2 and 50 characters')
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('username')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_]{3,20}$/)
+    .withMessage('Username must be 3-20 letters, digits or underscores')
 ], validateRequest, updateProfile);
 
 /**
@@ -2,9 +2,13 @@ import express from 'express';
 import { body, query, param } from 'express-validator';
 import { validateRequest } from '../middleware/validation.js';
 import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import {
   getBalance,
-  addMoney,
+  createDeposit,
+  verifyDeposit,
+  depositCallback,
+  getDeposit,
   withdraw,
   getTransactions,
   cancelWithdrawal,
@@ -20,7 +24,43 @@ const router = express.Router();
  *   description: Wallet management endpoints
  */
 
-// All routes require authentication
+/**
+ * @swagger
+ * /api/wallet/deposits/callback:
+ *   post:
+ *     summary: Payment gateway checkout callback
+ *     description: Called by the payment gateway after checkout. Credits the wallet only when the signature is valid and the payment is captured.
+ *     tags: [Wallet]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - razorpay_order_id
+ *               - razorpay_payment_id
+ *               - razorpay_signature
+ *             properties:
+ *               razorpay_order_id:
+ *                 type: string
+ *               razorpay_payment_id:
+ *                 type: string
+ *               razorpay_signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment verified and deposit completed
+ *       400:
+ *         description: Invalid signature or payment not captured
+ *       404:
+ *         description: Deposit not found
+ */
+// Gateway callback (no user token, authenticated by the payment signature)
+router.post('/deposits/callback', depositCallback);
+
+// All other routes require authentication
 router.use(auth);
 
 /**
@@ -56,14 +96,27 @@ router.use(auth);
 // Get balance
 router.get('/balance', getBalance);
 
+const depositValidation = [
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least ₹1'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['fake', 'upi', 'card', 'netbanking'])
+    .withMessage('Invalid payment method')
+];
+
 /**
  * @swagger
- * /api/wallet/add-money:
+ * /api/wallet/deposits:
  *   post:
- *     summary: Add money to wallet
+ *     summary: Create a deposit
+ *     description: Creates a payment order and a pending deposit. The wallet is credited once the payment is verified.
  *     tags: [Wallet]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -76,16 +129,16 @@ router.get('/balance', getBalance);
  *               amount:
  *                 type: number
  *                 minimum: 1
- *                 maximum: 100000
+ *                 description: Between the minDepositAmount and maxDepositAmount platform settings (₹10 to ₹1,00,000 by default)
  *                 example: 500
  *               paymentMethod:
  *                 type: string
  *                 enum: [fake, upi, card, netbanking]
- *                 default: fake
+ *                 default: upi
  *                 example: "upi"
  *     responses:
- *       200:
- *         description: Money added successfully
+ *       201:
+ *         description: Pending deposit created
  *         content:
  *           application/json:
  *             schema:
@@ -96,34 +149,165 @@ router.get('/balance', getBalance);
  *                     data:
  *                       type: object
  *                       properties:
- *                         transaction:
+ *                         deposit:
  *                           type: object
  *                           properties:
  *                             _id:
  *                               type: string
+ *                             transactionId:
+ *                               type: string
+ *                             orderId:
+ *                               type: string
  *                             amount:
  *                               type: number
- *                             newBalance:
+ *                             status:
+ *                               type: string
+ *                               example: pending
+ *                         paymentOrder:
+ *                           type: object
+ *                           properties:
+ *                             orderId:
+ *                               type: string
+ *                             amount:
  *                               type: number
- *                             transactionId:
+ *                             currency:
  *                               type: string
- *                             status:
+ *                             key:
+ *                               type: string
+ *                               description: Public gateway key for the checkout widget
+ *                             callbackUrl:
  *                               type: string
  *       400:
- *         description: Invalid amount or payment failed
+ *         description: Invalid amount
+ *       401:
+ *         description: Unauthorized
+ */
+// Create deposit
+router.post('/deposits', depositValidation, validateRequest, idempotency, createDeposit);
+
+/**
+ * @swagger
+ * /api/wallet/add-money:
+ *   post:
+ *     summary: Add money to wallet
+ *     description: Alias of POST /api/wallet/deposits kept for older clients. Returns a pending deposit.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: Between the minDepositAmount and maxDepositAmount platform settings (₹10 to ₹1,00,000 by default)
+ *                 example: 500
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [fake, upi, card, netbanking]
+ *                 default: upi
+ *     responses:
+ *       201:
+ *         description: Pending deposit created
+ *       400:
+ *         description: Invalid amount
  *       401:
  *         description: Unauthorized
  */
 // Add money
-router.post('/add-money', [
-  body('amount')
-    .isFloat({ min: 1, max: 100000 })
-    .withMessage('Amount must be between ₹1 and ₹1,00,000'),
-  body('paymentMethod')
-    .optional()
-    .isIn(['fake', 'upi', 'card', 'netbanking'])
-    .withMessage('Invalid payment method')
-], validateRequest, addMoney);
+router.post('/add-money', depositValidation, validateRequest, idempotency, createDeposit);
+
+/**
+ * @swagger
+ * /api/wallet/deposits/{orderId}:
+ *   get:
+ *     summary: Get deposit status
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment order ID
+ *     responses:
+ *       200:
+ *         description: Deposit retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Deposit not found
+ */
+// Get deposit
+router.get('/deposits/:orderId', [
+  param('orderId')
+    .notEmpty()
+    .withMessage('Order ID is required')
+], validateRequest, getDeposit);
+
+/**
+ * @swagger
+ * /api/wallet/deposits/{orderId}/verify:
+ *   post:
+ *     summary: Verify a deposit payment
+ *     description: Verifies the gateway signature returned by checkout and credits the wallet.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentId
+ *               - signature
+ *             properties:
+ *               paymentId:
+ *                 type: string
+ *                 example: "pay_29QQoUBi66xm2f"
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment verified and money added
+ *       400:
+ *         description: Invalid signature, failed payment or amount mismatch
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Deposit not found
+ */
+// Verify deposit
+router.post('/deposits/:orderId/verify', [
+  param('orderId')
+    .notEmpty()
+    .withMessage('Order ID is required'),
+  body('paymentId')
+    .notEmpty()
+    .withMessage('Payment ID is required'),
+  body('signature')
+    .notEmpty()
+    .withMessage('Payment signature is required')
+], validateRequest, verifyDeposit);
 
 /**
  * @swagger
@@ -133,6 +317,8 @@ router.post('/add-money', [
  *     tags: [Wallet]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -145,8 +331,7 @@ router.post('/add-money', [
  *             properties:
  *               amount:
  *                 type: number
- *                 minimum: 100
- *                 maximum: 50000
+ *                 description: Between the minWithdrawalAmount and maxWithdrawalAmount platform settings (₹100 to ₹50,000 by default)
  *                 example: 1000
  *               upiId:
  *                 type: string
@@ -188,12 +373,12 @@ router.post('/add-money', [
 // Withdraw money
 router.post('/withdraw', [
   body('amount')
-    .isFloat({ min: 100, max: 50000 })
-    .withMessage('Amount must be between ₹100 and ₹50,000'),
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
   body('upiId')
     .matches(/^[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+$/)
     .withMessage('Please enter a valid UPI ID')
-], validateRequest, withdraw);
+], validateRequest, idempotency, withdraw);
 
 /**
  * @swagger
@@ -208,7 +393,7 @@ router.post('/withdraw', [
  *         name: status
  *         schema:
  *           type: string
- *           enum: [all, pending, approved, rejected, cancelled]
+ *           enum: [all, pending, approved, rejected, cancelled, failed]
  *           default: all
  *         description: Filter by status
  *       - in: query
@@ -236,7 +421,7 @@ router.post('/withdraw', [
 router.get('/withdrawal-requests', [
   query('status')
     .optional()
-    .isIn(['all', 'pending', 'approved', 'rejected', 'cancelled'])
+    .isIn(['all', 'pending', 'approved', 'rejected', 'cancelled', 'failed'])
     .withMessage('Invalid status filter'),
   query('page')
     .optional()
@@ -294,7 +479,7 @@ router.post('/withdrawal-requests/:withdrawalId/cancel', [
  *         name: type
  *         schema:
  *           type: string
- *           enum: [all, deposit, withdrawal, game_win, game_loss, refund]
+ *           enum: [all, deposit, withdrawal, game_win, game_loss, refund, entry_hold]
  *           default: all
  *         description: Filter by transaction type
  *       - in: query
@@ -338,7 +523,7 @@ router.post('/withdrawal-requests/:withdrawalId/cancel', [
 router.get('/transactions', [
   query('type')
     .optional()
-    .isIn(['all', 'deposit', 'withdrawal', 'game_win', 'game_loss', 'refund'])
+    .isIn(['all', 'deposit', 'withdrawal', 'game_win', 'game_loss', 'refund', 'entry_hold'])
     .withMessage('Invalid transaction type'),
   query('page')
     .optional()
@@ -0,0 +1,51 @@
+import express from 'express';
+import { handlePaymentWebhook } from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Inbound payment gateway webhooks
+ */
+
+/**
+ * @swagger
+ * /api/webhooks/payments:
+ *   post:
+ *     summary: Receive a payment gateway webhook
+ *     description: |
+ *       Verifies the X-Razorpay-Signature header against the raw body, stores the event once per
+ *       event ID and applies it to deposits (payment.captured, payment.failed, refund.processed)
+ *       and withdrawal payouts (payout.processed, payout.failed, payout.reversed).
+ *       Repeated and out-of-order deliveries are safe.
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Razorpay-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Razorpay-Event-Id
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event stored (and applied unless it was a duplicate)
+ *       401:
+ *         description: Invalid webhook signature
+ *       500:
+ *         description: Processing failed, the gateway should retry
+ */
+router.post('/payments', handlePaymentWebhook);
+
+export default router;
@@ -0,0 +1,178 @@
+import Admin, { PERMISSION_ACTIONS, ROLE_PERMISSIONS } from '../models/Admin.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { httpError } from '../utils/helpers.js';
+
+/**
+ * Admin accounts, managed by super admins. Passwords set by another admin (new accounts
+ * and resets) are temporary: the admin must change it before using any other admin
+ * endpoint. Resetting a password or deactivating an account also ends the admin's
+ * sessions. Admins cannot change their own role or status, and the last active super
+ * admin cannot be demoted or deactivated.
+ */
+export class AdminAccountService {
+  // Check explicit permission flags, e.g. { rooms: { cancel: false } }
+  static checkPermissions(permissions) {
+    for (const [resource, actions] of Object.entries(permissions)) {
+      if (!PERMISSION_ACTIONS[resource] || typeof actions !== 'object' || actions === null) {
+        throw httpError(`Unknown permission resource: ${resource}`);
+      }
+
+      for (const [action, allowed] of Object.entries(actions)) {
+        if (!PERMISSION_ACTIONS[resource].includes(action)) {
+          throw httpError(`Unknown permission: ${resource}.${action}`);
+        }
+        if (typeof allowed !== 'boolean') {
+          throw httpError(`Permission ${resource}.${action} must be true or false`);
+        }
+      }
+    }
+  }
+
+  static applyPermissions(admin, permissions = {}) {
+    for (const [resource, actions] of Object.entries(permissions)) {
+      for (const [action, allowed] of Object.entries(actions)) {
+        admin.set(`permissions.${resource}.${action}`, allowed);
+      }
+    }
+  }
+
+  static async findAdmin(adminId) {
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      throw httpError('Admin not found', 404);
+    }
+    return admin;
+  }
+
+  // Refuse changes that would leave no active super admin
+  static async ensureOtherSuperAdmin(admin) {
+    if (admin.role !== 'super_admin' || !admin.isActive) {
+      return;
+    }
+
+    const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'super_admin', isActive: true });
+    if (others === 0) {
+      throw httpError('At least one active super admin is required');
+    }
+  }
+
+  static async list({ role, isActive, search, skip, limit }) {
+    const query = {};
+    if (role) {
+      query.role = role;
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive;
+    }
+    if (search) {
+      query.username = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [admins, total] = await Promise.all([
+      Admin.find(query)
+        .select('-password')
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Admin.countDocuments(query)
+    ]);
+
+    return { admins, total };
+  }
+
+  static async create({ username, password, role = 'admin', permissions }, createdBy) {
+    if (permissions) {
+      AdminAccountService.checkPermissions(permissions);
+    }
+
+    if (await Admin.exists({ username })) {
+      throw httpError('Username is already taken', 409);
+    }
+
+    const admin = new Admin({
+      username,
+      password,
+      role,
+      permissions: ROLE_PERMISSIONS[role],
+      mustChangePassword: true,
+      createdBy
+    });
+    AdminAccountService.applyPermissions(admin, permissions);
+
+    try {
+      await admin.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError('Username is already taken', 409);
+      }
+      throw error;
+    }
+
+    return admin;
+  }
+
+  // Change the role and/or permission flags. A new role resets the permissions to its
+  // preset before the given flags are applied.
+  static async update(adminId, { role, permissions }, actorId) {
+    if (String(adminId) === String(actorId)) {
+      throw httpError('You cannot change your own role or permissions');
+    }
+
+    if (permissions) {
+      AdminAccountService.checkPermissions(permissions);
+    }
+
+    const admin = await AdminAccountService.findAdmin(adminId);
+
+    if (role && role !== admin.role) {
+      await AdminAccountService.ensureOtherSuperAdmin(admin);
+      admin.applyRolePreset(role);
+    }
+    AdminAccountService.applyPermissions(admin, permissions);
+
+    await admin.save();
+    cache.del(cacheUtils.adminKey(admin._id));
+    return admin;
+  }
+
+  static async setActive(adminId, isActive, actorId) {
+    if (String(adminId) === String(actorId)) {
+      throw httpError('You cannot change the status of your own account');
+    }
+
+    const admin = await AdminAccountService.findAdmin(adminId);
+    if (admin.isActive === isActive) {
+      throw httpError(`Admin is already ${isActive ? 'active' : 'deactivated'}`);
+    }
+
+    if (!isActive) {
+      await AdminAccountService.ensureOtherSuperAdmin(admin);
+      admin.tokensRevokedAt = new Date();
+    }
+    admin.isActive = isActive;
+
+    await admin.save();
+    cache.del(cacheUtils.adminKey(admin._id));
+    return admin;
+  }
+
+  // Set a temporary password and unlock the account; the admin is logged out everywhere
+  static async resetPassword(adminId, newPassword, actorId) {
+    if (String(adminId) === String(actorId)) {
+      throw httpError('Use change-password to change your own password');
+    }
+
+    const admin = await AdminAccountService.findAdmin(adminId);
+
+    admin.password = newPassword;
+    admin.mustChangePassword = true;
+    admin.tokensRevokedAt = new Date();
+    admin.loginAttempts = 0;
+    admin.lockUntil = undefined;
+
+    await admin.save();
+    cache.del(cacheUtils.adminKey(admin._id));
+    return admin;
+  }
+}
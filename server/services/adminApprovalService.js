@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import AdminApproval from '../models/AdminApproval.js';
+import Transaction from '../models/Transaction.js';
+import { SettingsService } from './settingsService.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { httpError } from '../utils/helpers.js';
+
+// The permission ([resource, action]) an admin needs to review each kind of approval
+const REVIEW_PERMISSIONS = {
+  balance_adjustment: ['users', 'adjust_balance'],
+  refund: ['transactions', 'refund']
+};
+
+/**
+ * Maker-checker approval of admin balance adjustments and refunds. An amount above the
+ * approvalThresholdAmount setting is saved as a pending AdminApproval instead of being
+ * posted. A second admin, holding the permission of the action, approves it, which posts
+ * the transaction in the same database transaction as the approval, or rejects it. The
+ * requesting admin can cancel it while it is pending.
+ */
+export class AdminApprovalService {
+  static async requiresApproval(amount) {
+    const { approvalThresholdAmount } = await SettingsService.get();
+    return amount > approvalThresholdAmount;
+  }
+
+  // Post an admin balance change ({ userId, direction: 'add' | 'deduct', amount, reason })
+  static adjustBalance({ userId, direction, amount, reason }, metadata, { session } = {}) {
+    return Transaction.createWithBalanceUpdate(
+      userId,
+      direction === 'add' ? 'deposit' : 'withdrawal',
+      amount,
+      `Admin ${direction === 'add' ? 'added' : 'deducted'} balance - ${reason}`,
+      {
+        metadata: {
+          adminAction: true,
+          reason,
+          ...metadata
+        }
+      },
+      { counterAccount: 'adjustments', session }
+    );
+  }
+
+  // Refund the amount of a transaction to its user
+  static refund(transaction, reason, metadata, { session } = {}) {
+    return Transaction.createWithBalanceUpdate(
+      transaction.userId,
+      'refund',
+      transaction.amount,
+      `Refund for transaction ${transaction.transactionId} - ${reason}`,
+      {
+        metadata: {
+          originalTransactionId: transaction._id,
+          adminRefund: true,
+          reason,
+          ...metadata
+        }
+      },
+      { counterAccount: 'adjustments', session }
+    );
+  }
+
+  static async request(data, adminId) {
+    try {
+      return await AdminApproval.create({ ...data, requestedBy: adminId });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError('A refund of this transaction is already waiting for approval', 409);
+      }
+      throw error;
+    }
+  }
+
+  static async findPending(approvalId) {
+    const approval = await AdminApproval.findById(approvalId);
+    if (!approval) {
+      throw httpError('Approval not found', 404);
+    }
+    if (approval.status !== 'pending') {
+      throw httpError(`Approval is already ${approval.status}`);
+    }
+    return approval;
+  }
+
+  // Checks that `admin` may approve or reject the approval: someone other than the requester,
+  // with the permission of the action
+  static checkReviewer(approval, admin) {
+    if (approval.requestedBy.equals(admin._id)) {
+      throw httpError('An approval must be reviewed by a different admin than the one who requested it', 403);
+    }
+
+    const [resource, action] = REVIEW_PERMISSIONS[approval.action];
+    if (!admin.hasPermission(resource, action)) {
+      throw httpError(`Access denied. Missing permission: ${resource}.${action}`, 403);
+    }
+  }
+
+  // Approve and post the transaction. Returns { approval, transaction }.
+  static async approve(approvalId, admin, notes) {
+    const pending = await AdminApprovalService.findPending(approvalId);
+    AdminApprovalService.checkReviewer(pending, admin);
+
+    const session = await mongoose.startSession();
+
+    let approval;
+    let transaction;
+    try {
+      session.startTransaction();
+
+      // Claim the approval, so two reviewers cannot both post it
+      approval = await AdminApproval.findOneAndUpdate(
+        { _id: pending._id, status: 'pending' },
+        { status: 'approved', reviewedBy: admin._id, reviewedAt: new Date(), reviewNotes: notes },
+        { new: true, session }
+      );
+      if (!approval) {
+        throw httpError('Approval was already reviewed by another admin', 409);
+      }
+
+      const metadata = { adminId: approval.requestedBy, approvalId: approval._id, approvedBy: admin._id };
+
+      if (approval.action === 'refund') {
+        const original = await Transaction.findById(approval.originalTransactionId).session(session);
+        if (!original) {
+          throw httpError('The transaction to refund no longer exists', 404);
+        }
+        transaction = await AdminApprovalService.refund(original, approval.reason, metadata, { session });
+      } else {
+        transaction = await AdminApprovalService.adjustBalance(approval, metadata, { session });
+      }
+
+      approval.resultTransactionId = transaction._id;
+      await approval.save({ session });
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      if (error.message === 'Insufficient balance') {
+        throw httpError('The user no longer has enough balance for this deduction');
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    cacheUtils.clearUserCache(approval.userId);
+    cache.del(cacheUtils.balanceKey(approval.userId));
+
+    return { approval, transaction };
+  }
+
+  static async reject(approvalId, admin, reason) {
+    const approval = await AdminApprovalService.findPending(approvalId);
+    AdminApprovalService.checkReviewer(approval, admin);
+
+    return AdminApprovalService.close(approval, 'rejected', admin._id, reason);
+  }
+
+  // Withdraw a pending approval; only the admin who requested it can
+  static async cancel(approvalId, admin, reason) {
+    const approval = await AdminApprovalService.findPending(approvalId);
+    if (!approval.requestedBy.equals(admin._id)) {
+      throw httpError('Only the admin who requested an approval can cancel it', 403);
+    }
+
+    return AdminApprovalService.close(approval, 'cancelled', admin._id, reason);
+  }
+
+  static async close(approval, status, adminId, notes) {
+    const closed = await AdminApproval.findOneAndUpdate(
+      { _id: approval._id, status: 'pending' },
+      { status, reviewedBy: adminId, reviewedAt: new Date(), reviewNotes: notes },
+      { new: true }
+    );
+    if (!closed) {
+      throw httpError('Approval was already reviewed by another admin', 409);
+    }
+    return closed;
+  }
+}
@@ -0,0 +1,128 @@
+import AuditLog, { GENESIS_HASH } from '../models/AuditLog.js';
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Request body fields never written to the audit log
+const SENSITIVE_FIELD = /password|otp|code|token|secret/i;
+
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+      key,
+      SENSITIVE_FIELD.test(key) ? '[redacted]' : redact(field)
+    ]));
+  }
+  return value;
+};
+
+// Plain JSON copy (ObjectIds and dates become strings), so an entry hashes the same once stored
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Append-only, hash-chained log of admin actions. Every entry stores the hash of the one
+ * before it, so an entry that is changed or removed after the fact breaks the chain from
+ * there on. Removing entries at the end cannot be seen from the chain itself; keep the
+ * lastHash reported by verifyChain somewhere else to detect that.
+ */
+export class AuditLogService {
+  // Append an entry for an action of `admin`, with the request's method, path, IP and
+  // user agent when `req` is given
+  static async record({ admin, action, targetType, targetId, before, after, details, req }) {
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+      const entry = {
+        sequence: (last?.sequence || 0) + 1,
+        adminId: admin._id,
+        adminUsername: admin.username,
+        action,
+        targetType,
+        targetId: targetId == null ? undefined : String(targetId),
+        before: toPlain(before),
+        after: toPlain(after),
+        details: toPlain(redact(details)),
+        method: req?.method,
+        path: req?.originalUrl.split('?')[0],
+        ip: req?.ip,
+        userAgent: req?.get('User-Agent'),
+        prevHash: last?.hash || GENESIS_HASH,
+        createdAt: new Date()
+      };
+      entry.hash = AuditLog.computeHash(entry);
+
+      try {
+        return await AuditLog.create(entry);
+      } catch (error) {
+        // Another entry took this sequence number first; chain onto it instead
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new Error('Failed to append to the audit log');
+  }
+
+  static async search({ adminId, action, targetType, targetId, from, to, skip, limit }) {
+    const query = {};
+    if (adminId) query.adminId = adminId;
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return { logs, total };
+  }
+
+  // Walk the whole chain in order. Returns { valid, checked, lastSequence, lastHash } and,
+  // for a broken chain, brokenAt: { sequence, reason } for the first bad entry.
+  static async verifyChain() {
+    let previous = { sequence: 0, hash: GENESIS_HASH };
+    let checked = 0;
+
+    const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+    try {
+      for await (const entry of cursor) {
+        let reason = null;
+        if (entry.sequence !== previous.sequence + 1) {
+          reason = `Entries ${previous.sequence + 1} to ${entry.sequence - 1} are missing`;
+        } else if (entry.prevHash !== previous.hash) {
+          reason = 'Does not chain onto the previous entry';
+        } else if (AuditLog.computeHash(entry) !== entry.hash) {
+          reason = 'Contents do not match the stored hash';
+        }
+
+        if (reason) {
+          return {
+            valid: false,
+            checked,
+            lastSequence: previous.sequence,
+            lastHash: previous.hash,
+            brokenAt: { sequence: entry.sequence, reason }
+          };
+        }
+
+        previous = entry;
+        checked++;
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    return { valid: true, checked, lastSequence: previous.sequence, lastHash: previous.hash };
+  }
+}
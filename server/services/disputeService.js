@@ -0,0 +1,407 @@
+import mongoose from 'mongoose';
+import Dispute, { DISPUTE_OPEN_STATUSES } from '../models/Dispute.js';
+import GameRoom from '../models/GameRoom.js';
+import WinnerRequest from '../models/WinnerRequest.js';
+import { EscrowService } from './escrowService.js';
+import { NotificationService } from './notificationService.js';
+import { RoomResultService } from './roomResultService.js';
+import { TournamentService } from './tournamentService.js';
+import { cacheUtils } from '../utils/cache.js';
+import { emitRoomEvent } from '../utils/events.js';
+import { httpError } from '../utils/helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Room states in which the result is still open, so a dispute can change it
+const DISPUTABLE_ROOM_STATUSES = ['playing', 'winner_declared', 'escalated'];
+
+const playerIds = (room) => room.players.map(player => player.userId._id || player.userId);
+
+const includesId = (ids, id) => ids.some(item => item.toString() === id.toString());
+
+/**
+ * Disputes over a room's result. Players open them and add messages and evidence;
+ * admins assign them, ask players for more information and resolve them by awarding
+ * the win, splitting the prize or refunding everyone. Each dispute carries a
+ * timeline visible to both sides and first-response / resolution SLA deadlines.
+ */
+export class DisputeService {
+  static getFirstResponseSlaHours() {
+    return parseFloat(process.env.DISPUTE_FIRST_RESPONSE_SLA_HOURS) || 4;
+  }
+
+  static getResolutionSlaHours() {
+    return parseFloat(process.env.DISPUTE_RESOLUTION_SLA_HOURS) || 48;
+  }
+
+  static getInfoRequestHours() {
+    return parseFloat(process.env.DISPUTE_INFO_REQUEST_HOURS) || 24;
+  }
+
+  // Open a dispute on a room whose result is not settled yet. A playing room is
+  // escalated so the result jobs leave it to the dispute.
+  static async open(room, { openedBy = null, category = 'other', description, evidence = [] }, { session } = {}) {
+    if (!DISPUTABLE_ROOM_STATUSES.includes(room.status)) {
+      throw httpError('Only rooms whose result is still open can be disputed');
+    }
+
+    if (await Dispute.findOpenForRoom(room._id, session)) {
+      throw httpError('This room already has an open dispute', 409);
+    }
+
+    const now = Date.now();
+    const actorType = openedBy ? 'user' : 'system';
+    const winnerRequest = await WinnerRequest.findOne({ gameRoomId: room._id, status: 'pending' })
+      .session(session || null);
+
+    const dispute = new Dispute({
+      roomId: room.roomId,
+      gameRoomId: room._id,
+      winnerRequestId: winnerRequest?._id,
+      openedBy,
+      category,
+      sla: {
+        firstResponseDueAt: new Date(now + DisputeService.getFirstResponseSlaHours() * HOUR),
+        resolutionDueAt: new Date(now + DisputeService.getResolutionSlaHours() * HOUR)
+      }
+    });
+
+    dispute.addEvent('opened', actorType, openedBy, { category });
+    if (description || evidence.length > 0) {
+      dispute.messages.push({ actorType, actorId: openedBy, body: description, evidence });
+    }
+
+    try {
+      await dispute.save({ session });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.gameRoomId) {
+        throw httpError('This room already has an open dispute', 409);
+      }
+      throw error;
+    }
+
+    if (room.status === 'playing') {
+      await GameRoom.updateOne(
+        { _id: room._id, status: 'playing' },
+        { status: 'escalated', escalatedAt: new Date(), escalationReason: 'Dispute opened' },
+        { session }
+      );
+    }
+
+    return dispute;
+  }
+
+  static async notifyPlayers(room, userIds, { type, title, message, dispute }) {
+    const recipients = userIds || playerIds(room);
+    await NotificationService.notifyMany(recipients, {
+      type,
+      title,
+      message,
+      data: { roomId: room.roomId, gameRoomId: room._id, disputeId: dispute.disputeId }
+    });
+  }
+
+  // Record the admin's first reaction for the first-response SLA
+  static markResponded(dispute) {
+    if (!dispute.sla.firstRespondedAt) {
+      dispute.sla.firstRespondedAt = new Date();
+    }
+    if (dispute.status === 'open') {
+      dispute.status = 'under_review';
+    }
+  }
+
+  static async addMessage(dispute, { actorType, actorId, body, evidence = [] }) {
+    if (!DISPUTE_OPEN_STATUSES.includes(dispute.status)) {
+      throw httpError('Messages can only be added to an open dispute');
+    }
+
+    dispute.messages.push({ actorType, actorId, body, evidence });
+    dispute.addEvent('message_added', actorType, actorId, { evidenceCount: evidence.length });
+
+    if (actorType === 'admin') {
+      DisputeService.markResponded(dispute);
+    }
+
+    // A reply from a player the admin was waiting on puts the dispute back in review
+    const { infoRequest } = dispute;
+    if (actorType === 'user' && dispute.status === 'awaiting_info' && includesId(infoRequest.requestedFrom, actorId)) {
+      DisputeService.endInfoRequest(dispute, 'info_provided', actorType, actorId);
+    }
+
+    await dispute.save();
+    return dispute.messages[dispute.messages.length - 1];
+  }
+
+  // Leave awaiting_info; the time spent waiting does not count against the resolution SLA
+  static endInfoRequest(dispute, event, actorType, actorId) {
+    const waitedMs = Date.now() - dispute.infoRequest.requestedAt.getTime();
+    dispute.sla.resolutionDueAt = new Date(dispute.sla.resolutionDueAt.getTime() + waitedMs);
+    dispute.status = 'under_review';
+    dispute.addEvent(event, actorType, actorId, { waitedMinutes: Math.round(waitedMs / 60000) });
+    dispute.infoRequest = undefined;
+  }
+
+  static async assign(dispute, adminId, assignedBy) {
+    if (!DISPUTE_OPEN_STATUSES.includes(dispute.status)) {
+      throw httpError('Only open disputes can be assigned');
+    }
+
+    dispute.assignedTo = adminId;
+    dispute.assignedAt = new Date();
+    dispute.addEvent('assigned', 'admin', assignedBy, { assignedTo: adminId });
+    DisputeService.markResponded(dispute);
+
+    await dispute.save();
+    return dispute;
+  }
+
+  // Ask some (by default all) players for more information before deciding
+  static async requestInfo(dispute, room, adminId, { message, userIds, dueInHours }) {
+    if (!DISPUTE_OPEN_STATUSES.includes(dispute.status)) {
+      throw httpError('Information can only be requested on an open dispute');
+    }
+    if (dispute.status === 'awaiting_info') {
+      throw httpError('The dispute is already waiting for information');
+    }
+
+    const requestedFrom = userIds?.length ? userIds : playerIds(room);
+    if (!requestedFrom.every(userId => room.hasPlayer(userId))) {
+      throw httpError('Information can only be requested from players in the room');
+    }
+
+    const requestedAt = new Date();
+    dispute.infoRequest = {
+      requestedFrom,
+      message,
+      requestedAt,
+      dueAt: new Date(requestedAt.getTime() + (dueInHours || DisputeService.getInfoRequestHours()) * HOUR)
+    };
+    DisputeService.markResponded(dispute);
+    dispute.status = 'awaiting_info';
+    dispute.messages.push({ actorType: 'admin', actorId: adminId, body: message });
+    dispute.addEvent('info_requested', 'admin', adminId, { requestedFrom, dueAt: dispute.infoRequest.dueAt });
+
+    await dispute.save();
+    return dispute;
+  }
+
+  // Settle the room according to the outcome and close the dispute, all in one transaction
+  static async resolve(disputeId, adminId, { outcome, winnerId, rankings, splitBetween, notes }) {
+    const session = await mongoose.startSession();
+
+    let dispute;
+    let room;
+    let payouts = [];
+    try {
+      session.startTransaction();
+
+      // Claim the dispute so two admins cannot resolve it twice
+      dispute = await Dispute.findOneAndUpdate(
+        { disputeId, status: { $in: DISPUTE_OPEN_STATUSES } },
+        { status: 'resolved' },
+        { new: true, session }
+      );
+
+      if (!dispute) {
+        throw httpError('Dispute not found or already resolved', 404);
+      }
+
+      room = await GameRoom.findById(dispute.gameRoomId).session(session);
+      if (!room || !DISPUTABLE_ROOM_STATUSES.includes(room.status)) {
+        throw httpError('The room of this dispute was already settled');
+      }
+
+      // A tournament match has to produce a winner for the bracket to go on
+      if (room.tournament?.tournamentId && outcome !== 'award_winner') {
+        throw httpError('A tournament match can only be resolved by awarding a winner');
+      }
+
+      const { totalPrizePool, platformFee, winnerAmount, positionAmounts } = await RoomResultService.getPayout(room);
+      const metadata = { disputeId: dispute.disputeId, adminId, notes };
+
+      if (outcome === 'award_winner') {
+        // Rooms that pay several positions are resolved with a full ranking, winner first
+        if (rankings?.length) {
+          winnerId = rankings[0];
+        }
+        if (!winnerId || !room.hasPlayer(winnerId)) {
+          throw httpError('Winner must be a player in the room');
+        }
+
+        try {
+          rankings = room.checkRankings(rankings?.length ? rankings : [winnerId]);
+        } catch (error) {
+          throw httpError(error.message);
+        }
+
+        Object.assign(room, { status: 'completed', completedAt: new Date(), winner: winnerId, rankings, totalPrizePool, platformFee, winnerAmount });
+        await room.save({ session });
+
+        payouts = await RoomResultService.settleWinner(room, winnerId, {
+          winnerAmount,
+          platformFee,
+          positionAmounts,
+          rankings,
+          description: `Game Won - Room ${room.roomId} (dispute resolved)`,
+          metadata
+        }, { session });
+
+      } else if (outcome === 'split') {
+        const sharers = splitBetween?.length ? splitBetween : playerIds(room);
+        if (!sharers.every(userId => room.hasPlayer(userId))) {
+          throw httpError('The prize can only be split between players in the room');
+        }
+
+        Object.assign(room, { status: 'completed', completedAt: new Date(), winner: null, totalPrizePool, platformFee, winnerAmount });
+        await room.save({ session });
+
+        payouts = await EscrowService.settleSplit(room, sharers, {
+          totalAmount: totalPrizePool - platformFee,
+          platformFee,
+          description: `Prize split - Room ${room.roomId} (dispute resolved)`,
+          metadata
+        }, { session });
+        splitBetween = sharers;
+
+      } else {
+        Object.assign(room, { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'Dispute resolved: all entry fees refunded' });
+        await room.save({ session });
+
+        payouts = await EscrowService.releaseAll(room, 'Dispute resolved', { session });
+      }
+
+      // Close the winner request the dispute was about
+      const winnerRequest = await WinnerRequest.findOne({ gameRoomId: room._id, status: 'pending' }).session(session);
+      if (winnerRequest) {
+        const approved = outcome === 'award_winner';
+        winnerRequest.status = approved ? 'approved' : 'rejected';
+        if (approved) {
+          winnerRequest.declaredWinner = winnerId;
+          winnerRequest.rankings = rankings;
+        }
+        winnerRequest.processedAt = new Date();
+        winnerRequest.processedBy = adminId;
+        winnerRequest.adminNotes = `Resolved through dispute ${dispute.disputeId}${notes ? `: ${notes}` : ''}`;
+        await winnerRequest.save({ session });
+      }
+
+      dispute.resolution = {
+        outcome,
+        winnerId: outcome === 'award_winner' ? winnerId : undefined,
+        rankings: outcome === 'award_winner' ? rankings : [],
+        splitBetween: outcome === 'split' ? splitBetween : [],
+        notes,
+        resolvedBy: adminId,
+        resolvedAt: new Date(),
+        transactionIds: payouts.map(transaction => transaction._id)
+      };
+      dispute.infoRequest = undefined;
+      DisputeService.markResponded(dispute);
+      dispute.addEvent('resolved', 'admin', adminId, { outcome, winnerId, splitBetween });
+      await dispute.save({ session });
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    if (outcome === 'award_winner') {
+      await RoomResultService.recordWinStats(room, winnerId, room.winnerAmount);
+    }
+
+    cacheUtils.clearRoomsCache();
+    for (const userId of playerIds(room)) {
+      cacheUtils.clearUserCache(userId);
+    }
+
+    const roomEvent = { award_winner: 'room.winner_approved', split: 'room.completed', refund_all: 'room.cancelled' };
+    emitRoomEvent(roomEvent[outcome], room, {
+      disputeId: dispute.disputeId,
+      outcome,
+      winnerId: dispute.resolution.winnerId,
+      splitBetween: dispute.resolution.splitBetween
+    });
+
+    const outcomeText = {
+      award_winner: 'the win was awarded',
+      split: 'the prize was split',
+      refund_all: 'all entry fees were refunded'
+    };
+    await DisputeService.notifyPlayers(room, null, {
+      type: 'dispute_resolved',
+      title: 'Dispute resolved',
+      message: `The dispute on room ${room.roomId} was resolved: ${outcomeText[outcome]}.`,
+      dispute
+    });
+    await TournamentService.onMatchDecided(room);
+
+    return { dispute, room, payouts };
+  }
+
+  // Flag SLA breaches and expire unanswered information requests (scheduled job)
+  static async checkSlas() {
+    const now = new Date();
+
+    const firstResponse = await Dispute.updateMany(
+      {
+        status: 'open',
+        'sla.firstRespondedAt': { $exists: false },
+        'sla.firstResponseDueAt': { $lte: now },
+        'sla.breaches': { $ne: 'first_response' }
+      },
+      {
+        $push: {
+          'sla.breaches': 'first_response',
+          timeline: { event: 'sla_breached', actorType: 'system', data: { sla: 'first_response' }, at: now }
+        }
+      }
+    );
+
+    // The resolution clock is paused while waiting on players
+    const resolution = await Dispute.updateMany(
+      {
+        status: { $in: ['open', 'under_review'] },
+        'sla.resolutionDueAt': { $lte: now },
+        'sla.breaches': { $ne: 'resolution' }
+      },
+      {
+        $push: {
+          'sla.breaches': 'resolution',
+          timeline: { event: 'sla_breached', actorType: 'system', data: { sla: 'resolution' }, at: now }
+        }
+      }
+    );
+
+    const expiredRequests = await Dispute.find({ status: 'awaiting_info', 'infoRequest.dueAt': { $lte: now } }).limit(100);
+    for (const dispute of expiredRequests) {
+      DisputeService.endInfoRequest(dispute, 'info_request_expired', 'system', null);
+      await dispute.save();
+    }
+
+    return {
+      firstResponseBreaches: firstResponse.modifiedCount,
+      resolutionBreaches: resolution.modifiedCount,
+      expiredInfoRequests: expiredRequests.length
+    };
+  }
+
+  // The dispute as shown to players and admins; evidence links point at the caller's endpoint
+  static toView(dispute, evidenceUrl) {
+    const view = dispute.toObject ? dispute.toObject() : { ...dispute };
+
+    view.messages = view.messages.map(message => ({
+      ...message,
+      evidence: message.evidence.map(({ key, ...item }) => ({ ...item, url: evidenceUrl(item) }))
+    }));
+    view.slaBreached = view.sla.breaches.length > 0;
+
+    return view;
+  }
+}
@@ -0,0 +1,301 @@
+import Transaction from '../models/Transaction.js';
+
+// Mark the escrow's holds won (for the given winners) or lost. Refuses to settle an escrow
+// twice or to pay out more (or less) than it holds.
+const closeEscrow = async (filter, label, winnerIds, payoutTotal, session) => {
+  const holds = await Transaction.find({
+    ...filter,
+    type: 'entry_hold'
+  }).session(session || null);
+
+  const held = holds.filter(hold => hold.holdStatus === 'held');
+
+  if (holds.length > 0 && held.length === 0) {
+    throw new Error(`Escrow for ${label} is already settled`);
+  }
+
+  const heldTotal = held.reduce((sum, hold) => sum + hold.amount, 0);
+  if (held.length > 0 && Math.abs(heldTotal - payoutTotal) >= 0.01) {
+    throw new Error(`Escrow for ${label} holds ₹${heldTotal}, cannot pay out ₹${payoutTotal}`);
+  }
+
+  const winners = winnerIds.map(id => id.toString());
+  for (const hold of held) {
+    const won = winners.includes(hold.userId.toString());
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: hold._id, holdStatus: 'held' },
+      { holdStatus: won ? 'won' : 'lost' },
+      { session }
+    );
+    if (!claimed) {
+      throw new Error(`Escrow for ${label} changed while settling`);
+    }
+  }
+};
+
+/**
+ * Per-room escrow of entry fees, and per-tournament escrow of tournament entry fees.
+ *
+ * Joining a room debits the wallet with an `entry_hold` transaction (ledger: wallet ->
+ * prize_escrow). The hold stays `held` until the game is settled (winner paid from the
+ * escrow, holds become won/lost) or the stake is released back as a `refund`.
+ * Every method takes the caller's session so the room update and the money move together.
+ */
+export class EscrowService {
+  // Take a player's entry fee into the room's escrow
+  static async hold(room, userId, { session } = {}) {
+    return await Transaction.createWithBalanceUpdate(
+      userId,
+      'entry_hold',
+      room.amount,
+      `Entry fee held - Room ${room.roomId}`,
+      {
+        gameRoomId: room._id,
+        holdStatus: 'held',
+        metadata: {
+          roomCode: room.roomId
+        }
+      },
+      { session }
+    );
+  }
+
+  // Return a player's held entry fee. Returns the refund transaction, or null if nothing is held.
+  static async release(room, userId, reason, { session } = {}) {
+    // Claim the hold first so two concurrent releases cannot both refund it
+    const hold = await Transaction.findOneAndUpdate(
+      { gameRoomId: room._id, userId, type: 'entry_hold', holdStatus: 'held' },
+      { holdStatus: 'released' },
+      { new: true, session }
+    );
+
+    if (!hold) {
+      return null;
+    }
+
+    return await Transaction.createWithBalanceUpdate(
+      userId,
+      'refund',
+      hold.amount,
+      `Entry fee returned - Room ${room.roomId} (${reason})`,
+      {
+        gameRoomId: room._id,
+        metadata: {
+          roomCode: room.roomId,
+          originalTransactionId: hold._id
+        }
+      },
+      { session }
+    );
+  }
+
+  // Return every stake still in the room's escrow, e.g. when the room is cancelled
+  static async releaseAll(room, reason, { session } = {}) {
+    const refunds = [];
+
+    for (const player of room.players) {
+      const playerId = player.userId._id || player.userId;
+      const refund = await EscrowService.release(room, playerId, reason, { session })
+        || await EscrowService.refundLegacyEntry(room, playerId, reason, { session });
+
+      if (refund) {
+        refunds.push(refund);
+      }
+    }
+
+    return refunds;
+  }
+
+  // Rooms joined before entry holds existed charged a game_loss instead. Refund it once,
+  // unless the player's entry was already handled through escrow.
+  static async refundLegacyEntry(room, userId, reason, { session } = {}) {
+    // One query at a time: a transaction's session does not support parallel operations
+    const entry = await Transaction.findOne({
+      userId,
+      type: 'game_loss',
+      $or: [{ gameRoomId: room._id }, { 'metadata.roomCode': room.roomId }]
+    }).session(session || null);
+
+    if (!entry) {
+      return null;
+    }
+
+    const handled = await Transaction.exists({
+      userId,
+      gameRoomId: room._id,
+      $or: [{ type: 'entry_hold' }, { type: 'refund' }]
+    }).session(session || null);
+
+    if (handled) {
+      return null;
+    }
+
+    return await Transaction.createWithBalanceUpdate(
+      userId,
+      'refund',
+      entry.amount,
+      `Entry fee returned - Room ${room.roomId} (${reason})`,
+      {
+        gameRoomId: room._id,
+        metadata: {
+          roomCode: room.roomId,
+          originalTransactionId: entry._id
+        }
+      },
+      { session }
+    );
+  }
+
+  // Mark the room's holds won (for the given winners) or lost. Refuses to settle an escrow
+  // twice or to pay out more (or less) than it holds.
+  static async closeHolds(room, winnerIds, payoutTotal, { session } = {}) {
+    await closeEscrow({ gameRoomId: room._id }, `room ${room.roomId}`, winnerIds, payoutTotal, session);
+  }
+
+  // Pay the winner out of the room's escrow; the platform fee goes to revenue in the same entry
+  static async settle(room, winnerId, { winnerAmount, platformFee, description, metadata = {} }, { session } = {}) {
+    await EscrowService.closeHolds(room, [winnerId], winnerAmount + platformFee, { session });
+
+    return await Transaction.createWithBalanceUpdate(
+      winnerId,
+      'game_win',
+      winnerAmount,
+      description,
+      {
+        gameRoomId: room._id,
+        metadata
+      },
+      { session, platformFee }
+    );
+  }
+
+  // Pay each paid position its share ([{ userId, position, amount }], first place first)
+  // out of the room's escrow. The platform fee line rides on first place's payout.
+  static async settleRanked(room, placements, { platformFee, description, metadata = {} }, { session } = {}) {
+    const prizeTotal = placements.reduce((sum, placement) => sum + placement.amount, 0);
+    await EscrowService.closeHolds(room, placements.map(placement => placement.userId), prizeTotal + platformFee, { session });
+
+    const payouts = [];
+    for (const [index, placement] of placements.entries()) {
+      payouts.push(await Transaction.createWithBalanceUpdate(
+        placement.userId,
+        'game_win',
+        placement.amount,
+        `${description} - position ${placement.position}`,
+        {
+          gameRoomId: room._id,
+          metadata: { ...metadata, position: placement.position }
+        },
+        { session, platformFee: index === 0 ? platformFee : 0 }
+      ));
+    }
+
+    return payouts;
+  }
+
+  // Take a player's tournament entry fee into the tournament's escrow until it ends
+  static async holdTournamentEntry(tournament, userId, { session } = {}) {
+    return await Transaction.createWithBalanceUpdate(
+      userId,
+      'entry_hold',
+      tournament.entryFee,
+      `Tournament entry fee held - ${tournament.name}`,
+      {
+        tournamentId: tournament._id,
+        holdStatus: 'held',
+        metadata: {
+          tournamentCode: tournament.tournamentId
+        }
+      },
+      { session }
+    );
+  }
+
+  // Return a player's held tournament entry fee. Returns the refund, or null if nothing is held.
+  static async releaseTournamentEntry(tournament, userId, reason, { session } = {}) {
+    const hold = await Transaction.findOneAndUpdate(
+      { tournamentId: tournament._id, userId, type: 'entry_hold', holdStatus: 'held' },
+      { holdStatus: 'released' },
+      { new: true, session }
+    );
+
+    if (!hold) {
+      return null;
+    }
+
+    return await Transaction.createWithBalanceUpdate(
+      userId,
+      'refund',
+      hold.amount,
+      `Tournament entry fee returned - ${tournament.name} (${reason})`,
+      {
+        tournamentId: tournament._id,
+        metadata: {
+          tournamentCode: tournament.tournamentId,
+          originalTransactionId: hold._id
+        }
+      },
+      { session }
+    );
+  }
+
+  // Pay a finished tournament's prizes ([{ userId, amount, place }]) out of its escrow.
+  // Prize winners' holds become won, the rest lost; the platform fee rides on the first payout.
+  static async settleTournament(tournament, prizes, platformFee, { session } = {}) {
+    const payoutTotal = prizes.reduce((sum, prize) => sum + prize.amount, 0) + platformFee;
+    await closeEscrow(
+      { tournamentId: tournament._id },
+      `tournament ${tournament.tournamentId}`,
+      prizes.map(prize => prize.userId),
+      payoutTotal,
+      session
+    );
+
+    const payouts = [];
+    for (const [index, prize] of prizes.entries()) {
+      payouts.push(await Transaction.createWithBalanceUpdate(
+        prize.userId,
+        'game_win',
+        prize.amount,
+        `Tournament prize - ${tournament.name} (place ${prize.place})`,
+        {
+          tournamentId: tournament._id,
+          metadata: {
+            tournamentCode: tournament.tournamentId,
+            place: prize.place
+          }
+        },
+        { session, platformFee: index === 0 ? platformFee : 0 }
+      ));
+    }
+
+    return payouts;
+  }
+
+  // Share the prize equally between several players (e.g. a dispute resolved as a draw).
+  // Paise left over from the division go to the first player, as does the platform fee line.
+  static async settleSplit(room, userIds, { totalAmount, platformFee, description, metadata = {} }, { session } = {}) {
+    await EscrowService.closeHolds(room, userIds, totalAmount + platformFee, { session });
+
+    const share = Math.floor(totalAmount * 100 / userIds.length) / 100;
+    const remainder = Math.round((totalAmount - share * userIds.length) * 100) / 100;
+
+    const payouts = [];
+    for (const [index, userId] of userIds.entries()) {
+      const first = index === 0;
+      payouts.push(await Transaction.createWithBalanceUpdate(
+        userId,
+        'game_win',
+        first ? share + remainder : share,
+        description,
+        {
+          gameRoomId: room._id,
+          metadata: { ...metadata, split: true, splitWays: userIds.length }
+        },
+        { session, platformFee: first ? platformFee : 0 }
+      ));
+    }
+
+    return payouts;
+  }
+}
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import GameRoom from '../models/GameRoom.js';
+import WinnerRequest from '../models/WinnerRequest.js';
+import Dispute from '../models/Dispute.js';
+import { StorageService } from './storageService.js';
+import { httpError } from '../utils/helpers.js';
+
+// Leading bytes of the accepted image formats; the client's content type is not trusted
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: '.jpg', matches: (buf) => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/png', extension: '.png', matches: (buf) => buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', extension: '.webp', matches: (buf) => buf.length > 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const detectImageType = (buffer) => IMAGE_SIGNATURES.find(signature => signature.matches(buffer)) || null;
+
+/**
+ * Screenshot evidence for room results. Files go to the configured storage backend;
+ * their metadata lives on the room until a winner request exists, then on the request.
+ */
+export class EvidenceService {
+  // Reject anything that is not really a JPEG, PNG or WebP image
+  static validateFiles(files) {
+    for (const file of files) {
+      const type = detectImageType(file.buffer);
+      if (!type || type.mimeType !== file.mimetype) {
+        throw httpError(`${file.originalname} is not a valid JPEG, PNG or WebP image`);
+      }
+    }
+  }
+
+  // "claim" when the uploader backs the currently declared winner, "counter" otherwise.
+  // backedWinner is the winner the uploader is submitting, if they have not submitted yet.
+  static classify(room, winnerRequest, userId, backedWinner) {
+    const declaredWinner = winnerRequest?.declaredWinner || room.resultSubmissions[0]?.winnerId;
+    if (!declaredWinner) {
+      return 'claim';
+    }
+
+    const submission = room.resultSubmissions.find(item => item.userId.toString() === userId.toString());
+    const winnerId = submission?.winnerId || backedWinner || userId;
+
+    return winnerId.toString() === declaredWinner.toString() ? 'claim' : 'counter';
+  }
+
+  // Write the files to storage and return their metadata
+  static async storeFiles(room, userId, files, { kind, note }) {
+    const stored = [];
+
+    try {
+      for (const file of files) {
+        const { mimeType, extension } = detectImageType(file.buffer);
+        const fileId = crypto.randomBytes(12).toString('hex');
+        const key = `evidence/${room.roomId}/${fileId}${extension}`;
+
+        const { size } = await StorageService.save(key, file.buffer);
+        stored.push({
+          fileId,
+          key,
+          kind,
+          uploadedBy: userId,
+          mimeType,
+          size,
+          originalName: file.originalname,
+          note,
+          uploadedAt: new Date()
+        });
+      }
+    } catch (error) {
+      await EvidenceService.removeFiles(stored);
+      throw error;
+    }
+
+    return stored;
+  }
+
+  static async removeFiles(evidence) {
+    for (const item of evidence) {
+      await StorageService.remove(item.key).catch(error => {
+        console.error(`Remove evidence ${item.key} failed:`, error);
+      });
+    }
+  }
+
+  // Store and attach screenshots for a room: on its pending winner request when there is
+  // one, otherwise on the room so they are copied onto the request once it is created
+  static async attach(room, userId, files, { note } = {}) {
+    EvidenceService.validateFiles(files);
+
+    const pendingRequest = await WinnerRequest.findOne({ gameRoomId: room._id, status: 'pending' });
+    const kind = EvidenceService.classify(room, pendingRequest, userId);
+    const evidence = await EvidenceService.storeFiles(room, userId, files, { kind, note });
+
+    return await EvidenceService.attachStored(room, evidence, { pendingRequest });
+  }
+
+  // Attach files already in storage to the room, or to its pending winner request. The
+  // files are removed again if neither takes them.
+  static async attachStored(room, evidence, { pendingRequest = null } = {}) {
+    if (!pendingRequest) {
+      const updatedRoom = await GameRoom.findOneAndUpdate(
+        { _id: room._id, status: { $in: ['playing', 'escalated'] } },
+        { $push: { resultEvidence: { $each: evidence } } },
+        { new: true }
+      );
+
+      if (updatedRoom) {
+        return { evidence, target: 'room' };
+      }
+    }
+
+    // The room moved on (or already had a request) - the evidence belongs on the request
+    const updatedRequest = await WinnerRequest.findOneAndUpdate(
+      { gameRoomId: room._id, status: 'pending' },
+      { $push: { 'evidence.screenshots': { $each: evidence } } },
+      { new: true }
+    );
+
+    if (!updatedRequest) {
+      await EvidenceService.removeFiles(evidence);
+      throw httpError('Evidence can no longer be added to this room');
+    }
+
+    return { evidence, target: 'winnerRequest', winnerRequestId: updatedRequest._id };
+  }
+
+  // Find a file among the room's own evidence, its winner requests and its disputes
+  static async findFile(room, fileId) {
+    const onRoom = room.resultEvidence.find(item => item.fileId === fileId);
+    if (onRoom) {
+      return onRoom;
+    }
+
+    const winnerRequest = await WinnerRequest.findOne(
+      { gameRoomId: room._id, 'evidence.screenshots.fileId': fileId },
+      { 'evidence.screenshots.$': 1 }
+    ).lean();
+
+    if (winnerRequest) {
+      return winnerRequest.evidence.screenshots[0];
+    }
+
+    const dispute = await Dispute.findOne({ gameRoomId: room._id, 'messages.evidence.fileId': fileId }).lean();
+
+    return EvidenceService.findInDispute(dispute, fileId);
+  }
+
+  static findInDispute(dispute, fileId) {
+    for (const message of dispute?.messages || []) {
+      const file = message.evidence.find(item => item.fileId === fileId);
+      if (file) {
+        return file;
+      }
+    }
+    return null;
+  }
+
+  // Evidence metadata as shown to admins, with the URL the file is served from
+  static toAdminView(roomId, item) {
+    const { key, ...rest } = item.toObject ? item.toObject() : item;
+    return {
+      ...rest,
+      url: `/api/admin/rooms/${roomId}/evidence/${item.fileId}`
+    };
+  }
+}
@@ -0,0 +1,114 @@
+import FeeSchedule from '../models/FeeSchedule.js';
+import { SettingsService } from './settingsService.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { httpError } from '../utils/helpers.js';
+
+const EDITABLE_FIELDS = [
+  'name', 'gameType', 'minAmount', 'maxAmount', 'maxPlayers',
+  'feePercent', 'minFee', 'maxFee', 'startsAt', 'endsAt', 'isActive'
+];
+
+/**
+ * Platform fee schedules. When a room starts, the schedule matching its game type,
+ * stake and size gives the fee rate, which is snapshotted onto the room so that later
+ * schedule or settings changes do not alter games in progress. Promotions (schedules
+ * with a time window) win over other schedules, then the more specific schedule, then
+ * the newest. Rooms no schedule matches pay the platformFeePercent setting.
+ */
+export class FeeScheduleService {
+  // Active schedules that have not ended, cached like the platform settings
+  static async getActiveSchedules() {
+    const key = cacheUtils.feeSchedulesKey();
+    const cached = cache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    const schedules = await FeeSchedule.find({
+      isActive: true,
+      $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }]
+    }).sort({ createdAt: -1 });
+
+    cache.set(key, schedules, SettingsService.getCacheSeconds());
+    return schedules;
+  }
+
+  // The fee rate for a room ({ gameType, amount, maxPlayers }), in the shape of GameRoom.feeRate
+  static async getRate(room, at = new Date()) {
+    const schedules = (await FeeScheduleService.getActiveSchedules())
+      .filter(schedule => schedule.matches(room, at));
+
+    // Newest first already, and sort is stable
+    schedules.sort((a, b) => (Number(b.isPromotion) - Number(a.isPromotion)) || (b.getSpecificity() - a.getSpecificity()));
+
+    const [schedule] = schedules;
+    if (!schedule) {
+      const { platformFeePercent } = await SettingsService.get();
+      return { percent: platformFeePercent, minFee: 0, promotional: false };
+    }
+
+    return {
+      percent: schedule.feePercent,
+      minFee: schedule.minFee || 0,
+      maxFee: schedule.maxFee,
+      scheduleId: schedule._id,
+      scheduleName: schedule.name,
+      promotional: schedule.isPromotion
+    };
+  }
+
+  static checkRanges(schedule) {
+    if (schedule.minAmount != null && schedule.maxAmount != null && schedule.minAmount > schedule.maxAmount) {
+      throw httpError('Minimum stake cannot be more than the maximum stake');
+    }
+
+    if (schedule.maxFee != null && (schedule.minFee || 0) > schedule.maxFee) {
+      throw httpError('Minimum fee cannot be more than the maximum fee');
+    }
+
+    if (schedule.startsAt && schedule.endsAt && schedule.startsAt >= schedule.endsAt) {
+      throw httpError('A promotion must end after it starts');
+    }
+
+    const validationError = schedule.validateSync();
+    if (validationError) {
+      throw httpError(Object.values(validationError.errors)[0].message);
+    }
+  }
+
+  static async create(data, adminId) {
+    const schedule = new FeeSchedule({
+      ...Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+      createdBy: adminId,
+      updatedBy: adminId
+    });
+
+    FeeScheduleService.checkRanges(schedule);
+    await schedule.save();
+
+    cache.del(cacheUtils.feeSchedulesKey());
+    return schedule;
+  }
+
+  // Change a schedule; a field set to null is cleared (e.g. maxFee: null removes the cap).
+  // Rooms already started keep the rate they started with.
+  static async update(scheduleId, data, adminId) {
+    const schedule = await FeeSchedule.findById(scheduleId);
+    if (!schedule) {
+      throw httpError('Fee schedule not found', 404);
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        schedule.set(field, data[field] === null ? undefined : data[field]);
+      }
+    }
+    schedule.updatedBy = adminId;
+
+    FeeScheduleService.checkRanges(schedule);
+    await schedule.save();
+
+    cache.del(cacheUtils.feeSchedulesKey());
+    return schedule;
+  }
+}
@@ -0,0 +1,28 @@
+import { RazorpayGateway } from './razorpayGateway.js';
+
+/**
+ * Gateway adapter for the bundled mock server (mockGatewayServer.js).
+ *
+ * It speaks the same Razorpay protocol, so signatures are checked for real,
+ * and adds test helpers that stand in for the customer-facing checkout.
+ */
+export class MockGateway extends RazorpayGateway {
+  constructor(options) {
+    super(options);
+    this.name = 'mock';
+  }
+
+  async simulateCheckout(orderId, { status = 'captured', method = 'upi' } = {}) {
+    const result = await this.request('post', `/test/orders/${encodeURIComponent(orderId)}/pay`, { status, method });
+
+    return {
+      orderId: result.razorpay_order_id,
+      paymentId: result.razorpay_payment_id,
+      signature: result.razorpay_signature
+    };
+  }
+
+  async settlePayout(payoutId, status = 'processed') {
+    return this.request('post', `/test/payouts/${encodeURIComponent(payoutId)}/settle`, { status });
+  }
+}
@@ -0,0 +1,262 @@
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { signPayload } from './razorpayGateway.js';
+
+dotenv.config();
+
+// Local stand-in for the Razorpay REST API, used in development and tests.
+// Run it with `npm run mock:gateway` and set PAYMENT_PROVIDER=mock.
+// Set MOCK_GATEWAY_WEBHOOK_URL (e.g. http://localhost:5000/api/webhooks/payments)
+// to have it deliver signed webhooks like the real gateway.
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const gatewayError = (res, status, description) => {
+  return res.status(status).json({
+    error: {
+      code: status === 401 ? 'UNAUTHORIZED' : 'BAD_REQUEST_ERROR',
+      description
+    }
+  });
+};
+
+export const createMockGatewayApp = ({
+  keyId = process.env.PAYMENT_GATEWAY_KEY || 'fake_payment_key',
+  keySecret = process.env.PAYMENT_GATEWAY_SECRET || 'fake_payment_secret',
+  webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || 'fake_webhook_secret',
+  webhookUrl = process.env.MOCK_GATEWAY_WEBHOOK_URL
+} = {}) => {
+  const app = express();
+  const store = {
+    orders: new Map(),
+    payments: new Map(),
+    payouts: new Map(),
+    refunds: new Map()
+  };
+
+  // Deliver a signed webhook; failures are only logged, like a gateway that retries later
+  const sendWebhook = (event, entities) => {
+    if (!webhookUrl) return;
+
+    const payload = {};
+    for (const [name, entity] of Object.entries(entities)) {
+      payload[name] = { entity };
+    }
+
+    const body = JSON.stringify({
+      entity: 'event',
+      event,
+      contains: Object.keys(entities),
+      payload,
+      created_at: now()
+    });
+
+    axios.post(webhookUrl, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Event-Id': generateId('evt'),
+        'X-Razorpay-Signature': signPayload(body, webhookSecret)
+      }
+    }).catch(error => {
+      console.error(`Mock gateway webhook ${event} failed:`, error.message);
+    });
+  };
+
+  app.use(express.json());
+
+  // Basic auth with the same key pair the API server uses
+  app.use('/v1', (req, res, next) => {
+    const header = req.header('Authorization') || '';
+    const [username, password] = Buffer.from(header.replace('Basic ', ''), 'base64').toString().split(':');
+
+    if (username !== keyId || password !== keySecret) {
+      return gatewayError(res, 401, 'The API key provided is invalid');
+    }
+
+    next();
+  });
+
+  app.post('/v1/orders', (req, res) => {
+    const { amount, currency = 'INR', receipt, notes = {} } = req.body;
+
+    if (!Number.isInteger(amount) || amount < 100) {
+      return gatewayError(res, 400, 'The amount must be atleast INR 1.00');
+    }
+
+    const order = {
+      id: generateId('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt,
+      notes,
+      status: 'created',
+      attempts: 0,
+      created_at: now()
+    };
+
+    store.orders.set(order.id, order);
+    res.json(order);
+  });
+
+  app.get('/v1/orders/:orderId', (req, res) => {
+    const order = store.orders.get(req.params.orderId);
+    if (!order) {
+      return gatewayError(res, 400, 'The id provided does not exist');
+    }
+    res.json(order);
+  });
+
+  app.get('/v1/payments/:paymentId', (req, res) => {
+    const payment = store.payments.get(req.params.paymentId);
+    if (!payment) {
+      return gatewayError(res, 400, 'The id provided does not exist');
+    }
+    res.json(payment);
+  });
+
+  app.post('/v1/payments/:paymentId/refund', (req, res) => {
+    const payment = store.payments.get(req.params.paymentId);
+    if (!payment) {
+      return gatewayError(res, 400, 'The id provided does not exist');
+    }
+
+    if (payment.status !== 'captured') {
+      return gatewayError(res, 400, 'Only captured payments can be refunded');
+    }
+
+    const refund = {
+      id: generateId('rfnd'),
+      entity: 'refund',
+      amount: req.body.amount || payment.amount,
+      currency: payment.currency,
+      payment_id: payment.id,
+      status: 'processed',
+      created_at: now()
+    };
+
+    store.refunds.set(refund.id, refund);
+    payment.status = 'refunded';
+    payment.amount_refunded = refund.amount;
+
+    sendWebhook('refund.processed', { refund, payment });
+    res.json(refund);
+  });
+
+  app.post('/v1/payouts', (req, res) => {
+    const { amount, currency = 'INR', mode, reference_id: referenceId, fund_account: fundAccount } = req.body;
+
+    if (!Number.isInteger(amount) || amount < 100) {
+      return gatewayError(res, 400, 'The amount must be atleast INR 1.00');
+    }
+
+    if (!fundAccount?.vpa?.address) {
+      return gatewayError(res, 400, 'The fund account vpa address is required');
+    }
+
+    // Honour the idempotency header the way RazorpayX does
+    const idempotencyKey = req.header('X-Payout-Idempotency');
+    const existing = idempotencyKey && [...store.payouts.values()].find(p => p.idempotency_key === idempotencyKey);
+    if (existing) {
+      return res.json(existing);
+    }
+
+    const payout = {
+      id: generateId('pout'),
+      entity: 'payout',
+      amount,
+      currency,
+      mode,
+      reference_id: referenceId,
+      fund_account: fundAccount,
+      status: 'processing',
+      utr: null,
+      idempotency_key: idempotencyKey,
+      created_at: now()
+    };
+
+    store.payouts.set(payout.id, payout);
+    res.json(payout);
+  });
+
+  app.get('/v1/payouts/:payoutId', (req, res) => {
+    const payout = store.payouts.get(req.params.payoutId);
+    if (!payout) {
+      return gatewayError(res, 400, 'The id provided does not exist');
+    }
+    res.json(payout);
+  });
+
+  // Test helper: completes checkout for an order the way the Razorpay widget would,
+  // returning the signed fields a client posts back to the API.
+  app.post('/v1/test/orders/:orderId/pay', (req, res) => {
+    const order = store.orders.get(req.params.orderId);
+    if (!order) {
+      return gatewayError(res, 400, 'The id provided does not exist');
+    }
+
+    const { status = 'captured', method = 'upi' } = req.body;
+    const payment = {
+      id: generateId('pay'),
+      entity: 'payment',
+      amount: order.amount,
+      currency: order.currency,
+      status,
+      order_id: order.id,
+      method,
+      captured: status === 'captured',
+      created_at: now()
+    };
+
+    store.payments.set(payment.id, payment);
+    order.attempts += 1;
+    if (status === 'captured') {
+      order.status = 'paid';
+      order.amount_paid = order.amount;
+      order.amount_due = 0;
+    } else {
+      order.status = 'attempted';
+    }
+
+    sendWebhook(status === 'captured' ? 'payment.captured' : 'payment.failed', { payment });
+
+    res.json({
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: signPayload(`${order.id}|${payment.id}`, keySecret)
+    });
+  });
+
+  // Test helper: moves a payout to a final state (processed, failed or reversed)
+  app.post('/v1/test/payouts/:payoutId/settle', (req, res) => {
+    const payout = store.payouts.get(req.params.payoutId);
+    if (!payout) {
+      return gatewayError(res, 400, 'The id provided does not exist');
+    }
+
+    const { status = 'processed' } = req.body;
+    payout.status = status;
+    if (status === 'processed') {
+      payout.utr = `MOCKUTR${Date.now()}`;
+    }
+
+    sendWebhook(`payout.${status}`, { payout });
+    res.json(payout);
+  });
+
+  app.locals.store = store;
+  return app;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.MOCK_GATEWAY_PORT) || 5055;
+  createMockGatewayApp().listen(port, () => {
+    console.log(`🧪 Mock payment gateway running on http://localhost:${port}/v1`);
+  });
+}
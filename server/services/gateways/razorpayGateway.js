@@ -0,0 +1,195 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+// Razorpay works in the smallest currency unit (paise), the rest of the app in rupees
+const toSubunits = (amount) => Math.round(Number(amount) * 100);
+const fromSubunits = (amount) => Number(amount) / 100;
+
+// Maps Razorpay payment states onto the statuses used by our transactions
+const PAYMENT_STATUS_MAP = {
+  created: 'pending',
+  authorized: 'pending',
+  captured: 'captured',
+  refunded: 'refunded',
+  failed: 'failed'
+};
+
+export const signPayload = (payload, secret) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+};
+
+export const isValidSignature = (payload, signature, secret) => {
+  if (!signature || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signPayload(payload, secret), 'utf8');
+  const received = Buffer.from(signature, 'utf8');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Razorpay-style payment gateway adapter.
+ *
+ * Every provider exposes the same four operations used by PaymentService:
+ * createOrder, verifyPayment, getPaymentStatus and payout, plus webhook
+ * signature checking and normalisation of inbound webhook events.
+ */
+export class RazorpayGateway {
+  constructor({ keyId, keySecret, webhookSecret, baseURL, payoutAccountNumber, timeout = 10000 }) {
+    if (!keyId || !keySecret) {
+      throw new Error('Payment gateway key and secret are required');
+    }
+
+    this.name = 'razorpay';
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.payoutAccountNumber = payoutAccountNumber;
+    this.client = axios.create({
+      baseURL,
+      timeout,
+      auth: { username: keyId, password: keySecret }
+    });
+  }
+
+  async request(method, url, data, headers = {}) {
+    try {
+      const response = await this.client.request({ method, url, data, headers });
+      return response.data;
+    } catch (error) {
+      const gatewayError = error.response?.data?.error;
+      const message = gatewayError?.description || error.message;
+      console.error(`Payment gateway ${method.toUpperCase()} ${url} failed:`, message);
+      throw new Error(`Payment gateway error: ${message}`);
+    }
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = await this.request('post', '/orders', {
+      amount: toSubunits(amount),
+      currency,
+      receipt,
+      notes
+    });
+
+    return {
+      orderId: order.id,
+      amount: fromSubunits(order.amount),
+      currency: order.currency,
+      receipt: order.receipt,
+      status: order.status,
+      key: this.keyId
+    };
+  }
+
+  async verifyPayment({ orderId, paymentId, signature }) {
+    // Razorpay signs "<order_id>|<payment_id>" with the key secret
+    if (!orderId || !paymentId || !isValidSignature(`${orderId}|${paymentId}`, signature, this.keySecret)) {
+      return { orderId, paymentId, verified: false, signatureValid: false, reason: 'Invalid payment signature' };
+    }
+
+    // A valid signature only proves the checkout happened, the amount and state come from the gateway
+    const payment = await this.getPaymentStatus(paymentId);
+
+    if (payment.orderId !== orderId) {
+      return { orderId, paymentId, verified: false, signatureValid: true, reason: 'Payment does not belong to this order' };
+    }
+
+    return {
+      orderId,
+      paymentId,
+      verified: payment.status === 'captured',
+      signatureValid: true,
+      status: payment.status,
+      amount: payment.amount,
+      method: payment.method,
+      ...(payment.status !== 'captured' && { reason: `Payment is ${payment.status}` })
+    };
+  }
+
+  async getPaymentStatus(paymentId) {
+    const payment = await this.request('get', `/payments/${encodeURIComponent(paymentId)}`);
+
+    return {
+      paymentId: payment.id,
+      orderId: payment.order_id,
+      status: PAYMENT_STATUS_MAP[payment.status] || payment.status,
+      method: payment.method,
+      amount: fromSubunits(payment.amount),
+      currency: payment.currency
+    };
+  }
+
+  async payout({ upiId, amount, referenceId, name = 'LUDO LOOTO user' }) {
+    const payout = await this.request('post', '/payouts', {
+      account_number: this.payoutAccountNumber,
+      amount: toSubunits(amount),
+      currency: 'INR',
+      mode: 'UPI',
+      purpose: 'payout',
+      queue_if_low_balance: true,
+      reference_id: referenceId,
+      fund_account: {
+        account_type: 'vpa',
+        vpa: { address: upiId },
+        contact: { name, type: 'customer', reference_id: referenceId }
+      }
+    }, {
+      // Retrying a payout with the same reference must never pay twice
+      'X-Payout-Idempotency': referenceId
+    });
+
+    return {
+      payoutId: payout.id,
+      referenceId: payout.reference_id,
+      amount: fromSubunits(payout.amount),
+      status: payout.status,
+      utr: payout.utr || null
+    };
+  }
+
+  // Webhooks are signed with a separate webhook secret over the raw request body
+  verifyWebhookSignature(rawBody, signature) {
+    if (!this.webhookSecret) {
+      throw new Error('Payment webhook secret is not configured');
+    }
+    return isValidSignature(rawBody, signature, this.webhookSecret);
+  }
+
+  // Normalise a Razorpay webhook into the provider-agnostic shape used by PaymentWebhookService
+  parseWebhookEvent(body, headers = {}) {
+    const payment = body.payload?.payment?.entity;
+    const refund = body.payload?.refund?.entity;
+    const payout = body.payload?.payout?.entity;
+
+    return {
+      eventId: headers['x-razorpay-event-id'],
+      type: body.event,
+      createdAt: body.created_at ? new Date(body.created_at * 1000) : new Date(),
+      payment: payment && {
+        id: payment.id,
+        orderId: payment.order_id,
+        amount: fromSubunits(payment.amount),
+        status: PAYMENT_STATUS_MAP[payment.status] || payment.status,
+        errorDescription: payment.error_description
+      },
+      refund: refund && {
+        id: refund.id,
+        paymentId: refund.payment_id,
+        amount: fromSubunits(refund.amount),
+        status: refund.status
+      },
+      payout: payout && {
+        id: payout.id,
+        referenceId: payout.reference_id,
+        amount: fromSubunits(payout.amount),
+        status: payout.status,
+        utr: payout.utr,
+        failureReason: payout.status_details?.description || payout.failure_reason
+      }
+    };
+  }
+}
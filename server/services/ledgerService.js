@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import LedgerAccount, { SYSTEM_ACCOUNTS } from '../models/LedgerAccount.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+
+// Differences below half a paisa are float noise, not real discrepancies
+const TOLERANCE = 0.005;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Debit/credit totals per account code, straight from the entries
+const aggregateAccountTotals = async (match = {}) => {
+  return await LedgerEntry.aggregate([
+    { $unwind: '$lines' },
+    { $match: match },
+    {
+      $group: {
+        _id: '$lines.accountCode',
+        debits: { $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] } }
+      }
+    }
+  ]);
+};
+
+/**
+ * Reporting and reconciliation on top of the double-entry ledger.
+ * Postings themselves happen in the models (LedgerEntry.post), inside the
+ * same database transaction as the wallet change they record.
+ */
+export class LedgerService {
+  // Trial balance: every system account plus all user wallets combined
+  static async getSummary() {
+    const totals = await aggregateAccountTotals();
+
+    const accounts = Object.entries(SYSTEM_ACCOUNTS).map(([code, { name, type }]) => {
+      const row = totals.find(t => t._id === code) || { debits: 0, credits: 0 };
+      return {
+        code,
+        name,
+        type,
+        debits: round(row.debits),
+        credits: round(row.credits),
+        balance: round(LedgerAccount.balanceChange(type, 'debit', row.debits) + LedgerAccount.balanceChange(type, 'credit', row.credits))
+      };
+    });
+
+    const walletRows = totals.filter(t => t._id.startsWith('user_wallet:'));
+    const walletDebits = walletRows.reduce((sum, t) => sum + t.debits, 0);
+    const walletCredits = walletRows.reduce((sum, t) => sum + t.credits, 0);
+    accounts.push({
+      code: 'user_wallet:*',
+      name: `User wallets (${walletRows.length} accounts)`,
+      type: 'liability',
+      debits: round(walletDebits),
+      credits: round(walletCredits),
+      balance: round(walletCredits - walletDebits)
+    });
+
+    const totalDebits = round(totals.reduce((sum, t) => sum + t.debits, 0));
+    const totalCredits = round(totals.reduce((sum, t) => sum + t.credits, 0));
+
+    return {
+      accounts,
+      totalDebits,
+      totalCredits,
+      balanced: Math.abs(totalDebits - totalCredits) < TOLERANCE
+    };
+  }
+
+  // Check every user's balance three ways: User.balance, the wallet account's running
+  // balance and the sum of the wallet's entries. Returns only the users that disagree.
+  static async reconcile() {
+    const [users, wallets, totals] = await Promise.all([
+      User.find({}).select('name phone balance').lean(),
+      LedgerAccount.find({}).select('code userId balance').lean(),
+      aggregateAccountTotals({ 'lines.accountCode': { $regex: /^user_wallet:/ } })
+    ]);
+
+    const walletByUser = new Map(wallets.map(w => [w.userId.toString(), w]));
+    const entryBalance = new Map(totals.map(t => [t._id, t.credits - t.debits]));
+
+    const mismatches = [];
+    let unopened = 0;
+
+    for (const user of users) {
+      const wallet = walletByUser.get(user._id.toString());
+
+      if (!wallet) {
+        // Wallets open lazily on the first movement; only a stranded balance is a problem
+        if (user.balance !== 0) {
+          unopened += 1;
+          mismatches.push({ userId: user._id, name: user.name, phone: user.phone, issue: 'wallet_not_opened', userBalance: user.balance });
+        }
+        continue;
+      }
+
+      const fromEntries = round(entryBalance.get(wallet.code) || 0);
+      if (Math.abs(wallet.balance - fromEntries) >= TOLERANCE) {
+        mismatches.push({
+          userId: user._id, name: user.name, phone: user.phone, issue: 'account_drift',
+          accountBalance: wallet.balance, entriesBalance: fromEntries
+        });
+      } else if (Math.abs(user.balance - wallet.balance) >= TOLERANCE) {
+        mismatches.push({
+          userId: user._id, name: user.name, phone: user.phone, issue: 'balance_drift',
+          userBalance: user.balance, accountBalance: wallet.balance
+        });
+      }
+    }
+
+    const { totalDebits, totalCredits, balanced } = await LedgerService.getSummary();
+
+    return {
+      checkedUsers: users.length,
+      openedWallets: wallets.length,
+      unopenedWithBalance: unopened,
+      mismatches,
+      trialBalance: { totalDebits, totalCredits, balanced },
+      checkedAt: new Date()
+    };
+  }
+
+  // Open wallet accounts (with their opening balance entry) for users who have a balance
+  // but have not moved money since the ledger was introduced
+  static async openWallets() {
+    const openedIds = await LedgerAccount.distinct('userId');
+    const users = await User.find({ _id: { $nin: openedIds }, balance: { $ne: 0 } }).select('_id');
+
+    let opened = 0;
+    for (const user of users) {
+      const session = await mongoose.startSession();
+      try {
+        session.startTransaction();
+        await LedgerAccount.ensureUserWallet(user._id, session);
+        await session.commitTransaction();
+        opened += 1;
+      } catch (error) {
+        await session.abortTransaction();
+        console.error(`Open ledger wallet for ${user._id} failed:`, error.message);
+      } finally {
+        session.endSession();
+      }
+    }
+
+    return { opened, remaining: users.length - opened };
+  }
+
+  // Platform fees actually taken (the platform_fee_revenue account), in total and per day,
+  // optionally only since a date. Returns { total, days: [{ date, revenue }] }.
+  static async getFeeRevenue({ since } = {}) {
+    const days = await LedgerEntry.aggregate([
+      { $match: { 'lines.accountCode': 'platform_fee_revenue', ...(since && { createdAt: { $gte: since } }) } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.accountCode': 'platform_fee_revenue' } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          debits: { $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] } },
+          credits: { $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return {
+      total: round(days.reduce((sum, day) => sum + day.credits - day.debits, 0)),
+      days: days.map(day => ({ date: day._id, revenue: round(day.credits - day.debits) }))
+    };
+  }
+
+  // Entries touching one account, newest first
+  static async getAccountEntries(code, { skip = 0, limit = 20 } = {}) {
+    const query = { 'lines.accountCode': code };
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+}
@@ -0,0 +1,302 @@
+import mongoose from 'mongoose';
+import GameRoom from '../models/GameRoom.js';
+import MatchTicket from '../models/MatchTicket.js';
+import User from '../models/User.js';
+import { EscrowService } from './escrowService.js';
+import { NotificationService } from './notificationService.js';
+import { SettingsService } from './settingsService.js';
+import { FeeScheduleService } from './feeScheduleService.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { emitRoomEvent, emitUserEvent } from '../utils/events.js';
+import { httpError } from '../utils/helpers.js';
+
+const bucketOf = ({ gameType, amount, maxPlayers }) => ({ gameType, amount, maxPlayers });
+
+/**
+ * Matchmaking queue. Users queue a ticket for a game type, stake and room size; as soon
+ * as enough tickets wait in the same bucket they are put into a new room that starts
+ * right away, with every entry fee held in one transaction. Tickets that wait longer
+ * than MATCHMAKING_TIMEOUT_SECONDS expire. Matching runs on enqueue and on a schedule,
+ * so a match that lost a race is picked up on the next run.
+ */
+export class MatchmakingService {
+  static getTimeoutSeconds() {
+    return parseInt(process.env.MATCHMAKING_TIMEOUT_SECONDS) || 120;
+  }
+
+  static async enqueue(user, { gameType = 'Ludo', amount, maxPlayers = 2 }) {
+    const { minRoomAmount, maxRoomAmount } = await SettingsService.get();
+    if (amount < minRoomAmount || amount > maxRoomAmount) {
+      throw httpError(`Amount must be between ₹${minRoomAmount} and ₹${maxRoomAmount}`);
+    }
+
+    if (user.balance < amount) {
+      throw httpError('Insufficient balance to join the queue');
+    }
+
+    const existing = await MatchTicket.findOne({ userId: user._id, status: 'queued' });
+    if (existing) {
+      throw httpError('You are already in the matchmaking queue', 409);
+    }
+
+    let ticket;
+    try {
+      ticket = await MatchTicket.create({
+        userId: user._id,
+        gameType,
+        amount,
+        maxPlayers,
+        expiresAt: new Date(Date.now() + MatchmakingService.getTimeoutSeconds() * 1000)
+      });
+    } catch (error) {
+      // Lost a race with a concurrent enqueue of the same user
+      if (error.code === 11000) {
+        throw httpError('You are already in the matchmaking queue', 409);
+      }
+      throw error;
+    }
+
+    // Matching is best effort here; the scheduled run retries anything left over
+    try {
+      await MatchmakingService.matchBucket(bucketOf(ticket));
+    } catch (error) {
+      console.error('Matchmaking after enqueue failed:', error);
+    }
+
+    return await MatchTicket.findById(ticket._id);
+  }
+
+  static async cancel(userId) {
+    const ticket = await MatchTicket.findOneAndUpdate(
+      { userId, status: 'queued' },
+      { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'user' },
+      { new: true }
+    );
+
+    if (!ticket) {
+      throw httpError('You are not in the matchmaking queue', 404);
+    }
+
+    return ticket;
+  }
+
+  // The user's current ticket, or their latest one, with its place in the queue
+  static async getStatus(userId) {
+    const ticket = await MatchTicket.findOne({ userId }).sort({ createdAt: -1 });
+    if (!ticket) {
+      return null;
+    }
+
+    const status = { ticket };
+
+    if (ticket.status === 'queued') {
+      const bucket = { ...bucketOf(ticket), status: 'queued', expiresAt: { $gt: new Date() } };
+      const [ahead, waiting] = await Promise.all([
+        MatchTicket.countDocuments({ ...bucket, createdAt: { $lt: ticket.createdAt } }),
+        MatchTicket.countDocuments(bucket)
+      ]);
+      status.position = ahead + 1;
+      status.waiting = waiting;
+    }
+
+    if (ticket.gameRoomId) {
+      status.room = await GameRoom.findById(ticket.gameRoomId)
+        .select('roomId gameType amount maxPlayers players status startedAt resultDeadline')
+        .lean();
+    }
+
+    return status;
+  }
+
+  // Form as many rooms as the bucket's queue allows. Returns the rooms created.
+  static async matchBucket(bucket) {
+    const rooms = [];
+
+    while (true) {
+      const tickets = await MatchTicket.find({ ...bucket, status: 'queued', expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: 1 })
+        .limit(bucket.maxPlayers);
+
+      if (tickets.length < bucket.maxPlayers) {
+        break;
+      }
+
+      // Drop players who can no longer pay, then look again
+      if (await MatchmakingService.dropUnfunded(tickets)) {
+        continue;
+      }
+
+      const room = await MatchmakingService.createMatch(tickets);
+      if (!room) {
+        break;
+      }
+      rooms.push(room);
+    }
+
+    return rooms;
+  }
+
+  // Cancel tickets whose user is inactive or short of the stake. Returns how many.
+  static async dropUnfunded(tickets) {
+    const users = await User.find({ _id: { $in: tickets.map(ticket => ticket.userId) } })
+      .select('balance isActive')
+      .lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    let dropped = 0;
+    for (const ticket of tickets) {
+      const user = usersById.get(ticket.userId.toString());
+      const cancelReason = !user || !user.isActive
+        ? 'account_inactive'
+        : user.balance < ticket.amount ? 'insufficient_balance' : null;
+
+      if (!cancelReason) continue;
+
+      const cancelled = await MatchTicket.findOneAndUpdate(
+        { _id: ticket._id, status: 'queued' },
+        { status: 'cancelled', cancelledAt: new Date(), cancelReason },
+        { new: true }
+      );
+
+      if (cancelled) {
+        dropped += 1;
+        emitUserEvent(ticket.userId, 'matchmaking.cancelled', { ticket: cancelled });
+      }
+    }
+
+    return dropped;
+  }
+
+  // Claim the tickets, create the room and hold every entry fee. Returns null if another
+  // run claimed one of the tickets first.
+  static async createMatch(tickets) {
+    const [first] = tickets;
+    const users = await User.find({ _id: { $in: tickets.map(ticket => ticket.userId) } }).select('name');
+    const namesById = new Map(users.map(user => [user._id.toString(), user.name]));
+
+    const roomId = await GameRoom.generateRoomId();
+    if (!roomId) {
+      throw new Error('Failed to generate unique room ID');
+    }
+
+    const feeRate = await FeeScheduleService.getRate(first);
+    const session = await mongoose.startSession();
+
+    let room;
+    try {
+      session.startTransaction();
+
+      room = new GameRoom({
+        roomId,
+        gameType: first.gameType,
+        amount: first.amount,
+        maxPlayers: first.maxPlayers,
+        createdBy: first.userId,
+        players: tickets.map(ticket => ({
+          userId: ticket.userId,
+          name: namesById.get(ticket.userId.toString()),
+          joinedAt: new Date()
+        }))
+      });
+      room.startGame(feeRate);
+      await room.save({ session });
+
+      const matchedAt = new Date();
+      for (const ticket of tickets) {
+        const claimed = await MatchTicket.findOneAndUpdate(
+          { _id: ticket._id, status: 'queued' },
+          { status: 'matched', matchedAt, gameRoomId: room._id, roomId: room.roomId },
+          { session }
+        );
+
+        if (!claimed) {
+          await session.abortTransaction();
+          return null;
+        }
+
+        await EscrowService.hold(room, ticket.userId, { session });
+      }
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    cacheUtils.clearRoomsCache();
+    for (const ticket of tickets) {
+      cache.del(cacheUtils.balanceKey(ticket.userId));
+      cacheUtils.clearUserCache(ticket.userId);
+    }
+
+    emitRoomEvent('room.game_started', room, { startedAt: room.startedAt, resultDeadline: room.resultDeadline, matchmaking: true });
+    for (const ticket of tickets) {
+      emitUserEvent(ticket.userId, 'matchmaking.matched', { ticketId: ticket._id, roomId: room.roomId, gameRoomId: room._id });
+    }
+
+    await NotificationService.notifyMany(tickets.map(ticket => ticket.userId), {
+      type: 'match_found',
+      title: 'Match found',
+      message: `You were matched into ${room.gameType} room ${room.roomId} (₹${room.amount} entry). The game has started.`,
+      data: { roomId: room.roomId, gameRoomId: room._id }
+    });
+
+    return room;
+  }
+
+  // Match every bucket with enough waiting tickets (scheduled job)
+  static async matchAll() {
+    const buckets = await MatchTicket.aggregate([
+      { $match: { status: 'queued', expiresAt: { $gt: new Date() } } },
+      {
+        $group: {
+          _id: { gameType: '$gameType', amount: '$amount', maxPlayers: '$maxPlayers' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    let matched = 0;
+    for (const { _id: bucket, count } of buckets) {
+      if (count < bucket.maxPlayers) continue;
+
+      try {
+        const rooms = await MatchmakingService.matchBucket(bucket);
+        matched += rooms.length;
+      } catch (error) {
+        console.error(`Matchmaking for ${bucket.gameType} ₹${bucket.amount} x${bucket.maxPlayers} failed:`, error);
+      }
+    }
+
+    return { buckets: buckets.length, matched };
+  }
+
+  // Expire tickets that waited too long (scheduled job)
+  static async expireTickets() {
+    const candidates = await MatchTicket.find({ status: 'queued', expiresAt: { $lte: new Date() } })
+      .select('_id')
+      .limit(500)
+      .lean();
+
+    let expired = 0;
+    for (const candidate of candidates) {
+      const ticket = await MatchTicket.findOneAndUpdate(
+        { _id: candidate._id, status: 'queued' },
+        { status: 'expired' },
+        { new: true }
+      );
+
+      if (ticket) {
+        expired += 1;
+        emitUserEvent(ticket.userId, 'matchmaking.expired', { ticket });
+      }
+    }
+
+    return expired;
+  }
+}
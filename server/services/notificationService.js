@@ -0,0 +1,56 @@
+import Notification from '../models/Notification.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { emitUserEvent } from '../utils/events.js';
+
+/**
+ * In-app notifications. Sending never throws: a failed notification is logged
+ * and must not undo the money movement or state change it reports.
+ */
+export class NotificationService {
+  static async notify(userId, { type = 'general', title, message, data = {} }) {
+    try {
+      const notification = await Notification.create({ userId, type, title, message, data });
+      cache.del(cacheUtils.unreadNotificationsKey(userId));
+      emitUserEvent(userId, 'notification.created', { notification });
+      return notification;
+    } catch (error) {
+      console.error(`Notify user ${userId} failed:`, error.message);
+      return null;
+    }
+  }
+
+  static async notifyMany(userIds, notification) {
+    return await Promise.all(userIds.map(userId => NotificationService.notify(userId, notification)));
+  }
+
+  static async getUnreadCount(userId) {
+    const key = cacheUtils.unreadNotificationsKey(userId);
+    let count = cache.get(key);
+
+    if (count === undefined) {
+      count = await Notification.countDocuments({ userId, isRead: false });
+      cache.set(key, count, 60);
+    }
+
+    return count;
+  }
+
+  static async markRead(userId, notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      { isRead: true, readAt: new Date() },
+      { new: true }
+    );
+    cache.del(cacheUtils.unreadNotificationsKey(userId));
+    return notification;
+  }
+
+  static async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { userId, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+    cache.del(cacheUtils.unreadNotificationsKey(userId));
+    return result.modifiedCount;
+  }
+}
@@ -1,119 +1,109 @@
-// Fake Payment Service for Testing
-// In production, integrate with actual payment gateways like Razorpay, Paytm, etc.
+import { RazorpayGateway } from './gateways/razorpayGateway.js';
+import { MockGateway } from './gateways/mockGateway.js';
 
-export class PaymentService {
-  // Create fake payment order
-  static async createOrder(amount, currency = 'INR', userId) {
-    try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const orderId = `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // In real implementation, this would be a call to payment gateway
-      // const order = await razorpay.orders.create({
-      //   amount: amount * 100, // Amount in paise
-      //   currency,
-      //   receipt: orderId
-      // });
-      
-      return {
-        orderId,
-        amount,
-        currency,
-        status: 'created',
-        key: process.env.PAYMENT_GATEWAY_KEY || 'fake_key_for_testing'
-      };
-    } catch (error) {
-      console.error('Payment order creation failed:', error);
-      throw new Error('Failed to create payment order');
-    }
+// Payment gateway facade. The provider is picked by PAYMENT_PROVIDER:
+//   razorpay - live/test Razorpay account
+//   mock     - bundled local gateway (npm run mock:gateway), the default outside production
+
+const PROVIDERS = {
+  razorpay: {
+    Gateway: RazorpayGateway,
+    baseURL: () => process.env.PAYMENT_GATEWAY_BASE_URL || 'https://api.razorpay.com/v1',
+    credentials: () => ({
+      keyId: process.env.PAYMENT_GATEWAY_KEY,
+      keySecret: process.env.PAYMENT_GATEWAY_SECRET,
+      webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET
+    })
+  },
+  mock: {
+    Gateway: MockGateway,
+    baseURL: () => process.env.PAYMENT_GATEWAY_BASE_URL || `http://localhost:${parseInt(process.env.MOCK_GATEWAY_PORT) || 5055}/v1`,
+    // Same defaults as the mock server so it works without any configuration
+    credentials: () => ({
+      keyId: process.env.PAYMENT_GATEWAY_KEY || 'fake_payment_key',
+      keySecret: process.env.PAYMENT_GATEWAY_SECRET || 'fake_payment_secret',
+      webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'fake_webhook_secret'
+    })
   }
-  
-  // Verify fake payment
-  static async verifyPayment(orderId, paymentId, signature) {
-    try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // In real implementation, verify the payment signature
-      // const body = orderId + '|' + paymentId;
-      // const expectedSignature = crypto
-      //   .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      //   .update(body.toString())
-      //   .digest('hex');
-      // const isAuthentic = expectedSignature === signature;
-      
-      // For testing, always return success
-      const isAuthentic = true;
-      
-      if (!isAuthentic) {
-        throw new Error('Payment verification failed');
+};
+
+let gateway = null;
+
+export class PaymentService {
+  // Lazily build the configured gateway (env is loaded after module evaluation)
+  static getGateway() {
+    if (!gateway) {
+      const providerName = process.env.PAYMENT_PROVIDER ||
+        (process.env.NODE_ENV === 'production' ? 'razorpay' : 'mock');
+      const provider = PROVIDERS[providerName];
+
+      if (!provider) {
+        throw new Error(`Unsupported payment provider: ${providerName}`);
       }
-      
-      return {
-        orderId,
-        paymentId,
-        status: 'success',
-        amount: Math.floor(Math.random() * 10000) + 100, // Random amount for testing
-        verified: true
-      };
-    } catch (error) {
-      console.error('Payment verification failed:', error);
-      throw new Error('Payment verification failed');
+
+      gateway = new provider.Gateway({
+        ...provider.credentials(),
+        baseURL: provider.baseURL(),
+        payoutAccountNumber: process.env.PAYOUT_ACCOUNT_NUMBER
+      });
     }
+
+    return gateway;
   }
-  
-  // Process withdrawal (fake)
-  static async processWithdrawal(upiId, amount, transactionId) {
-    try {
-      // Simulate processing delay
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // In real implementation, process withdrawal to UPI
-      // const withdrawal = await paymentGateway.transfer({
-      //   account: upiId,
-      //   amount: amount * 100,
-      //   currency: 'INR',
-      //   notes: { transactionId }
-      // });
-      
-      // For testing, randomly succeed or fail
-      const success = Math.random() > 0.1; // 90% success rate
-      
-      if (!success) {
-        throw new Error('Withdrawal processing failed');
-      }
-      
-      return {
-        transactionId,
-        upiId,
-        amount,
-        status: 'completed',
-        processedAt: new Date()
-      };
-    } catch (error) {
-      console.error('Withdrawal processing failed:', error);
-      throw new Error('Withdrawal processing failed');
-    }
+
+  // Swap the gateway instance (tests)
+  static setGateway(customGateway) {
+    gateway = customGateway;
   }
-  
+
+  // Create payment order
+  static async createOrder(amount, currency = 'INR', userId) {
+    return await PaymentService.getGateway().createOrder({
+      amount,
+      currency,
+      receipt: `rcpt_${Date.now()}`,
+      notes: { userId: userId?.toString() }
+    });
+  }
+
+  // Verify payment signature and fetch the captured amount from the gateway
+  static async verifyPayment(orderId, paymentId, signature) {
+    return await PaymentService.getGateway().verifyPayment({ orderId, paymentId, signature });
+  }
+
   // Get payment status
   static async getPaymentStatus(paymentId) {
-    try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
-      // In real implementation, get payment status from gateway
-      return {
-        paymentId,
-        status: 'captured', // or 'failed', 'pending'
-        method: 'upi',
-        amount: Math.floor(Math.random() * 10000) + 100
-      };
-    } catch (error) {
-      console.error('Failed to get payment status:', error);
-      throw new Error('Failed to get payment status');
+    return await PaymentService.getGateway().getPaymentStatus(paymentId);
+  }
+
+  // Send a withdrawal to the user's UPI ID
+  static async payout(upiId, amount, transactionId, name) {
+    return await PaymentService.getGateway().payout({
+      upiId,
+      amount,
+      referenceId: transactionId,
+      name
+    });
+  }
+
+  // Check an inbound webhook signature against the raw request body
+  static verifyWebhookSignature(rawBody, signature) {
+    return PaymentService.getGateway().verifyWebhookSignature(rawBody, signature);
+  }
+
+  // Convert a provider webhook into { eventId, type, createdAt, payment, refund, payout }
+  static parseWebhookEvent(body, headers) {
+    return PaymentService.getGateway().parseWebhookEvent(body, headers);
+  }
+
+  // Complete checkout server-side; only the mock gateway can do this
+  static async completeTestCheckout(orderId) {
+    const activeGateway = PaymentService.getGateway();
+
+    if (typeof activeGateway.simulateCheckout !== 'function') {
+      throw new Error(`Server-side checkout is not supported by the ${activeGateway.name} gateway`);
     }
+
+    return await activeGateway.simulateCheckout(orderId);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,176 @@
+import Transaction from '../models/Transaction.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+
+// Payout states that mean the money did not (or no longer) reach the user
+const FAILED_PAYOUT_STATUSES = ['failed', 'reversed', 'rejected', 'cancelled'];
+
+const clearWalletCache = (userId) => {
+  cache.del(cacheUtils.balanceKey(userId));
+  cacheUtils.clearUserCache(userId);
+};
+
+// Each handler returns { status, result, transactionId } describing what the event did.
+// Handlers only move transactions forward, so duplicate or out-of-order events are no-ops.
+const handlers = {
+  'payment.captured': async ({ payment }) => {
+    const deposit = await Transaction.findOne({ orderId: payment.orderId, type: 'deposit' });
+    if (!deposit) {
+      return { status: 'ignored', result: `No deposit for order ${payment.orderId}` };
+    }
+
+    if (payment.amount !== deposit.amount) {
+      await Transaction.failDeposit(payment.orderId, `Amount mismatch: paid ₹${payment.amount}`);
+      return { status: 'failed', result: 'Captured amount does not match the deposit', transactionId: deposit._id };
+    }
+
+    const { transaction, credited } = await Transaction.completeDeposit(payment.orderId, payment.id);
+    if (credited) {
+      clearWalletCache(transaction.userId);
+    }
+
+    return {
+      status: credited ? 'processed' : 'ignored',
+      result: credited ? 'Deposit credited' : `Deposit already ${transaction.status}`,
+      transactionId: transaction._id
+    };
+  },
+
+  'payment.failed': async ({ payment }) => {
+    const deposit = await Transaction.failDeposit(payment.orderId, payment.errorDescription || 'Payment failed');
+    if (!deposit) {
+      return { status: 'ignored', result: 'No pending deposit for this payment' };
+    }
+
+    return { status: 'processed', result: 'Deposit marked failed', transactionId: deposit._id };
+  },
+
+  'refund.processed': async ({ refund, payment }) => {
+    const deposit = await Transaction.findOne({
+      type: 'deposit',
+      ...(payment?.orderId ? { orderId: payment.orderId } : { paymentId: refund.paymentId })
+    });
+    if (!deposit) {
+      return { status: 'ignored', result: `No deposit for payment ${refund.paymentId}` };
+    }
+
+    // Partial refunds need a human to decide what to take back from the wallet
+    if (refund.amount < deposit.amount) {
+      return { status: 'failed', result: 'Partial refund needs manual review', transactionId: deposit._id };
+    }
+
+    let refunded;
+    try {
+      refunded = await Transaction.refundDeposit(deposit.orderId, refund.id);
+    } catch (error) {
+      // The user already spent the deposit; retrying the webhook cannot fix that
+      if (error.message === 'Insufficient balance') {
+        return { status: 'failed', result: 'Refund exceeds wallet balance, needs manual review', transactionId: deposit._id };
+      }
+      throw error;
+    }
+
+    const { transaction, reversal } = refunded;
+    if (reversal) {
+      clearWalletCache(transaction.userId);
+    }
+
+    return {
+      status: transaction.status === 'refunded' ? 'processed' : 'ignored',
+      result: reversal ? 'Deposit refunded and wallet debited' : `Deposit is ${transaction.status}`,
+      transactionId: transaction._id
+    };
+  },
+
+  payout: async ({ payout }) => {
+    // Match on our payout ID, or the reference (our transactionId) if the webhook beat the approval
+    const withdrawal = await Transaction.findOne({
+      type: 'withdrawal',
+      $or: [{ payoutId: payout.id }, { transactionId: payout.referenceId }]
+    });
+    if (!withdrawal) {
+      return { status: 'ignored', result: `No withdrawal for payout ${payout.id}` };
+    }
+
+    if (payout.status === 'processed') {
+      const transaction = await Transaction.completePayout(withdrawal._id, payout);
+      return {
+        status: transaction ? 'processed' : 'ignored',
+        result: transaction ? 'Withdrawal paid out' : `Withdrawal already ${withdrawal.status}`,
+        transactionId: withdrawal._id
+      };
+    }
+
+    if (FAILED_PAYOUT_STATUSES.includes(payout.status)) {
+      const { transaction } = await Transaction.failPayout(withdrawal._id, payout);
+      if (transaction) {
+        clearWalletCache(transaction.userId);
+      }
+      return {
+        status: transaction ? 'processed' : 'ignored',
+        result: transaction ? `Payout ${payout.status}, amount refunded` : `Withdrawal already ${withdrawal.status}`,
+        transactionId: withdrawal._id
+      };
+    }
+
+    // Intermediate states (queued, pending, processing) only update the tracking field
+    await Transaction.findOneAndUpdate(
+      { _id: withdrawal._id, status: 'pending' },
+      { payoutId: payout.id, 'metadata.payoutStatus': payout.status }
+    );
+    return { status: 'processed', result: `Payout ${payout.status}`, transactionId: withdrawal._id };
+  }
+};
+
+const getHandler = (type = '') => handlers[type] || (type.startsWith('payout.') ? handlers.payout : null);
+
+export class PaymentWebhookService {
+  // Oldest event (by gateway timestamp) we still act on; older deliveries are stored but ignored
+  static getToleranceMs() {
+    return (parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 24 * 60 * 60) * 1000;
+  }
+
+  // Store a verified delivery and apply it exactly once
+  static async receive(provider, event, { rawBody, signature, payload }) {
+    let paymentEvent;
+    try {
+      paymentEvent = await PaymentEvent.recordDelivery(provider, event, rawBody, signature, payload);
+    } catch (error) {
+      // Two deliveries of a new event raced on the upsert; the other one owns it
+      if (error.code !== 11000) throw error;
+      paymentEvent = await PaymentEvent.findOne({ provider, eventId: event.eventId });
+    }
+
+    if (['processed', 'ignored'].includes(paymentEvent.status)) {
+      return { paymentEvent, duplicate: true };
+    }
+
+    if (Date.now() - event.createdAt.getTime() > PaymentWebhookService.getToleranceMs()) {
+      return { paymentEvent: await PaymentWebhookService.finish(paymentEvent, { status: 'ignored', result: 'Event is older than the replay window' }) };
+    }
+
+    const handler = getHandler(event.type);
+    if (!handler) {
+      return { paymentEvent: await PaymentWebhookService.finish(paymentEvent, { status: 'ignored', result: `Unhandled event type ${event.type}` }) };
+    }
+
+    try {
+      const outcome = await handler(event);
+      return { paymentEvent: await PaymentWebhookService.finish(paymentEvent, outcome) };
+    } catch (error) {
+      await PaymentWebhookService.finish(paymentEvent, { status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  static async finish(paymentEvent, { status, result, transactionId, error }) {
+    paymentEvent.status = status;
+    paymentEvent.result = result;
+    paymentEvent.error = error;
+    paymentEvent.processedAt = new Date();
+    if (transactionId) {
+      paymentEvent.transactionId = transactionId;
+    }
+    return await paymentEvent.save();
+  }
+}
@@ -0,0 +1,223 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { events, emitUserEvent, ROOM_EVENT, USER_EVENT } from '../utils/events.js';
+
+export const REALTIME_PATH = '/ws';
+
+const ROOM_CHANNEL = /^room:(LK\d{6})$/;
+
+let wss = null;
+let heartbeat = null;
+let balanceStream = null;
+
+// userId -> sockets of that user, channel -> subscribed sockets
+const userSockets = new Map();
+const channels = new Map();
+
+const addTo = (map, key, socket) => {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(socket);
+};
+
+const removeFrom = (map, key, socket) => {
+  const sockets = map.get(key);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) map.delete(key);
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+// Browsers cannot set headers on a WebSocket, so the token may also come as ?token=
+const getToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith('Bearer ')) {
+    return authHeader.replace('Bearer ', '');
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+const handleClientMessage = (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return send(socket, { event: 'error', data: { message: 'Messages must be JSON' } });
+  }
+
+  const { action, channel } = message;
+
+  if (action === 'ping') {
+    return send(socket, { event: 'pong', at: new Date() });
+  }
+
+  if (!['subscribe', 'unsubscribe'].includes(action) || !(channel === 'lobby' || ROOM_CHANNEL.test(channel))) {
+    return send(socket, { event: 'error', data: { message: 'Unknown action or channel' } });
+  }
+
+  if (action === 'subscribe') {
+    addTo(channels, channel, socket);
+    socket.channels.add(channel);
+  } else {
+    removeFrom(channels, channel, socket);
+    socket.channels.delete(channel);
+  }
+
+  send(socket, { event: `${action}d`, data: { channel } });
+};
+
+// Room events go to the room's players, its subscribers and the lobby. Private rooms
+// are not announced to subscribers; only their players hear about them.
+const deliverRoomEvent = ({ type, room, data, at }) => {
+  const recipients = new Set(room.visibility === 'private' ? [] : [
+    ...(channels.get('lobby') || []),
+    ...(channels.get(`room:${room.roomId}`) || [])
+  ]);
+
+  const userIds = room.players.map(player => player.userId.toString());
+  // A player who just left is no longer in the room but still wants the event
+  if (data.userId) userIds.push(data.userId.toString());
+
+  for (const userId of userIds) {
+    for (const socket of userSockets.get(userId) || []) {
+      recipients.add(socket);
+    }
+  }
+
+  for (const socket of recipients) {
+    send(socket, { event: type, room, data, at });
+  }
+};
+
+const deliverUserEvent = ({ type, userId, data, at }) => {
+  for (const socket of userSockets.get(userId) || []) {
+    send(socket, { event: type, data, at });
+  }
+};
+
+// Balance changes come from many code paths (wallet, escrow, admin, webhooks). Watching the
+// users collection catches all of them, and only once their transaction has committed.
+const startBalanceStream = () => {
+  try {
+    balanceStream = User.watch([
+      { $match: { operationType: 'update', 'updateDescription.updatedFields.balance': { $exists: true } } }
+    ]);
+
+    balanceStream.on('change', (change) => {
+      emitUserEvent(change.documentKey._id, 'wallet.balance_changed', {
+        balance: change.updateDescription.updatedFields.balance
+      });
+    });
+
+    balanceStream.on('error', (error) => {
+      console.error('⚠️ Balance change stream stopped, wallet.balance_changed events disabled:', error.message);
+      balanceStream = null;
+    });
+  } catch (error) {
+    console.error('⚠️ Balance change stream unavailable:', error.message);
+  }
+};
+
+/**
+ * Authenticated WebSocket channel at /ws. Clients connect with the same JWT as the REST
+ * API and receive events for their own rooms and wallet; they can also subscribe to the
+ * lobby or to any room by its code.
+ */
+export class RealtimeService {
+  static attach(server) {
+    wss = new WebSocketServer({ noServer: true, maxPayload: 4 * 1024 });
+
+    server.on('upgrade', async (req, socket, head) => {
+      if (new URL(req.url, 'http://localhost').pathname !== REALTIME_PATH) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+
+      const token = getToken(req);
+      if (!token) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      try {
+        const { user, error } = await authenticateToken(token);
+        if (error) {
+          return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, user));
+      } catch (error) {
+        console.error('WebSocket auth error:', error);
+        rejectUpgrade(socket, 500, 'Internal Server Error');
+      }
+    });
+
+    wss.on('connection', (socket, user) => {
+      const userId = user._id.toString();
+      socket.userId = userId;
+      socket.channels = new Set();
+      socket.isAlive = true;
+      addTo(userSockets, userId, socket);
+
+      socket.on('pong', () => { socket.isAlive = true; });
+      socket.on('message', (raw) => handleClientMessage(socket, raw.toString()));
+      socket.on('close', () => {
+        removeFrom(userSockets, userId, socket);
+        for (const channel of socket.channels) {
+          removeFrom(channels, channel, socket);
+        }
+      });
+
+      send(socket, { event: 'connected', data: { userId, balance: user.balance } });
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeatSeconds = parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 30;
+    heartbeat = setInterval(() => {
+      for (const socket of wss.clients) {
+        if (!socket.isAlive) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, heartbeatSeconds * 1000);
+    heartbeat.unref();
+
+    events.on(ROOM_EVENT, deliverRoomEvent);
+    events.on(USER_EVENT, deliverUserEvent);
+    startBalanceStream();
+
+    return wss;
+  }
+
+  static getStats() {
+    return {
+      connections: wss ? wss.clients.size : 0,
+      users: userSockets.size,
+      channels: channels.size
+    };
+  }
+
+  static async close() {
+    clearInterval(heartbeat);
+    events.off(ROOM_EVENT, deliverRoomEvent);
+    events.off(USER_EVENT, deliverUserEvent);
+    await balanceStream?.close();
+
+    for (const socket of wss?.clients || []) {
+      socket.close(1001, 'Server shutting down');
+    }
+    wss?.close();
+    wss = null;
+  }
+}
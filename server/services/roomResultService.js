@@ -0,0 +1,542 @@
+import mongoose from 'mongoose';
+import GameRoom from '../models/GameRoom.js';
+import User from '../models/User.js';
+import WinnerRequest from '../models/WinnerRequest.js';
+import { EscrowService } from './escrowService.js';
+import { NotificationService } from './notificationService.js';
+import { DisputeService } from './disputeService.js';
+import { SettingsService } from './settingsService.js';
+import { TournamentService } from './tournamentService.js';
+import { cacheUtils } from '../utils/cache.js';
+import { emitRoomEvent } from '../utils/events.js';
+import { calculateWinnings } from '../utils/helpers.js';
+
+const playerIds = (room) => room.players.map(player => player.userId._id || player.userId);
+
+const clearPlayerCaches = (room) => {
+  cacheUtils.clearRoomsCache();
+  for (const userId of playerIds(room)) {
+    cacheUtils.clearUserCache(userId);
+  }
+};
+
+/**
+ * How a playing room gets its result. Players submit the winner they saw; agreeing
+ * submissions are paid out automatically and conflicting ones become a disputed
+ * WinnerRequest for an admin. When nobody submits, the room is escalated to the
+ * admin queue after the result deadline (or cancelled with refunds when
+ * ROOM_RESULT_TIMEOUT_ACTION=cancel), and an uncontested no-show report is turned
+ * into a win for the reporter once its grace period ends.
+ */
+export class RoomResultService {
+  static getResultDeadlineMinutes() {
+    return parseInt(process.env.ROOM_RESULT_DEADLINE_MINUTES) || 60;
+  }
+
+  static getTimeoutAction() {
+    return process.env.ROOM_RESULT_TIMEOUT_ACTION === 'cancel' ? 'cancel' : 'escalate';
+  }
+
+  static getNoShowGraceMinutes() {
+    return parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 10;
+  }
+
+  static getConfirmationWindowMinutes() {
+    return parseInt(process.env.RESULT_CONFIRMATION_WINDOW_MINUTES) || 15;
+  }
+
+  // Tournament match rooms pay nothing themselves; the tournament pays its prizes when it ends
+  static async getPayout(room) {
+    if (room.tournament?.tournamentId) {
+      return { totalPrizePool: 0, platformFee: 0, winnerAmount: 0, positionAmounts: [0] };
+    }
+
+    // Rooms started before fee rates were snapshotted pay the current platform fee
+    const feeRate = room.feeRate || { percent: (await SettingsService.get()).platformFeePercent };
+    const { totalAmount, platformFee, winnerAmount, positionAmounts } = calculateWinnings(
+      room.amount * room.players.length,
+      feeRate,
+      room.payoutStructure
+    );
+
+    return { totalPrizePool: totalAmount, platformFee, winnerAmount, positionAmounts };
+  }
+
+  // Match the ranked players to the paid positions' shares. The share of a paid position
+  // nobody was ranked in (e.g. after a no-show) goes to first place.
+  static getPlacements(rankings, positionAmounts) {
+    const placements = rankings
+      .slice(0, positionAmounts.length)
+      .map((userId, index) => ({ userId, position: index + 1, amount: positionAmounts[index] }));
+
+    const unranked = positionAmounts.slice(placements.length).reduce((sum, amount) => sum + amount, 0);
+    placements[0].amount = Math.round((placements[0].amount + unranked) * 100) / 100;
+
+    return placements;
+  }
+
+  // Pay the room's winner out of escrow, or every paid position when the room pays several
+  // (payout.rankings, winner first), or the winner's whole team in a team room, or for a
+  // tournament match record who advances. Returns the payouts. Callers run
+  // TournamentService.onMatchDecided after committing.
+  static async settleWinner(room, winnerId, payout, { session } = {}) {
+    if (room.tournament?.tournamentId) {
+      await TournamentService.recordMatchWinner(room, winnerId, { session });
+      return [];
+    }
+
+    if (room.mode === 'teams') {
+      room.winningTeam = room.getTeam(winnerId);
+      await GameRoom.updateOne({ _id: room._id }, { winningTeam: room.winningTeam }, { session });
+
+      return await EscrowService.settleSplit(room, room.getTeamPlayers(room.winningTeam), {
+        totalAmount: payout.winnerAmount,
+        platformFee: payout.platformFee,
+        description: payout.description,
+        metadata: { ...payout.metadata, winningTeam: room.winningTeam }
+      }, { session });
+    }
+
+    const positionAmounts = payout.positionAmounts || room.positionAmounts;
+    if (positionAmounts?.length > 1) {
+      const placements = RoomResultService.getPlacements(payout.rankings || [winnerId], positionAmounts);
+      return await EscrowService.settleRanked(room, placements, payout, { session });
+    }
+
+    return [await EscrowService.settle(room, winnerId, payout, { session })];
+  }
+
+  // Count the win in the winner's stats, or in every teammate's with their share of a team
+  // room's prize (the first player gets the rounding remainder, as in the payout).
+  // Returns the winner's user.
+  static async recordWinStats(room, winnerId, winnerAmount) {
+    const winnerIds = room.mode === 'teams' ? room.getTeamPlayers(room.getTeam(winnerId)) : [winnerId];
+    const share = Math.floor(winnerAmount * 100 / winnerIds.length) / 100;
+    const remainder = Math.round((winnerAmount - share * winnerIds.length) * 100) / 100;
+
+    let winner = null;
+    for (const [index, userId] of winnerIds.entries()) {
+      const user = await User.findById(userId);
+      if (!user) {
+        continue;
+      }
+
+      await user.incrementGameStats(true, index === 0 ? share + remainder : share);
+      if (user._id.toString() === winnerId.toString()) {
+        winner = user;
+      }
+    }
+
+    return winner;
+  }
+
+  // Settle the submitted results once they can be: a conflict opens a dispute straight
+  // away, agreement is confirmed when every player submitted, or when the window closed
+  // and someone besides the winner's side backs the result. A window that closes with only
+  // the winner's own claim sends the room to the admin winner-requests queue.
+  // Returns { outcome: 'confirmed' | 'disputed' | 'review', room, winnerRequest }, or null
+  // while the room is still waiting for submissions.
+  static async resolveSubmissions(roomId) {
+    const room = await GameRoom.findById(roomId);
+    if (!room || room.status !== 'playing' || room.resultSubmissions.length === 0) {
+      return null;
+    }
+
+    const consensus = room.getResultConsensus();
+    if (!consensus.agreed) {
+      return await RoomResultService.openDispute(room);
+    }
+
+    if (consensus.complete) {
+      return await RoomResultService.confirmResult(room, consensus.winnerId, consensus.rankings);
+    }
+
+    const windowClosed = room.resultConfirmationDeadline && room.resultConfirmationDeadline <= new Date();
+    if (!windowClosed) {
+      return null;
+    }
+
+    return consensus.corroborated
+      ? await RoomResultService.confirmResult(room, consensus.winnerId, consensus.rankings)
+      : await RoomResultService.queueForReview(room, consensus.winnerId, consensus.rankings);
+  }
+
+  // Pay out a result the players agreed on, recorded as an auto-approved WinnerRequest
+  static async confirmResult(room, winnerId, rankings = [winnerId]) {
+    const { totalPrizePool, platformFee, winnerAmount, positionAmounts } = await RoomResultService.getPayout(room);
+    const session = await mongoose.startSession();
+
+    let claimed;
+    let winnerRequest;
+    try {
+      session.startTransaction();
+
+      // Claim the room, so a second submission or the job cannot also settle it
+      claimed = await GameRoom.findOneAndUpdate(
+        { _id: room._id, status: 'playing' },
+        {
+          status: 'completed',
+          completedAt: new Date(),
+          winner: winnerId,
+          rankings,
+          totalPrizePool,
+          platformFee,
+          winnerAmount
+        },
+        { new: true, session }
+      );
+
+      if (!claimed) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      if (claimed.noShowReport?.status === 'pending') {
+        claimed.noShowReport.status = 'superseded';
+        await claimed.save({ session });
+      }
+
+      winnerRequest = new WinnerRequest({
+        roomId: claimed.roomId,
+        gameRoomId: claimed._id,
+        declaredBy: claimed.resultSubmissions[0].userId,
+        declaredWinner: winnerId,
+        rankings,
+        status: 'approved',
+        autoApproved: true,
+        submissions: claimed.resultSubmissions,
+        evidence: { screenshots: claimed.resultEvidence },
+        processedAt: new Date(),
+        adminNotes: `Auto-approved: ${claimed.resultSubmissions.length} of ${claimed.players.length} player(s) confirmed the result`,
+        winnerAmount,
+        totalPrizePool,
+        platformFee
+      });
+      await winnerRequest.save({ session });
+
+      await RoomResultService.settleWinner(claimed, winnerId, {
+        winnerAmount,
+        platformFee,
+        positionAmounts,
+        rankings,
+        description: `Game Won - Room ${claimed.roomId} (confirmed by players)`,
+        metadata: {
+          autoApproved: true,
+          winnerRequestId: winnerRequest._id
+        }
+      }, { session });
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const winner = await RoomResultService.recordWinStats(claimed, winnerId, winnerAmount);
+
+    clearPlayerCaches(claimed);
+    emitRoomEvent('room.winner_approved', claimed, { winnerId, winnerAmount, autoApproved: true });
+    await NotificationService.notifyMany(playerIds(claimed), {
+      type: 'result_confirmed',
+      title: 'Result confirmed',
+      message: claimed.tournament?.tournamentId
+        ? `The result of room ${claimed.roomId} was confirmed. ${winner?.name || 'The winner'} advances in the tournament.`
+        : claimed.mode === 'teams'
+          ? `The result of room ${claimed.roomId} was confirmed. Team ${claimed.winningTeam} won ₹${winnerAmount}, split between its players.`
+          : `The result of room ${claimed.roomId} was confirmed. ${winner?.name || 'The winner'} won ₹${winnerAmount}.`,
+      data: { roomId: claimed.roomId, gameRoomId: claimed._id, winnerId, winnerAmount }
+    });
+
+    await TournamentService.onMatchDecided(claimed);
+
+    return { outcome: 'confirmed', room: claimed, winnerRequest };
+  }
+
+  // Send conflicting submissions to the admin winner-requests queue as a dispute
+  static async openDispute(room) {
+    const { totalPrizePool, platformFee, winnerAmount } = await RoomResultService.getPayout(room);
+    const session = await mongoose.startSession();
+
+    let claimed;
+    let winnerRequest;
+    let dispute;
+    try {
+      session.startTransaction();
+
+      claimed = await GameRoom.findOneAndUpdate(
+        { _id: room._id, status: 'playing' },
+        { status: 'winner_declared', totalPrizePool, platformFee, winnerAmount },
+        { new: true, session }
+      );
+
+      if (!claimed) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      if (claimed.noShowReport?.status === 'pending') {
+        claimed.noShowReport.status = 'superseded';
+        await claimed.save({ session });
+      }
+
+      // The first claim is the default winner; resolving the dispute decides the actual one
+      const [firstSubmission] = claimed.resultSubmissions;
+      winnerRequest = new WinnerRequest({
+        roomId: claimed.roomId,
+        gameRoomId: claimed._id,
+        declaredBy: firstSubmission.userId,
+        declaredWinner: firstSubmission.winnerId,
+        rankings: firstSubmission.rankings,
+        isDisputed: true,
+        submissions: claimed.resultSubmissions,
+        evidence: { screenshots: claimed.resultEvidence },
+        winnerAmount,
+        totalPrizePool,
+        platformFee
+      });
+      await winnerRequest.save({ session });
+
+      dispute = await DisputeService.open(claimed, { category: 'conflicting_results' }, { session });
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    cacheUtils.clearRoomsCache();
+    emitRoomEvent('room.disputed', claimed, { disputeId: dispute.disputeId });
+    await NotificationService.notifyMany(playerIds(claimed), {
+      type: 'result_disputed',
+      title: 'Result disputed',
+      message: `Players in room ${claimed.roomId} submitted different winners. An admin will review the room and declare the winner.`,
+      data: { roomId: claimed.roomId, gameRoomId: claimed._id, winnerRequestId: winnerRequest._id, disputeId: dispute.disputeId }
+    });
+
+    return { outcome: 'disputed', room: claimed, winnerRequest, dispute };
+  }
+
+  // Send a result only the winner's side claimed to the admin winner-requests queue as a
+  // pending WinnerRequest, to be approved or rejected like a declared winner
+  static async queueForReview(room, winnerId, rankings = [winnerId]) {
+    const { totalPrizePool, platformFee, winnerAmount } = await RoomResultService.getPayout(room);
+    const session = await mongoose.startSession();
+
+    let claimed;
+    let winnerRequest;
+    try {
+      session.startTransaction();
+
+      claimed = await GameRoom.findOneAndUpdate(
+        { _id: room._id, status: 'playing' },
+        { status: 'winner_declared', totalPrizePool, platformFee, winnerAmount },
+        { new: true, session }
+      );
+
+      if (!claimed) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      if (claimed.noShowReport?.status === 'pending') {
+        claimed.noShowReport.status = 'superseded';
+        await claimed.save({ session });
+      }
+
+      winnerRequest = new WinnerRequest({
+        roomId: claimed.roomId,
+        gameRoomId: claimed._id,
+        declaredBy: claimed.resultSubmissions[0].userId,
+        declaredWinner: winnerId,
+        rankings,
+        submissions: claimed.resultSubmissions,
+        evidence: { screenshots: claimed.resultEvidence },
+        winnerAmount,
+        totalPrizePool,
+        platformFee
+      });
+      await winnerRequest.save({ session });
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const reason = 'Only the winning side confirmed the result';
+
+    cacheUtils.clearRoomsCache();
+    emitRoomEvent('room.escalated', claimed, { reason, winnerRequestId: winnerRequest._id });
+    await NotificationService.notifyMany(playerIds(claimed), {
+      type: 'room_escalated',
+      title: 'Room sent for review',
+      message: `Nobody else confirmed the result of room ${claimed.roomId}. An admin will review the room before the winnings are paid.`,
+      data: { roomId: claimed.roomId, gameRoomId: claimed._id, winnerRequestId: winnerRequest._id }
+    });
+
+    return { outcome: 'review', room: claimed, winnerRequest };
+  }
+
+  // Move a playing room into the admin queue. Returns null if it is no longer playing.
+  static async escalate(roomId, reason) {
+    const room = await GameRoom.findOneAndUpdate(
+      { _id: roomId, status: 'playing' },
+      { status: 'escalated', escalatedAt: new Date(), escalationReason: reason },
+      { new: true }
+    );
+
+    if (!room) {
+      return null;
+    }
+
+    cacheUtils.clearRoomsCache();
+    emitRoomEvent('room.escalated', room, { reason });
+    await NotificationService.notifyMany(playerIds(room), {
+      type: 'room_escalated',
+      title: 'Room sent for review',
+      message: `Room ${room.roomId} was sent to an admin for review: ${reason}.`,
+      data: { roomId: room.roomId, gameRoomId: room._id }
+    });
+
+    return room;
+  }
+
+  // Cancel a playing or escalated room and return every stake from escrow
+  static async cancelWithRefunds(roomId, reason) {
+    const session = await mongoose.startSession();
+
+    let room;
+    try {
+      session.startTransaction();
+
+      room = await GameRoom.findOneAndUpdate(
+        { _id: roomId, status: { $in: ['playing', 'escalated'] } },
+        { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason },
+        { new: true, session }
+      );
+
+      if (!room) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      await EscrowService.releaseAll(room, reason, { session });
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    clearPlayerCaches(room);
+    emitRoomEvent('room.cancelled', room, { reason });
+    await NotificationService.notifyMany(playerIds(room), {
+      type: 'room_cancelled',
+      title: 'Room cancelled',
+      message: `Room ${room.roomId} was cancelled: ${reason}. Your ₹${room.amount} entry fee has been refunded.`,
+      data: { roomId: room.roomId, gameRoomId: room._id, amount: room.amount }
+    });
+
+    return room;
+  }
+
+  // Apply the configured action to a room that passed its result deadline. Tournament
+  // matches are always escalated: cancelling one would leave the bracket without a winner.
+  static async handleOverdueRoom(room) {
+    const reason = `No result declared within ${RoomResultService.getResultDeadlineMinutes()} minutes`;
+
+    return RoomResultService.getTimeoutAction() === 'cancel' && !room.tournament?.tournamentId
+      ? await RoomResultService.cancelWithRefunds(room._id, reason)
+      : await RoomResultService.escalate(room._id, reason);
+  }
+
+  // Award the win to the player who reported an uncontested no-show. Returns null if the
+  // report was contested or the room moved on in the meantime.
+  static async awardNoShow(roomId) {
+    const session = await mongoose.startSession();
+
+    let room;
+    try {
+      session.startTransaction();
+
+      // Claim the room, so a concurrent declaration or contest cannot also settle it
+      room = await GameRoom.findOneAndUpdate(
+        {
+          _id: roomId,
+          status: 'playing',
+          'noShowReport.status': 'pending',
+          'noShowReport.graceEndsAt': { $lte: new Date() },
+          // Submitted results take precedence over a no-show report
+          'resultSubmissions.0': { $exists: false }
+        },
+        { status: 'completed', completedAt: new Date(), 'noShowReport.status': 'awarded' },
+        { new: true, session }
+      );
+
+      if (!room) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      // Nobody else played, so the reporter takes the shares of every paid position
+      room.winner = room.noShowReport.reportedBy;
+      room.rankings = [room.winner];
+      room.winnerAmount = room.totalPrizePool - room.platformFee;
+      await room.save({ session });
+
+      await RoomResultService.settleWinner(room, room.winner, {
+        winnerAmount: room.winnerAmount,
+        platformFee: room.platformFee,
+        description: `Game Won - Room ${room.roomId} (opponent no-show)`,
+        metadata: {
+          roomCode: room.roomId
+        }
+      }, { session });
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const winner = await RoomResultService.recordWinStats(room, room.winner, room.winnerAmount);
+
+    clearPlayerCaches(room);
+    emitRoomEvent('room.winner_approved', room, { winnerId: room.winner, winnerAmount: room.winnerAmount, noShow: true });
+    await NotificationService.notifyMany(playerIds(room), {
+      type: 'no_show_awarded',
+      title: 'No-show win awarded',
+      message: room.mode === 'teams'
+        ? `Room ${room.roomId} was awarded to team ${room.winningTeam} because the no-show report was not contested.`
+        : `Room ${room.roomId} was awarded to ${winner?.name || 'the reporting player'} because the no-show report was not contested.`,
+      data: { roomId: room.roomId, gameRoomId: room._id, winnerId: room.winner }
+    });
+    await TournamentService.onMatchDecided(room);
+
+    return room;
+  }
+}
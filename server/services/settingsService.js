@@ -0,0 +1,126 @@
+import Settings, { SETTING_KEYS } from '../models/Settings.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { httpError } from '../utils/helpers.js';
+
+/**
+ * Platform settings an admin can change at runtime: the platform fee, wallet and room
+ * amount limits, OTP expiry and the admin approval threshold. Each change is saved as a
+ * new version of the Settings collection. Reads go through a cache of
+ * SETTINGS_CACHE_SECONDS, so a change reaches every server within that time without a
+ * redeploy. Until the first change, the values come from the environment (or the
+ * built-in defaults).
+ */
+export class SettingsService {
+  static getCacheSeconds() {
+    return parseInt(process.env.SETTINGS_CACHE_SECONDS) || 60;
+  }
+
+  static getDefaults() {
+    return {
+      platformFeePercent: parseInt(process.env.PLATFORM_FEE_PERCENTAGE) || 10,
+      minWithdrawalAmount: parseInt(process.env.MIN_WITHDRAWAL_AMOUNT) || 100,
+      maxWithdrawalAmount: parseInt(process.env.MAX_WITHDRAWAL_AMOUNT) || 50000,
+      minDepositAmount: 10,
+      maxDepositAmount: 100000,
+      minRoomAmount: 10,
+      maxRoomAmount: 10000,
+      otpExpiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES) || 5,
+      approvalThresholdAmount: parseInt(process.env.APPROVAL_THRESHOLD_AMOUNT) || 10000
+    };
+  }
+
+  // The settings in effect: { version, values, updatedBy, updatedAt }. Version 0 means
+  // the defaults, before any change.
+  static async getCurrent() {
+    const key = cacheUtils.settingsKey();
+    const cached = cache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    const latest = await Settings.getLatest().lean();
+    const current = {
+      version: latest?.version || 0,
+      values: { ...SettingsService.getDefaults(), ...latest?.values },
+      updatedBy: latest?.updatedBy || null,
+      updatedAt: latest?.createdAt || null
+    };
+
+    cache.set(key, current, SettingsService.getCacheSeconds());
+    return current;
+  }
+
+  // The values in effect, e.g. (await SettingsService.get()).platformFeePercent
+  static async get() {
+    return (await SettingsService.getCurrent()).values;
+  }
+
+  // Save the given values as a new version. Unchanged values are ignored; at least one
+  // must change. Fails with 409 if another admin saved a version in the meantime.
+  static async update(updates, adminId, reason) {
+    const latest = await Settings.getLatest().lean();
+    const currentValues = { ...SettingsService.getDefaults(), ...latest?.values };
+
+    const changes = SETTING_KEYS
+      .filter(key => updates[key] !== undefined && updates[key] !== currentValues[key])
+      .map(key => ({ key, from: currentValues[key], to: updates[key] }));
+
+    if (changes.length === 0) {
+      throw httpError('No setting was changed');
+    }
+
+    const values = { ...currentValues, ...Object.fromEntries(changes.map(change => [change.key, change.to])) };
+
+    if (values.minWithdrawalAmount > values.maxWithdrawalAmount) {
+      throw httpError('Minimum withdrawal cannot be more than the maximum withdrawal');
+    }
+
+    if (values.minDepositAmount > values.maxDepositAmount) {
+      throw httpError('Minimum deposit cannot be more than the maximum deposit');
+    }
+
+    if (values.minRoomAmount > values.maxRoomAmount) {
+      throw httpError('Minimum room amount cannot be more than the maximum room amount');
+    }
+
+    const settings = new Settings({
+      version: (latest?.version || 0) + 1,
+      values,
+      changes,
+      updatedBy: adminId,
+      reason
+    });
+
+    const validationError = settings.validateSync();
+    if (validationError) {
+      throw httpError(Object.values(validationError.errors)[0].message);
+    }
+
+    try {
+      await settings.save();
+    } catch (error) {
+      // Another admin saved the same version number first
+      if (error.code === 11000) {
+        throw httpError('The settings were changed by another admin. Reload them and try again.', 409);
+      }
+      throw error;
+    }
+
+    cache.del(cacheUtils.settingsKey());
+    return settings;
+  }
+
+  static async getHistory({ skip, limit }) {
+    const [versions, total] = await Promise.all([
+      Settings.find()
+        .populate('updatedBy', 'username')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Settings.countDocuments()
+    ]);
+
+    return { versions, total };
+  }
+}
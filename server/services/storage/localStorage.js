@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Storage backend that keeps files on the local disk.
+ *
+ * Every backend exposes the same operations used by StorageService:
+ * save, createReadStream, exists and remove, all addressed by a relative key
+ * such as "evidence/LK123456/3f9c1a.png".
+ */
+export class LocalStorage {
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Map a key onto the root directory, refusing anything that escapes it
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+
+    return { key, size: buffer.length };
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
@@ -0,0 +1,55 @@
+import { LocalStorage } from './storage/localStorage.js';
+
+// File storage facade. The backend is picked by STORAGE_DRIVER:
+//   local - files under STORAGE_LOCAL_DIR (default ./uploads), the default
+// Other backends (S3, GCS, ...) only need the same four methods; register them here.
+
+const DRIVERS = {
+  local: {
+    Backend: LocalStorage,
+    options: () => ({
+      rootDir: process.env.STORAGE_LOCAL_DIR || 'uploads'
+    })
+  }
+};
+
+let backend = null;
+
+export class StorageService {
+  // Lazily build the configured backend (env is loaded after module evaluation)
+  static getBackend() {
+    if (!backend) {
+      const driverName = process.env.STORAGE_DRIVER || 'local';
+      const driver = DRIVERS[driverName];
+
+      if (!driver) {
+        throw new Error(`Unsupported storage driver: ${driverName}`);
+      }
+
+      backend = new driver.Backend(driver.options());
+    }
+
+    return backend;
+  }
+
+  // Swap the backend instance (tests)
+  static setBackend(customBackend) {
+    backend = customBackend;
+  }
+
+  static async save(key, buffer) {
+    return await StorageService.getBackend().save(key, buffer);
+  }
+
+  static createReadStream(key) {
+    return StorageService.getBackend().createReadStream(key);
+  }
+
+  static async exists(key) {
+    return await StorageService.getBackend().exists(key);
+  }
+
+  static async remove(key) {
+    return await StorageService.getBackend().remove(key);
+  }
+}
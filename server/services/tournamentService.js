@@ -0,0 +1,631 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Tournament from '../models/Tournament.js';
+import GameRoom from '../models/GameRoom.js';
+import WinnerRequest from '../models/WinnerRequest.js';
+import Dispute, { DISPUTE_OPEN_STATUSES } from '../models/Dispute.js';
+import { EscrowService } from './escrowService.js';
+import { NotificationService } from './notificationService.js';
+import { SettingsService } from './settingsService.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { emitRoomEvent } from '../utils/events.js';
+import { httpError } from '../utils/helpers.js';
+
+const ACTIVE_ROOM_STATUSES = ['playing', 'winner_declared', 'escalated'];
+
+const roundMoney = (amount) => Math.floor(amount * 100) / 100;
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const clearParticipantCaches = (userIds) => {
+  cacheUtils.clearRoomsCache();
+  for (const userId of userIds) {
+    cache.del(cacheUtils.balanceKey(userId));
+    cacheUtils.clearUserCache(userId);
+  }
+};
+
+const findByCode = async (tournamentId, session) => {
+  const tournament = await Tournament.findOne({ tournamentId }).session(session || null);
+  if (!tournament) {
+    throw httpError('Tournament not found', 404);
+  }
+  return tournament;
+};
+
+/**
+ * Knockout tournaments played in ordinary game rooms. Entry fees are held in the
+ * tournament's escrow on registration. Each round draws the remaining players into
+ * rooms of playersPerMatch (a player drawn alone gets a bye); a room's approved winner
+ * advances, through the same result flow as any room but without a room payout. When
+ * one player is left the prize pool, less the platform fee, is paid out by the prize
+ * table, with players knocked out in the same round sharing their places.
+ */
+export class TournamentService {
+  static async create(data, adminId) {
+    if (new Date(data.startsAt) <= new Date()) {
+      throw httpError('Start time must be in the future');
+    }
+
+    if ((data.minParticipants || 2) > data.capacity) {
+      throw httpError('Minimum participants cannot exceed capacity');
+    }
+
+    if ((data.prizeTable || []).some(prize => prize.place > data.capacity)) {
+      throw httpError('Prize places cannot exceed capacity');
+    }
+
+    const { platformFeePercent } = await SettingsService.get();
+    const tournament = new Tournament({
+      ...data,
+      platformFeePercent,
+      createdBy: adminId
+    });
+
+    const validationError = tournament.validateSync();
+    if (validationError) {
+      throw httpError(Object.values(validationError.errors)[0].message);
+    }
+
+    return await tournament.save();
+  }
+
+  static async register(tournamentId, user) {
+    const session = await mongoose.startSession();
+
+    let tournament;
+    try {
+      session.startTransaction();
+
+      // Claim a seat atomically so concurrent registrations cannot exceed capacity
+      tournament = await Tournament.findOneAndUpdate(
+        {
+          tournamentId,
+          status: 'registration',
+          'participants.userId': { $ne: user._id },
+          $expr: { $lt: [{ $size: '$participants' }, '$capacity'] }
+        },
+        {
+          $push: { participants: { userId: user._id, name: user.name } },
+          $inc: { __v: 1 }
+        },
+        { new: true, session }
+      );
+
+      if (!tournament) {
+        const existing = await findByCode(tournamentId, session);
+        if (existing.status !== 'registration') {
+          throw httpError('Registration for this tournament is closed');
+        }
+        if (existing.hasParticipant(user._id)) {
+          throw httpError('You are already registered for this tournament', 409);
+        }
+        throw httpError('Tournament is full');
+      }
+
+      await EscrowService.holdTournamentEntry(tournament, user._id, { session });
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      if (error.message === 'Insufficient balance') {
+        throw httpError('Insufficient balance to register');
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    clearParticipantCaches([user._id]);
+    return tournament;
+  }
+
+  // Leave a tournament before it starts and get the entry fee back
+  static async withdraw(tournamentId, userId) {
+    const session = await mongoose.startSession();
+
+    let tournament;
+    let refund;
+    try {
+      session.startTransaction();
+
+      tournament = await Tournament.findOneAndUpdate(
+        { tournamentId, status: 'registration', 'participants.userId': userId },
+        { $pull: { participants: { userId } }, $inc: { __v: 1 } },
+        { new: true, session }
+      );
+
+      if (!tournament) {
+        const existing = await findByCode(tournamentId, session);
+        if (existing.status !== 'registration') {
+          throw httpError('You can only withdraw before the tournament starts');
+        }
+        throw httpError('You are not registered for this tournament', 404);
+      }
+
+      refund = await EscrowService.releaseTournamentEntry(tournament, userId, 'Withdrew', { session });
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    clearParticipantCaches([userId]);
+    return { tournament, refund };
+  }
+
+  // Draw the players into the round's matches and open a room for each one. Rooms are
+  // saved in the caller's session; returns { round, rooms }.
+  static async createRound(tournament, playerIds, number, { session } = {}) {
+    const matchCount = Math.ceil(playerIds.length / tournament.playersPerMatch);
+    const groups = Array.from({ length: matchCount }, () => []);
+
+    // Deal the shuffled players across the matches so their sizes differ by at most one
+    shuffle(playerIds).forEach((playerId, index) => groups[index % matchCount].push(playerId));
+
+    const namesById = new Map(tournament.participants.map(participant => [participant.userId.toString(), participant.name]));
+    const matches = [];
+    const rooms = [];
+
+    for (const [index, players] of groups.entries()) {
+      const matchNumber = index + 1;
+
+      if (players.length === 1) {
+        matches.push({ matchNumber, players, status: 'bye', winnerId: players[0], completedAt: new Date() });
+        continue;
+      }
+
+      const roomId = await GameRoom.generateRoomId();
+      if (!roomId) {
+        throw new Error('Failed to generate unique room ID');
+      }
+
+      const room = new GameRoom({
+        roomId,
+        gameType: tournament.gameType,
+        amount: tournament.entryFee,
+        maxPlayers: players.length,
+        visibility: 'private',
+        createdBy: players[0],
+        players: players.map(userId => ({ userId, name: namesById.get(userId.toString()), joinedAt: new Date() })),
+        tournament: { tournamentId: tournament._id, code: tournament.tournamentId, round: number, match: matchNumber }
+      });
+      room.startGame({ percent: 0 });
+      // Nothing is paid out of a tournament room; the tournament pays its prizes at the end
+      Object.assign(room, { totalPrizePool: 0, platformFee: 0, winnerAmount: 0, positionAmounts: [0] });
+      await room.save({ session });
+
+      matches.push({ matchNumber, players, gameRoomId: room._id, roomId: room.roomId, status: 'playing' });
+      rooms.push(room);
+    }
+
+    return { round: { number, matches, startedAt: new Date() }, rooms };
+  }
+
+  static async notifyMatches(tournament, number, rooms) {
+    for (const room of rooms) {
+      emitRoomEvent('room.game_started', room, {
+        startedAt: room.startedAt,
+        resultDeadline: room.resultDeadline,
+        tournamentId: tournament.tournamentId,
+        round: number
+      });
+
+      await NotificationService.notifyMany(room.players.map(player => player.userId), {
+        type: 'tournament_match',
+        title: `${tournament.name}: round ${number}`,
+        message: `Your round ${number} match in ${tournament.name} is ready in room ${room.roomId}. Declare the winner there when you finish.`,
+        data: { tournamentId: tournament.tournamentId, roomId: room.roomId, gameRoomId: room._id, round: number }
+      });
+    }
+
+    const round = tournament.rounds.find(item => item.number === number);
+    const byes = round.matches.filter(match => match.status === 'bye').map(match => match.winnerId);
+    await NotificationService.notifyMany(byes, {
+      type: 'tournament_match',
+      title: `${tournament.name}: round ${number}`,
+      message: `You have a bye in round ${number} of ${tournament.name} and advance to the next round.`,
+      data: { tournamentId: tournament.tournamentId, round: number }
+    });
+  }
+
+  // Close registration and play the first round. Admins can start early with at least two players.
+  static async start(tournamentId, { early = false } = {}) {
+    const session = await mongoose.startSession();
+
+    let tournament;
+    let rooms;
+    try {
+      session.startTransaction();
+
+      tournament = await findByCode(tournamentId, session);
+      if (tournament.status !== 'registration') {
+        throw httpError('Only tournaments open for registration can be started');
+      }
+
+      const minimum = early ? 2 : tournament.minParticipants;
+      if (tournament.participants.length < minimum) {
+        throw httpError(`At least ${minimum} participants are needed to start`);
+      }
+
+      tournament.prizePool = tournament.entryFee * tournament.participants.length;
+      tournament.platformFee = Math.floor(tournament.prizePool * tournament.platformFeePercent / 100);
+      tournament.status = 'in_progress';
+      tournament.startedAt = new Date();
+      tournament.currentRound = 1;
+      for (const participant of tournament.participants) {
+        participant.status = 'playing';
+      }
+
+      const created = await TournamentService.createRound(
+        tournament,
+        tournament.participants.map(participant => participant.userId),
+        1,
+        { session }
+      );
+      tournament.rounds.push(created.round);
+      rooms = created.rooms;
+
+      await tournament.save({ session });
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    cacheUtils.clearRoomsCache();
+    await TournamentService.notifyMatches(tournament, 1, rooms);
+
+    return tournament;
+  }
+
+  // Record a match room's approved winner in the bracket, in the caller's session.
+  // Advancing the bracket happens after the caller commits (see onMatchDecided).
+  static async recordMatchWinner(room, winnerId, { session } = {}) {
+    const { tournamentId, round, match } = room.tournament;
+
+    const result = await Tournament.updateOne(
+      { _id: tournamentId, status: 'in_progress' },
+      {
+        $set: {
+          'rounds.$[round].matches.$[match].status': 'completed',
+          'rounds.$[round].matches.$[match].winnerId': winnerId,
+          'rounds.$[round].matches.$[match].completedAt': new Date()
+        },
+        $inc: { __v: 1 }
+      },
+      {
+        arrayFilters: [{ 'round.number': round }, { 'match.matchNumber': match, 'match.status': 'playing' }],
+        session
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new Error(`Tournament match ${room.tournament.code} round ${round} match ${match} is not in play`);
+    }
+
+    return result;
+  }
+
+  // Advance the bracket once a match room has a winner. Never throws: the scheduled job
+  // retries whatever could not be advanced here.
+  static async onMatchDecided(room) {
+    if (!room.tournament?.tournamentId) {
+      return null;
+    }
+
+    try {
+      return await TournamentService.advance(room.tournament.tournamentId);
+    } catch (error) {
+      console.error(`Advance tournament ${room.tournament.code} failed:`, error);
+      return null;
+    }
+  }
+
+  // Work out each player's places (shared within a knockout round) and prize
+  static computePrizes(tournament, championId) {
+    const distributable = tournament.prizePool - tournament.platformFee;
+    const participantCount = tournament.participants.length;
+
+    // Prize percents for places nobody can reach are shared out over the places that exist
+    const reachable = tournament.prizeTable.filter(prize => prize.place <= participantCount);
+    const reachableTotal = reachable.reduce((sum, prize) => sum + prize.percent, 0);
+    const percentFor = (from, to) => reachable
+      .filter(prize => prize.place >= from && prize.place <= to)
+      .reduce((sum, prize) => sum + prize.percent, 0) * 100 / reachableTotal;
+
+    const groups = [{ userIds: [championId.toString()], round: null }];
+    for (let number = tournament.currentRound; number >= 1; number--) {
+      const userIds = tournament.participants
+        .filter(participant => participant.eliminatedInRound === number)
+        .map(participant => participant.userId.toString());
+      if (userIds.length > 0) {
+        groups.push({ userIds, round: number });
+      }
+    }
+
+    const prizes = [];
+    let placed = 0;
+    for (const group of groups) {
+      const placeFrom = placed + 1;
+      const placeTo = placed + group.userIds.length;
+      const share = roundMoney(distributable * percentFor(placeFrom, placeTo) / 100 / group.userIds.length);
+
+      for (const userId of group.userIds) {
+        const participant = tournament.participants.find(item => item.userId.toString() === userId);
+        participant.placeFrom = placeFrom;
+        participant.placeTo = placeTo;
+        prizes.push({ userId: participant.userId, amount: share, place: placeFrom });
+      }
+      placed = placeTo;
+    }
+
+    // Paise lost to rounding, and prizes too small to pay, go to the champion
+    const [champion, ...others] = prizes;
+    const paid = others.filter(prize => prize.amount >= 1);
+    champion.amount = Math.round((distributable - paid.reduce((sum, prize) => sum + prize.amount, 0)) * 100) / 100;
+
+    for (const prize of [champion, ...paid]) {
+      tournament.participants.find(item => item.userId.toString() === prize.userId.toString()).prize = prize.amount;
+    }
+
+    return [champion, ...paid];
+  }
+
+  // Close the current round once every match has a winner: start the next round, or pay
+  // out the prizes when one player is left. Returns null if the round is still running.
+  static async advance(tournamentObjectId) {
+    const session = await mongoose.startSession();
+
+    let tournament;
+    let rooms = [];
+    let eliminated = [];
+    let prizes = null;
+    try {
+      session.startTransaction();
+
+      tournament = await Tournament.findById(tournamentObjectId).session(session);
+      const round = tournament?.getCurrentRound();
+
+      if (!round || tournament.status !== 'in_progress' || round.matches.some(match => match.status === 'playing')) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      round.status = 'completed';
+      round.completedAt = new Date();
+
+      const winners = round.matches.map(match => match.winnerId);
+      const winnerIds = winners.map(id => id.toString());
+      for (const participant of tournament.participants) {
+        if (participant.status === 'playing' && !winnerIds.includes(participant.userId.toString())) {
+          participant.status = 'eliminated';
+          participant.eliminatedInRound = round.number;
+          eliminated.push(participant.userId);
+        }
+      }
+
+      if (winners.length === 1) {
+        const [championId] = winners;
+        const champion = tournament.participants.find(participant => participant.userId.toString() === championId.toString());
+        champion.status = 'champion';
+
+        prizes = TournamentService.computePrizes(tournament, championId);
+        await EscrowService.settleTournament(tournament, prizes, tournament.platformFee, { session });
+
+        tournament.status = 'completed';
+        tournament.completedAt = new Date();
+        tournament.winner = championId;
+      } else {
+        const number = round.number + 1;
+        const created = await TournamentService.createRound(tournament, winners, number, { session });
+        tournament.rounds.push(created.round);
+        tournament.currentRound = number;
+        rooms = created.rooms;
+      }
+
+      await tournament.save({ session });
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    if (prizes) {
+      clearParticipantCaches(tournament.participants.map(participant => participant.userId));
+
+      for (const participant of tournament.participants) {
+        const place = participant.placeFrom === participant.placeTo
+          ? `${participant.placeFrom}`
+          : `${participant.placeFrom}-${participant.placeTo}`;
+        await NotificationService.notify(participant.userId, {
+          type: 'tournament_completed',
+          title: `${tournament.name} finished`,
+          message: participant.prize > 0
+            ? `You finished ${place} in ${tournament.name} and won ₹${participant.prize}.`
+            : `${tournament.name} has finished. You placed ${place}.`,
+          data: { tournamentId: tournament.tournamentId, place: participant.placeFrom, prize: participant.prize }
+        });
+      }
+
+      return { outcome: 'completed', tournament, prizes };
+    }
+
+    await NotificationService.notifyMany(eliminated, {
+      type: 'tournament_eliminated',
+      title: `Knocked out of ${tournament.name}`,
+      message: `You were knocked out in round ${tournament.currentRound - 1} of ${tournament.name}. Prizes are paid when the tournament ends.`,
+      data: { tournamentId: tournament.tournamentId, round: tournament.currentRound - 1 }
+    });
+
+    cacheUtils.clearRoomsCache();
+    await TournamentService.notifyMatches(tournament, tournament.currentRound, rooms);
+
+    return { outcome: 'next_round', tournament, rooms };
+  }
+
+  // Cancel a tournament, close its match rooms and refund every entry fee
+  static async cancel(tournamentId, { reason, adminId } = {}) {
+    const session = await mongoose.startSession();
+
+    let tournament;
+    let rooms = [];
+    let refunds = [];
+    try {
+      session.startTransaction();
+
+      tournament = await findByCode(tournamentId, session);
+      if (!['registration', 'in_progress'].includes(tournament.status)) {
+        throw httpError('Tournament is already completed or cancelled');
+      }
+
+      rooms = await GameRoom.find({
+        'tournament.tournamentId': tournament._id,
+        status: { $in: ACTIVE_ROOM_STATUSES }
+      }).session(session);
+      const roomIds = rooms.map(room => room._id);
+
+      if (await Dispute.exists({ gameRoomId: { $in: roomIds }, status: { $in: DISPUTE_OPEN_STATUSES } }).session(session)) {
+        throw httpError('A match of this tournament has an open dispute, resolve it first');
+      }
+
+      const cancelReason = `Tournament cancelled: ${reason}`;
+      for (const room of rooms) {
+        Object.assign(room, { status: 'cancelled', cancelledAt: new Date(), cancelReason });
+        await room.save({ session });
+      }
+
+      await WinnerRequest.updateMany(
+        { gameRoomId: { $in: roomIds }, status: 'pending' },
+        { status: 'rejected', processedAt: new Date(), processedBy: adminId, adminNotes: cancelReason },
+        { session }
+      );
+
+      for (const participant of tournament.participants) {
+        const refund = await EscrowService.releaseTournamentEntry(tournament, participant.userId, reason, { session });
+        if (refund) {
+          refunds.push(refund);
+        }
+      }
+
+      Object.assign(tournament, {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: adminId,
+        cancelReason: reason
+      });
+      await tournament.save({ session });
+
+      await session.commitTransaction();
+
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    clearParticipantCaches(tournament.participants.map(participant => participant.userId));
+    for (const room of rooms) {
+      emitRoomEvent('room.cancelled', room, { reason: room.cancelReason, tournamentId: tournament.tournamentId });
+    }
+
+    await NotificationService.notifyMany(tournament.participants.map(participant => participant.userId), {
+      type: 'tournament_cancelled',
+      title: `${tournament.name} cancelled`,
+      message: `${tournament.name} was cancelled (${reason}). Your ₹${tournament.entryFee} entry fee has been refunded.`,
+      data: { tournamentId: tournament.tournamentId, amount: tournament.entryFee }
+    });
+
+    return { tournament, refunds };
+  }
+
+  // Start tournaments whose start time has come, or cancel them if too few registered (scheduled job)
+  static async startDue() {
+    const due = await Tournament.find({ status: 'registration', startsAt: { $lte: new Date() } })
+      .select('tournamentId participants minParticipants')
+      .limit(20)
+      .lean();
+
+    let started = 0;
+    let cancelled = 0;
+    for (const tournament of due) {
+      try {
+        if (tournament.participants.length >= tournament.minParticipants) {
+          await TournamentService.start(tournament.tournamentId);
+          started += 1;
+        } else {
+          await TournamentService.cancel(tournament.tournamentId, { reason: 'Not enough participants' });
+          cancelled += 1;
+        }
+      } catch (error) {
+        console.error(`Start tournament ${tournament.tournamentId} failed:`, error);
+      }
+    }
+
+    return { started, cancelled };
+  }
+
+  // Advance tournaments whose current round has finished (scheduled job, catches missed advances)
+  static async advanceAll() {
+    const running = await Tournament.find({ status: 'in_progress' })
+      .select('_id tournamentId rounds currentRound')
+      .limit(100)
+      .lean();
+
+    let advanced = 0;
+    for (const tournament of running) {
+      const round = tournament.rounds.find(item => item.number === tournament.currentRound);
+      if (!round || round.matches.some(match => match.status === 'playing')) continue;
+
+      try {
+        if (await TournamentService.advance(tournament._id)) {
+          advanced += 1;
+        }
+      } catch (error) {
+        console.error(`Advance tournament ${tournament.tournamentId} failed:`, error);
+      }
+    }
+
+    return advanced;
+  }
+
+  // Public view of a tournament; the bracket shows players by name
+  static toView(tournament, userId) {
+    const view = typeof tournament.toObject === 'function' ? tournament.toObject() : { ...tournament };
+    delete view.__v;
+
+    view.participantCount = view.participants.length;
+    if (userId) {
+      view.isRegistered = view.participants.some(participant => participant.userId.toString() === userId.toString());
+    }
+
+    return view;
+  }
+}
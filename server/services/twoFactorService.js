@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import Admin from '../models/Admin.js';
+import { cache, cacheUtils } from '../utils/cache.js';
+import { httpError } from '../utils/helpers.js';
+import { verifyToken } from '../utils/jwt.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared without dashes, spaces or case
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * TOTP two-factor authentication for admin login. An admin enrolls with an authenticator
+ * app (setup, then enable with a first code) and gets single-use recovery codes. Logging
+ * in then takes two steps: the password gives a short-lived challenge token, and the
+ * admin token is only issued for that challenge plus a valid code. 2FA is optional until
+ * ADMIN_2FA_REQUIRED=true; from then on admins without it can only enroll. Super admins
+ * can reset it for an admin who lost their device.
+ */
+export class TwoFactorService {
+  static isRequired() {
+    return process.env.ADMIN_2FA_REQUIRED === 'true';
+  }
+
+  static getIssuer() {
+    return process.env.ADMIN_2FA_ISSUER || 'Ludo Looto Admin';
+  }
+
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  }
+
+  static async findAdmin(adminId) {
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      throw httpError('Admin not found', 404);
+    }
+    return admin;
+  }
+
+  static clearCache(adminId) {
+    cache.del(cacheUtils.adminKey(adminId));
+  }
+
+  static getStatus(admin) {
+    return {
+      enabled: Boolean(admin.twoFactor?.enabled),
+      enabledAt: admin.twoFactor?.enabledAt || null,
+      recoveryCodesLeft: admin.twoFactor?.recoveryCodes?.length || 0,
+      setupPending: Boolean(admin.twoFactor?.pendingSecret),
+      required: TwoFactorService.isRequired()
+    };
+  }
+
+  // Start enrollment with a new secret; it takes effect once enable() gets a valid code for it
+  static async setup(adminId) {
+    const admin = await TwoFactorService.findAdmin(adminId);
+    if (admin.twoFactor?.enabled) {
+      throw httpError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    admin.set('twoFactor.pendingSecret', secret);
+    await admin.save();
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, account: admin.username, issuer: TwoFactorService.getIssuer() })
+    };
+  }
+
+  // Finish enrollment. Returns the recovery codes, which are only shown this once.
+  static async enable(adminId, code) {
+    const admin = await TwoFactorService.findAdmin(adminId);
+    if (admin.twoFactor?.enabled) {
+      throw httpError('Two-factor authentication is already enabled');
+    }
+    if (!admin.twoFactor?.pendingSecret) {
+      throw httpError('Start the two-factor setup first');
+    }
+
+    const step = verifyTotp(admin.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw httpError('Invalid two-factor code. Check the time on your device and try again.');
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    admin.twoFactor = {
+      enabled: true,
+      secret: admin.twoFactor.pendingSecret,
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      recoveryCodes: hashes
+    };
+    await admin.save();
+
+    TwoFactorService.clearCache(admin._id);
+    return codes;
+  }
+
+  // Accept a current TOTP code, or else use up a recovery code. Returns 'totp',
+  // 'recovery_code' or null. Each code is accepted once, even by concurrent requests.
+  static async verifyCode(admin, { code, recoveryCode }) {
+    if (!admin.twoFactor?.enabled) {
+      return null;
+    }
+
+    if (code) {
+      const step = verifyTotp(admin.twoFactor.secret, code);
+      if (step === null) {
+        return null;
+      }
+
+      const { modifiedCount } = await Admin.updateOne(
+        {
+          _id: admin._id,
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const { modifiedCount } = await Admin.updateOne(
+        { _id: admin._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      return modifiedCount === 1 ? 'recovery_code' : null;
+    }
+
+    return null;
+  }
+
+  // Second login step: the challenge token from the password step plus a code.
+  // Returns { admin, method }; wrong codes count as failed login attempts.
+  static async completeLogin(challengeToken, codes) {
+    let decoded;
+    try {
+      decoded = verifyToken(challengeToken);
+    } catch (error) {
+      throw httpError('Login has expired. Please log in again.', 401);
+    }
+
+    if (decoded.purpose !== 'admin_2fa' || !decoded.pendingAdminId) {
+      throw httpError('Invalid login token', 401);
+    }
+
+    const admin = await Admin.findOne({ _id: decoded.pendingAdminId, isActive: true });
+    if (!admin || !admin.twoFactor?.enabled) {
+      throw httpError('Login has expired. Please log in again.', 401);
+    }
+
+    if (admin.isLocked) {
+      throw httpError('Account is temporarily locked due to multiple failed login attempts. Please try again later.', 401);
+    }
+
+    const method = await TwoFactorService.verifyCode(admin, codes);
+    if (!method) {
+      await admin.incLoginAttempts();
+      throw httpError('Invalid two-factor code', 401);
+    }
+
+    return { admin, method };
+  }
+
+  static async disable(adminId, { password, code, recoveryCode }) {
+    if (TwoFactorService.isRequired()) {
+      throw httpError('Two-factor authentication is required for all admins and cannot be turned off');
+    }
+
+    const admin = await TwoFactorService.findAdmin(adminId);
+    if (!admin.twoFactor?.enabled) {
+      throw httpError('Two-factor authentication is not enabled');
+    }
+
+    if (!(await admin.comparePassword(password))) {
+      throw httpError('Password is incorrect');
+    }
+
+    if (!(await TwoFactorService.verifyCode(admin, { code, recoveryCode }))) {
+      throw httpError('Invalid two-factor code');
+    }
+
+    admin.twoFactor = { enabled: false };
+    await admin.save();
+
+    TwoFactorService.clearCache(admin._id);
+  }
+
+  // Replace the recovery codes; returns the new ones
+  static async regenerateRecoveryCodes(adminId, { code, recoveryCode }) {
+    const admin = await TwoFactorService.findAdmin(adminId);
+    if (!admin.twoFactor?.enabled) {
+      throw httpError('Two-factor authentication is not enabled');
+    }
+
+    if (!(await TwoFactorService.verifyCode(admin, { code, recoveryCode }))) {
+      throw httpError('Invalid two-factor code');
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    admin.set('twoFactor.recoveryCodes', hashes);
+    await admin.save();
+
+    return codes;
+  }
+
+  // Turn off another admin's 2FA (e.g. a lost device) and end their sessions. With
+  // ADMIN_2FA_REQUIRED they must enroll again after logging in.
+  static async reset(adminId, actorId) {
+    if (String(adminId) === String(actorId)) {
+      throw httpError('You cannot reset your own two-factor authentication');
+    }
+
+    const admin = await TwoFactorService.findAdmin(adminId);
+    if (!admin.twoFactor?.enabled && !admin.twoFactor?.pendingSecret) {
+      throw httpError('Two-factor authentication is not enabled for this admin');
+    }
+
+    admin.twoFactor = { enabled: false };
+    admin.tokensRevokedAt = new Date();
+    await admin.save();
+
+    TwoFactorService.clearCache(admin._id);
+    return admin;
+  }
+}
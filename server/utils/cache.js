@@ -47,6 +47,9 @@ export const cacheUtils = {
   // Generate cache key for user data
   userKey: (userId) => `user_${userId}`,
   
+  // Generate cache key for an authenticated admin
+  adminKey: (adminId) => `admin_${adminId}`,
+  
   // Generate cache key for user balance
   balanceKey: (userId) => `balance_${userId}`,
   
@@ -62,6 +65,15 @@ export const cacheUtils = {
   // Generate cache key for transactions
   transactionsKey: (userId, type = 'all', page = 1) => `transactions_${userId}_${type}_${page}`,
   
+  // Generate cache key for unread notification count
+  unreadNotificationsKey: (userId) => `notifications_unread_${userId}`,
+  
+  // Generate cache key for the platform settings in effect
+  settingsKey: () => 'platform_settings',
+  
+  // Generate cache key for the active fee schedules
+  feeSchedulesKey: () => 'fee_schedules',
+  
   // Clear user-related cache
   clearUserCache: (userId) => {
     const keys = [
@@ -0,0 +1,36 @@
+import { EventEmitter } from 'events';
+
+// In-process bus for things clients should hear about in real time. Emitters do not
+// need to know who listens; the WebSocket server (services/realtimeService.js) fans
+// the events out to connected clients.
+export const events = new EventEmitter();
+events.setMaxListeners(50);
+
+export const ROOM_EVENT = 'room';
+export const USER_EVENT = 'user';
+
+// Public summary of a room, safe to send to anyone watching it
+export const roomSnapshot = (room) => ({
+  _id: room._id,
+  roomId: room.roomId,
+  gameType: room.gameType,
+  amount: room.amount,
+  status: room.status,
+  visibility: room.visibility || 'public',
+  maxPlayers: room.maxPlayers,
+  currentPlayers: room.players.length,
+  players: room.players.map(player => ({
+    userId: player.userId._id || player.userId,
+    name: player.name || player.userId.name
+  })),
+  winner: room.winner?._id || room.winner || null
+});
+
+// Call after the change is committed, never inside a transaction that may still abort
+export const emitRoomEvent = (type, room, data = {}) => {
+  events.emit(ROOM_EVENT, { type, room: roomSnapshot(room), data, at: new Date() });
+};
+
+export const emitUserEvent = (userId, type, data = {}) => {
+  events.emit(USER_EVENT, { type, userId: userId.toString(), data, at: new Date() });
+};
@@ -3,14 +3,33 @@ export const generateRoomId = () => {
   return `LK${randomNum}`;
 };
 
-export const calculateWinnings = (totalAmount, platformFeePercent = 10) => {
-  const platformFee = Math.floor(totalAmount * platformFeePercent / 100);
-  const winnerAmount = totalAmount - platformFee;
+// Platform fee on a prize pool at a fee rate ({ percent, minFee, maxFee }): the percent,
+// rounded down to the rupee, kept within the rate's caps and never more than the pool
+export const calculatePlatformFee = (totalAmount, { percent, minFee = 0, maxFee }) => {
+  let platformFee = Math.floor(totalAmount * percent / 100);
+  if (maxFee != null) {
+    platformFee = Math.min(platformFee, maxFee);
+  }
+  return Math.min(Math.max(platformFee, minFee || 0), totalAmount);
+};
+
+// Split the prize (pool less the platform fee at feeRate) over the paid positions by
+// payoutStructure, the percent each position gets (e.g. [70, 30]). Amounts are rounded down
+// to the paisa and the remainder goes to first place; winnerAmount is first place's share.
+export const calculateWinnings = (totalAmount, feeRate = { percent: 10 }, payoutStructure = [100]) => {
+  const platformFee = calculatePlatformFee(totalAmount, feeRate);
+  const prizeAmount = totalAmount - platformFee;
+
+  const positionAmounts = payoutStructure.map(percent => Math.floor(prizeAmount * percent) / 100);
+  const paid = positionAmounts.slice(1).reduce((sum, amount) => sum + amount, 0);
+  positionAmounts[0] = Math.round((prizeAmount - paid) * 100) / 100;
 
   return {
     totalAmount,
     platformFee,
-    winnerAmount
+    prizeAmount,
+    winnerAmount: positionAmounts[0],
+    positionAmounts
   };
 };
 
@@ -80,4 +99,20 @@ export const buildPaginationResponse = (data, total, page, limit) => {
       hasPrev: page > 1
     }
   };
-};
\ No newline at end of file
+};
+
+// Error carrying the HTTP status a controller (or errorHandler) should answer with
+export const httpError = (message, statusCode = 400) => {
+  return Object.assign(new Error(message), { statusCode });
+};
+
+// JSON.stringify with sorted object keys, so equal values always hash the same
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
@@ -8,6 +8,16 @@ export const generateToken = (userId, type = 'user') => {
   );
 };
 
+// Short-lived token proving an admin's password was checked, exchanged for an admin
+// token once the two-factor code is verified. Admin routes do not accept it.
+export const generateTwoFactorChallengeToken = (adminId) => {
+  return jwt.sign(
+    { pendingAdminId: adminId, purpose: 'admin_2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
 export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
\ No newline at end of file
@@ -71,9 +71,10 @@ export const formatPhoneForTwilio = (phone) => {
  * Send OTP via Twilio SMS
  * @param {string} phone - Phone number (Indian format)
  * @param {string} otp - OTP code to send
+ * @param {number} expiryMinutes - Minutes until the OTP expires
  * @returns {Promise<Object>} - Result object with status and message
  */
-export const sendOtpViaSMS = async (phone, otp) => {
+export const sendOtpViaSMS = async (phone, otp, expiryMinutes) => {
     try {
         // Check if Twilio client is initialized
         if (!client) {
@@ -108,7 +109,7 @@ export const sendOtpViaSMS = async (phone, otp) => {
         }
 
         // Create SMS message
-        const message = `Your LUDO LOOTO verification code is: ${otp}. This code will expire in 5 minutes. Do not share this code with anyone.`;
+        const message = `Your LUDO LOOTO verification code is: ${otp}. This code will expire in ${expiryMinutes} minutes. Do not share this code with anyone.`;
 
         // Send SMS via Twilio
         const twilioResponse = await client.messages.create({